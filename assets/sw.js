@@ -0,0 +1,128 @@
+/**
+ * REGAIN Service Worker
+ *
+ * Served from the site root (assets/ is Vite's publicDir). Registered by js/core/pwa.js.
+ *
+ * Caches:
+ * - SHELL_CACHE: index.html, manifest and icon (precached on install), plus the HTML
+ *   templates of template-loader.js and the scripts/styles of the page, which the
+ *   page sends with a PRECACHE message once it is controlled
+ * - RUNTIME_CACHE: any other same-origin GET and the CDN modules of the import map
+ *   (stale-while-revalidate)
+ * - CATALOG_CACHE: the exercise catalog, written by the page (see js/core/pwa.js);
+ *   not versioned so it survives updates
+ *
+ * Bump CACHE_VERSION on every deploy: the new worker waits until the user accepts
+ * the "update available" prompt (SKIP_WAITING message).
+ */
+
+const CACHE_VERSION = 'v1';
+const SHELL_CACHE = `regain-shell-${CACHE_VERSION}`;
+const RUNTIME_CACHE = `regain-runtime-${CACHE_VERSION}`;
+const CATALOG_CACHE = 'regain-catalog';
+
+const SHELL_URLS = [
+  '/index.html',
+  '/manifest.webmanifest',
+  '/icons/icon.svg'
+];
+
+// Cross-origin hosts whose GET responses are cached (import map modules, icon font)
+const CACHEABLE_ORIGINS = [
+  'https://esm.sh',
+  'https://cdnjs.cloudflare.com'
+];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE).then(cache => cache.addAll(SHELL_URLS))
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  const keep = [SHELL_CACHE, RUNTIME_CACHE, CATALOG_CACHE];
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(key => !keep.includes(key)).map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('message', (event) => {
+  const { type, urls } = event.data || {};
+
+  if (type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+
+  if (type === 'PRECACHE' && Array.isArray(urls)) {
+    event.waitUntil(precacheUrls(urls));
+  }
+});
+
+/**
+ * Add URLs to the shell cache (skipping the ones already cached)
+ * A URL that fails does not prevent caching the others.
+ */
+async function precacheUrls(urls) {
+  const cache = await caches.open(SHELL_CACHE);
+  await Promise.all(urls.map(async (url) => {
+    if (await cache.match(url)) return;
+    try {
+      const response = await fetch(url);
+      if (response.ok) {
+        await cache.put(url, response);
+      }
+    } catch (error) {
+      console.warn('[SW] Failed to precache', url, error);
+    }
+  }));
+}
+
+function isCacheable(request) {
+  if (request.method !== 'GET') return false;
+  const url = new URL(request.url);
+  return url.origin === self.location.origin || CACHEABLE_ORIGINS.includes(url.origin);
+}
+
+/**
+ * Serve from cache immediately and refresh the cached copy from the network
+ * The fresh copy goes back to the cache it was found in (shell or runtime).
+ * @param {FetchEvent} event - Fetch event (kept alive until the refresh is stored)
+ * @param {Request|string} cacheKey - Key of the cached copy (defaults to the request)
+ * @returns {Promise<Response>}
+ */
+async function staleWhileRevalidate(event, cacheKey = event.request) {
+  const shellCache = await caches.open(SHELL_CACHE);
+  const shellCopy = await shellCache.match(cacheKey);
+  const cache = shellCopy ? shellCache : await caches.open(RUNTIME_CACHE);
+  const cached = shellCopy || await cache.match(cacheKey);
+
+  const network = fetch(event.request)
+    .then(async (response) => {
+      // Opaque responses (no-cors CDN requests) can't be checked, but are still usable
+      if (response.ok || response.type === 'opaque') {
+        await cache.put(cacheKey, response.clone());
+      }
+      return response;
+    });
+
+  if (cached) {
+    event.waitUntil(network.catch(() => {}));
+    return cached;
+  }
+  return network;
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (!isCacheable(request)) return;
+
+  // Single-page app: every navigation is index.html (see firebase.json rewrites)
+  if (request.mode === 'navigate') {
+    event.respondWith(staleWhileRevalidate(event, '/index.html'));
+    return;
+  }
+
+  event.respondWith(staleWhileRevalidate(event));
+});
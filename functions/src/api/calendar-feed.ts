@@ -0,0 +1,65 @@
+/**
+ * HTTP endpoint for the per-user iCalendar feed
+ *
+ * GET /calendarFeed?uid=<uid>&token=<calendarFeedToken>
+ *
+ * Phone calendars subscribe to this URL (copied from the calendar page) and poll it,
+ * so it can't use ID tokens: it is authenticated by the calendarFeedToken stored on
+ * the user's profile, which the athlete can reset to revoke old subscriptions.
+ */
+
+import { onRequest } from "firebase-functions/v2/https";
+import { initializeFirebaseAdmin } from "../utils/admin-init";
+
+// Initialize Firebase Admin with emulator support
+initializeFirebaseAdmin();
+
+export const calendarFeed = onRequest(
+  {
+    region: "us-central1",
+    timeoutSeconds: 30,
+    memory: "256MiB",
+    maxInstances: 10,
+  },
+  async (req, res) => {
+    const uid = typeof req.query.uid === "string" ? req.query.uid : "";
+    const token = typeof req.query.token === "string" ? req.query.token : "";
+
+    try {
+      // Validate request method
+      if (req.method !== "GET" && req.method !== "HEAD") {
+        res.status(405).json({ error: "Method not allowed" });
+        return;
+      }
+
+      if (!uid || !token) {
+        res.status(400).json({ error: "Missing uid or token" });
+        return;
+      }
+
+      const { verifyCalendarFeedToken, buildUserCalendarFeed } = await import("../services/icalendar");
+
+      if (!(await verifyCalendarFeedToken(uid, token))) {
+        res.status(404).json({ error: "Calendar feed not found" });
+        return;
+      }
+
+      const calendar = await buildUserCalendarFeed(uid);
+
+      res.set("Content-Type", "text/calendar; charset=utf-8");
+      res.set("Content-Disposition", "inline; filename=\"regain-training.ics\"");
+      res.set("Cache-Control", "private, max-age=300");
+      res.status(200).send(calendar);
+    } catch (error) {
+      console.error("[Calendar Feed] Error:", {
+        message: error instanceof Error ? error.message : "Unknown error",
+        stack: error instanceof Error ? error.stack : undefined,
+        userId: uid || "unknown",
+      });
+      res.status(500).json({
+        error: "Internal server error",
+        message: error instanceof Error ? error.message : "Unknown error",
+      });
+    }
+  }
+);
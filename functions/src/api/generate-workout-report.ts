@@ -0,0 +1,80 @@
+/**
+ * HTTP endpoint for performance report narratives
+ * 
+ * Used by the performance report view (js/services/performanceReportService.js).
+ * Turns the reportData of a completed session into a structured narrative:
+ * summary, highlights, concerns and a next-session recommendation.
+ */
+
+import { onRequest } from "firebase-functions/v2/https";
+import { initializeFirebaseAdmin } from "../utils/admin-init";
+import { verifyRequestAuth } from "../utils/auth";
+import { validateReportData } from "../utils/workout-report-validator";
+
+// Initialize Firebase Admin with emulator support
+initializeFirebaseAdmin();
+
+export const generateWorkoutReport = onRequest(
+  {
+    region: "us-central1",
+    timeoutSeconds: 120,
+    memory: "512MiB",
+    maxInstances: 10,
+    cors: true,
+  },
+  async (req, res) => {
+    let userId: string | null = null;
+
+    try {
+      // Validate request method
+      if (req.method !== "POST") {
+        res.status(405).json({ error: "Method not allowed" });
+        return;
+      }
+
+      // Verify token and extract userId
+      userId = await verifyRequestAuth(req, res);
+      if (!userId) {
+        return;
+      }
+
+      const { reportData } = req.body || {};
+
+      try {
+        validateReportData(reportData);
+      } catch (error) {
+        res.status(400).json({
+          error: "Invalid reportData",
+          message: error instanceof Error ? error.message : "Unknown error",
+        });
+        return;
+      }
+
+      console.log("[Generate Workout Report] Request for user:", userId, {
+        sessionDate: reportData.sessionDate,
+        exercises: reportData.exercises.length,
+      });
+
+      const { generateWorkoutReportNarrative } = await import("../services/workout-report");
+
+      const startTime = Date.now();
+      const narrative = await generateWorkoutReportNarrative(reportData);
+
+      console.log("[Generate Workout Report] Completed", {
+        duration: `${Date.now() - startTime}ms`,
+      });
+
+      res.status(200).json(narrative);
+    } catch (error) {
+      console.error("[Generate Workout Report] Error:", {
+        message: error instanceof Error ? error.message : "Unknown error",
+        stack: error instanceof Error ? error.stack : undefined,
+        userId: userId || "unknown",
+      });
+      res.status(500).json({
+        error: "Report generation failed",
+        message: error instanceof Error ? error.message : "Unknown error",
+      });
+    }
+  }
+);
@@ -3,12 +3,23 @@
  * 
  * This endpoint executes the LangGraph workflow to generate workout sessions
  * based on the user's profile and preferences.
+ *
+ * Body: { requestType, config, runId?, resumeRunId? }
+ * - runId: client-generated ID of the generation run, so the client can poll
+ *   users/{uid}/generationRuns/{runId} while this request is in flight
+ * - resumeRunId: resume a failed (or interrupted) run from its last checkpoint
+ *
+ * With "Accept: text/event-stream" the response is a Server-Sent Events stream with one
+ * event per node transition (see services/generation-events.ts), ending with a
+ * "complete" event (sessions + mesocycle) or an "error" event.
  */
 
 import { onRequest } from "firebase-functions/v2/https";
 import { defineSecret, defineString } from "firebase-functions/params";
 import * as admin from "firebase-admin";
 import { initializeFirebaseAdmin } from "../utils/admin-init";
+import { resolveRunId } from "../services/generation-runs";
+import { createGenerationEventObserver, formatSSE } from "../services/generation-events";
 
 // Initialize Firebase Admin with emulator support
 initializeFirebaseAdmin();
@@ -99,7 +110,7 @@ export const generateWorkout = onRequest(
           return;
         }
 
-        const { requestType } = req.body;
+        const { requestType, config, runId, resumeRunId } = req.body;
 
         console.log("[Generate Workout] Starting workflow for user:", userId);
         console.log("[Generate Workout] Request type:", requestType);
@@ -136,11 +147,30 @@ export const generateWorkout = onRequest(
         // Import workflow dynamically
         const { executeWorkoutWorkflow } = await import("../graph/workout-generation-workflow");
 
+        // Streaming mode: one SSE event per node transition
+        const stream = (req.headers.accept || "").includes("text/event-stream");
+        const resolvedRunId = resolveRunId(resumeRunId || runId);
+
+        if (stream) {
+          res.status(200);
+          res.setHeader("Content-Type", "text/event-stream");
+          res.setHeader("Cache-Control", "no-cache");
+          res.setHeader("Connection", "keep-alive");
+          res.flushHeaders();
+          res.write(formatSSE({ type: "run", runId: resolvedRunId }));
+        }
+
         // Execute LangGraph workflow
         const startTime = Date.now();
         const result = await executeWorkoutWorkflow({
           userId,
           requestType: requestType || "weekly",
+          mesocycleWeeks: typeof config?.mesocycleWeeks === "number" ? config.mesocycleWeeks : undefined,
+          runId: resolvedRunId,
+          resume: !!resumeRunId,
+          observer: stream
+            ? createGenerationEventObserver((event) => res.write(formatSSE(event)))
+            : undefined,
         });
         const duration = Date.now() - startTime;
 
@@ -148,20 +178,41 @@ export const generateWorkout = onRequest(
           duration: `${duration}ms`,
           sessionsGenerated: result.result?.sessions?.length || 0,
           hasError: !!result.error,
+          runId: result.runId,
         });
 
         // Return response
-        if (result.error) {
+        if (stream) {
+          res.write(formatSSE(result.error
+            ? { type: "error", runId: result.runId, message: result.error, resumable: !!result.resumable }
+            : {
+              type: "complete",
+              runId: result.runId,
+              sessions: result.result?.sessions || [],
+              mesocycle: result.result?.mesocycle || null,
+            }));
+          res.end();
+        } else if (result.errorCode) {
+          res.status(result.errorCode === "run_not_found" ? 404 : 409).json({
+            error: result.error,
+            runId: result.runId,
+          });
+        } else if (result.error) {
           console.error("[Generate Workout] Workflow error:", result.error);
           res.status(500).json({
             error: "Workout generation failed",
             message: result.error,
+            // The run keeps its checkpoints: the client can retry with resumeRunId
+            runId: result.runId,
+            resumable: !!result.resumable,
           });
         } else {
           console.log("[Generate Workout] Success");
           res.status(200).json({
             sessions: result.result?.sessions || [],
+            mesocycle: result.result?.mesocycle || null,
             requestType: result.requestType,
+            runId: result.runId,
           });
         }
       } catch (error) {
@@ -171,6 +222,17 @@ export const generateWorkout = onRequest(
           stack: error instanceof Error ? error.stack : undefined,
           userId: userId || "unknown",
         });
+        // The SSE stream already sent its headers: report the error as an event
+        if (res.headersSent) {
+          res.write(formatSSE({
+            type: "error",
+            runId: "",
+            message: error instanceof Error ? error.message : "Unknown error",
+            resumable: false,
+          }));
+          res.end();
+          return;
+        }
         res.status(500).json({
           error: "Internal server error",
           message: error instanceof Error ? error.message : "Unknown error",
@@ -0,0 +1,118 @@
+/**
+ * HTTP endpoint for regenerating a single session
+ *
+ * Used by the dashboard and the calendar "Regenerate" actions.
+ * Reruns the session part of the graph for one day (or one phase of it) of an
+ * already generated week and writes back only that session.
+ *
+ * Body: { date: "YYYY-MM-DD", phase?: "warmup" | "workout" | "cooldown", targetMinutes?: number }
+ * targetMinutes fits the session to that length; without phase the exercises are kept
+ * (dashboard "30-minute version").
+ */
+
+import { onRequest } from "firebase-functions/v2/https";
+import { initializeFirebaseAdmin } from "../utils/admin-init";
+import { verifyRequestAuth } from "../utils/auth";
+import { PhaseType } from "../types/schemas";
+
+// Initialize Firebase Admin with emulator support
+initializeFirebaseAdmin();
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MIN_TARGET_MINUTES = 10;
+const MAX_TARGET_MINUTES = 180;
+
+export const regenerateSession = onRequest(
+  {
+    region: "us-central1",
+    timeoutSeconds: 300,
+    memory: "512MiB",
+    maxInstances: 10,
+    cors: true,
+  },
+  async (req, res) => {
+    let userId: string | null = null;
+
+    try {
+      // Validate request method
+      if (req.method !== "POST") {
+        res.status(405).json({ error: "Method not allowed" });
+        return;
+      }
+
+      // Verify token and extract userId
+      userId = await verifyRequestAuth(req, res);
+      if (!userId) {
+        return;
+      }
+
+      const { date, phase, targetMinutes } = req.body || {};
+
+      const { executeSessionRegeneration, REGENERATION_PHASES } = await import("../graph/session-regeneration-workflow");
+
+      if (typeof date !== "string" || !DATE_PATTERN.test(date)) {
+        res.status(400).json({ error: `Invalid date: ${date}. Expected YYYY-MM-DD` });
+        return;
+      }
+
+      if (phase !== undefined && phase !== null && !REGENERATION_PHASES.includes(phase)) {
+        res.status(400).json({
+          error: `Invalid phase: ${phase}. Expected one of ${REGENERATION_PHASES.join(", ")}`,
+        });
+        return;
+      }
+
+      const hasTargetMinutes = targetMinutes !== undefined && targetMinutes !== null;
+      if (
+        hasTargetMinutes &&
+        (!Number.isInteger(targetMinutes) || targetMinutes < MIN_TARGET_MINUTES || targetMinutes > MAX_TARGET_MINUTES)
+      ) {
+        res.status(400).json({
+          error: `Invalid targetMinutes: ${targetMinutes}. Expected a whole number between ${MIN_TARGET_MINUTES} and ${MAX_TARGET_MINUTES}`,
+        });
+        return;
+      }
+
+      console.log(
+        "[Regenerate Session] Request for user:", userId,
+        "date:", date,
+        "phase:", phase || "day",
+        "targetMinutes:", hasTargetMinutes ? targetMinutes : "none"
+      );
+
+      const startTime = Date.now();
+      const result = await executeSessionRegeneration({
+        userId,
+        date,
+        phase: phase ? (phase as PhaseType) : undefined,
+        targetMinutes: hasTargetMinutes ? targetMinutes : undefined,
+      });
+
+      console.log("[Regenerate Session] Completed", {
+        duration: `${Date.now() - startTime}ms`,
+        hasError: !!result.error,
+      });
+
+      if (result.errorCode) {
+        res.status(404).json({ error: result.error });
+      } else if (result.error) {
+        res.status(500).json({
+          error: "Session regeneration failed",
+          message: result.error,
+        });
+      } else {
+        res.status(200).json({ session: result.session, weekId: result.weekId });
+      }
+    } catch (error) {
+      console.error("[Regenerate Session] Error:", {
+        message: error instanceof Error ? error.message : "Unknown error",
+        stack: error instanceof Error ? error.stack : undefined,
+        userId: userId || "unknown",
+      });
+      res.status(500).json({
+        error: "Internal server error",
+        message: error instanceof Error ? error.message : "Unknown error",
+      });
+    }
+  }
+);
@@ -0,0 +1,75 @@
+/**
+ * HTTP endpoint for exercise suggestions
+ * 
+ * Used by the Edit Session drawer (js/services/exerciseSuggestionService.js).
+ * Scores the catalog with the Filter Engine and lets the LLM rank the best
+ * candidates for one phase of the session being edited.
+ */
+
+import { onRequest } from "firebase-functions/v2/https";
+import { initializeFirebaseAdmin } from "../utils/admin-init";
+import { verifyRequestAuth } from "../utils/auth";
+import { PhaseType } from "../types/schemas";
+
+// Initialize Firebase Admin with emulator support
+initializeFirebaseAdmin();
+
+export const suggestExercises = onRequest(
+  {
+    region: "us-central1",
+    timeoutSeconds: 120,
+    memory: "512MiB",
+    maxInstances: 10,
+    cors: true,
+  },
+  async (req, res) => {
+    let userId: string | null = null;
+
+    try {
+      // Validate request method
+      if (req.method !== "POST") {
+        res.status(405).json({ error: "Method not allowed" });
+        return;
+      }
+
+      // Verify token and extract userId
+      userId = await verifyRequestAuth(req, res);
+      if (!userId) {
+        return;
+      }
+
+      const { phase, context } = req.body || {};
+
+      const { suggestExercisesForPhase, SUGGESTION_PHASES } = await import("../services/exercise-suggestions");
+
+      if (!SUGGESTION_PHASES.includes(phase)) {
+        res.status(400).json({
+          error: `Invalid phase: ${phase}. Expected one of ${SUGGESTION_PHASES.join(", ")}`,
+        });
+        return;
+      }
+
+      console.log("[Suggest Exercises] Request for user:", userId, "phase:", phase);
+
+      const startTime = Date.now();
+      const suggestions = await suggestExercisesForPhase(phase as PhaseType, context || {}, userId);
+
+      console.log("[Suggest Exercises] Completed", {
+        duration: `${Date.now() - startTime}ms`,
+        suggestions: suggestions.length,
+      });
+
+      res.status(200).json({ suggestions });
+    } catch (error) {
+      console.error("[Suggest Exercises] Error:", {
+        message: error instanceof Error ? error.message : "Unknown error",
+        stack: error instanceof Error ? error.stack : undefined,
+        userId: userId || "unknown",
+      });
+      res.status(500).json({
+        error: "Internal server error",
+        message: error instanceof Error ? error.message : "Unknown error",
+      });
+    }
+  }
+);
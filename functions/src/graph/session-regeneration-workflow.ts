@@ -0,0 +1,199 @@
+/**
+ * Session Regeneration Workflow Executor
+ *
+ * Regenerates a single day (or a single phase of a day) of an already generated week
+ * without rerunning the whole weekly graph. It reuses the persisted weeklyPlan and
+ * sessionUsedIds of the week (users/{uid}/sessions/sessions_week_{ts}) and writes back
+ * only the regenerated session.
+ *
+ * With targetMinutes and no phase (e.g. "30-minute version") the exercises are kept and
+ * the session is only fitted to that length (see services/session-duration.ts).
+ */
+
+import * as admin from "firebase-admin";
+import { createSessionRegenerationGraph } from "./workflow";
+import { PhaseType, TrainingGraphState, TrainingSession, WeeklyPlan } from "../types/schemas";
+import {
+  findWeeklySessionsByDate,
+  getAllVariationsFromFirebase,
+  getBlacklistedVariationIds,
+  getMesocycleById,
+  getUserProfileFromFirebase,
+} from "../services/firebase";
+
+export const REGENERATION_PHASES: PhaseType[] = ["warmup", "workout", "cooldown"];
+
+export interface SessionRegenerationInput {
+  userId: string;
+  /** Date of the session to regenerate (YYYY-MM-DD) */
+  date: string;
+  /** Regenerate only this phase; the whole day when missing */
+  phase?: PhaseType;
+  /** Fit the session to this length (minutes); without phase the current exercises are kept */
+  targetMinutes?: number;
+}
+
+export interface SessionRegenerationOutput {
+  session?: TrainingSession;
+  /** Persisted week the session belongs to (sessions_week_{ts}) */
+  weekId?: string;
+  error?: string;
+  /** Set when there is no generated session for the date (maps to 404) */
+  errorCode?: "session_not_found";
+}
+
+/**
+ * Replace one phase of the current session with the regenerated one,
+ * keeping the contraindication notes of the other phases.
+ * A session fitted to a length takes every phase from the assembler
+ * (fitting may also trim the phases that were not regenerated).
+ */
+function mergeRegeneratedPhase(
+  current: TrainingSession,
+  regenerated: TrainingSession,
+  phase: PhaseType
+): TrainingSession {
+  const contraindications = [
+    ...(current.contraindications || []).filter((record) => record.phase !== phase),
+    ...(regenerated.contraindications || []).filter((record) => record.phase === phase),
+  ];
+
+  const { contraindications: _previous, estimatedMinutes: _estimated, targetMinutes: _target, ...rest } = current;
+  return {
+    ...rest,
+    ...(regenerated.targetMinutes
+      ? { warmup: regenerated.warmup, workout: regenerated.workout, cooldown: regenerated.cooldown }
+      : { [phase]: regenerated[phase] }),
+    ...(regenerated.estimatedMinutes !== undefined ? { estimatedMinutes: regenerated.estimatedMinutes } : {}),
+    ...(regenerated.targetMinutes ? { targetMinutes: regenerated.targetMinutes } : {}),
+    ...(contraindications.length > 0 ? { contraindications } : {}),
+  };
+}
+
+/**
+ * Regenerate one session (or one phase of it) of a persisted week
+ */
+export async function executeSessionRegeneration(
+  input: SessionRegenerationInput
+): Promise<SessionRegenerationOutput> {
+  const { userId, date, phase, targetMinutes } = input;
+  // Only resize the current session: no selectors, nothing is replaced
+  const keepSelection = !!targetMinutes && !phase;
+
+  try {
+    // 1. Find the persisted week that contains the session
+    const week = await findWeeklySessionsByDate(userId, date);
+    const weeklyPlan = week?.data.weeklyPlan as WeeklyPlan | undefined;
+    const finalSessions = (week?.data.finalSessions || []) as TrainingSession[];
+    const current = finalSessions.find((session) => session.date === date);
+    const dayIndex = current && weeklyPlan ? weeklyPlan.trainingDays.indexOf(current.dayIndex) : -1;
+
+    if (!week || !weeklyPlan || !current || dayIndex === -1) {
+      return {
+        error: `No generated session found for ${date}`,
+        errorCode: "session_not_found",
+      };
+    }
+
+    // 2. Load the rest of the context (same sources as the Context Loader)
+    const [userProfile, availableVariations, userBlacklist, mesocycle] = await Promise.all([
+      getUserProfileFromFirebase(userId),
+      getAllVariationsFromFirebase(),
+      getBlacklistedVariationIds(userId),
+      week.data.mesocycleId ? getMesocycleById(userId, week.data.mesocycleId) : Promise.resolve(null),
+    ]);
+
+    // 3. Variability: the week's sessionUsedIds plus the variations being replaced,
+    // so the selectors pick something new. Weeks persisted before sessionUsedIds was
+    // stored fall back to the user's blacklist, which Persistence overwrote with it.
+    const phases = keepSelection ? [] : phase ? [phase] : REGENERATION_PHASES;
+    const replacedIds = phases.flatMap((p) => (current[p] || []).map((variation) => variation.id));
+    const sessionUsedIds = [...(week.data.sessionUsedIds ?? userBlacklist), ...replacedIds];
+
+    const initialState: Partial<TrainingGraphState> = {
+      userProfile,
+      availableVariations,
+      initialBlacklist: week.data.initialBlacklist || [],
+      sessionUsedIds,
+      weeklyPlan,
+      finalSessions: [],
+      currentDayIndex: dayIndex,
+      scoredPool: {
+        warmup: [],
+        workout: [],
+        cooldown: [],
+      },
+      // Single phase: the other phases are kept and passed through to the assembler
+      // (every phase when only resizing)
+      selectedVariations: phase || keepSelection
+        ? { warmup: current.warmup, workout: current.workout, cooldown: current.cooldown }
+        : { warmup: [], workout: [], cooldown: [] },
+      // The week the session was generated in, not the latest week of the block
+      mesocycle: mesocycle && week.data.mesocycleWeek
+        ? { ...mesocycle, currentWeek: week.data.mesocycleWeek }
+        : mesocycle,
+      requestedMesocycleWeeks: null,
+      fallbackNodes: [],
+      contraindicationLog: [],
+      targetSessionMinutes: targetMinutes ?? null,
+    };
+
+    console.log("[Session Regeneration] Starting regeneration", {
+      userId,
+      date,
+      phase: phase || "day",
+      targetMinutes: targetMinutes ?? null,
+      weekId: week.ref.id,
+      dayIndex,
+      excludedIds: sessionUsedIds.length,
+    });
+
+    // 4. Run phaseOrchestrator → filterEngine → selector(s) → assembler for that day
+    const graph = createSessionRegenerationGraph({ phase, keepSelection });
+    const finalState = await graph.invoke(initialState, { recursionLimit: 25 });
+    const regenerated = finalState.finalSessions?.[finalState.finalSessions.length - 1];
+
+    if (!regenerated) {
+      throw new Error("The assembler did not produce a session");
+    }
+
+    const session = phase ? mergeRegeneratedPhase(current, regenerated, phase) : regenerated;
+
+    // 5. Write back only this session (in a transaction: the week may have changed meanwhile)
+    await admin.firestore().runTransaction(async (transaction) => {
+      const snapshot = await transaction.get(week.ref);
+      const sessions = [...((snapshot.data()?.finalSessions || []) as TrainingSession[])];
+      const index = sessions.findIndex((s) => s.date === date);
+
+      if (index === -1) {
+        throw new Error(`Session ${date} was removed from week ${week.ref.id}`);
+      }
+
+      sessions[index] = session;
+      transaction.update(week.ref, {
+        finalSessions: sessions,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    });
+
+    console.log("[Session Regeneration] Session regenerated", {
+      date,
+      phase: phase || "day",
+      warmup: session.warmup.length,
+      workout: session.workout.length,
+      cooldown: session.cooldown.length,
+      estimatedMinutes: session.estimatedMinutes,
+    });
+
+    return { session, weekId: week.ref.id };
+  } catch (error) {
+    const errorMessage = error instanceof Error ? error.message : String(error);
+    console.error("[Session Regeneration] Error regenerating session:", errorMessage);
+
+    if (error instanceof Error && error.stack) {
+      console.error("[Session Regeneration] Error stack:", error.stack);
+    }
+
+    return { error: errorMessage };
+  }
+}
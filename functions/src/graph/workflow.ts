@@ -5,8 +5,8 @@
  * Define todos los nodos y sus conexiones (edges).
  */
 
-import { StateGraph } from "@langchain/langgraph";
-import { TrainingGraphState } from "../types/schemas";
+import { BaseCheckpointSaver, StateGraph } from "@langchain/langgraph";
+import { PhaseType, TrainingGraphState } from "../types/schemas";
 
 // Importar todos los nodos
 import { contextLoaderNode } from "../nodes/1-context-loader";
@@ -24,111 +24,219 @@ import { invalidatorNode } from "../nodes/7-invalidator";
 import { persistenceNode } from "../nodes/8-persistence";
 
 /**
- * Crea y configura el grafo de LangGraph para la generación de entrenamientos
+ * Hooks por nodo (timing, estado de la ejecución, streaming).
+ * Se esperan antes de continuar, así que no deben lanzar errores.
  */
-export function createTrainingGraph() {
-  const workflow = new StateGraph<TrainingGraphState>({
-    channels: {
-      // 1. INPUTS
-      userProfile: {
-        reducer: (x: TrainingGraphState["userProfile"], y: TrainingGraphState["userProfile"]) => y ?? x,
-        default: () => null,
-      },
-      availableVariations: {
-        reducer: (x: TrainingGraphState["availableVariations"], y: TrainingGraphState["availableVariations"]) => y ?? x,
-        default: () => [],
-      },
-      
-      // 2. GESTIÓN DE VARIABILIDAD
-      initialBlacklist: {
-        reducer: (x: TrainingGraphState["initialBlacklist"], y: TrainingGraphState["initialBlacklist"]) => y ?? x,
-        default: () => [],
-      },
-      sessionUsedIds: {
-        reducer: (x: TrainingGraphState["sessionUsedIds"], y: TrainingGraphState["sessionUsedIds"]) => {
-          // Para sessionUsedIds, queremos acumular (append)
-          if (!y) return x;
-          if (!x) return y;
-          return [...x, ...y];
-        },
-        default: () => [],
-      },
-      
-      // 3. ORQUESTACIÓN
-      weeklyPlan: {
-        reducer: (x: TrainingGraphState["weeklyPlan"], y: TrainingGraphState["weeklyPlan"]) => y ?? x,
-        default: () => null,
-      },
-      finalSessions: {
-        reducer: (x: TrainingGraphState["finalSessions"], y: TrainingGraphState["finalSessions"]) => {
-          // El nodo assembler ya construye el array completo con todas las sesiones anteriores + la nueva
-          // Por lo tanto, y contiene el estado completo y debemos usarlo directamente
-          // Esto evita duplicación cuando assembler ya incluye las sesiones anteriores
-          if (!y) return x;
-          return y;
-        },
-        default: () => [],
-      },
-      
-      // 4. CONTROL DE BUCLE
-      currentDayIndex: {
-        reducer: (x: TrainingGraphState["currentDayIndex"], y: TrainingGraphState["currentDayIndex"]) => y ?? x,
-        default: () => 0,
+export interface GraphNodeObserver {
+  onNodeStart?(node: string, state: TrainingGraphState): Promise<void> | void;
+  onNodeEnd?(
+    node: string,
+    state: TrainingGraphState,
+    update: Partial<TrainingGraphState>,
+    durationMs: number
+  ): Promise<void> | void;
+  onNodeError?(node: string, state: TrainingGraphState, error: unknown, durationMs: number): Promise<void> | void;
+}
+
+export interface TrainingGraphOptions {
+  /** Guarda el estado tras cada paso para poder reanudar (thread_id = runId) */
+  checkpointer?: BaseCheckpointSaver;
+  observer?: GraphNodeObserver;
+}
+
+/**
+ * Combina varios observers (ej. historial de la ejecución + streaming SSE)
+ */
+export function combineObservers(...observers: Array<GraphNodeObserver | undefined>): GraphNodeObserver {
+  const active = observers.filter((o): o is GraphNodeObserver => !!o);
+
+  return {
+    async onNodeStart(node, state) {
+      for (const o of active) await o.onNodeStart?.(node, state);
+    },
+    async onNodeEnd(node, state, update, durationMs) {
+      for (const o of active) await o.onNodeEnd?.(node, state, update, durationMs);
+    },
+    async onNodeError(node, state, error, durationMs) {
+      for (const o of active) await o.onNodeError?.(node, state, error, durationMs);
+    },
+  };
+}
+
+type GraphNode = (state: TrainingGraphState) => Promise<Partial<TrainingGraphState>>;
+
+/**
+ * Envuelve un nodo para notificar al observer su inicio, fin (con duración) o error
+ */
+function observeNode(name: string, node: GraphNode, observer?: GraphNodeObserver): GraphNode {
+  if (!observer) {
+    return node;
+  }
+
+  return async (state) => {
+    const startTime = Date.now();
+    await observer.onNodeStart?.(name, state);
+
+    try {
+      const update = await node(state);
+      await observer.onNodeEnd?.(name, state, update, Date.now() - startTime);
+      return update;
+    } catch (error) {
+      await observer.onNodeError?.(name, state, error, Date.now() - startTime);
+      throw error;
+    }
+  };
+}
+
+/**
+ * Canales del estado (compartidos por el grafo semanal y el de regeneración)
+ */
+function createGraphChannels() {
+  return {
+    // 1. INPUTS
+    userProfile: {
+      reducer: (x: TrainingGraphState["userProfile"], y: TrainingGraphState["userProfile"]) => y ?? x,
+      default: () => null,
+    },
+    availableVariations: {
+      reducer: (x: TrainingGraphState["availableVariations"], y: TrainingGraphState["availableVariations"]) => y ?? x,
+      default: () => [],
+    },
+    
+    // 2. GESTIÓN DE VARIABILIDAD
+    initialBlacklist: {
+      reducer: (x: TrainingGraphState["initialBlacklist"], y: TrainingGraphState["initialBlacklist"]) => y ?? x,
+      default: () => [],
+    },
+    sessionUsedIds: {
+      reducer: (x: TrainingGraphState["sessionUsedIds"], y: TrainingGraphState["sessionUsedIds"]) => {
+        // Para sessionUsedIds, queremos acumular (append)
+        if (!y) return x;
+        if (!x) return y;
+        return [...x, ...y];
       },
-      currentSessionContext: {
-        reducer: (x: TrainingGraphState["currentSessionContext"], y: TrainingGraphState["currentSessionContext"]) => y ?? x,
-        default: () => undefined,
+      default: () => [],
+    },
+    
+    // 3. ORQUESTACIÓN
+    weeklyPlan: {
+      reducer: (x: TrainingGraphState["weeklyPlan"], y: TrainingGraphState["weeklyPlan"]) => y ?? x,
+      default: () => null,
+    },
+    finalSessions: {
+      reducer: (x: TrainingGraphState["finalSessions"], y: TrainingGraphState["finalSessions"]) => {
+        // El nodo assembler ya construye el array completo con todas las sesiones anteriores + la nueva
+        // Por lo tanto, y contiene el estado completo y debemos usarlo directamente
+        // Esto evita duplicación cuando assembler ya incluye las sesiones anteriores
+        if (!y) return x;
+        return y;
       },
-      
-      // 5. POOLS Y SELECCIONES
-      scoredPool: {
-        reducer: (x: TrainingGraphState["scoredPool"], y: TrainingGraphState["scoredPool"]) => y ?? x,
-        default: () => ({
-          warmup: [],
-          workout: [],
-          cooldown: [],
-        }),
+      default: () => [],
+    },
+    
+    // 4. CONTROL DE BUCLE
+    currentDayIndex: {
+      reducer: (x: TrainingGraphState["currentDayIndex"], y: TrainingGraphState["currentDayIndex"]) => y ?? x,
+      default: () => 0,
+    },
+    currentSessionContext: {
+      reducer: (x: TrainingGraphState["currentSessionContext"], y: TrainingGraphState["currentSessionContext"]) => y ?? x,
+      default: () => undefined,
+    },
+    
+    // 5. POOLS Y SELECCIONES
+    scoredPool: {
+      reducer: (x: TrainingGraphState["scoredPool"], y: TrainingGraphState["scoredPool"]) => y ?? x,
+      default: () => ({
+        warmup: [],
+        workout: [],
+        cooldown: [],
+      }),
+    },
+    selectedVariations: {
+      reducer: (x: TrainingGraphState["selectedVariations"], y: TrainingGraphState["selectedVariations"]) => {
+        // Si y es null/undefined, retornar x
+        if (!y) return x;
+        // Si x es null/undefined, retornar y
+        if (!x) return y;
+        // Fusionar propiedades de forma inteligente:
+        // - Si y tiene contenido (array con elementos), usar y
+        // - Si y está vacío pero x tiene contenido, preservar x
+        // - Si ambos están vacíos, usar []
+        return {
+          warmup: (y.warmup && y.warmup.length > 0) ? y.warmup : (x.warmup && x.warmup.length > 0 ? x.warmup : []),
+          workout: (y.workout && y.workout.length > 0) ? y.workout : (x.workout && x.workout.length > 0 ? x.workout : []),
+          cooldown: (y.cooldown && y.cooldown.length > 0) ? y.cooldown : (x.cooldown && x.cooldown.length > 0 ? x.cooldown : []),
+        };
       },
-      selectedVariations: {
-        reducer: (x: TrainingGraphState["selectedVariations"], y: TrainingGraphState["selectedVariations"]) => {
-          // Si y es null/undefined, retornar x
-          if (!y) return x;
-          // Si x es null/undefined, retornar y
-          if (!x) return y;
-          // Fusionar propiedades de forma inteligente:
-          // - Si y tiene contenido (array con elementos), usar y
-          // - Si y está vacío pero x tiene contenido, preservar x
-          // - Si ambos están vacíos, usar []
-          return {
-            warmup: (y.warmup && y.warmup.length > 0) ? y.warmup : (x.warmup && x.warmup.length > 0 ? x.warmup : []),
-            workout: (y.workout && y.workout.length > 0) ? y.workout : (x.workout && x.workout.length > 0 ? x.workout : []),
-            cooldown: (y.cooldown && y.cooldown.length > 0) ? y.cooldown : (x.cooldown && x.cooldown.length > 0 ? x.cooldown : []),
-          };
-        },
-        default: () => ({
-          warmup: [],
-          workout: [],
-          cooldown: [],
-        }),
+      default: () => ({
+        warmup: [],
+        workout: [],
+        cooldown: [],
+      }),
+    },
+
+    // 6. PERIODIZACIÓN
+    mesocycle: {
+      reducer: (x: TrainingGraphState["mesocycle"], y: TrainingGraphState["mesocycle"]) => y ?? x,
+      default: () => null,
+    },
+    requestedMesocycleWeeks: {
+      reducer: (x: TrainingGraphState["requestedMesocycleWeeks"], y: TrainingGraphState["requestedMesocycleWeeks"]) => y ?? x,
+      default: () => null,
+    },
+
+    // 7. MODO RULE-BASED
+    fallbackNodes: {
+      reducer: (x: TrainingGraphState["fallbackNodes"], y: TrainingGraphState["fallbackNodes"]) => {
+        // Acumular (append): los selectores paralelos pueden añadir a la vez
+        if (!y) return x;
+        if (!x) return y;
+        return [...x, ...y];
       },
+      default: () => [],
+    },
+
+    // 8. CONTRAINDICACIONES
+    contraindicationLog: {
+      // Reemplazo: el Filter Engine lo recalcula en cada sesión
+      reducer: (x: TrainingGraphState["contraindicationLog"], y: TrainingGraphState["contraindicationLog"]) => y ?? x,
+      default: () => [],
     },
+
+    // 9. DURACIÓN
+    targetSessionMinutes: {
+      reducer: (x: TrainingGraphState["targetSessionMinutes"], y: TrainingGraphState["targetSessionMinutes"]) => y ?? x,
+      default: () => null,
+    },
+  };
+}
+
+/**
+ * Crea y configura el grafo de LangGraph para la generación de entrenamientos
+ */
+export function createTrainingGraph(options: TrainingGraphOptions = {}) {
+  const { checkpointer, observer } = options;
+
+  const workflow = new StateGraph<TrainingGraphState>({
+    channels: createGraphChannels(),
   });
 
   // Añadir todos los nodos al grafo
   // Usar 'as any' para evitar problemas de tipos con LangGraph 0.0.20
-  workflow.addNode("contextLoader" as any, contextLoaderNode);
-  workflow.addNode("contextCleaner" as any, contextCleanerNode);
-  workflow.addNode("strategy" as any, strategyNode);
-  workflow.addNode("loopController" as any, loopControllerNode);
-  workflow.addNode("phaseOrchestrator" as any, phaseOrchestratorNode);
-  workflow.addNode("filterEngine" as any, filterEngineNode);
-  workflow.addNode("variationCleaner" as any, variationCleanerNode);
-  workflow.addNode("warmupSelector" as any, warmupSelectorNode);
-  workflow.addNode("workoutSelector" as any, workoutSelectorNode);
-  workflow.addNode("cooldownSelector" as any, cooldownSelectorNode);
-  workflow.addNode("assembler" as any, assemblerNode);
-  workflow.addNode("invalidator" as any, invalidatorNode);
-  workflow.addNode("persistence" as any, persistenceNode);
+  workflow.addNode("contextLoader" as any, observeNode("contextLoader", contextLoaderNode, observer));
+  workflow.addNode("contextCleaner" as any, observeNode("contextCleaner", contextCleanerNode, observer));
+  workflow.addNode("strategy" as any, observeNode("strategy", strategyNode, observer));
+  workflow.addNode("loopController" as any, observeNode("loopController", loopControllerNode, observer));
+  workflow.addNode("phaseOrchestrator" as any, observeNode("phaseOrchestrator", phaseOrchestratorNode, observer));
+  workflow.addNode("filterEngine" as any, observeNode("filterEngine", filterEngineNode, observer));
+  workflow.addNode("variationCleaner" as any, observeNode("variationCleaner", variationCleanerNode, observer));
+  workflow.addNode("warmupSelector" as any, observeNode("warmupSelector", warmupSelectorNode, observer));
+  workflow.addNode("workoutSelector" as any, observeNode("workoutSelector", workoutSelectorNode, observer));
+  workflow.addNode("cooldownSelector" as any, observeNode("cooldownSelector", cooldownSelectorNode, observer));
+  workflow.addNode("assembler" as any, observeNode("assembler", assemblerNode, observer));
+  workflow.addNode("invalidator" as any, observeNode("invalidator", invalidatorNode, observer));
+  workflow.addNode("persistence" as any, observeNode("persistence", persistenceNode, observer));
 
   // Definir el punto de entrada
   (workflow.setEntryPoint as any)("contextLoader");
@@ -181,5 +289,73 @@ export function createTrainingGraph() {
   (workflow.setFinishPoint as any)("persistence");
 
   // Compilar y retornar el grafo
+  return workflow.compile(checkpointer ? { checkpointer } : undefined);
+}
+
+export interface SessionRegenerationGraphOptions {
+  /** Regenerar solo esta fase (el resto de la sesión viene en selectedVariations) */
+  phase?: PhaseType;
+  /** Mantener las variaciones de selectedVariations sin pasar por los selectores (solo reajustar la duración) */
+  keepSelection?: boolean;
+  observer?: GraphNodeObserver;
+}
+
+const SELECTOR_NODES: Record<PhaseType, { name: string; node: GraphNode }> = {
+  warmup: { name: "warmupSelector", node: warmupSelectorNode },
+  workout: { name: "workoutSelector", node: workoutSelectorNode },
+  cooldown: { name: "cooldownSelector", node: cooldownSelectorNode },
+};
+
+/**
+ * Crea el grafo de regeneración de un día (o de una fase de un día)
+ *
+ * Reutiliza el weeklyPlan persistido: no pasa por Strategy, Invalidator ni Persistence.
+ * El estado inicial trae el contexto ya cargado (perfil, variaciones, blacklists,
+ * mesociclo) y currentDayIndex apuntando al día a regenerar.
+ *
+ * contextCleaner → phaseOrchestrator → filterEngine → variationCleaner → selector(es) → assembler
+ * Con keepSelection no hay selectores: el Assembler reajusta la sesión actual a la duración
+ * pedida (el scoredPool del filterEngine aporta los accesorios que se pueden añadir).
+ */
+export function createSessionRegenerationGraph(options: SessionRegenerationGraphOptions = {}) {
+  const { phase, keepSelection, observer } = options;
+
+  const workflow = new StateGraph<TrainingGraphState>({
+    channels: createGraphChannels(),
+  });
+
+  // Solo el selector de la fase pedida, o los tres en paralelo para el día completo
+  const selectors = keepSelection
+    ? []
+    : phase
+      ? [SELECTOR_NODES[phase]]
+      : [SELECTOR_NODES.warmup, SELECTOR_NODES.workout, SELECTOR_NODES.cooldown];
+
+  // Usar 'as any' para evitar problemas de tipos con LangGraph 0.0.20
+  workflow.addNode("contextCleaner" as any, observeNode("contextCleaner", contextCleanerNode, observer));
+  workflow.addNode("phaseOrchestrator" as any, observeNode("phaseOrchestrator", phaseOrchestratorNode, observer));
+  workflow.addNode("filterEngine" as any, observeNode("filterEngine", filterEngineNode, observer));
+  workflow.addNode("variationCleaner" as any, observeNode("variationCleaner", variationCleanerNode, observer));
+  selectors.forEach(({ name, node }) => {
+    workflow.addNode(name as any, observeNode(name, node, observer));
+  });
+  workflow.addNode("assembler" as any, observeNode("assembler", assemblerNode, observer));
+
+  (workflow.setEntryPoint as any)("contextCleaner");
+  (workflow.addEdge as any)("contextCleaner", "phaseOrchestrator");
+  (workflow.addEdge as any)("phaseOrchestrator", "filterEngine");
+  (workflow.addEdge as any)("filterEngine", "variationCleaner");
+
+  selectors.forEach(({ name }) => {
+    (workflow.addEdge as any)("variationCleaner", name);
+    (workflow.addEdge as any)(name, "assembler");
+  });
+  if (selectors.length === 0) {
+    (workflow.addEdge as any)("variationCleaner", "assembler");
+  }
+
+  // La sesión se escribe desde el executor: assembler es el nodo final
+  (workflow.setFinishPoint as any)("assembler");
+
   return workflow.compile();
 }
@@ -3,33 +3,132 @@
  * 
  * This module provides the main entry point for executing the workout generation workflow.
  * It wraps the LangGraph workflow and provides a clean interface for the API.
+ *
+ * Every execution is recorded as a generation run (users/{uid}/generationRuns/{runId})
+ * with per-node progress, and the graph state is checkpointed after each step so a
+ * failed run can be resumed from its last completed step.
  */
 
-import { createTrainingGraph } from "./workflow";
-import { TrainingGraphState, TrainingSession } from "../types/schemas";
+import * as admin from "firebase-admin";
+import { combineObservers, createTrainingGraph, GraphNodeObserver } from "./workflow";
+import { ExerciseVariation, MesocycleSummary, TrainingGraphState, TrainingSession } from "../types/schemas";
+import { getCurrentMesocycleWeek } from "../services/mesocycle-planner";
+import { FirestoreCheckpointSaver } from "../services/firestore-checkpointer";
+import { getAllVariationsFromFirebase } from "../services/firebase";
+import { cleanVariation } from "../nodes/2-context-cleaner";
+import {
+  completeGenerationRun,
+  createGenerationRun,
+  createGenerationRunObserver,
+  failGenerationRun,
+  getGenerationRun,
+  getGenerationRunRef,
+  isRunResumable,
+  markGenerationRunResumed,
+  resolveRunId,
+} from "../services/generation-runs";
 
 export interface WorkoutWorkflowInput {
   userId: string;
   requestType: "weekly" | "daily" | "session";
+  /** Duración del bloque si hay que crear un mesociclo nuevo (4-8 semanas) */
+  mesocycleWeeks?: number;
+  /** Generation run ID (client-generated so it can poll while waiting); created if missing */
+  runId?: string;
+  /** Resume runId from its last checkpoint instead of starting a new run */
+  resume?: boolean;
+  /** Extra node observer, e.g. to stream progress events to the client */
+  observer?: GraphNodeObserver;
 }
 
 export interface WorkoutWorkflowOutput {
   result?: {
     sessions: TrainingSession[];
+    mesocycle: MesocycleSummary | null;
   };
   error?: string;
+  /** Set when the run could not be started or resumed (maps to 404/409) */
+  errorCode?: "run_not_found" | "run_not_resumable";
+  /** A failed run that kept its checkpoints and can be resumed with resume: true */
+  resumable?: boolean;
+  runId: string;
   requestType: string;
 }
 
+/**
+ * Catalog for the checkpointer: checkpoints only store the variation IDs.
+ * Cleaned like the Context Cleaner does (idempotent, so it also works for a
+ * checkpoint taken before the cleaner ran)
+ */
+async function loadCheckpointVariations(): Promise<ExerciseVariation[]> {
+  const variations = await getAllVariationsFromFirebase();
+  return variations
+    .map(cleanVariation)
+    .filter((v): v is ExerciseVariation => v !== null);
+}
+
 /**
  * Execute the workout generation workflow
  */
 export async function executeWorkoutWorkflow(
   input: WorkoutWorkflowInput
 ): Promise<WorkoutWorkflowOutput> {
+  const runId = resolveRunId(input.runId);
+  let runRef: admin.firestore.DocumentReference | null = null;
+  let checkpointer: FirestoreCheckpointSaver | null = null;
+  let observer: ReturnType<typeof createGenerationRunObserver> | null = null;
+
   try {
-    // Create the compiled graph
-    const graph = createTrainingGraph();
+    // Start (or resume) the generation run
+    if (input.resume) {
+      const run = await getGenerationRun(input.userId, runId);
+
+      if (!run) {
+        return {
+          error: `Generation run ${runId} not found`,
+          errorCode: "run_not_found",
+          runId,
+          requestType: input.requestType,
+        };
+      }
+
+      if (!isRunResumable(run)) {
+        return {
+          error: `Generation run ${runId} is ${run.status} and cannot be resumed`,
+          errorCode: "run_not_resumable",
+          runId,
+          requestType: input.requestType,
+        };
+      }
+
+      runRef = getGenerationRunRef(input.userId, runId);
+      checkpointer = new FirestoreCheckpointSaver(runRef, loadCheckpointVariations);
+
+      // Failed before the first step finished: there is nothing to resume from
+      if (!(await checkpointer.hasCheckpoint())) {
+        return {
+          error: `Generation run ${runId} has no checkpoint to resume from`,
+          errorCode: "run_not_resumable",
+          runId,
+          requestType: input.requestType,
+        };
+      }
+
+      await markGenerationRunResumed(runRef);
+    } else {
+      runRef = await createGenerationRun(input.userId, runId, {
+        requestType: input.requestType,
+        mesocycleWeeks: input.mesocycleWeeks ?? null,
+      });
+      checkpointer = new FirestoreCheckpointSaver(runRef, loadCheckpointVariations);
+    }
+
+    // Create the compiled graph (checkpointed per step, progress recorded on the run)
+    observer = createGenerationRunObserver(runRef);
+    const graph = createTrainingGraph({
+      checkpointer,
+      observer: combineObservers(observer, input.observer),
+    });
 
     // Initialize the state with the input data
     // The contextLoaderNode will load the full user profile and variations
@@ -41,6 +140,8 @@ export async function executeWorkoutWorkflow(
         discomforts: [],
         objectives: [],
         preferredDisciplines: [],
+        injuryHistory: "",
+        variationPromotions: {},
       } as any, // Will be replaced by contextLoaderNode with real data
       availableVariations: [], // Will be loaded by contextLoaderNode
       initialBlacklist: [], // Will be loaded by contextLoaderNode
@@ -58,28 +159,55 @@ export async function executeWorkoutWorkflow(
         workout: [],
         cooldown: [],
       },
+      mesocycle: null, // Will be loaded by contextLoaderNode
+      requestedMesocycleWeeks: input.mesocycleWeeks ?? null,
+      fallbackNodes: [],
+      contraindicationLog: [],
     };
 
     console.log("[Workout Workflow] Starting workflow execution", {
       userId: input.userId,
       requestType: input.requestType,
+      runId,
+      resume: !!input.resume,
     });
 
     // Execute the workflow
-    const finalState = await graph.invoke(initialState, {
+    // On resume the input is null: LangGraph continues from the last checkpoint of the thread
+    const finalState = await graph.invoke(input.resume ? null : initialState, {
       recursionLimit: 50,
+      configurable: { thread_id: runId },
     });
 
     console.log("[Workout Workflow] Workflow execution completed", {
       sessionsGenerated: finalState.finalSessions?.length || 0,
       hasWeeklyPlan: !!finalState.weeklyPlan,
+      fallbackNodes: finalState.fallbackNodes || [],
     });
 
     // Transform the result to match the expected output format
+    const mesocycleWeek = getCurrentMesocycleWeek(finalState.mesocycle);
+    const result = {
+      sessions: finalState.finalSessions || [],
+      mesocycle: finalState.mesocycle && mesocycleWeek
+        ? {
+          id: finalState.mesocycle.id,
+          week: mesocycleWeek.weekNumber,
+          totalWeeks: finalState.mesocycle.totalWeeks,
+          phase: mesocycleWeek.phase,
+        }
+        : null,
+    };
+
+    // A completed run is never resumed: drop its checkpoints
+    await completeGenerationRun(runRef, result);
+    await checkpointer.clear().catch((error) => {
+      console.warn("[Workout Workflow] Could not clear checkpoints:", error);
+    });
+
     return {
-      result: {
-        sessions: finalState.finalSessions || [],
-      },
+      result,
+      runId,
       requestType: input.requestType,
     };
   } catch (error) {
@@ -90,8 +218,21 @@ export async function executeWorkoutWorkflow(
       console.error("[Workout Workflow] Error stack:", error.stack);
     }
     
+    if (runRef) {
+      await failGenerationRun(runRef, errorMessage, observer?.failedNode ?? null).catch((runError) => {
+        console.error("[Workout Workflow] Could not mark run as failed:", runError);
+      });
+    }
+    
+    // Resumable only if at least one step was checkpointed
+    const resumable = checkpointer
+      ? await checkpointer.hasCheckpoint().catch(() => false)
+      : false;
+    
     return {
       error: errorMessage,
+      resumable,
+      runId,
       requestType: input.requestType,
     };
   }
@@ -30,4 +30,7 @@ if (process.env.OPENAI_API_KEY) {
 }
 
 export { generateWorkout } from "./api/generate-workout";
-
+export { suggestExercises } from "./api/suggest-exercises";
+export { generateWorkoutReport } from "./api/generate-workout-report";
+export { regenerateSession } from "./api/regenerate-session";
+export { calendarFeed } from "./api/calendar-feed";
@@ -5,6 +5,7 @@
  * - userProfile completo
  * - availableVariations completo
  * - initialBlacklist (blackListedVariationIds del usuario)
+ * - mesocycle (bloque de periodización activo, si existe)
  */
 
 import { TrainingGraphState } from "../types/schemas";
@@ -12,6 +13,7 @@ import {
   getUserProfileFromFirebase,
   getAllVariationsFromFirebase,
   getBlacklistedVariationIds,
+  getActiveMesocycle,
 } from "../services/firebase";
 
 export async function contextLoaderNode(
@@ -30,10 +32,11 @@ export async function contextLoaderNode(
 
   try {
     // 2. Cargar datos desde Firebase en paralelo para mejor rendimiento
-    const [userProfile, availableVariations, initialBlacklist] = await Promise.all([
+    const [userProfile, availableVariations, initialBlacklist, mesocycle] = await Promise.all([
       getUserProfileFromFirebase(uid),
       getAllVariationsFromFirebase(),
       getBlacklistedVariationIds(uid),
+      getActiveMesocycle(uid),
     ]);
 
     // 3. Logging informativo
@@ -41,7 +44,8 @@ export async function contextLoaderNode(
       `[Context Loader] Datos cargados para usuario ${uid}:\n` +
       `  - UserProfile: ${userProfile ? "✓" : "✗"}\n` +
       `  - Variaciones: ${availableVariations.length}\n` +
-      `  - IDs en blacklist: ${initialBlacklist.length}`
+      `  - IDs en blacklist: ${initialBlacklist.length}\n` +
+      `  - Mesociclo activo: ${mesocycle ? `${mesocycle.id} (semana ${mesocycle.currentWeek}/${mesocycle.totalWeeks})` : "✗"}`
     );
 
     // 4. Retornar estado actualizado
@@ -49,6 +53,7 @@ export async function contextLoaderNode(
       userProfile: userProfile as any, // Mantener todos los campos completos
       availableVariations: availableVariations,
       initialBlacklist: initialBlacklist,
+      mesocycle: mesocycle,
     };
   } catch (error) {
     // 5. Manejo de errores
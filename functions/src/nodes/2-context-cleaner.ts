@@ -2,16 +2,17 @@
  * Nodo 2: Context Cleaner (DETERMINÍSTICO)
  * 
  * Limpia los campos del perfil y de las variaciones para que el estado sea más simple:
- * - userProfile: solo metrics, discomforts, objectives, preferredDisciplines, uid
+ * - userProfile: solo metrics, discomforts, objectives, preferredDisciplines, uid, variationPromotions
  * - variations: solo id, name, phase, disciplines, tags
  */
 
 import { TrainingGraphState, UserProfile, ExerciseVariation, PhaseType } from "../types/schemas";
+import { normalizeTerm } from "../services/fuzzy";
 
 /**
  * Transforma el userProfile completo a la versión limpia con solo los campos necesarios
  */
-function cleanUserProfile(rawProfile: any): UserProfile | null {
+export function cleanUserProfile(rawProfile: any): UserProfile | null {
   if (!rawProfile) {
     return null;
   }
@@ -31,6 +32,19 @@ function cleanUserProfile(rawProfile: any): UserProfile | null {
     ? rawProfile.preferredDisciplines
     : [];
 
+  const injuryHistory = typeof rawProfile.baselineAssessment?.physiological?.injuryHistory === "string"
+    ? rawProfile.baselineAssessment.physiological.injuryHistory
+    : "";
+
+  const variationPromotions: Record<string, string> = {};
+  if (rawProfile.variationPromotions && typeof rawProfile.variationPromotions === "object") {
+    for (const [fromId, toId] of Object.entries(rawProfile.variationPromotions)) {
+      if (typeof toId === "string" && toId && toId !== fromId) {
+        variationPromotions[fromId] = toId;
+      }
+    }
+  }
+
   const uid = rawProfile.uid || "";
 
   return {
@@ -39,13 +53,15 @@ function cleanUserProfile(rawProfile: any): UserProfile | null {
     discomforts,
     objectives,
     preferredDisciplines,
+    injuryHistory,
+    variationPromotions,
   };
 }
 
 /**
  * Filtra una variación para mantener solo los campos necesarios
  */
-function cleanVariation(rawVariation: any): ExerciseVariation | null {
+export function cleanVariation(rawVariation: any): ExerciseVariation | null {
   if (!rawVariation || !rawVariation.id) {
     return null;
   }
@@ -60,9 +76,13 @@ function cleanVariation(rawVariation: any): ExerciseVariation | null {
   return {
     id: rawVariation.id,
     name: rawVariation.name || "",
+    ...(rawVariation.exerciseId ? { exerciseId: String(rawVariation.exerciseId) } : {}),
     phase,
     disciplines: Array.isArray(rawVariation.disciplines) ? rawVariation.disciplines : [],
     tags: Array.isArray(rawVariation.tags) ? rawVariation.tags : [],
+    targetMuscles: Array.isArray(rawVariation.targetMuscles)
+      ? rawVariation.targetMuscles.map((m: string) => normalizeTerm(String(m)))
+      : [],
   };
 }
 
@@ -9,16 +9,31 @@
  * 2. LLM call con la definición del JSON schema
  * 3. Post-processing: leer trainingDays y calcular startDate con la fecha actual
  * 4. Validación del WeeklyPlan completo
+ * 5. Fallback rule-based si el LLM falla o su plan no es válido
+ * 6. Mesociclo: el plan es el esqueleto de un bloque de 4-8 semanas
+ *    (accumulation → intensification → deload). Si hay un bloque activo,
+ *    se continúa con su siguiente semana sin volver a llamar al LLM.
+ * 7. Disponibilidad: el esqueleto solo usa los días disponibles del usuario y cada
+ *    semana concreta se ajusta a sus fechas bloqueadas y minutos por día
+ *    (ver services/availability.ts)
  * 
- * Input: userProfile (4 campos: metrics, discomforts, objectives, preferredDisciplines)
- * Output: WeeklyPlan (5 campos: totalTrainingDays, trainingDays, startDate, goalDescription, schedule)
+ * Input: userProfile (metrics, discomforts, objectives, preferredDisciplines, availability), mesocycle
+ * Output: WeeklyPlan (5 campos: totalTrainingDays, trainingDays, startDate, goalDescription, schedule), mesocycle
  */
 
-import { TrainingGraphState, WeeklyPlan } from "../types/schemas";
+import { TrainingGraphState, UserAvailability, WeeklyPlan } from "../types/schemas";
 import { getStrategyPrompt, getStrategyFunctionDefinition } from "../prompts/strategy";
-import { callLLMWithFunctionCalling } from "../services/llm";
+import { callLLMWithFunctionCalling, getModelForNode } from "../services/llm";
 import { calculateStartDate, formatDate } from "../utils/date-helpers";
 import { validateWeeklyPlan } from "../utils/weekly-plan-validator";
+import { buildRuleBasedWeeklyPlan, isRuleBasedModeForced } from "../services/rule-based-fallback";
+import { fitWeeklyPlanToAvailability, getAvailableDays, normalizeAvailability } from "../services/availability";
+import {
+  advanceMesocycle,
+  buildMesocycleWeeklyPlan,
+  createMesocycle,
+  getCurrentMesocycleWeek,
+} from "../services/mesocycle-planner";
 
 /**
  * Interface for LLM response (without startDate)
@@ -64,35 +79,146 @@ export async function strategyNode(
     throw new Error("[Strategy Node] userProfile.preferredDisciplines is required");
   }
 
+  const availability = normalizeAvailability(userProfile.availability);
+
   console.log("[Strategy Node] User profile validated:", {
     hasMetrics: !!userProfile.metrics,
     discomfortsCount: userProfile.discomforts.length,
     objectivesCount: userProfile.objectives.length,
     preferredDisciplinesCount: userProfile.preferredDisciplines.length,
+    availableDays: availability ? getAvailableDays(availability) : "any",
+    blackoutPeriods: availability?.blackoutDates.length || 0,
   });
 
-  // 2. Construir prompt con datos del usuario
+  // 2. Continuar el mesociclo activo: misma estructura semanal, fase de la siguiente semana
+  if (state.mesocycle) {
+    const startDate = formatDate(calculateStartDate(state.mesocycle.basePlan.trainingDays));
+    const mesocycle = advanceMesocycle(state.mesocycle, startDate);
+
+    if (mesocycle) {
+      const weeklyPlan = buildWeekWithinAvailability(
+        buildMesocycleWeeklyPlan(mesocycle, startDate),
+        availability
+      );
+
+      console.log("[Strategy Node] Continuing mesocycle:", {
+        mesocycleId: mesocycle.id,
+        week: `${mesocycle.currentWeek}/${mesocycle.totalWeeks}`,
+        phase: getCurrentMesocycleWeek(mesocycle)?.phase,
+        startDate,
+      });
+
+      return {
+        weeklyPlan,
+        mesocycle,
+      };
+    }
+
+    console.log("[Strategy Node] Mesocycle completed, planning a new block:", state.mesocycle.id);
+  }
+
+  // 3. Construir prompt con datos del usuario
   const prompt = getStrategyPrompt({
     metrics: userProfile.metrics,
     discomforts: userProfile.discomforts,
     objectives: userProfile.objectives,
     preferredDisciplines: userProfile.preferredDisciplines,
+    availability,
   });
 
   console.log("[Strategy Node] Prompt constructed, length:", prompt.length);
 
-  // 3. Llamar al LLM con function calling
-  const functionDefinition = getStrategyFunctionDefinition();
-  
+  // 4. Llamar al LLM con function calling
+  // Si el LLM falla o su plan no pasa la validación, se usa el plan rule-based
+  let weeklyPlan: WeeklyPlan | null = null;
+  let usedFallback = false;
+
+  if (isRuleBasedModeForced()) {
+    console.warn("[Strategy Node] FORCE_RULE_BASED_GENERATION is set, skipping LLM");
+  } else {
+    try {
+      weeklyPlan = await generateWeeklyPlanWithLLM(prompt, availability);
+    } catch (error) {
+      console.warn(
+        "[Strategy Node] LLM WeeklyPlan unavailable, switching to rule-based plan:",
+        error instanceof Error ? error.message : error
+      );
+    }
+  }
+
+  // 5. Fallback determinístico (DEFAULT_WEEKLY_CONFIG + FRAMEWORK_MUSCLE_MAPPINGS)
+  if (!weeklyPlan) {
+    usedFallback = true;
+    weeklyPlan = completeWeeklyPlan(buildRuleBasedWeeklyPlan(userProfile, availability), availability);
+  }
+
+  // 6. Crear el mesociclo nuevo y construir su primera semana
+  const mesocycle = advanceMesocycle(
+    createMesocycle(weeklyPlan, state.requestedMesocycleWeeks),
+    weeklyPlan.startDate
+  )!;
+  weeklyPlan = buildWeekWithinAvailability(
+    buildMesocycleWeeklyPlan(mesocycle, weeklyPlan.startDate),
+    availability
+  );
+
+  console.log("[Strategy Node] WeeklyPlan generated successfully:", {
+    totalTrainingDays: weeklyPlan.totalTrainingDays,
+    trainingDays: weeklyPlan.trainingDays,
+    startDate: weeklyPlan.startDate,
+    scheduleLength: weeklyPlan.schedule.length,
+    ruleBased: usedFallback,
+    mesocycleId: mesocycle.id,
+    mesocycleWeeks: mesocycle.totalWeeks,
+  });
+
+  return {
+    weeklyPlan,
+    mesocycle,
+    ...(usedFallback ? { fallbackNodes: ["strategy"] } : {}),
+  };
+}
+
+/**
+ * Ajusta la semana concreta a la disponibilidad (fechas bloqueadas, minutos por día) y la valida
+ * @throws Error si toda la semana está bloqueada o el plan no pasa la validación
+ */
+function buildWeekWithinAvailability(
+  weeklyPlan: WeeklyPlan,
+  availability: UserAvailability | null
+): WeeklyPlan {
+  const fittedPlan = fitWeeklyPlanToAvailability(weeklyPlan, availability);
+
+  if (fittedPlan.totalTrainingDays === 0) {
+    throw new Error(
+      `[Strategy Node] No available training days in the week starting ${weeklyPlan.startDate} (all of them are blackout dates)`
+    );
+  }
+
+  validateWeeklyPlan(fittedPlan, availability);
+  return fittedPlan;
+}
+
+/**
+ * Llama al LLM y construye el WeeklyPlan completo
+ * @throws Error si la llamada falla o el plan no pasa la validación
+ */
+async function generateWeeklyPlanWithLLM(
+  prompt: string,
+  availability: UserAvailability | null
+): Promise<WeeklyPlan> {
+  const functionDefinition = getStrategyFunctionDefinition(getAvailableDays(availability));
+
   console.log("[Strategy Node] Calling LLM with function calling...");
-  
+
   let llmResponse: WeeklyPlanWithoutStartDate;
   try {
     llmResponse = await callLLMWithFunctionCalling<WeeklyPlanWithoutStartDate>(
       prompt,
-      functionDefinition
+      functionDefinition,
+      getModelForNode("strategy")
     );
-    
+
     console.log("[Strategy Node] LLM response received:", {
       totalTrainingDays: llmResponse.totalTrainingDays,
       trainingDays: llmResponse.trainingDays,
@@ -105,12 +231,25 @@ export async function strategyNode(
     );
   }
 
-  // 4. Post-processing: calcular startDate basado en trainingDays y fecha actual
+  return completeWeeklyPlan(llmResponse, availability);
+}
+
+/**
+ * Post-processing y validación de un WeeklyPlan sin startDate
+ * El esqueleto debe usar solo días disponibles; las fechas bloqueadas no cuentan aquí
+ * porque el esqueleto se repite todo el bloque (se aplican a cada semana concreta).
+ * @throws Error si no se puede calcular startDate o la validación falla
+ */
+function completeWeeklyPlan(
+  plan: WeeklyPlanWithoutStartDate,
+  availability: UserAvailability | null
+): WeeklyPlan {
+  // Calcular startDate basado en trainingDays y fecha actual
   console.log("[Strategy Node] Calculating startDate...");
-  
+
   let startDate: Date;
   try {
-    startDate = calculateStartDate(llmResponse.trainingDays);
+    startDate = calculateStartDate(plan.trainingDays);
     console.log("[Strategy Node] Start date calculated:", formatDate(startDate));
   } catch (error) {
     console.error("[Strategy Node] Failed to calculate startDate:", error);
@@ -119,20 +258,20 @@ export async function strategyNode(
     );
   }
 
-  // 5. Construir WeeklyPlan completo
+  // Construir WeeklyPlan completo
   const weeklyPlan: WeeklyPlan = {
-    totalTrainingDays: llmResponse.totalTrainingDays,
-    trainingDays: llmResponse.trainingDays,
+    totalTrainingDays: plan.totalTrainingDays,
+    trainingDays: plan.trainingDays,
     startDate: formatDate(startDate),
-    goalDescription: llmResponse.goalDescription,
-    schedule: llmResponse.schedule,
+    goalDescription: plan.goalDescription,
+    schedule: plan.schedule,
   };
 
-  // 6. Validaciones
+  // Validaciones
   console.log("[Strategy Node] Validating WeeklyPlan...");
-  
+
   try {
-    validateWeeklyPlan(weeklyPlan);
+    validateWeeklyPlan(weeklyPlan, availability ? { ...availability, blackoutDates: [] } : null);
     console.log("[Strategy Node] WeeklyPlan validation passed");
   } catch (error) {
     console.error("[Strategy Node] WeeklyPlan validation failed:", error);
@@ -141,15 +280,6 @@ export async function strategyNode(
     );
   }
 
-  console.log("[Strategy Node] WeeklyPlan generated successfully:", {
-    totalTrainingDays: weeklyPlan.totalTrainingDays,
-    trainingDays: weeklyPlan.trainingDays,
-    startDate: weeklyPlan.startDate,
-    scheduleLength: weeklyPlan.schedule.length,
-  });
-
-  return {
-    weeklyPlan,
-  };
+  return weeklyPlan;
 }
 
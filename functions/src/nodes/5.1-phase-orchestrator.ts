@@ -5,38 +5,23 @@
  * - WeeklyPlan: focus, descripción y systemGoal del training day en currentDayIndex
  * - Lista de todos los tags disponibles en la BD
  * 
+ * Si el LLM no está disponible o no devuelve tags válidas, las tags se derivan
+ * del texto del training day (modo rule-based).
+ *
+ * Si hay un mesociclo activo, se añaden las tags de la fase de la semana actual
+ * (ej. deload → isometric, rotation).
+ *
  * Output: currentSessionContext con focus, description, systemGoal y targetTags
  * Este contexto se usa posteriormente por los nodos 5.4.1, 5.4.2 y 5.4.3
  */
 
 import { TrainingGraphState } from "../types/schemas";
 import { getPhaseOrchestratorPrompt, getPhaseOrchestratorFunctionDefinition } from "../prompts/phase-orchestrator";
-import { callLLMWithFunctionCalling } from "../services/llm";
-
-/**
- * Lista de todas las tags disponibles en el sistema
- */
-const AVAILABLE_TAGS = [
-  // Anatomía
-  'chest',
-  'back',
-  'legs',
-  'shoulders',
-  'core',
-  // Patrón de Movimiento
-  'push',
-  'pull',
-  'squat',
-  'hinge',
-  'lunge',
-  'rotation',
-  // Modalidad/Atributo
-  'unilateral',
-  'bilateral',
-  'isometric',
-  'explosive',
-  'plyometric',
-];
+import { callLLMWithFunctionCalling, getModelForNode } from "../services/llm";
+import { AVAILABLE_TAGS } from "../utils/training-constants";
+import { isKnownTerm, normalizeTerm } from "../services/fuzzy";
+import { deriveRuleBasedTargetTags, isRuleBasedModeForced } from "../services/rule-based-fallback";
+import { getCurrentMesocycleWeek } from "../services/mesocycle-planner";
 
 /**
  * Interface para la respuesta del LLM
@@ -100,6 +85,68 @@ export async function phaseOrchestratorNode(
   console.log("[Phase Orchestrator Node] Prompt constructed, length:", prompt.length);
 
   // 6. Llamar al LLM con function calling
+  // Si el LLM falla o no devuelve tags válidas, se derivan del texto del training day
+  let validTags: string[] = [];
+  let usedFallback = false;
+
+  if (isRuleBasedModeForced()) {
+    console.warn("[Phase Orchestrator Node] FORCE_RULE_BASED_GENERATION is set, skipping LLM");
+  } else {
+    try {
+      validTags = await selectTagsWithLLM(prompt);
+    } catch (error) {
+      console.warn(
+        "[Phase Orchestrator Node] LLM tag selection unavailable, switching to rule-based tags:",
+        error instanceof Error ? error.message : error
+      );
+    }
+  }
+
+  // 7. Fallback determinístico
+  if (validTags.length === 0) {
+    usedFallback = true;
+    validTags = deriveRuleBasedTargetTags(
+      `${trainingDay.focus} ${trainingDay.description} ${trainingDay.systemGoal}`
+    );
+  }
+
+  // Tags de la fase del mesociclo
+  const mesocycleWeek = getCurrentMesocycleWeek(state.mesocycle);
+  if (mesocycleWeek) {
+    validTags = Array.from(new Set([...validTags, ...mesocycleWeek.targetTags]));
+  }
+
+  console.log("[Phase Orchestrator Node] Tags selected successfully:", {
+    validTagsCount: validTags.length,
+    validTags,
+    ruleBased: usedFallback,
+    mesocyclePhase: mesocycleWeek?.phase,
+  });
+
+  // 8. Actualizar currentSessionContext con todos los campos necesarios
+  // Inicializar selectedVariations vacío al inicio de cada iteración
+  return {
+    currentSessionContext: {
+      focus: trainingDay.focus,
+      description: trainingDay.description,
+      systemGoal: trainingDay.systemGoal,
+      targetTags: validTags,
+    },
+    selectedVariations: {
+      warmup: [],
+      workout: [],
+      cooldown: [],
+    },
+    ...(usedFallback ? { fallbackNodes: ["phaseOrchestrator"] } : {}),
+  };
+}
+
+/**
+ * Llama al LLM y devuelve las tags normalizadas que el Filter Engine sabe puntuar
+ * (AVAILABLE_TAGS o términos cercanos/sinónimos, ver services/fuzzy.ts)
+ * @throws Error si la llamada falla o ninguna tag es válida
+ */
+async function selectTagsWithLLM(prompt: string): Promise<string[]> {
   const functionDefinition = getPhaseOrchestratorFunctionDefinition();
 
   console.log("[Phase Orchestrator Node] Calling LLM with function calling...");
@@ -108,7 +155,8 @@ export async function phaseOrchestratorNode(
   try {
     llmResponse = await callLLMWithFunctionCalling<PhaseOrchestratorResponse>(
       prompt,
-      functionDefinition
+      functionDefinition,
+      getModelForNode("phaseOrchestrator")
     );
 
     console.log("[Phase Orchestrator Node] LLM response received:", {
@@ -122,9 +170,10 @@ export async function phaseOrchestratorNode(
     );
   }
 
-  // 7. Validar que las tags seleccionadas estén en la lista de tags disponibles
-  const invalidTags = llmResponse.targetTags.filter(
-    (tag) => !AVAILABLE_TAGS.includes(tag.toLowerCase().trim())
+  // Validar que las tags seleccionadas estén en el vocabulario (fuzzy: "hips", "deadlift"...)
+  const targetTags = llmResponse.targetTags || [];
+  const invalidTags = targetTags.filter(
+    (tag) => !isKnownTerm(tag, AVAILABLE_TAGS)
   );
 
   if (invalidTags.length > 0) {
@@ -135,9 +184,9 @@ export async function phaseOrchestratorNode(
   }
 
   // Filtrar y normalizar las tags (case-insensitive)
-  const validTags = llmResponse.targetTags
-    .map((tag) => tag.toLowerCase().trim())
-    .filter((tag) => AVAILABLE_TAGS.includes(tag));
+  const validTags = targetTags
+    .map(normalizeTerm)
+    .filter((tag) => tag && isKnownTerm(tag, AVAILABLE_TAGS));
 
   if (validTags.length === 0) {
     throw new Error(
@@ -145,25 +194,6 @@ export async function phaseOrchestratorNode(
     );
   }
 
-  console.log("[Phase Orchestrator Node] Tags selected successfully:", {
-    validTagsCount: validTags.length,
-    validTags,
-  });
-
-  // 8. Actualizar currentSessionContext con todos los campos necesarios
-  // Inicializar selectedVariations vacío al inicio de cada iteración
-  return {
-    currentSessionContext: {
-      focus: trainingDay.focus,
-      description: trainingDay.description,
-      systemGoal: trainingDay.systemGoal,
-      targetTags: validTags,
-    },
-    selectedVariations: {
-      warmup: [],
-      workout: [],
-      cooldown: [],
-    },
-  };
+  return Array.from(new Set(validTags));
 }
 
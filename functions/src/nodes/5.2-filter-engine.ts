@@ -4,41 +4,66 @@
  * Filtra las variaciones disponibles aplicando:
  * 1. Excluir variaciones en initialBlacklist (usadas la semana pasada)
  * 2. Excluir variaciones en sessionUsedIds (usadas esta semana)
+ *    y sustituir las variaciones dominadas por su progresión (variationPromotions)
  * 3. Hard Filter: filtrar por fase (warmup, workout, cooldown)
- * 4. Scoring Filter: asignar puntuación usando fuzzy logic basado en targetTags
+ * 4. Scoring Filter: asignar puntuación usando fuzzy matching basado en targetTags
+ * 5. Contraindicaciones: excluir o penalizar variaciones que cargan zonas con
+ *    molestias/lesiones del usuario (services/contraindications.ts)
  * 
- * Output: scoredPool con variaciones separadas por fase y con sus scores
+ * Output: scoredPool con variaciones separadas por fase y con sus scores,
+ * y contraindicationLog con el motivo de cada variación relevante excluida/penalizada
  */
 
-import { TrainingGraphState, ExerciseVariation, PhaseType } from "../types/schemas";
+import { TrainingGraphState, ExerciseVariation, PhaseType, ContraindicationRecord } from "../types/schemas";
+import {
+  DOWNSCORE_FACTOR,
+  evaluateContraindications,
+  getActiveContraindications,
+} from "../services/contraindications";
+import { fuzzyTagScore, normalizeTerm } from "../services/fuzzy";
 
 /**
- * Calcula el score de una variación basado en la coincidencia de tags con los targetTags
+ * Calcula el score de una variación según su cercanía semántica a los targetTags
+ * (sinónimos, stemming, similitud de strings y grupos musculares, ver services/fuzzy.ts)
  */
-const scoreVariation = (variation: ExerciseVariation, targetTags: Set<string>): ExerciseVariation => {
-  if (targetTags.size === 0) {
-    return { ...variation, score: 0 };
-  }
-
-  if (!variation.tags || variation.tags.length === 0) {
-    return { ...variation, score: 0 };
-  }
-
-  // Contar coincidencias (case-insensitive)
-  const matches = variation.tags.filter(tag => 
-    targetTags.has(tag.toLowerCase().trim())
-  ).length;
+const scoreVariation = (
+  variation: ExerciseVariation,
+  targetTags: string[],
+  promotedFrom: ExerciseVariation[] = []
+): ExerciseVariation => {
+  // Una progresión hereda el score de la variación dominada a la que sustituye
+  const score = Math.max(
+    fuzzyTagScore(variation, targetTags),
+    ...promotedFrom.map(v => fuzzyTagScore(v, targetTags))
+  );
+  return { ...variation, score };
+};
 
-  // Score base: porcentaje de tags objetivo que coinciden
-  const baseScore = matches / targetTags.size;
+/**
+ * Resuelve las cadenas de promociones (A → B y B → C ⇒ A → C),
+ * protegiéndose de ciclos en datos corruptos
+ */
+export function resolveVariationPromotions(
+  promotions: Record<string, string> | undefined
+): Map<string, string> {
+  const resolved = new Map<string, string>();
+
+  Object.keys(promotions || {}).forEach(fromId => {
+    const visited = new Set([fromId]);
+    let toId = promotions![fromId];
+
+    while (promotions![toId] && !visited.has(promotions![toId])) {
+      visited.add(toId);
+      toId = promotions![toId];
+    }
 
-  // Bonus: si tiene múltiples coincidencias, dar bonus proporcional
-  // Esto favorece variaciones que cubren más tags objetivo
-  const bonusMultiplier = matches > 1 ? 1 + (matches - 1) * 0.1 : 1;
-  const finalScore = Math.min(1.0, baseScore * bonusMultiplier);
+    if (toId && toId !== fromId) {
+      resolved.set(fromId, toId);
+    }
+  });
 
-  return { ...variation, score: finalScore };
-};
+  return resolved;
+}
 
 export async function filterEngineNode(
   state: TrainingGraphState
@@ -58,12 +83,31 @@ export async function filterEngineNode(
         workout: [],
         cooldown: [],
       },
+      contraindicationLog: [],
     };
   }
 
   // 1. GLOBAL EXCLUSION - Combinar ambas blacklists
   const fullBlacklist = new Set([...initialBlacklist, ...sessionUsedIds]);
-  const candidates = availableVariations.filter(v => !fullBlacklist.has(v.id));
+
+  // 1.1 SOBRECARGA PROGRESIVA - Las variaciones dominadas salen del pool y
+  // su progresión (más difícil) ocupa su lugar con el score de la original
+  const promotions = resolveVariationPromotions(state.userProfile?.variationPromotions);
+  const promotedFrom = new Map<string, ExerciseVariation[]>();
+  availableVariations.forEach(v => {
+    const toId = promotions.get(v.id);
+    if (toId && !fullBlacklist.has(v.id)) {
+      promotedFrom.set(toId, [...(promotedFrom.get(toId) || []), v]);
+    }
+  });
+
+  const candidates = availableVariations.filter(v => !fullBlacklist.has(v.id) && !promotions.has(v.id));
+
+  if (promotions.size > 0) {
+    console.log(
+      `[Filter Engine] Sobrecarga progresiva: ${promotions.size} variaciones dominadas sustituidas por su progresión`
+    );
+  }
 
   // 2. HARD FILTER - Agrupación por fases
   const groupedVariations: Record<PhaseType, ExerciseVariation[]> = {
@@ -79,23 +123,58 @@ export async function filterEngineNode(
   });
 
   // 3. SCORING FILTER - Fuzzy Logic
-  const targetTags = new Set(
-    (currentSessionContext?.targetTags || []).map(t => t.toLowerCase().trim())
-  );
+  const targetTags = Array.from(new Set(
+    (currentSessionContext?.targetTags || []).map(normalizeTerm).filter(Boolean)
+  ));
+
+  // 4. CONTRAINDICACIONES - Reglas activas según discomforts + injuryHistory
+  const rules = getActiveContraindications(state.userProfile);
+  const contraindicationLog: ContraindicationRecord[] = [];
+  const downscoredIds = new Set<string>();
+
+  const scorePhase = (variations: ExerciseVariation[]): ExerciseVariation[] => variations
+    .map(v => scoreVariation(v, targetTags, promotedFrom.get(v.id)))
+    .filter(v => {
+      const { action, records } = evaluateContraindications(v, rules);
+      if (!action) {
+        return true;
+      }
+
+      // Solo se registran las variaciones relevantes para el foco de la sesión
+      if ((v.score || 0) > 0) {
+        contraindicationLog.push(...records);
+      }
+
+      if (action === "excluded") {
+        return false;
+      }
+
+      downscoredIds.add(v.id);
+      v.score = (v.score || 0) * DOWNSCORE_FACTOR;
+      return true;
+    })
+    // Ordenar descendente; a igual score, las penalizadas van detrás
+    .sort((a, b) =>
+      (b.score || 0) - (a.score || 0) ||
+      Number(downscoredIds.has(a.id)) - Number(downscoredIds.has(b.id))
+    );
 
-  // Aplicar scoring y ordenar descendente
   const scoredPool = {
-    warmup: groupedVariations.warmup
-      .map(v => scoreVariation(v, targetTags))
-      .sort((a, b) => (b.score || 0) - (a.score || 0)),
-    workout: groupedVariations.workout
-      .map(v => scoreVariation(v, targetTags))
-      .sort((a, b) => (b.score || 0) - (a.score || 0)),
-    cooldown: groupedVariations.cooldown
-      .map(v => scoreVariation(v, targetTags))
-      .sort((a, b) => (b.score || 0) - (a.score || 0)),
+    warmup: scorePhase(groupedVariations.warmup),
+    workout: scorePhase(groupedVariations.workout),
+    cooldown: scorePhase(groupedVariations.cooldown),
   };
 
-  return { scoredPool };
+  if (rules.length > 0) {
+    const countVariations = (action: ContraindicationRecord["action"]) =>
+      new Set(contraindicationLog.filter(r => r.action === action).map(r => r.variationId)).size;
+    console.log(
+      `[Filter Engine] Contraindicaciones activas: ${rules.map(r => r.area).join(", ")} ` +
+      `(${countVariations("excluded")} variaciones relevantes excluidas, ` +
+      `${countVariations("downscored")} penalizadas)`
+    );
+  }
+
+  return { scoredPool, contraindicationLog };
 }
 
@@ -8,12 +8,15 @@
  * - currentSessionContext: focus, description y systemGoal de la sesión actual
  * - scoredPool.warmup con variaciones candidatas filtradas
  * 
+ * Fallback rule-based: top-scored del pool si el LLM no está disponible
+ * 
  * Output: selectedVariations.warmup (array de ExerciseVariation)
  */
 
 import { TrainingGraphState, ExerciseVariation } from "../types/schemas";
 import { getWarmupSelectorPrompt, getSelectorFunctionDefinition } from "../prompts/selectors";
-import { callLLMWithFunctionCalling } from "../services/llm";
+import { callLLMWithFunctionCalling, getModelForNode } from "../services/llm";
+import { isRuleBasedModeForced, selectRuleBasedVariations } from "../services/rule-based-fallback";
 
 /**
  * Interface para la respuesta del LLM
@@ -68,6 +71,55 @@ export async function warmupSelectorNode(
   console.log("[Warmup Selector Node] Prompt constructed, variations count:", scoredVariations.length);
 
   // 5. Llamar al LLM con function calling
+  // Si el LLM falla o no devuelve IDs válidos, se seleccionan los top-scored del pool
+  let selectedVariations: ExerciseVariation[] = [];
+  let usedFallback = false;
+
+  if (isRuleBasedModeForced()) {
+    console.warn("[Warmup Selector Node] FORCE_RULE_BASED_GENERATION is set, skipping LLM");
+  } else {
+    try {
+      selectedVariations = await selectWithLLM(prompt, scoredPool.warmup);
+    } catch (error) {
+      console.warn(
+        "[Warmup Selector Node] LLM selection unavailable, switching to rule-based selection:",
+        error instanceof Error ? error.message : error
+      );
+    }
+  }
+
+  // 6. Fallback determinístico: top-scored con diversidad de disciplinas
+  if (selectedVariations.length === 0) {
+    usedFallback = true;
+    selectedVariations = selectRuleBasedVariations(scoredPool.warmup, "warmup");
+  }
+
+  console.log("[Warmup Selector Node] Warmup variations selected successfully:", {
+    count: selectedVariations.length,
+    variations: selectedVariations.map((v) => v.name),
+    ruleBased: usedFallback,
+  });
+
+  // 7. Retornar selectedVariations.warmup
+  // Inicializar explícitamente todas las fases para evitar dependencia del estado previo
+  return {
+    selectedVariations: {
+      warmup: selectedVariations,
+      workout: [], // Inicializar vacío explícitamente
+      cooldown: [], // Inicializar vacío explícitamente
+    },
+    ...(usedFallback ? { fallbackNodes: ["warmupSelector"] } : {}),
+  };
+}
+
+/**
+ * Llama al LLM y mapea los IDs seleccionados a ExerciseVariation completas
+ * @throws Error si la llamada falla o ningún ID es válido
+ */
+async function selectWithLLM(
+  prompt: string,
+  pool: ExerciseVariation[]
+): Promise<ExerciseVariation[]> {
   const functionDefinition = getSelectorFunctionDefinition("warmup");
 
   console.log("[Warmup Selector Node] Calling LLM with function calling...");
@@ -76,7 +128,8 @@ export async function warmupSelectorNode(
   try {
     llmResponse = await callLLMWithFunctionCalling<WarmupSelectorResponse>(
       prompt,
-      functionDefinition
+      functionDefinition,
+      getModelForNode("warmupSelector")
     );
 
     console.log("[Warmup Selector Node] LLM response received:", {
@@ -89,34 +142,18 @@ export async function warmupSelectorNode(
     );
   }
 
-  // 6. Mapear IDs seleccionados a ExerciseVariation completas
+  // Mapear IDs seleccionados a ExerciseVariation completas
   const selectedIds = new Set(
-    llmResponse.selectedVariations.map((v) => v.id)
-  );
-  
-  const selectedVariations: ExerciseVariation[] = scoredPool.warmup.filter(
-    (v) => selectedIds.has(v.id)
+    (llmResponse.selectedVariations || []).map((v) => v.id)
   );
 
+  const selectedVariations = pool.filter((v) => selectedIds.has(v.id));
+
   if (selectedVariations.length === 0) {
     throw new Error(
       "[Warmup Selector Node] No valid variations found for selected IDs"
     );
   }
 
-  console.log("[Warmup Selector Node] Warmup variations selected successfully:", {
-    count: selectedVariations.length,
-    variations: selectedVariations.map((v) => v.name),
-  });
-
-  // 7. Retornar selectedVariations.warmup
-  // Inicializar explícitamente todas las fases para evitar dependencia del estado previo
-  return {
-    selectedVariations: {
-      warmup: selectedVariations,
-      workout: [], // Inicializar vacío explícitamente
-      cooldown: [], // Inicializar vacío explícitamente
-    },
-  };
+  return selectedVariations;
 }
-
@@ -10,12 +10,15 @@
  * 
  * Restricción: mínimo 2 disciplinas en fase workout
  * 
+ * Fallback rule-based: top-scored del pool si el LLM no está disponible
+ * 
  * Output: selectedVariations.workout (array de ExerciseVariation)
  */
 
 import { TrainingGraphState, ExerciseVariation } from "../types/schemas";
 import { getWorkoutSelectorPrompt, getSelectorFunctionDefinition } from "../prompts/selectors";
-import { callLLMWithFunctionCalling } from "../services/llm";
+import { callLLMWithFunctionCalling, getModelForNode } from "../services/llm";
+import { isRuleBasedModeForced, selectRuleBasedVariations } from "../services/rule-based-fallback";
 
 /**
  * Interface para la respuesta del LLM
@@ -70,40 +73,27 @@ export async function workoutSelectorNode(
   console.log("[Workout Selector Node] Prompt constructed, variations count:", scoredVariations.length);
 
   // 5. Llamar al LLM con function calling
-  const functionDefinition = getSelectorFunctionDefinition("workout");
-
-  console.log("[Workout Selector Node] Calling LLM with function calling...");
-
-  let llmResponse: WorkoutSelectorResponse;
-  try {
-    llmResponse = await callLLMWithFunctionCalling<WorkoutSelectorResponse>(
-      prompt,
-      functionDefinition
-    );
-
-    console.log("[Workout Selector Node] LLM response received:", {
-      selectedCount: llmResponse.selectedVariations?.length || 0,
-    });
-  } catch (error) {
-    console.error("[Workout Selector Node] LLM call failed:", error);
-    throw new Error(
-      `[Workout Selector Node] Failed to select workout variations: ${error instanceof Error ? error.message : "Unknown error"}`
-    );
+  // Si el LLM falla o no devuelve IDs válidos, se seleccionan los top-scored del pool
+  let selectedVariations: ExerciseVariation[] = [];
+  let usedFallback = false;
+
+  if (isRuleBasedModeForced()) {
+    console.warn("[Workout Selector Node] FORCE_RULE_BASED_GENERATION is set, skipping LLM");
+  } else {
+    try {
+      selectedVariations = await selectWithLLM(prompt, scoredPool.workout);
+    } catch (error) {
+      console.warn(
+        "[Workout Selector Node] LLM selection unavailable, switching to rule-based selection:",
+        error instanceof Error ? error.message : error
+      );
+    }
   }
 
-  // 6. Mapear IDs seleccionados a ExerciseVariation completas
-  const selectedIds = new Set(
-    llmResponse.selectedVariations.map((v) => v.id)
-  );
-  
-  const selectedVariations: ExerciseVariation[] = scoredPool.workout.filter(
-    (v) => selectedIds.has(v.id)
-  );
-
+  // 6. Fallback determinístico: top-scored con diversidad de disciplinas
   if (selectedVariations.length === 0) {
-    throw new Error(
-      "[Workout Selector Node] No valid variations found for selected IDs"
-    );
+    usedFallback = true;
+    selectedVariations = selectRuleBasedVariations(scoredPool.workout, "workout");
   }
 
   // 7. Validar que haya mínimo 2 disciplinas diferentes
@@ -126,6 +116,7 @@ export async function workoutSelectorNode(
     count: selectedVariations.length,
     disciplines: Array.from(uniqueDisciplines),
     variations: selectedVariations.map((v) => v.name),
+    ruleBased: usedFallback,
   });
 
   // 8. Retornar selectedVariations.workout
@@ -136,6 +127,52 @@ export async function workoutSelectorNode(
       workout: selectedVariations,
       cooldown: [], // Inicializar vacío explícitamente
     },
+    ...(usedFallback ? { fallbackNodes: ["workoutSelector"] } : {}),
   };
 }
 
+/**
+ * Llama al LLM y mapea los IDs seleccionados a ExerciseVariation completas
+ * @throws Error si la llamada falla o ningún ID es válido
+ */
+async function selectWithLLM(
+  prompt: string,
+  pool: ExerciseVariation[]
+): Promise<ExerciseVariation[]> {
+  const functionDefinition = getSelectorFunctionDefinition("workout");
+
+  console.log("[Workout Selector Node] Calling LLM with function calling...");
+
+  let llmResponse: WorkoutSelectorResponse;
+  try {
+    llmResponse = await callLLMWithFunctionCalling<WorkoutSelectorResponse>(
+      prompt,
+      functionDefinition,
+      getModelForNode("workoutSelector")
+    );
+
+    console.log("[Workout Selector Node] LLM response received:", {
+      selectedCount: llmResponse.selectedVariations?.length || 0,
+    });
+  } catch (error) {
+    console.error("[Workout Selector Node] LLM call failed:", error);
+    throw new Error(
+      `[Workout Selector Node] Failed to select workout variations: ${error instanceof Error ? error.message : "Unknown error"}`
+    );
+  }
+
+  // Mapear IDs seleccionados a ExerciseVariation completas
+  const selectedIds = new Set(
+    (llmResponse.selectedVariations || []).map((v) => v.id)
+  );
+
+  const selectedVariations = pool.filter((v) => selectedIds.has(v.id));
+
+  if (selectedVariations.length === 0) {
+    throw new Error(
+      "[Workout Selector Node] No valid variations found for selected IDs"
+    );
+  }
+
+  return selectedVariations;
+}
@@ -8,12 +8,15 @@
  * - currentSessionContext: focus, description y systemGoal de la sesión actual
  * - scoredPool.cooldown con variaciones candidatas filtradas
  * 
+ * Fallback rule-based: top-scored del pool si el LLM no está disponible
+ * 
  * Output: selectedVariations.cooldown (array de ExerciseVariation)
  */
 
 import { TrainingGraphState, ExerciseVariation } from "../types/schemas";
 import { getCooldownSelectorPrompt, getSelectorFunctionDefinition } from "../prompts/selectors";
-import { callLLMWithFunctionCalling } from "../services/llm";
+import { callLLMWithFunctionCalling, getModelForNode } from "../services/llm";
+import { isRuleBasedModeForced, selectRuleBasedVariations } from "../services/rule-based-fallback";
 
 /**
  * Interface para la respuesta del LLM
@@ -68,6 +71,55 @@ export async function cooldownSelectorNode(
   console.log("[Cooldown Selector Node] Prompt constructed, variations count:", scoredVariations.length);
 
   // 5. Llamar al LLM con function calling
+  // Si el LLM falla o no devuelve IDs válidos, se seleccionan los top-scored del pool
+  let selectedVariations: ExerciseVariation[] = [];
+  let usedFallback = false;
+
+  if (isRuleBasedModeForced()) {
+    console.warn("[Cooldown Selector Node] FORCE_RULE_BASED_GENERATION is set, skipping LLM");
+  } else {
+    try {
+      selectedVariations = await selectWithLLM(prompt, scoredPool.cooldown);
+    } catch (error) {
+      console.warn(
+        "[Cooldown Selector Node] LLM selection unavailable, switching to rule-based selection:",
+        error instanceof Error ? error.message : error
+      );
+    }
+  }
+
+  // 6. Fallback determinístico: top-scored con diversidad de disciplinas
+  if (selectedVariations.length === 0) {
+    usedFallback = true;
+    selectedVariations = selectRuleBasedVariations(scoredPool.cooldown, "cooldown");
+  }
+
+  console.log("[Cooldown Selector Node] Cooldown variations selected successfully:", {
+    count: selectedVariations.length,
+    variations: selectedVariations.map((v) => v.name),
+    ruleBased: usedFallback,
+  });
+
+  // 7. Retornar selectedVariations.cooldown
+  // Inicializar explícitamente todas las fases para evitar dependencia del estado previo
+  return {
+    selectedVariations: {
+      warmup: [], // Inicializar vacío explícitamente
+      workout: [], // Inicializar vacío explícitamente
+      cooldown: selectedVariations,
+    },
+    ...(usedFallback ? { fallbackNodes: ["cooldownSelector"] } : {}),
+  };
+}
+
+/**
+ * Llama al LLM y mapea los IDs seleccionados a ExerciseVariation completas
+ * @throws Error si la llamada falla o ningún ID es válido
+ */
+async function selectWithLLM(
+  prompt: string,
+  pool: ExerciseVariation[]
+): Promise<ExerciseVariation[]> {
   const functionDefinition = getSelectorFunctionDefinition("cooldown");
 
   console.log("[Cooldown Selector Node] Calling LLM with function calling...");
@@ -76,7 +128,8 @@ export async function cooldownSelectorNode(
   try {
     llmResponse = await callLLMWithFunctionCalling<CooldownSelectorResponse>(
       prompt,
-      functionDefinition
+      functionDefinition,
+      getModelForNode("cooldownSelector")
     );
 
     console.log("[Cooldown Selector Node] LLM response received:", {
@@ -89,34 +142,18 @@ export async function cooldownSelectorNode(
     );
   }
 
-  // 6. Mapear IDs seleccionados a ExerciseVariation completas
+  // Mapear IDs seleccionados a ExerciseVariation completas
   const selectedIds = new Set(
-    llmResponse.selectedVariations.map((v) => v.id)
-  );
-  
-  const selectedVariations: ExerciseVariation[] = scoredPool.cooldown.filter(
-    (v) => selectedIds.has(v.id)
+    (llmResponse.selectedVariations || []).map((v) => v.id)
   );
 
+  const selectedVariations = pool.filter((v) => selectedIds.has(v.id));
+
   if (selectedVariations.length === 0) {
     throw new Error(
       "[Cooldown Selector Node] No valid variations found for selected IDs"
     );
   }
 
-  console.log("[Cooldown Selector Node] Cooldown variations selected successfully:", {
-    count: selectedVariations.length,
-    variations: selectedVariations.map((v) => v.name),
-  });
-
-  // 7. Retornar selectedVariations.cooldown
-  // Inicializar explícitamente todas las fases para evitar dependencia del estado previo
-  return {
-    selectedVariations: {
-      warmup: [], // Inicializar vacío explícitamente
-      workout: [], // Inicializar vacío explícitamente
-      cooldown: selectedVariations,
-    },
-  };
+  return selectedVariations;
 }
-
@@ -2,13 +2,25 @@
  * Nodo 6: Assembler (DETERMINÍSTICO)
  * 
  * Construye el objeto TrainingSession agregando los outputs de los nodos 5.4.1, 5.4.2 y 5.4.3.
+ * Ajusta la sesión a la duración objetivo (la pedida o los minutos disponibles del día;
+ * ver services/session-duration.ts) y estima su duración.
+ * Agrupa las variaciones de cada fase en bloques (superset, circuito, flow; ver services/session-blocks.ts).
  * Añade la sesión completa a finalSessions.
  * 
  * Input: selectedVariations (warmup, workout, cooldown) del estado
- * Output: TrainingSession añadido a finalSessions
+ * Output: TrainingSession añadido a finalSessions y selectedVariations ajustadas
  */
 
-import { TrainingGraphState, TrainingSession } from "../types/schemas";
+import { ContraindicationRecord, TrainingGraphState, TrainingSession } from "../types/schemas";
+import { applyMesocycleVolume, getCurrentMesocycleWeek } from "../services/mesocycle-planner";
+import { assignPhaseBlocks } from "../services/session-blocks";
+import {
+  annotatePhaseDurations,
+  estimateSessionMinutes,
+  fitSessionToDuration,
+  SessionPhases,
+} from "../services/session-duration";
+import { getPlanDateForDay } from "../utils/date-helpers";
 
 /**
  * Calcula la fecha de la sesión basándose en startDate y currentDayIndex
@@ -22,9 +34,8 @@ function calculateSessionDate(
   currentDayIndex: number,
   trainingDays: number[]
 ): string {
-  // 1. Parsear startDate
-  const start = new Date(startDate);
-  if (isNaN(start.getTime())) {
+  // 1. Validar startDate
+  if (isNaN(new Date(startDate).getTime())) {
     throw new Error(`[Assembler] startDate inválida: ${startDate}`);
   }
 
@@ -35,27 +46,39 @@ function calculateSessionDate(
     );
   }
 
-  // 3. Obtener día objetivo y día de inicio
-  const targetDayOfWeek = trainingDays[currentDayIndex];
-  const startDayOfWeek = start.getDay(); // 0=Sunday, 6=Saturday
+  // 3. Fecha del día objetivo (si ya pasó en la semana de startDate, la siguiente semana)
+  return getPlanDateForDay(startDate, trainingDays[currentDayIndex]);
+}
 
-  // 4. Calcular diferencia de días
-  let daysToAdd = targetDayOfWeek - startDayOfWeek;
-  
-  // 5. Manejar wrap-around: si el día objetivo ya pasó, ir a la siguiente semana
-  if (daysToAdd < 0) {
-    daysToAdd += 7;
-  }
+/**
+ * Máximo de variaciones excluidas que se guardan por sesión
+ */
+const MAX_EXCLUDED_PER_SESSION = 10;
 
-  // 6. Calcular fecha final
-  const sessionDate = new Date(start);
-  sessionDate.setDate(start.getDate() + daysToAdd);
+/**
+ * Contraindicaciones a mostrar con la sesión:
+ * - Excluidas: relevantes para el foco del día (hasta MAX_EXCLUDED_PER_SESSION)
+ * - Penalizadas: solo las que se seleccionaron igualmente
+ */
+function buildSessionContraindications(
+  log: ContraindicationRecord[],
+  selectedIds: Set<string>
+): ContraindicationRecord[] {
+  const excluded = log.filter(r => r.action === "excluded").slice(0, MAX_EXCLUDED_PER_SESSION);
+  const downscored = log.filter(r => r.action === "downscored" && selectedIds.has(r.variationId));
+  return [...excluded, ...downscored];
+}
 
-  // 7. Retornar como ISO string (YYYY-MM-DD)
-  const year = sessionDate.getFullYear();
-  const month = String(sessionDate.getMonth() + 1).padStart(2, '0');
-  const day = String(sessionDate.getDate()).padStart(2, '0');
-  return `${year}-${month}-${day}`;
+/**
+ * Número de supersets/circuitos/flows de la sesión (para el log)
+ */
+function countBlocks(session: TrainingSession): number {
+  const blockIds = new Set(
+    [...session.warmup, ...session.workout, ...session.cooldown]
+      .map(v => v.blockId)
+      .filter((id): id is string => !!id)
+  );
+  return blockIds.size;
 }
 
 export async function assemblerNode(
@@ -67,6 +90,10 @@ export async function assemblerNode(
     selectedVariations,
     currentSessionContext,
     finalSessions,
+    mesocycle,
+    contraindicationLog,
+    scoredPool,
+    targetSessionMinutes,
   } = state;
 
   // 1. Validaciones
@@ -121,35 +148,74 @@ export async function assemblerNode(
     weeklyPlan.trainingDays
   );
 
-  // 3. Construir objeto TrainingSession
   // dayIndex debe ser el día de la semana (0=Sunday, 1=Monday, ..., 6=Saturday),
   // no el índice del bucle (currentDayIndex)
   const dayOfWeek = weeklyPlan.trainingDays[currentDayIndex];
+
+  // 3. Ajustar a la duración objetivo: la pedida o los minutos disponibles del día
+  // (en el deload no se añaden accesorios para llenar el tiempo)
+  const mesocycleWeek = getCurrentMesocycleWeek(mesocycle);
+  const isDeload = mesocycleWeek?.phase === "deload";
+  const targetMinutes =
+    targetSessionMinutes ??
+    weeklyPlan.schedule?.find(day => day.dayIndex === dayOfWeek)?.maxDurationMinutes ??
+    null;
+  const fittedPhases: SessionPhases = targetMinutes
+    ? fitSessionToDuration(selectedVariations, targetMinutes, isDeload ? [] : scoredPool?.workout || [])
+    : selectedVariations;
+
+  // 4. Volumen de la fase del bloque (deload: menos series)
+  const phases = applyMesocycleVolume(fittedPhases, mesocycleWeek);
+
+  // 5. Construir objeto TrainingSession
+  const contraindications = buildSessionContraindications(
+    contraindicationLog || [],
+    new Set([...phases.warmup, ...phases.workout, ...phases.cooldown].map(v => v.id))
+  );
+  const sessionPhases: SessionPhases = {
+    warmup: annotatePhaseDurations(assignPhaseBlocks(phases.warmup, "warmup", `${sessionDate}-warmup`), "warmup"),
+    workout: annotatePhaseDurations(assignPhaseBlocks(phases.workout, "workout", `${sessionDate}-workout`), "workout"),
+    cooldown: annotatePhaseDurations(assignPhaseBlocks(phases.cooldown, "cooldown", `${sessionDate}-cooldown`), "cooldown"),
+  };
   const newSession: TrainingSession = {
     dayIndex: dayOfWeek,
     date: sessionDate,
     focus: currentSessionContext?.focus || "",
     description: currentSessionContext?.description || "",
-    warmup: selectedVariations.warmup,
-    workout: selectedVariations.workout,
-    cooldown: selectedVariations.cooldown,
+    ...sessionPhases,
+    estimatedMinutes: estimateSessionMinutes(sessionPhases),
+    ...(targetMinutes ? { targetMinutes } : {}),
+    ...(mesocycleWeek
+      ? { mesocycleWeek: mesocycleWeek.weekNumber, mesocyclePhase: mesocycleWeek.phase }
+      : {}),
+    ...(contraindications.length > 0 ? { contraindications } : {}),
   };
 
-  // 4. Añadir a finalSessions
+  // 6. Añadir a finalSessions
   const updatedFinalSessions = [...(finalSessions || []), newSession];
 
-  // 5. Logging informativo
+  // 7. Logging informativo
   console.log(
     `[Assembler] Sesión creada:\n` +
     `  CurrentDayIndex (bucle): ${currentDayIndex}\n` +
     `  DayIndex (día semana): ${dayOfWeek}\n` +
     `  Fecha: ${sessionDate}\n` +
     `  Focus: ${newSession.focus}\n` +
-    `  Variaciones - Warmup: ${newSession.warmup.length}, Workout: ${newSession.workout.length}, Cooldown: ${newSession.cooldown.length}`
+    `  Variaciones - Warmup: ${newSession.warmup.length}, Workout: ${newSession.workout.length}, Cooldown: ${newSession.cooldown.length}\n` +
+    `  Bloques: ${countBlocks(newSession) || "ninguno (series rectas)"}\n` +
+    `  Duración estimada: ${newSession.estimatedMinutes} min${targetMinutes ? ` (objetivo: ${targetMinutes} min)` : ""}`
   );
 
+  if (targetMinutes && newSession.estimatedMinutes! > targetMinutes) {
+    console.warn(
+      `[Assembler] La sesión no cabe en ${targetMinutes} min ni con el mínimo de variaciones y series (${newSession.estimatedMinutes} min)`
+    );
+  }
+
+  // selectedVariations ajustadas: el Invalidator tiene en cuenta los accesorios añadidos
   return {
     finalSessions: updatedFinalSessions,
+    ...(targetMinutes ? { selectedVariations: phases } : {}),
   };
 }
 
@@ -9,11 +9,18 @@
  * A. Archivo del Training System:
  *    - Crear documento en users/{uid}/sessions/sessions_week_{timestamp}
  *    - Guardar weeklyPlan y finalSessions (historial inmutable)
+ *    - Guardar fallbackNodes (nodos que usaron el modo rule-based)
+ *    - Guardar initialBlacklist y sessionUsedIds (la regeneración de un día los reutiliza)
  * 
  * B. Actualización del Estado del Usuario (FIFO Rolling Window):
  *    - Actualizar users/{uid}/blackListedVariationIds
  *    - Sobrescribir con sessionUsedIds completo (ya contiene el 50% filtrado de cada sesión)
  *    - Esto crea un ciclo rotativo: Semana A bloquea Semana B, Semana B bloquea Semana C pero libera Semana A
+ * 
+ * C. Mesociclo:
+ *    - Guardar el bloque en users/{uid}/mesocycles/{mesocycleId} con la semana generada
+ *    - users/{uid}.activeMesocycleId apunta al último bloque generado; al generar la última
+ *      semana (deload) se marca como completed y la siguiente semana planifica un bloque nuevo
  */
 
 import { TrainingGraphState } from "../types/schemas";
@@ -27,7 +34,15 @@ export async function persistenceNode(
   initializeFirebaseAdmin();
   const db = admin.firestore();
 
-  const { userProfile, weeklyPlan, finalSessions, sessionUsedIds } = state;
+  const {
+    userProfile,
+    weeklyPlan,
+    finalSessions,
+    initialBlacklist,
+    sessionUsedIds,
+    fallbackNodes,
+    mesocycle,
+  } = state;
 
   // 2. Validaciones de entrada
   if (!userProfile || !userProfile.uid) {
@@ -56,6 +71,11 @@ export async function persistenceNode(
     await sessionsRef.set({
       weeklyPlan,
       finalSessions,
+      fallbackNodes: Array.from(new Set(fallbackNodes || [])),
+      initialBlacklist: initialBlacklist || [],
+      sessionUsedIds: idsToPersist,
+      mesocycleId: mesocycle?.id || null,
+      mesocycleWeek: mesocycle?.currentWeek || null,
       createdAt: admin.firestore.FieldValue.serverTimestamp(),
       weekTimestamp: timestamp,
     });
@@ -65,13 +85,30 @@ export async function persistenceNode(
       `con ${finalSessions.length} sesiones para usuario ${uid}`
     );
 
-    // 4. Operación B: Actualizar blackListedVariationIds del usuario
-    // sessionUsedIds ya contiene el 50% de cada sesión (filtrado en nodo 7)
-    // No aplicar filtro adicional, usar directamente
     const userRef = db.collection("users").doc(uid);
 
+    // 4. Operación C: Guardar el mesociclo con la semana recién generada
+    if (mesocycle) {
+      const isCompleted = mesocycle.currentWeek >= mesocycle.totalWeeks;
+
+      await userRef.collection("mesocycles").doc(mesocycle.id).set({
+        ...mesocycle,
+        status: isCompleted ? "completed" : "active",
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      }, { merge: true });
+
+      console.log(
+        `[Persistence] Mesociclo ${mesocycle.id} guardado: semana ${mesocycle.currentWeek}/${mesocycle.totalWeeks}` +
+        (isCompleted ? " (completado)" : "")
+      );
+    }
+
+    // 5. Operación B: Actualizar blackListedVariationIds (y activeMesocycleId) del usuario
+    // sessionUsedIds ya contiene el 50% de cada sesión (filtrado en nodo 7)
+    // No aplicar filtro adicional, usar directamente
     await userRef.update({
       blackListedVariationIds: idsToPersist,
+      activeMesocycleId: mesocycle?.id || null,
       lastUpdated: admin.firestore.FieldValue.serverTimestamp(),
     });
 
@@ -80,10 +117,10 @@ export async function persistenceNode(
       `para usuario ${uid}`
     );
 
-    // 5. Retornar objeto vacío (no modifica el estado del grafo)
+    // 6. Retornar objeto vacío (no modifica el estado del grafo)
     return {};
   } catch (error) {
-    // 6. Manejo de errores
+    // 7. Manejo de errores
     console.error("[Persistence] Error al persistir datos:", error);
     throw new Error(
       `Error en persistencia: ${error instanceof Error ? error.message : String(error)}`
@@ -264,3 +264,81 @@ export function getSelectorFunctionDefinition(phase: "warmup" | "workout" | "coo
   };
 }
 
+
+/**
+ * Template del prompt para sugerir variaciones desde el drawer "Edit Session"
+ * Reutiliza el prompt del selector de la fase y añade el contexto de edición
+ */
+export function getSuggestionPrompt(
+  phase: "warmup" | "workout" | "cooldown",
+  focus: string,
+  description: string,
+  systemGoal: string,
+  scoredVariations: Array<{ id: string; name: string; score: number; tags: string[]; disciplines: string[] }>,
+  currentPhaseItems: string[],
+  limit: number
+): string {
+  const selectorPrompts = {
+    warmup: getWarmupSelectorPrompt,
+    workout: getWorkoutSelectorPrompt,
+    cooldown: getCooldownSelectorPrompt,
+  };
+
+  const basePrompt = selectorPrompts[phase](focus, description, systemGoal, scoredVariations);
+
+  const currentItemsList = currentPhaseItems.length > 0
+    ? currentPhaseItems.map((name) => `- ${name}`).join("\n")
+    : "- None (the phase is empty)";
+
+  return `${basePrompt}
+
+### EDITING CONTEXT
+
+The user is manually editing this session and asked for suggestions to ADD to the ${phase} phase.
+The phase currently contains:
+${currentItemsList}
+
+### SUGGESTION TASK
+
+Instead of building the whole phase, rank up to ${limit} variations from the list above that best complement what is already in the phase.
+- Order them from most to least recommended
+- Do not suggest movements that duplicate the pattern of an existing item
+- For each one, give a short reason (one sentence, max 20 words) addressed to the athlete`;
+}
+
+/**
+ * Definición de la función/tool para sugerencias del drawer "Edit Session"
+ * A diferencia de getSelectorFunctionDefinition, incluye una razón por variación
+ */
+export function getSuggestionFunctionDefinition(phase: "warmup" | "workout" | "cooldown", limit: number) {
+  return {
+    name: `suggest_${phase}_variations`,
+    description: `Rank up to ${limit} ${phase} variations that complement the current phase, each with a short reason`,
+    parameters: {
+      type: "object",
+      properties: {
+        suggestions: {
+          type: "array",
+          description: `Ranked array of suggested ${phase} variations (most recommended first). Each variation must be selected from the provided list by its ID.`,
+          items: {
+            type: "object",
+            properties: {
+              id: {
+                type: "string",
+                description: "The ID of the suggested variation (must match one from the provided list)",
+              },
+              reason: {
+                type: "string",
+                description: "Short explanation of why this variation fits the session",
+              },
+            },
+            required: ["id", "reason"],
+          },
+          minItems: 1,
+          maxItems: limit,
+        },
+      },
+      required: ["suggestions"],
+    },
+  };
+}
@@ -5,6 +5,32 @@
  * Utiliza function/tool calling para garantizar JSON estructurado.
  */
 
+import { UserAvailability } from "../types/schemas";
+import { getAvailableDays, getDayMaxMinutes, WEEKDAY_NAMES } from "../services/availability";
+
+/**
+ * Días disponibles del usuario para el prompt (con su franja y minutos disponibles)
+ */
+function formatAvailability(availability: UserAvailability | null | undefined): string {
+  if (!availability) {
+    return "   - Not specified (any day of the week)";
+  }
+
+  return getAvailableDays(availability)
+    .map((day) => {
+      const windows = availability.timeWindows
+        .filter((window) => window.day === day)
+        .map((window) => `${window.start}-${window.end}`);
+      const maxMinutes = getDayMaxMinutes(availability, day);
+      const details = [
+        ...(windows.length > 0 ? [windows.join(", ")] : []),
+        ...(maxMinutes !== null ? [`max ${maxMinutes} min`] : []),
+      ];
+      return `   - ${WEEKDAY_NAMES[day]} (${day})${details.length > 0 ? `: ${details.join(", ")}` : ""}`;
+    })
+    .join("\n");
+}
+
 /**
  * Template del prompt para generar el WeeklyPlan
  */
@@ -13,8 +39,9 @@ export function getStrategyPrompt(userProfile: {
   discomforts: string[];
   objectives: string[];
   preferredDisciplines: string[];
+  availability?: UserAvailability | null;
 }): string {
-  const { metrics, discomforts, objectives, preferredDisciplines } = userProfile;
+  const { metrics, discomforts, objectives, preferredDisciplines, availability } = userProfile;
 
   return `ROLE: You are an Elite Physiotherapist and Strength & Conditioning Coach specializing in the 20-35 age demographic who essentially seek to gain strength without compromising mobility and flexibility.
 Your expertise lies in designing "Holistic Strength" systems: balancing hypertrophy and raw strength with rigorous mobility, flexibility, and longevity protocols.
@@ -35,6 +62,9 @@ ${objectives.length > 0 ? objectives.map(o => `   - ${o}`).join("\n") : "   - No
 4. **Preferred Discipline:**
 ${preferredDisciplines.length > 0 ? preferredDisciplines.map(d => `   - ${d}`).join("\n") : "   - Not specified"}
 
+5. **Availability (days the user can train):**
+${formatAvailability(availability)}
+
 ### TASK
 
 Generate a **Permanent Weekly Training Plan**.
@@ -49,6 +79,7 @@ This plan serves as the architectural skeleton for the user's weekly training cy
 3. **Discipline Integration:** If the user prefers a discipline (e.g., Calisthenics), the 'focus' and 'description' should reflect that terminology, but the biomechanical foundation must remain solid.
 4. **Volume & Frequency:** Assign a realistic 'totalTrainingDays' (3 to 6) based on the ambitiousness of the user's objectives.
 5. **Permanence:** This structure repeats every week. It must be sustainable.
+6. **Availability:** 'trainingDays' MUST only use the available days listed above, so 'totalTrainingDays' cannot exceed their number. When a day has limited minutes, keep the focus of that day achievable in that time.
 
 ### IMPORTANT
 
@@ -63,8 +94,9 @@ Generate a professional, balanced plan aligned with Holistic Strength principles
 /**
  * Function/tool definition for the LLM
  * Ensures the LLM returns a structured WeeklyPlan
+ * @param availableDays Días que el usuario puede entrenar (restringe trainingDays y dayIndex)
  */
-export function getStrategyFunctionDefinition() {
+export function getStrategyFunctionDefinition(availableDays: number[] = [0, 1, 2, 3, 4, 5, 6]) {
   return {
     name: "generate_weekly_plan",
     description: "Generates a permanent weekly training plan based on the user profile. The plan must be holistic, balanced, and promote strength gain through technique and alignment.",
@@ -75,18 +107,17 @@ export function getStrategyFunctionDefinition() {
           type: "number",
           description: "Total number of training days per week (typically between 3 and 6)",
           minimum: 1,
-          maximum: 7,
+          maximum: availableDays.length,
         },
         trainingDays: {
           type: "array",
           description: "Array of numbers representing the days of the week when training occurs. 0=Sunday, 1=Monday, 2=Tuesday, 3=Wednesday, 4=Thursday, 5=Friday, 6=Saturday",
           items: {
             type: "number",
-            minimum: 0,
-            maximum: 6,
+            enum: availableDays,
           },
           minItems: 1,
-          maxItems: 7,
+          maxItems: availableDays.length,
         },
         goalDescription: {
           type: "string",
@@ -101,8 +132,7 @@ export function getStrategyFunctionDefinition() {
               dayIndex: {
                 type: "number",
                 description: "Day of the week index (0=Sunday, 1=Monday, ..., 6=Saturday). Must match the corresponding element in trainingDays",
-                minimum: 0,
-                maximum: 6,
+                enum: availableDays,
               },
               focus: {
                 type: "string",
@@ -0,0 +1,145 @@
+/**
+ * Prompts para generateWorkoutReport
+ *
+ * Genera la narrativa del informe de rendimiento de una sesión completada.
+ * Utiliza function/tool calling para garantizar JSON estructurado.
+ */
+
+/**
+ * Template del prompt para generar la narrativa del informe
+ * @param reportData - reportData construido por buildSessionReportData (o su versión transformada)
+ */
+export function getWorkoutReportPrompt(reportData: {
+  sessionDate: string;
+  macroStats: Record<string, any>;
+  exercises: Array<Record<string, any>>;
+}): string {
+  const { sessionDate, macroStats, exercises } = reportData;
+
+  const macroStatsList = Object.entries(macroStats)
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([key, value]) => `   - ${key}: ${value}`)
+    .join("\n");
+
+  const exercisesList = exercises
+    .map((ex, idx) => {
+      const id = ex.id || `${ex.exerciseId}-${ex.variationId}`;
+      const sets = Array.isArray(ex.current?.sets)
+        ? ex.current.sets
+          .map((s: any) => {
+            const parts = [
+              typeof s.weight === "number" ? `${s.weight}kg` : null,
+              typeof s.reps === "number" ? `${s.reps} reps` : null,
+              typeof s.time === "number" ? `${s.time}s` : null,
+            ].filter(Boolean);
+            return parts.length > 0 ? parts.join(" x ") : "logged";
+          })
+          .join(" | ")
+        : "not available";
+      const history = Array.isArray(ex.history) && ex.history.length > 0
+        ? ex.history
+          .map((h: any) => `${h.date || "?"}: ${h.maxWeight ?? h.volume ?? h.avgVolume ?? h.maxReps ?? 0}`)
+          .join(", ")
+        : "first time";
+
+      return `${idx + 1}. **${ex.name || "Exercise"}** (ID: ${id})
+   - Phase: ${ex.phase || "not specified"}
+   - Sets this session: ${sets}
+   - Recent history: ${history}
+   - Comparison vs last session: ${JSON.stringify(ex.comparison || {})}`;
+    })
+    .join("\n\n");
+
+  return `ROLE: You are an Elite Physiotherapist and Strength & Conditioning Coach specializing in the 20-35 age demographic.
+Your expertise lies in designing "Holistic Strength" systems: balancing hypertrophy and raw strength with rigorous mobility, flexibility, and longevity protocols.
+
+You will write the performance report of a training session the athlete just completed.
+
+### SESSION DATE
+
+${sessionDate}
+
+### MACRO STATS
+
+${macroStatsList || "   - Not available"}
+
+### EXERCISES
+
+${exercisesList || "No exercises were logged."}
+
+### TASK
+
+Analyse the session and write a concise, motivating but honest report:
+1. **reportTitle:** A short title (max 8 words) that captures the session.
+2. **summary:** 2-3 short paragraphs about volume, intensity and progress vs previous sessions. You may use **bold** for key numbers.
+3. **highlights:** 1-4 concrete wins (PRs, volume increases, consistency).
+4. **concerns:** 0-3 points to watch (drops in performance, missing data, fatigue signs). Do not invent problems.
+5. **nextSessionRecommendation:** One actionable recommendation for the next session (load, reps, recovery or technique).
+6. **exerciseInsights:** One sentence per exercise, using the exact ID shown in the list.
+
+### IMPORTANT
+
+- Base every statement on the data above; never invent numbers
+- If an exercise has no history, treat it as a baseline, not as an improvement or a regression
+- Keep the language simple and addressed directly to the athlete`;
+}
+
+/**
+ * Function/tool definition for the LLM
+ * Ensures the LLM returns a structured WorkoutReportNarrative
+ */
+export function getWorkoutReportFunctionDefinition() {
+  return {
+    name: "generate_workout_report",
+    description: "Generates the narrative of a completed session's performance report: summary, highlights, concerns, next-session recommendation and one insight per exercise.",
+    parameters: {
+      type: "object",
+      properties: {
+        reportTitle: {
+          type: "string",
+          description: "Short title of the report (max 8 words)",
+        },
+        summary: {
+          type: "string",
+          description: "2-3 short paragraphs summarizing the session performance",
+        },
+        highlights: {
+          type: "array",
+          description: "Concrete wins of the session",
+          items: { type: "string" },
+          minItems: 1,
+          maxItems: 4,
+        },
+        concerns: {
+          type: "array",
+          description: "Points to watch. Empty array if there are none",
+          items: { type: "string" },
+          maxItems: 3,
+        },
+        nextSessionRecommendation: {
+          type: "string",
+          description: "One actionable recommendation for the next session",
+        },
+        exerciseInsights: {
+          type: "array",
+          description: "One insight per exercise of the session",
+          items: {
+            type: "object",
+            properties: {
+              exerciseId: {
+                type: "string",
+                description: "The exercise ID exactly as shown in the list (exerciseId-variationId)",
+              },
+              insight: {
+                type: "string",
+                description: "One sentence about this exercise's performance",
+              },
+            },
+            required: ["exerciseId", "insight"],
+          },
+        },
+      },
+      required: ["reportTitle", "summary", "highlights", "concerns", "nextSessionRecommendation", "exerciseInsights"],
+    },
+  };
+}
@@ -0,0 +1,244 @@
+/**
+ * Availability (DETERMINÍSTICO)
+ *
+ * Disponibilidad real del usuario (users/{uid}.availability, se edita en el perfil):
+ * - days: días de la semana en los que puede entrenar (vacío = todos)
+ * - timeWindows: franja horaria de cada día, su duración limita la sesión de ese día
+ * - maxSessionMinutes: duración máxima de cualquier sesión
+ * - blackoutDates: periodos sin entrenamiento (viajes, vacaciones...)
+ *
+ * El esqueleto semanal del Strategy solo usa días disponibles; las fechas bloqueadas
+ * se aplican a la semana concreta (fitWeeklyPlanToAvailability) moviendo la sesión
+ * a otro día libre de esa semana o quitándola si no queda ninguno.
+ *
+ * Replica js/core/availability.js (el paquete de functions no puede importar el código del frontend).
+ */
+
+import { AvailabilityTimeWindow, BlackoutPeriod, ScheduledTrainingDay, UserAvailability, WeeklyPlan } from "../types/schemas";
+import { getPlanDateForDay } from "../utils/date-helpers";
+
+export const ALL_WEEK_DAYS = [0, 1, 2, 3, 4, 5, 6];
+
+export const WEEKDAY_NAMES = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * "HH:MM" → minutos desde medianoche (null si el formato no es válido)
+ */
+function parseTimeToMinutes(time: unknown): number | null {
+  const match = typeof time === "string" ? TIME_PATTERN.exec(time.trim()) : null;
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
+
+function isWeekDay(day: unknown): day is number {
+  return Number.isInteger(day) && (day as number) >= 0 && (day as number) <= 6;
+}
+
+/**
+ * Normaliza la disponibilidad guardada en el perfil (datos del cliente, pueden venir incompletos)
+ * @returns UserAvailability o null si el perfil no tiene disponibilidad
+ */
+export function normalizeAvailability(raw: unknown): UserAvailability | null {
+  if (!raw || typeof raw !== "object") {
+    return null;
+  }
+
+  const data = raw as Record<string, any>;
+
+  const days = Array.from(new Set((Array.isArray(data.days) ? data.days : []).filter(isWeekDay))).sort(
+    (a, b) => a - b
+  );
+
+  const timeWindows: AvailabilityTimeWindow[] = (Array.isArray(data.timeWindows) ? data.timeWindows : [])
+    .filter((window: any) => {
+      if (!window || !isWeekDay(window.day)) return false;
+      const start = parseTimeToMinutes(window.start);
+      const end = parseTimeToMinutes(window.end);
+      return start !== null && end !== null && end > start;
+    })
+    .map((window: any) => ({ day: window.day, start: window.start.trim(), end: window.end.trim() }));
+
+  const maxSessionMinutes = Number(data.maxSessionMinutes);
+
+  const blackoutDates: BlackoutPeriod[] = (Array.isArray(data.blackoutDates) ? data.blackoutDates : [])
+    .filter((period: any) => period && DATE_PATTERN.test(period.start) && DATE_PATTERN.test(period.end || period.start))
+    .map((period: any) => {
+      const end = period.end || period.start;
+      return {
+        start: period.start <= end ? period.start : end,
+        end: period.start <= end ? end : period.start,
+        ...(period.reason ? { reason: String(period.reason) } : {}),
+      };
+    });
+
+  return {
+    days,
+    timeWindows,
+    maxSessionMinutes: Number.isFinite(maxSessionMinutes) && maxSessionMinutes > 0 ? Math.round(maxSessionMinutes) : null,
+    blackoutDates,
+  };
+}
+
+/**
+ * Días de la semana en los que el usuario puede entrenar (todos si no lo ha indicado)
+ */
+export function getAvailableDays(availability: UserAvailability | null | undefined): number[] {
+  return availability?.days.length ? [...availability.days] : [...ALL_WEEK_DAYS];
+}
+
+/**
+ * Minutos disponibles un día de la semana: la franja más larga de ese día,
+ * limitada por maxSessionMinutes (null = sin límite)
+ */
+export function getDayMaxMinutes(availability: UserAvailability | null | undefined, day: number): number | null {
+  if (!availability) return null;
+
+  const windowMinutes = availability.timeWindows
+    .filter((window) => window.day === day)
+    .map((window) => parseTimeToMinutes(window.end)! - parseTimeToMinutes(window.start)!);
+
+  const limits = [
+    ...(windowMinutes.length > 0 ? [Math.max(...windowMinutes)] : []),
+    ...(availability.maxSessionMinutes ? [availability.maxSessionMinutes] : []),
+  ];
+
+  return limits.length > 0 ? Math.min(...limits) : null;
+}
+
+/**
+ * Periodo sin entrenamiento que incluye una fecha
+ * @param date ISO date string (YYYY-MM-DD)
+ * @returns El periodo o null si la fecha está libre
+ */
+export function getBlackoutPeriod(
+  availability: UserAvailability | null | undefined,
+  date: string
+): BlackoutPeriod | null {
+  return availability?.blackoutDates.find((period) => date >= period.start && date <= period.end) || null;
+}
+
+/**
+ * Incumplimientos de la disponibilidad en un WeeklyPlan (vacío si la respeta)
+ * - Días de entrenamiento no disponibles
+ * - Sesiones en fechas bloqueadas
+ * - maxDurationMinutes por encima de lo que permite el día
+ */
+export function getAvailabilityViolations(
+  weeklyPlan: WeeklyPlan,
+  availability: UserAvailability | null | undefined
+): string[] {
+  if (!availability) return [];
+
+  const violations: string[] = [];
+  const availableDays = getAvailableDays(availability);
+
+  const unavailableDays = weeklyPlan.trainingDays.filter((day) => !availableDays.includes(day));
+  if (unavailableDays.length > 0) {
+    violations.push(
+      `trainingDays [${unavailableDays.join(", ")}] are not available days (available: [${availableDays.join(", ")}])`
+    );
+  }
+
+  weeklyPlan.trainingDays.forEach((day) => {
+    const date = getPlanDateForDay(weeklyPlan.startDate, day);
+    const period = getBlackoutPeriod(availability, date);
+    if (period) {
+      violations.push(
+        `day ${day} (${date}) falls on blackout dates ${period.start}..${period.end}${period.reason ? ` (${period.reason})` : ""}`
+      );
+    }
+  });
+
+  weeklyPlan.schedule.forEach((scheduledDay, index) => {
+    const limit = getDayMaxMinutes(availability, scheduledDay.dayIndex);
+    if (limit !== null && scheduledDay.maxDurationMinutes !== undefined && scheduledDay.maxDurationMinutes > limit) {
+      violations.push(
+        `schedule[${index}].maxDurationMinutes (${scheduledDay.maxDurationMinutes}) exceeds the ${limit} minutes available on day ${scheduledDay.dayIndex}`
+      );
+    }
+  });
+
+  return violations;
+}
+
+/**
+ * Ajusta la semana concreta de un WeeklyPlan a la disponibilidad:
+ * 1. Los días no disponibles o en fechas bloqueadas se mueven al día libre más cercano
+ *    de la misma semana (a igual distancia, el posterior)
+ * 2. Si no queda ningún día libre, la sesión se quita
+ * 3. Cada día lleva sus minutos disponibles (maxDurationMinutes)
+ *
+ * @returns WeeklyPlan nuevo (puede quedarse sin días si toda la semana está bloqueada)
+ */
+export function fitWeeklyPlanToAvailability(
+  weeklyPlan: WeeklyPlan,
+  availability: UserAvailability | null | undefined
+): WeeklyPlan {
+  if (!availability) return weeklyPlan;
+
+  const { startDate } = weeklyPlan;
+  const startDayOfWeek = new Date(startDate).getDay();
+  // Posición del día dentro de la semana del plan (0 = startDate)
+  const offsetOf = (day: number) => (day - startDayOfWeek + 7) % 7;
+
+  const availableDays = getAvailableDays(availability);
+  const isUsable = (day: number) =>
+    availableDays.includes(day) && !getBlackoutPeriod(availability, getPlanDateForDay(startDate, day));
+
+  const usedDays = new Set<number>();
+  const kept: ScheduledTrainingDay[] = [];
+  const displaced: ScheduledTrainingDay[] = [];
+
+  weeklyPlan.schedule.forEach((scheduledDay) => {
+    if (isUsable(scheduledDay.dayIndex) && !usedDays.has(scheduledDay.dayIndex)) {
+      usedDays.add(scheduledDay.dayIndex);
+      kept.push(scheduledDay);
+    } else {
+      displaced.push(scheduledDay);
+    }
+  });
+
+  displaced.forEach((scheduledDay) => {
+    const originalOffset = offsetOf(scheduledDay.dayIndex);
+    const replacement = ALL_WEEK_DAYS
+      .filter((day) => isUsable(day) && !usedDays.has(day))
+      .sort((a, b) =>
+        Math.abs(offsetOf(a) - originalOffset) - Math.abs(offsetOf(b) - originalOffset) || offsetOf(b) - offsetOf(a)
+      )[0];
+
+    if (replacement === undefined) {
+      console.warn("[Availability] No free day left this week, dropping session:", {
+        dayIndex: scheduledDay.dayIndex,
+        focus: scheduledDay.focus,
+        startDate,
+      });
+      return;
+    }
+
+    console.log("[Availability] Moving session to an available day:", {
+      from: scheduledDay.dayIndex,
+      to: replacement,
+      focus: scheduledDay.focus,
+    });
+    usedDays.add(replacement);
+    kept.push({ ...scheduledDay, dayIndex: replacement });
+  });
+
+  const schedule = kept
+    .sort((a, b) => a.dayIndex - b.dayIndex)
+    .map((scheduledDay) => {
+      const day: ScheduledTrainingDay = { ...scheduledDay };
+      delete day.maxDurationMinutes;
+      const limit = getDayMaxMinutes(availability, day.dayIndex);
+      return limit !== null ? { ...day, maxDurationMinutes: limit } : day;
+    });
+
+  return {
+    ...weeklyPlan,
+    totalTrainingDays: schedule.length,
+    trainingDays: schedule.map((day) => day.dayIndex),
+    schedule,
+  };
+}
@@ -0,0 +1,191 @@
+/**
+ * Contraindication Model (DETERMINÍSTICO)
+ *
+ * Relaciona las zonas de molestia/lesión del usuario con tags y grupos musculares
+ * de las variaciones:
+ * - Onboarding: discomforts (Back, Neck, Joints, ...)
+ * - Baseline assessment: injuryHistory (texto libre de collectInjuryHistory)
+ *
+ * Cada zona define qué variaciones se excluyen (hard) y cuáles se penalizan (down-score).
+ * El Filter Engine (5.2) aplica el modelo y registra el motivo de cada exclusión
+ * para que la UI pueda explicar por qué se evitó un ejercicio.
+ */
+
+import { ContraindicationRecord, ExerciseVariation, UserProfile } from "../types/schemas";
+import { normalizeTerm, stemWord } from "./fuzzy";
+
+export type ContraindicationAction = ContraindicationRecord["action"];
+
+export interface ContraindicationRule {
+  area: string;
+  /** Palabras que activan la regla en discomforts / injuryHistory (palabra completa, comparando raíces: "knees" → "knee") */
+  keywords: string[];
+  /** Variaciones con alguno de estos tags o músculos se excluyen */
+  exclude: { tags: string[]; muscles: string[] };
+  /** Variaciones con alguno de estos tags o músculos se penalizan */
+  downscore: { tags: string[]; muscles: string[] };
+  reason: string;
+}
+
+export interface ContraindicationResult {
+  action: ContraindicationAction | null;
+  records: ContraindicationRecord[];
+}
+
+/**
+ * Multiplicador del score de una variación penalizada
+ */
+export const DOWNSCORE_FACTOR = 0.5;
+
+export const CONTRAINDICATION_RULES: ContraindicationRule[] = [
+  {
+    area: "knee",
+    keywords: ["knee", "acl", "mcl", "pcl", "meniscus", "menisci", "patella", "patellar"],
+    exclude: { tags: ["plyometric", "explosive", "lunge"], muscles: [] },
+    downscore: { tags: ["squat"], muscles: ["quadriceps", "quads"] },
+    reason: "Loads the knee joint",
+  },
+  {
+    area: "back",
+    keywords: ["back", "lumbar", "spine", "spinal", "disc", "herniated", "herniation", "sciatic", "sciatica"],
+    exclude: { tags: ["hinge"], muscles: [] },
+    downscore: { tags: ["explosive", "rotation"], muscles: ["back extensors", "erector spinae", "spinal extensors"] },
+    reason: "Loads the lower back",
+  },
+  {
+    area: "neck",
+    keywords: ["neck", "cervical", "whiplash"],
+    exclude: { tags: [], muscles: [] },
+    downscore: { tags: ["rotation"], muscles: ["upper trapezius", "traps", "neck"] },
+    reason: "Strains the neck",
+  },
+  {
+    area: "shoulder",
+    keywords: ["shoulder", "rotator", "cuff", "impingement", "dislocated", "dislocation"],
+    exclude: { tags: [], muscles: [] },
+    downscore: { tags: ["push", "pull"], muscles: ["shoulders", "anterior deltoids", "lateral deltoids", "posterior deltoids", "rear deltoids"] },
+    reason: "Loads the shoulder joint",
+  },
+  {
+    area: "hip",
+    keywords: ["hip", "groin", "labral"],
+    exclude: { tags: [], muscles: [] },
+    downscore: { tags: ["lunge", "hinge"], muscles: ["hip flexors", "hip abductors"] },
+    reason: "Loads the hip joint",
+  },
+  {
+    area: "wrist",
+    keywords: ["wrist", "carpal"],
+    exclude: { tags: [], muscles: [] },
+    downscore: { tags: ["push"], muscles: ["forearms", "grip"] },
+    reason: "Puts weight on the wrists",
+  },
+  {
+    area: "ankle",
+    keywords: ["ankle", "achilles", "plantar", "foot", "feet"],
+    exclude: { tags: ["plyometric"], muscles: [] },
+    downscore: { tags: ["explosive", "lunge"], muscles: ["calves", "ankles"] },
+    reason: "Loads the ankle",
+  },
+  {
+    area: "elbow",
+    keywords: ["elbow"],
+    exclude: { tags: [], muscles: [] },
+    downscore: { tags: ["push", "pull"], muscles: ["triceps", "biceps", "forearms"] },
+    reason: "Loads the elbow joint",
+  },
+  {
+    area: "joints",
+    keywords: ["joint", "arthritis", "hypermobile", "hypermobility"],
+    exclude: { tags: ["plyometric", "explosive"], muscles: [] },
+    downscore: { tags: ["lunge", "squat"], muscles: [] },
+    reason: "High-impact joint loading",
+  },
+];
+
+/**
+ * Reglas activas para un usuario según sus molestias e historial de lesiones
+ *
+ * @param userProfile - Perfil limpio (discomforts + injuryHistory)
+ * @returns Reglas cuya zona aparece en el texto del usuario ("None" se ignora)
+ *
+ * Se comparan palabras completas (por raíz), no prefijos: "disc" no activa la regla
+ * con "discomfort" ni "foot" con "football".
+ */
+export function getActiveContraindications(
+  userProfile: Pick<UserProfile, "discomforts" | "injuryHistory"> | null | undefined
+): ContraindicationRule[] {
+  if (!userProfile) {
+    return [];
+  }
+
+  const text = [
+    ...(userProfile.discomforts || []).filter((d) => d && d.toLowerCase() !== "none"),
+    userProfile.injuryHistory || "",
+  ].join(" ").toLowerCase();
+
+  const words = new Set(text.split(/[^a-z0-9]+/).filter(Boolean).map(stemWord));
+  if (words.size === 0) {
+    return [];
+  }
+
+  return CONTRAINDICATION_RULES.filter((rule) =>
+    rule.keywords.some((keyword) => words.has(stemWord(keyword)))
+  );
+}
+
+/**
+ * Evalúa una variación contra las reglas activas
+ *
+ * Una exclusión en cualquier regla gana a las penalizaciones.
+ * Se devuelve un registro por regla que afecta a la variación.
+ */
+export function evaluateContraindications(
+  variation: ExerciseVariation,
+  rules: ContraindicationRule[]
+): ContraindicationResult {
+  if (rules.length === 0) {
+    return { action: null, records: [] };
+  }
+
+  const tags = new Set((variation.tags || []).map(normalizeTerm));
+  const muscles = new Set((variation.targetMuscles || []).map(normalizeTerm));
+
+  const matches = (criteria: { tags: string[]; muscles: string[] }) => [
+    ...criteria.tags.filter((tag) => tags.has(tag)),
+    ...criteria.muscles.filter((muscle) => muscles.has(muscle)),
+  ];
+
+  const excluded: ContraindicationRecord[] = [];
+  const downscored: ContraindicationRecord[] = [];
+
+  rules.forEach((rule) => {
+    const excludeMatches = matches(rule.exclude);
+    const downscoreMatches = excludeMatches.length > 0 ? [] : matches(rule.downscore);
+
+    if (excludeMatches.length === 0 && downscoreMatches.length === 0) {
+      return;
+    }
+
+    const record: ContraindicationRecord = {
+      variationId: variation.id,
+      variationName: variation.name,
+      phase: variation.phase,
+      action: excludeMatches.length > 0 ? "excluded" : "downscored",
+      area: rule.area,
+      reason: `${rule.reason} (${rule.area}: ${(excludeMatches.length > 0 ? excludeMatches : downscoreMatches).join(", ")})`,
+    };
+
+    (record.action === "excluded" ? excluded : downscored).push(record);
+  });
+
+  if (excluded.length > 0) {
+    return { action: "excluded", records: excluded };
+  }
+
+  if (downscored.length > 0) {
+    return { action: "downscored", records: downscored };
+  }
+
+  return { action: null, records: [] };
+}
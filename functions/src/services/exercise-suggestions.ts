@@ -0,0 +1,318 @@
+/**
+ * Exercise Suggestion Service
+ *
+ * Ranks variations for the Edit Session drawer of the frontend.
+ * Reuses the graph building blocks instead of duplicating them:
+ * - Context Cleaner (2) to normalize raw variations
+ * - Filter Engine (5.2) and Variation Cleaner (5.3) to score and trim the pool
+ * - Selector prompts (5.4.x) to let the LLM rank the candidates with a reason
+ */
+
+import { ExerciseVariation, PhaseType, TrainingGraphState } from "../types/schemas";
+import { cleanUserProfile, cleanVariation } from "../nodes/2-context-cleaner";
+import { AVAILABLE_TAGS } from "../utils/training-constants";
+import { filterEngineNode } from "../nodes/5.2-filter-engine";
+import { variationCleanerNode } from "../nodes/5.3-variation-cleaner";
+import { getSuggestionPrompt, getSuggestionFunctionDefinition } from "../prompts/selectors";
+import { callLLMWithFunctionCalling, getModelForNode } from "./llm";
+import { getAllExercisesFromFirebase, getAllVariationsFromFirebase, getUserProfileFromFirebase } from "./firebase";
+
+export const SUGGESTION_PHASES: PhaseType[] = ["warmup", "workout", "cooldown"];
+
+const DEFAULT_SUGGESTION_LIMIT = 5;
+const MAX_SUGGESTION_LIMIT = 10;
+
+/**
+ * Session item as stored by the frontend (session.phases[phase][i])
+ */
+interface SessionItem {
+  exerciseId?: string;
+  exerciseName?: string;
+  variationId?: string;
+  variationName?: string;
+}
+
+/**
+ * Context sent by exerciseSuggestionService.js
+ */
+export interface SuggestionContext {
+  currentSession?: {
+    focus?: string;
+    description?: string;
+    systemGoal?: string;
+    framework?: string;
+    workout?: string;
+    phases?: Partial<Record<PhaseType, SessionItem[]>>;
+  } | null;
+  currentPhaseItems?: SessionItem[];
+  limit?: number;
+}
+
+/**
+ * Suggestion shape expected by EditSessionManager.renderSearchResults / buildSessionItem
+ */
+export interface ExerciseSuggestion {
+  exercise: {
+    id: string;
+    name: string;
+    discipline: string;
+    frameworks: string[];
+  };
+  variation: {
+    id: string;
+    name: string;
+    weight: number;
+    bilaterality: "bilateral" | "unilateral";
+    difficulty_score: number;
+    progression_type: string;
+    target_muscles: { primary: string[]; secondary: string[] };
+    technique_cues: string[];
+  };
+  reason: string;
+}
+
+interface SuggestionLLMResponse {
+  suggestions: Array<{ id: string; reason: string }>;
+}
+
+/**
+ * Same discipline labels as loadExercises() in js/core/workout-engine.js
+ */
+const DISCIPLINE_LABELS: Record<string, string> = {
+  "pilates": "Pilates",
+  "animal-flow": "Animal Flow",
+  "animalflow": "Animal Flow",
+  "weights": "Weights",
+  "crossfit": "Crossfit",
+  "calisthenics": "Calisthenics",
+  "yoga": "Yoga",
+};
+
+/**
+ * Transforms a raw Firestore variation + its parent exercise into the frontend suggestion shape.
+ * Mirrors the mapping done by loadExercises() so the drawer can store it as a session item.
+ */
+function toSuggestion(rawVariation: any, rawExercise: any, reason: string): ExerciseSuggestion {
+  const disciplineKey = (rawVariation.disciplines?.[0] || "").toLowerCase();
+  const discipline = DISCIPLINE_LABELS[disciplineKey] ||
+    (disciplineKey ? disciplineKey.charAt(0).toUpperCase() + disciplineKey.slice(1) : "Pilates");
+
+  const targetMuscleGroups: string[] = rawExercise?.targetMuscleGroups || [];
+  const difficulty = rawVariation.difficulty || 0;
+
+  let progressionType = "stability";
+  if (difficulty >= 7) {
+    progressionType = "leverage";
+  } else if (difficulty >= 5) {
+    progressionType = "duration";
+  } else if (difficulty >= 3) {
+    progressionType = "form";
+  }
+
+  let bilaterality: "bilateral" | "unilateral" = "bilateral";
+  if (rawVariation.metadata?.bilaterality !== undefined) {
+    bilaterality = rawVariation.metadata.bilaterality ? "bilateral" : "unilateral";
+  }
+
+  return {
+    exercise: {
+      id: rawExercise?.id || rawVariation.exerciseId || "",
+      name: rawExercise?.name || rawVariation.name || "",
+      discipline,
+      frameworks: rawExercise?.frameworks || [],
+    },
+    variation: {
+      id: rawVariation.id,
+      name: rawVariation.name || "",
+      weight: 0,
+      bilaterality,
+      difficulty_score: difficulty,
+      progression_type: progressionType,
+      target_muscles: {
+        primary: targetMuscleGroups.slice(0, 3).map((m) => m.toLowerCase()),
+        secondary: targetMuscleGroups.slice(3).map((m) => m.toLowerCase()),
+      },
+      technique_cues: rawVariation.instructions || [],
+    },
+    reason,
+  };
+}
+
+/**
+ * Derives the target tags for the session being edited:
+ * - tags of the variations already in the session (all phases)
+ * - system tags mentioned in the session focus/framework (e.g. "Push", "Legs")
+ */
+function deriveTargetTags(
+  sessionItems: SessionItem[],
+  variationsById: Map<string, ExerciseVariation>,
+  focusText: string
+): string[] {
+  const tags = new Set<string>();
+
+  sessionItems.forEach((item) => {
+    const variation = item.variationId ? variationsById.get(item.variationId) : undefined;
+    variation?.tags.forEach((tag) => tags.add(tag.toLowerCase().trim()));
+  });
+
+  const focusWords = focusText.toLowerCase().split(/[^a-z]+/);
+  AVAILABLE_TAGS.forEach((tag) => {
+    if (focusWords.includes(tag)) {
+      tags.add(tag);
+    }
+  });
+
+  return Array.from(tags);
+}
+
+/**
+ * Builds a deterministic reason from the tag overlap (used when the LLM is unavailable)
+ */
+function buildScoreReason(variation: ExerciseVariation, targetTags: string[]): string {
+  const matched = variation.tags.filter((tag) => targetTags.includes(tag.toLowerCase().trim()));
+  if (matched.length === 0) {
+    return "Adds variety to this phase.";
+  }
+  return `Matches this session's focus: ${matched.join(", ")}.`;
+}
+
+/**
+ * Get ranked exercise suggestions for one phase of a session
+ *
+ * @param phase - Phase to suggest for (warmup | workout | cooldown)
+ * @param context - Session being edited, as sent by the frontend
+ * @param userId - Authenticated user; their discomforts/injuries exclude contraindicated variations
+ * @returns Ranked suggestions (most recommended first)
+ */
+export async function suggestExercisesForPhase(
+  phase: PhaseType,
+  context: SuggestionContext = {},
+  userId?: string
+): Promise<ExerciseSuggestion[]> {
+  const limit = Math.min(
+    Math.max(Number(context.limit) || DEFAULT_SUGGESTION_LIMIT, 1),
+    MAX_SUGGESTION_LIMIT
+  );
+
+  // 1. Cargar catálogo completo
+  const [rawVariations, rawExercises, rawProfile] = await Promise.all([
+    getAllVariationsFromFirebase(),
+    getAllExercisesFromFirebase(),
+    // Sin perfil se sugiere sin contraindicaciones
+    userId ? getUserProfileFromFirebase(userId).catch(() => null) : Promise.resolve(null),
+  ]);
+
+  const rawVariationsById = new Map<string, any>(rawVariations.map((v) => [v.id, v]));
+  const rawExercisesById = new Map<string, any>(rawExercises.map((e) => [e.id, e]));
+
+  const availableVariations = rawVariations
+    .map(cleanVariation)
+    .filter((v): v is ExerciseVariation => v !== null);
+  const variationsById = new Map(availableVariations.map((v) => [v.id, v]));
+
+  // 2. Construir el contexto de la sesión que se está editando
+  const session = context.currentSession || {};
+  const sessionItems: SessionItem[] = SUGGESTION_PHASES.flatMap(
+    (p) => (Array.isArray(session.phases?.[p]) ? session.phases![p]! : [])
+  );
+  const currentPhaseItems = Array.isArray(context.currentPhaseItems)
+    ? context.currentPhaseItems
+    : (session.phases?.[phase] || []);
+
+  const focus = session.focus || session.framework || session.workout || "General";
+  const description = session.description || `${focus} session`;
+  const systemGoal = session.systemGoal ||
+    "Complement the existing session while keeping holistic balance between strength and mobility";
+  const targetTags = deriveTargetTags([...sessionItems, ...currentPhaseItems], variationsById, focus);
+
+  // Variaciones ya presentes en la sesión no se vuelven a sugerir
+  const usedIds = [...sessionItems, ...currentPhaseItems]
+    .map((item) => item.variationId)
+    .filter((id): id is string => !!id);
+
+  // 3. Filter Engine + Variation Cleaner sobre un estado mínimo
+  const baseState = {
+    userProfile: cleanUserProfile(rawProfile),
+    availableVariations,
+    initialBlacklist: [],
+    sessionUsedIds: usedIds,
+    currentSessionContext: { focus, description, systemGoal, targetTags },
+  } as unknown as TrainingGraphState;
+
+  const { scoredPool } = await filterEngineNode(baseState);
+  const { scoredPool: cleanedPool } = await variationCleanerNode({
+    ...baseState,
+    scoredPool: scoredPool!,
+  });
+
+  const candidates = cleanedPool?.[phase] || [];
+
+  console.log("[Exercise Suggestions] Candidate pool ready:", {
+    phase,
+    targetTags,
+    candidates: candidates.length,
+  });
+
+  if (candidates.length === 0) {
+    return [];
+  }
+
+  // 4. Ranking con LLM reutilizando el prompt del selector de la fase
+  let ranked: Array<{ variation: ExerciseVariation; reason: string }> = [];
+
+  try {
+    const prompt = getSuggestionPrompt(
+      phase,
+      focus,
+      description,
+      systemGoal,
+      candidates.map((v) => ({
+        id: v.id,
+        name: v.name,
+        score: v.score || 0,
+        tags: v.tags || [],
+        disciplines: v.disciplines || [],
+      })),
+      currentPhaseItems.map((item) => item.variationName || item.exerciseName || "Exercise"),
+      limit
+    );
+
+    const llmResponse = await callLLMWithFunctionCalling<SuggestionLLMResponse>(
+      prompt,
+      getSuggestionFunctionDefinition(phase, limit),
+      getModelForNode("exerciseSuggestions")
+    );
+
+    const candidatesById = new Map(candidates.map((v) => [v.id, v]));
+    const seen = new Set<string>();
+
+    (llmResponse.suggestions || []).forEach((suggestion) => {
+      const variation = candidatesById.get(suggestion.id);
+      if (variation && !seen.has(variation.id)) {
+        seen.add(variation.id);
+        ranked.push({
+          variation,
+          reason: suggestion.reason || buildScoreReason(variation, targetTags),
+        });
+      }
+    });
+  } catch (error) {
+    console.warn(
+      "[Exercise Suggestions] LLM ranking failed, using filter engine scores:",
+      error instanceof Error ? error.message : error
+    );
+  }
+
+  // 5. Fallback determinístico: orden por score del Filter Engine
+  if (ranked.length === 0) {
+    ranked = candidates.slice(0, limit).map((variation) => ({
+      variation,
+      reason: buildScoreReason(variation, targetTags),
+    }));
+  }
+
+  return ranked.slice(0, limit).map(({ variation, reason }) => {
+    const rawVariation = rawVariationsById.get(variation.id);
+    return toSuggestion(rawVariation, rawExercisesById.get(rawVariation?.exerciseId), reason);
+  });
+}
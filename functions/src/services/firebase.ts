@@ -7,6 +7,7 @@
 
 import * as admin from "firebase-admin";
 import { initializeFirebaseAdmin } from "../utils/admin-init";
+import { Mesocycle } from "../types/schemas";
 
 /**
  * Obtiene el perfil completo del usuario desde Firebase
@@ -49,10 +50,13 @@ export async function getAllVariationsFromFirebase(): Promise<any[]> {
   const variationPromises = exercisesSnapshot.docs.map(async (exerciseDoc) => {
     const variationsRef = exerciseDoc.ref.collection("variaciones");
     const variationsSnapshot = await variationsRef.get();
+    const targetMuscles = exerciseDoc.data().targetMuscleGroups || [];
     
-    // Mapear cada variación con su ID
+    // Mapear cada variación con su ID, su ejercicio y los músculos del ejercicio padre (contraindicaciones)
     return variationsSnapshot.docs.map((variationDoc) => ({
       id: variationDoc.id,
+      exerciseId: exerciseDoc.id,
+      targetMuscles,
       ...variationDoc.data()
     }));
   });
@@ -88,3 +92,103 @@ export async function getBlacklistedVariationIds(uid: string): Promise<string[]>
   const data = userDoc.data();
   return data?.blackListedVariationIds || [];
 }
+
+/**
+ * Obtiene todos los ejercicios (documentos padre de las variaciones) desde Firebase
+ * @returns Array of exercise objects (id, name, targetMuscleGroups, category...)
+ */
+export async function getAllExercisesFromFirebase(): Promise<any[]> {
+  initializeFirebaseAdmin();
+  const db = admin.firestore();
+  
+  const exercisesSnapshot = await db.collection("ejercicios").get();
+  
+  return exercisesSnapshot.docs.map((exerciseDoc) => ({
+    id: exerciseDoc.id,
+    ...exerciseDoc.data()
+  }));
+}
+
+/**
+ * Obtiene el mesociclo activo del usuario (último bloque generado)
+ * El ID está en users/{uid}.activeMesocycleId y el bloque en users/{uid}/mesocycles/{id}.
+ * Un bloque completed se devuelve igualmente para poder regenerar su última semana;
+ * el Strategy decide si continuar o planificar uno nuevo (advanceMesocycle).
+ * @param uid User ID
+ * @returns Mesocycle, or null if there is none (first run)
+ */
+export async function getActiveMesocycle(uid: string): Promise<Mesocycle | null> {
+  initializeFirebaseAdmin();
+  const db = admin.firestore();
+
+  const userRef = db.collection("users").doc(uid);
+  const userDoc = await userRef.get();
+  const mesocycleId = userDoc.data()?.activeMesocycleId;
+
+  if (!mesocycleId) {
+    return null;
+  }
+
+  const mesocycleDoc = await userRef.collection("mesocycles").doc(mesocycleId).get();
+
+  if (!mesocycleDoc.exists) {
+    console.warn(`[Firebase Service] Mesociclo activo ${mesocycleId} no encontrado`);
+    return null;
+  }
+
+  return { id: mesocycleDoc.id, ...mesocycleDoc.data() } as Mesocycle;
+}
+
+/**
+ * Número de semanas recientes en las que se busca una sesión por fecha
+ */
+const WEEKS_TO_SEARCH = 8;
+
+/**
+ * Busca la semana persistida (users/{uid}/sessions/sessions_week_{ts}) que contiene
+ * la sesión de una fecha. Si varias semanas la contienen, gana la más reciente.
+ * @param uid User ID
+ * @param date Fecha de la sesión (YYYY-MM-DD)
+ * @returns Referencia y datos de la semana, o null si no se encuentra
+ */
+export async function findWeeklySessionsByDate(
+  uid: string,
+  date: string
+): Promise<{ ref: admin.firestore.DocumentReference; data: admin.firestore.DocumentData } | null> {
+  initializeFirebaseAdmin();
+  const db = admin.firestore();
+
+  const snapshot = await db
+    .collection("users")
+    .doc(uid)
+    .collection("sessions")
+    .orderBy("weekTimestamp", "desc")
+    .limit(WEEKS_TO_SEARCH)
+    .get();
+
+  const weekDoc = snapshot.docs.find((doc) =>
+    (doc.data().finalSessions || []).some((session: { date?: string }) => session.date === date)
+  );
+
+  return weekDoc ? { ref: weekDoc.ref, data: weekDoc.data() } : null;
+}
+
+/**
+ * Obtiene un mesociclo por ID (users/{uid}/mesocycles/{id})
+ * @param uid User ID
+ * @param mesocycleId Mesocycle ID
+ * @returns Mesocycle, or null if it does not exist
+ */
+export async function getMesocycleById(uid: string, mesocycleId: string): Promise<Mesocycle | null> {
+  initializeFirebaseAdmin();
+  const db = admin.firestore();
+
+  const mesocycleDoc = await db
+    .collection("users")
+    .doc(uid)
+    .collection("mesocycles")
+    .doc(mesocycleId)
+    .get();
+
+  return mesocycleDoc.exists ? ({ id: mesocycleDoc.id, ...mesocycleDoc.data() } as Mesocycle) : null;
+}
@@ -0,0 +1,167 @@
+/**
+ * Firestore Checkpointer
+ *
+ * Checkpoint saver de LangGraph que guarda el estado del grafo al final de cada paso
+ * en users/{uid}/generationRuns/{runId}/checkpoints/{checkpointId}.
+ *
+ * Permite reanudar una ejecución fallida desde el último paso completado
+ * (graph.invoke(null, { configurable: { thread_id: runId } })) en lugar de
+ * regenerar la semana entera. Un checkpointer por ejecución: el thread_id es el runId.
+ *
+ * El catálogo (availableVariations) no se guarda: solo sus IDs. Al leer un checkpoint
+ * se vuelve a cargar con loadVariations, como hace el Context Loader, para no acercarse
+ * al límite de 1 MiB por documento de Firestore.
+ */
+
+import * as admin from "firebase-admin";
+import { BaseCheckpointSaver, Checkpoint, CheckpointMetadata } from "@langchain/langgraph";
+import { ExerciseVariation } from "../types/schemas";
+
+// Tipos derivados de BaseCheckpointSaver: langgraph trae su propia copia de @langchain/core
+type RunnableConfig = Parameters<BaseCheckpointSaver["getTuple"]>[0];
+type CheckpointTuple = NonNullable<Awaited<ReturnType<BaseCheckpointSaver["getTuple"]>>>;
+
+/**
+ * Carga el catálogo de variaciones (ya limpias) para rehidratar availableVariations
+ */
+export type VariationLoader = () => Promise<ExerciseVariation[]>;
+
+export class FirestoreCheckpointSaver extends BaseCheckpointSaver {
+  // Una carga del catálogo por ejecución (getTuple/list pueden leer varios checkpoints)
+  private catalog: Promise<Map<string, ExerciseVariation>> | null = null;
+
+  constructor(
+    private readonly runRef: admin.firestore.DocumentReference,
+    private readonly loadVariations: VariationLoader
+  ) {
+    super();
+  }
+
+  private get checkpointsRef(): admin.firestore.CollectionReference {
+    return this.runRef.collection("checkpoints");
+  }
+
+  private async toTuple(
+    threadId: string,
+    doc: admin.firestore.DocumentSnapshot
+  ): Promise<CheckpointTuple> {
+    const data = doc.data() || {};
+    const checkpoint = (await this.serde.parse(data.checkpoint)) as Checkpoint;
+
+    if (Array.isArray(data.availableVariationIds)) {
+      checkpoint.channel_values = {
+        ...checkpoint.channel_values,
+        availableVariations: await this.rehydrateVariations(data.availableVariationIds),
+      };
+    }
+
+    return {
+      config: { configurable: { thread_id: threadId, checkpoint_id: doc.id } },
+      checkpoint,
+      metadata: (await this.serde.parse(data.metadata)) as CheckpointMetadata,
+    };
+  }
+
+  /**
+   * Variaciones del catálogo con los IDs guardados, en el mismo orden
+   * (las que ya no existen en el catálogo se descartan)
+   */
+  private async rehydrateVariations(ids: string[]): Promise<ExerciseVariation[]> {
+    if (!this.catalog) {
+      this.catalog = this.loadVariations().then((variations) => new Map(variations.map((v) => [v.id, v])));
+    }
+    const catalog = await this.catalog;
+    return ids
+      .map((id) => catalog.get(id))
+      .filter((v): v is ExerciseVariation => v !== undefined);
+  }
+
+  /**
+   * ¿Hay algún checkpoint desde el que reanudar?
+   */
+  async hasCheckpoint(): Promise<boolean> {
+    const snapshot = await this.checkpointsRef.limit(1).get();
+    return !snapshot.empty;
+  }
+
+  async getTuple(config: RunnableConfig): Promise<CheckpointTuple | undefined> {
+    const threadId = config.configurable?.thread_id;
+    const checkpointId = config.configurable?.checkpoint_id;
+
+    if (checkpointId) {
+      const doc = await this.checkpointsRef.doc(checkpointId).get();
+      return doc.exists ? this.toTuple(threadId, doc) : undefined;
+    }
+
+    // Sin checkpoint_id: el último (los IDs uuid6 se ordenan por tiempo)
+    const snapshot = await this.checkpointsRef
+      .orderBy(admin.firestore.FieldPath.documentId(), "desc")
+      .limit(1)
+      .get();
+
+    return snapshot.empty ? undefined : this.toTuple(threadId, snapshot.docs[0]);
+  }
+
+  async *list(
+    config: RunnableConfig,
+    limit?: number,
+    before?: RunnableConfig
+  ): AsyncGenerator<CheckpointTuple> {
+    const threadId = config.configurable?.thread_id;
+    let query = this.checkpointsRef.orderBy(admin.firestore.FieldPath.documentId(), "desc");
+
+    if (before?.configurable?.checkpoint_id) {
+      query = query.startAfter(before.configurable.checkpoint_id);
+    }
+    if (limit) {
+      query = query.limit(limit);
+    }
+
+    const snapshot = await query.get();
+    for (const doc of snapshot.docs) {
+      yield await this.toTuple(threadId, doc);
+    }
+  }
+
+  async put(
+    config: RunnableConfig,
+    checkpoint: Checkpoint,
+    metadata: CheckpointMetadata
+  ): Promise<RunnableConfig> {
+    // El catálogo se guarda como IDs (se rehidrata al leer el checkpoint)
+    const { availableVariations, ...channelValues } = checkpoint.channel_values as Record<string, unknown>;
+    const availableVariationIds = Array.isArray(availableVariations)
+      ? (availableVariations as ExerciseVariation[]).map((v) => v.id)
+      : null;
+
+    await this.checkpointsRef.doc(checkpoint.id).set({
+      checkpoint: this.serde.stringify({ ...checkpoint, channel_values: channelValues }),
+      metadata: this.serde.stringify(metadata),
+      availableVariationIds,
+      step: metadata.step,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    return {
+      configurable: {
+        thread_id: config.configurable?.thread_id,
+        checkpoint_id: checkpoint.id,
+      },
+    };
+  }
+
+  /**
+   * Borra todos los checkpoints de la ejecución (una ejecución completada no se reanuda)
+   */
+  async clear(): Promise<void> {
+    const snapshot = await this.checkpointsRef.get();
+    const db = this.runRef.firestore;
+
+    // Lotes de 500 escrituras (límite de Firestore)
+    for (let i = 0; i < snapshot.docs.length; i += 500) {
+      const batch = db.batch();
+      snapshot.docs.slice(i, i + 500).forEach((doc) => batch.delete(doc.ref));
+      await batch.commit();
+    }
+  }
+}
@@ -1,9 +1,304 @@
 /**
- * Fuzzy Logic Service
- * 
- * This service handles fuzzy matching and scoring logic for exercise variations.
- * Skeleton implementation - ready for implementation.
+ * Fuzzy Logic Service (DETERMINÍSTICO)
+ *
+ * Matching semántico de tags para el scoring del Filter Engine (5.2).
+ * Las tags que elige el LLM ("hips", "posterior chain", "deadlift") no siempre
+ * coinciden literalmente con las del catálogo ("hip", "glutes", "hinge"), así que
+ * la similitud entre dos términos se calcula por capas, de más a menos fuerte:
+ *
+ * 1. Igualdad tras normalizar ("hip-flexors" → "hip flexors")
+ * 2. Stemming ("hips" ↔ "hip", "squatting" ↔ "squat")
+ * 3. Grupos de sinónimos ("deadlift" ↔ "hinge", "posterior chain" ↔ "glutes")
+ * 4. Coincidencia parcial de palabras ("hip" ↔ "hip extensors")
+ * 5. Similitud de strings sobre los stems (errores de escritura: "shoulders" ↔ "sholders")
+ *
+ * Las tags objetivo también se comparan con los grupos musculares del ejercicio
+ * (targetMuscles), con menos peso que las tags de la variación.
  */
 
-// TODO: Implement fuzzy matching and scoring logic
+import { ExerciseVariation } from "../types/schemas";
 
+/**
+ * Similitud mínima para considerar que un término coincide con otro
+ */
+export const FUZZY_MATCH_THRESHOLD = 0.5;
+
+/**
+ * Peso de una coincidencia contra grupos musculares frente a tags
+ */
+export const MUSCLE_MATCH_WEIGHT = 0.75;
+
+const SIMILARITY = {
+  exact: 1,
+  stem: 0.95,
+  synonym: 0.85,
+  partial: 0.7,
+  // La similitud de strings se escala por este factor (nunca supera a un sinónimo)
+  stringScale: 0.8,
+  // Similitud de strings mínima (Dice sobre bigramas) para contar
+  minString: 0.75,
+};
+
+/**
+ * Grupos de términos equivalentes (un término puede estar en varios grupos).
+ * Incluye las tags de AVAILABLE_TAGS y los grupos musculares del catálogo.
+ */
+export const SYNONYM_GROUPS: string[][] = [
+  // Anatomía
+  ["chest", "pecs", "pectorals", "pectoralis"],
+  ["back", "upper back", "lats", "latissimus dorsi", "rhomboids", "traps", "trapezius", "upper trapezius", "middle trapezius"],
+  ["back", "lower back", "back extensors", "erector spinae", "spinal extensors"],
+  ["legs", "leg", "lower body", "quadriceps", "quads", "hamstrings", "calves", "glutes"],
+  ["shoulders", "delts", "deltoids", "anterior deltoids", "lateral deltoids", "posterior deltoids", "rear deltoids"],
+  // "stability" no va aquí: en el catálogo también es estabilidad de cadera, hombro o tobillo
+  ["core", "abs", "abdominals", "obliques", "trunk", "midsection", "spinal flexors"],
+  ["arms", "biceps", "triceps", "forearms", "grip"],
+  ["hip", "hips", "hip flexors", "hip abductors", "hip stability", "hip mobility"],
+  ["glutes", "glute", "gluteus", "hip extensors"],
+  ["posterior chain", "glutes", "hamstrings", "back extensors", "erector spinae", "spinal extensors", "hinge"],
+  // Patrón de movimiento
+  ["push", "press", "pressing", "push up"],
+  ["pull", "row", "rowing", "pull up", "chin up"],
+  ["squat", "goblet squat", "front squat", "back squat"],
+  ["hinge", "hip hinge", "deadlift", "romanian deadlift", "rdl", "good morning", "swing", "kettlebell swing"],
+  ["lunge", "split squat", "step up", "reverse lunge"],
+  ["rotation", "rotational", "twist", "spinal rotation", "anti rotation", "obliques"],
+  // Modalidad/Atributo
+  ["unilateral", "single leg", "single arm", "one leg", "one arm"],
+  ["bilateral", "both sides"],
+  ["isometric", "hold", "static", "plank"],
+  ["explosive", "power", "ballistic", "jump", "plyometric"],
+  ["plyometric", "plyo", "jump", "jumping", "bounding"],
+  ["mobility", "flexibility", "stretch", "stretching", "range of motion"],
+];
+
+/**
+ * Normaliza un término: minúsculas, guiones/underscores a espacios, espacios colapsados
+ */
+export function normalizeTerm(term: string): string {
+  return (term || "").toLowerCase().replace(/[-_]+/g, " ").replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Stemming ligero para inglés (suficiente para tags y grupos musculares):
+ * plurales, -ing, -ed y "e" final. La consonante doble que deja -ing/-ed se simplifica
+ * salvo l, s y z, que ya son dobles en la raíz ("pressing" → "press", "rolling" → "roll")
+ *
+ * @example stemWord("hips") → "hip", stemWord("squatting") → "squat", stemWord("lunges") → "lung"
+ * @example stemWord("press") → "press"
+ */
+export function stemWord(word: string): string {
+  let stem = word;
+  let verbSuffix = false;
+
+  if (stem.length > 4 && stem.endsWith("ies")) {
+    stem = `${stem.slice(0, -3)}y`;
+  } else if (stem.length > 5 && stem.endsWith("ing")) {
+    stem = stem.slice(0, -3);
+    verbSuffix = true;
+  } else if (stem.length > 4 && stem.endsWith("ed")) {
+    stem = stem.slice(0, -2);
+    verbSuffix = true;
+  } else if (stem.length > 3 && stem.endsWith("s") && !stem.endsWith("ss")) {
+    stem = stem.slice(0, -1);
+  }
+
+  if (stem.length > 3 && stem.endsWith("e")) {
+    stem = stem.slice(0, -1);
+  }
+
+  if (verbSuffix && stem.length > 3 && /([^aeiouylsz])\1$/.test(stem)) {
+    stem = stem.slice(0, -1);
+  }
+
+  return stem;
+}
+
+/**
+ * Normaliza y aplica stemming a cada palabra del término
+ */
+export function stemTerm(term: string): string {
+  return normalizeTerm(term).split(" ").filter(Boolean).map(stemWord).join(" ");
+}
+
+// Índice stem → ids de grupos de sinónimos
+const synonymIndex = new Map<string, Set<number>>();
+SYNONYM_GROUPS.forEach((group, groupId) => {
+  group.forEach((term) => {
+    const stem = stemTerm(term);
+    if (!synonymIndex.has(stem)) {
+      synonymIndex.set(stem, new Set());
+    }
+    synonymIndex.get(stem)!.add(groupId);
+  });
+});
+
+function areSynonyms(stemA: string, stemB: string): boolean {
+  const groupsA = synonymIndex.get(stemA);
+  const groupsB = synonymIndex.get(stemB);
+  if (!groupsA || !groupsB) {
+    return false;
+  }
+  return Array.from(groupsA).some((groupId) => groupsB.has(groupId));
+}
+
+/**
+ * Coeficiente de Dice sobre bigramas de caracteres (0-1)
+ */
+export function stringSimilarity(a: string, b: string): number {
+  if (a === b) {
+    return 1;
+  }
+  if (a.length < 2 || b.length < 2) {
+    return 0;
+  }
+
+  const bigrams = (s: string) => {
+    const counts = new Map<string, number>();
+    for (let i = 0; i < s.length - 1; i++) {
+      const bigram = s.slice(i, i + 2);
+      counts.set(bigram, (counts.get(bigram) || 0) + 1);
+    }
+    return counts;
+  };
+
+  const bigramsA = bigrams(a);
+  const bigramsB = bigrams(b);
+  let intersection = 0;
+
+  bigramsA.forEach((count, bigram) => {
+    intersection += Math.min(count, bigramsB.get(bigram) || 0);
+  });
+
+  return (2 * intersection) / (a.length - 1 + b.length - 1);
+}
+
+// Cache de similitudes: el Filter Engine compara los mismos términos en cada sesión
+const similarityCache = new Map<string, number>();
+
+/**
+ * Similitud semántica entre dos términos (0-1)
+ *
+ * @example termSimilarity("hips", "hip") → 0.95
+ * @example termSimilarity("deadlift", "hinge") → 0.85
+ * @example termSimilarity("hip", "hip extensors") → 0.7
+ * @example termSimilarity("shoulders", "sholders") → 0.62 (errata)
+ */
+export function termSimilarity(a: string, b: string): number {
+  const normA = normalizeTerm(a);
+  const normB = normalizeTerm(b);
+
+  if (!normA || !normB) {
+    return 0;
+  }
+  if (normA === normB) {
+    return SIMILARITY.exact;
+  }
+
+  const cacheKey = normA < normB ? `${normA}|${normB}` : `${normB}|${normA}`;
+  const cached = similarityCache.get(cacheKey);
+  if (cached !== undefined) {
+    return cached;
+  }
+
+  const stemA = stemTerm(normA);
+  const stemB = stemTerm(normB);
+  let similarity = 0;
+
+  if (stemA === stemB) {
+    similarity = SIMILARITY.stem;
+  } else if (areSynonyms(stemA, stemB)) {
+    similarity = SIMILARITY.synonym;
+  } else {
+    // Coincidencia parcial: todas las palabras de un término aparecen en el otro
+    const wordsA = stemA.split(" ");
+    const wordsB = stemB.split(" ");
+    const [shorter, longer] = wordsA.length <= wordsB.length ? [wordsA, wordsB] : [wordsB, wordsA];
+
+    if (shorter.every((word) => longer.includes(word))) {
+      similarity = SIMILARITY.partial;
+    } else {
+      // Sobre los stems: los plurales no penalizan una errata ("shoulders" ↔ "sholder")
+      const dice = stringSimilarity(stemA, stemB);
+      similarity = dice >= SIMILARITY.minString ? dice * SIMILARITY.stringScale : 0;
+    }
+  }
+
+  similarityCache.set(cacheKey, similarity);
+  return similarity;
+}
+
+/**
+ * Mejor similitud de un término contra una lista de candidatos
+ */
+export function bestMatch(term: string, candidates: string[]): { match: string | null; similarity: number } {
+  let best: { match: string | null; similarity: number } = { match: null, similarity: 0 };
+
+  candidates.forEach((candidate) => {
+    const similarity = termSimilarity(term, candidate);
+    if (similarity > best.similarity) {
+      best = { match: candidate, similarity };
+    }
+  });
+
+  return best;
+}
+
+/**
+ * ¿El término pertenece al vocabulario conocido (lista dada o grupos de sinónimos)?
+ * Se usa para aceptar tags del LLM que no están literalmente en AVAILABLE_TAGS.
+ */
+export function isKnownTerm(term: string, vocabulary: string[]): boolean {
+  if (synonymIndex.has(stemTerm(term))) {
+    return true;
+  }
+  return bestMatch(term, vocabulary).similarity >= FUZZY_MATCH_THRESHOLD;
+}
+
+/**
+ * Score (0-1) de una variación frente a las tags objetivo
+ *
+ * Cada tag objetivo aporta su mejor similitud contra las tags de la variación
+ * o, con peso MUSCLE_MATCH_WEIGHT, contra los grupos musculares del ejercicio.
+ * Se mantiene el bonus por cubrir varias tags objetivo.
+ *
+ * @param variation - Variación con tags y (opcional) targetMuscles
+ * @param targetTags - Tags objetivo de la sesión (ya normalizadas)
+ */
+export function fuzzyTagScore(
+  variation: Pick<ExerciseVariation, "tags" | "targetMuscles">,
+  targetTags: string[]
+): number {
+  if (targetTags.length === 0) {
+    return 0;
+  }
+
+  const tags = variation.tags || [];
+  const muscles = variation.targetMuscles || [];
+
+  if (tags.length === 0 && muscles.length === 0) {
+    return 0;
+  }
+
+  let total = 0;
+  let matches = 0;
+
+  targetTags.forEach((target) => {
+    const similarity = Math.max(
+      bestMatch(target, tags).similarity,
+      bestMatch(target, muscles).similarity * MUSCLE_MATCH_WEIGHT
+    );
+
+    if (similarity >= FUZZY_MATCH_THRESHOLD) {
+      total += similarity;
+      matches++;
+    }
+  });
+
+  // Score base: cobertura ponderada de las tags objetivo
+  const baseScore = total / targetTags.length;
+
+  // Bonus: si tiene múltiples coincidencias, dar bonus proporcional
+  const bonusMultiplier = matches > 1 ? 1 + (matches - 1) * 0.1 : 1;
+  return Math.min(1.0, baseScore * bonusMultiplier);
+}
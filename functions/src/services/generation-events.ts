@@ -0,0 +1,83 @@
+/**
+ * Generation Events Service
+ *
+ * Traduce las transiciones de nodos del grafo a eventos de progreso (GenerationEvent)
+ * que generateWorkout envía como Server-Sent Events:
+ * - node: inicio/fin/error de cada nodo
+ * - strategy: plan semanal listo (el dashboard pinta el esqueleto de la semana)
+ * - day_phase: fase de un día elegida por su selector
+ * - day_assembled: sesión de un día completa
+ * - persisted: semana guardada en Firebase
+ *
+ * Los eventos complete/error los emite el endpoint al terminar la ejecución.
+ */
+
+import { GraphNodeObserver } from "../graph/workflow";
+import { GenerationEvent, PhaseType } from "../types/schemas";
+
+const SELECTOR_PHASES: Record<string, PhaseType> = {
+  warmupSelector: "warmup",
+  workoutSelector: "workout",
+  cooldownSelector: "cooldown",
+};
+
+/**
+ * Formatea un evento como frame SSE (event + data JSON)
+ */
+export function formatSSE(event: GenerationEvent): string {
+  return `event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`;
+}
+
+/**
+ * Observer del grafo que emite un GenerationEvent por cada transición relevante
+ *
+ * @param emit - Destino de los eventos (ej. res.write(formatSSE(event)))
+ */
+export function createGenerationEventObserver(
+  emit: (event: GenerationEvent) => void
+): GraphNodeObserver {
+  // Un cliente desconectado no debe romper la generación
+  const safeEmit = (event: GenerationEvent) => {
+    try {
+      emit(event);
+    } catch (error) {
+      console.warn("[Generation Events] No se pudo emitir el evento:", event.type, error);
+    }
+  };
+
+  return {
+    onNodeStart(node, state) {
+      safeEmit({ type: "node", node, status: "started", dayIndex: state.currentDayIndex ?? 0 });
+    },
+
+    onNodeEnd(node, state, update, durationMs) {
+      const dayIndex = state.currentDayIndex ?? 0;
+      safeEmit({ type: "node", node, status: "completed", dayIndex, durationMs });
+
+      if (node === "strategy" && update.weeklyPlan) {
+        safeEmit({ type: "strategy", weeklyPlan: update.weeklyPlan });
+      }
+
+      const phase = SELECTOR_PHASES[node];
+      if (phase && update.selectedVariations) {
+        safeEmit({ type: "day_phase", dayIndex, phase, variations: update.selectedVariations[phase] || [] });
+      }
+
+      if (node === "assembler" && update.finalSessions && update.finalSessions.length > 0) {
+        safeEmit({
+          type: "day_assembled",
+          dayIndex,
+          session: update.finalSessions[update.finalSessions.length - 1],
+        });
+      }
+
+      if (node === "persistence") {
+        safeEmit({ type: "persisted", sessionCount: state.finalSessions?.length || 0 });
+      }
+    },
+
+    onNodeError(node, state, _error, durationMs) {
+      safeEmit({ type: "node", node, status: "failed", dayIndex: state.currentDayIndex ?? 0, durationMs });
+    },
+  };
+}
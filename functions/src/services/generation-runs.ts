@@ -0,0 +1,219 @@
+/**
+ * Generation Runs Service
+ *
+ * Historial de ejecuciones de generateWorkout en users/{uid}/generationRuns/{runId}:
+ * - status (running | completed | failed), nodo actual e intentos
+ * - timing por nodo (GenerationNodeTiming)
+ * - estado intermedio: weeklyPlan del Strategy y selección de cada día ensamblado
+ * - error (mensaje y nodo) o resultado final
+ *
+ * El frontend lee el documento para mostrar el progreso (polling) y puede pedir
+ * reanudar una ejecución fallida desde su último checkpoint (ver firestore-checkpointer.ts).
+ */
+
+import * as admin from "firebase-admin";
+import { initializeFirebaseAdmin } from "../utils/admin-init";
+import { GraphNodeObserver } from "../graph/workflow";
+import {
+  GenerationNodeTiming,
+  GenerationRun,
+  GenerationRunDay,
+  MesocycleSummary,
+  TrainingSession,
+} from "../types/schemas";
+
+/**
+ * Una ejecución "running" sin actualizaciones durante este tiempo se considera
+ * interrumpida (la instancia murió o se agotó el timeout) y puede reanudarse
+ */
+export const STALE_RUN_MS = 10 * 60 * 1000;
+
+const RUN_ID_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+
+/**
+ * ID de ejecución nuevo, o el enviado por el cliente si es válido
+ * (el cliente lo genera para poder hacer polling mientras espera la respuesta)
+ */
+export function resolveRunId(clientRunId?: unknown): string {
+  if (typeof clientRunId === "string" && RUN_ID_PATTERN.test(clientRunId)) {
+    return clientRunId;
+  }
+  return `run_${Date.now()}_${Math.random().toString(36).slice(2, 10)}`;
+}
+
+export function getGenerationRunRef(uid: string, runId: string): admin.firestore.DocumentReference {
+  initializeFirebaseAdmin();
+  return admin.firestore().collection("users").doc(uid).collection("generationRuns").doc(runId);
+}
+
+/**
+ * Crea el documento de la ejecución en estado running
+ * @throws Error si ya existe una ejecución con ese ID
+ */
+export async function createGenerationRun(
+  uid: string,
+  runId: string,
+  input: { requestType: string; mesocycleWeeks: number | null }
+): Promise<admin.firestore.DocumentReference> {
+  const runRef = getGenerationRunRef(uid, runId);
+  const now = new Date().toISOString();
+
+  const run: GenerationRun = {
+    id: runId,
+    userId: uid,
+    requestType: input.requestType,
+    status: "running",
+    input: { mesocycleWeeks: input.mesocycleWeeks },
+    attempts: 1,
+    currentNode: null,
+    nodeTimings: [],
+    weeklyPlan: null,
+    days: [],
+    error: null,
+    result: null,
+    createdAt: now,
+    updatedAt: now,
+    completedAt: null,
+  };
+
+  // create() falla si el documento existe (runId repetido)
+  await runRef.create(run);
+  return runRef;
+}
+
+export async function getGenerationRun(uid: string, runId: string): Promise<GenerationRun | null> {
+  const snapshot = await getGenerationRunRef(uid, runId).get();
+  return snapshot.exists ? (snapshot.data() as GenerationRun) : null;
+}
+
+/**
+ * Una ejecución se puede reanudar si falló o si quedó colgada en running
+ */
+export function isRunResumable(run: GenerationRun, now: number = Date.now()): boolean {
+  if (run.status === "failed") {
+    return true;
+  }
+  return run.status === "running" && now - new Date(run.updatedAt).getTime() > STALE_RUN_MS;
+}
+
+/**
+ * Vuelve a poner la ejecución en running para un nuevo intento
+ */
+export async function markGenerationRunResumed(runRef: admin.firestore.DocumentReference): Promise<void> {
+  await runRef.update({
+    status: "running",
+    error: null,
+    attempts: admin.firestore.FieldValue.increment(1),
+    updatedAt: new Date().toISOString(),
+  });
+}
+
+export async function completeGenerationRun(
+  runRef: admin.firestore.DocumentReference,
+  result: { sessions: TrainingSession[]; mesocycle: MesocycleSummary | null }
+): Promise<void> {
+  const now = new Date().toISOString();
+  await runRef.update({
+    status: "completed",
+    currentNode: null,
+    result,
+    updatedAt: now,
+    completedAt: now,
+  });
+}
+
+export async function failGenerationRun(
+  runRef: admin.firestore.DocumentReference,
+  message: string,
+  node: string | null
+): Promise<void> {
+  const now = new Date().toISOString();
+  await runRef.update({
+    status: "failed",
+    error: { message, node, at: now },
+    updatedAt: now,
+  });
+}
+
+/**
+ * Escritura best-effort: un fallo al registrar el progreso no debe romper la generación
+ */
+async function safeUpdate(
+  runRef: admin.firestore.DocumentReference,
+  data: Record<string, unknown>
+): Promise<void> {
+  try {
+    await runRef.update({ ...data, updatedAt: new Date().toISOString() });
+  } catch (error) {
+    console.warn(
+      `[Generation Runs] No se pudo actualizar ${runRef.id}:`,
+      error instanceof Error ? error.message : error
+    );
+  }
+}
+
+/**
+ * Observer del grafo que registra el progreso de la ejecución en su documento
+ *
+ * @returns Observer + el último nodo que falló (para el error de la ejecución)
+ */
+export function createGenerationRunObserver(
+  runRef: admin.firestore.DocumentReference
+): GraphNodeObserver & { failedNode: string | null } {
+  const observer: GraphNodeObserver & { failedNode: string | null } = {
+    failedNode: null,
+
+    async onNodeStart(node) {
+      await safeUpdate(runRef, { currentNode: node });
+    },
+
+    async onNodeEnd(node, state, update, durationMs) {
+      const timing: GenerationNodeTiming = {
+        node,
+        dayIndex: state.currentDayIndex ?? 0,
+        startedAt: new Date(Date.now() - durationMs).toISOString(),
+        durationMs,
+        status: "completed",
+      };
+      const data: Record<string, unknown> = {
+        nodeTimings: admin.firestore.FieldValue.arrayUnion(timing),
+      };
+
+      // Estado intermedio: plan semanal y selección de cada día
+      if (node === "strategy" && update.weeklyPlan) {
+        data.weeklyPlan = update.weeklyPlan;
+      }
+
+      if (node === "assembler" && update.finalSessions && update.finalSessions.length > 0) {
+        const session = update.finalSessions[update.finalSessions.length - 1];
+        const day: GenerationRunDay = {
+          dayIndex: state.currentDayIndex,
+          date: session.date,
+          focus: session.focus,
+          warmup: session.warmup.map((v) => v.id),
+          workout: session.workout.map((v) => v.id),
+          cooldown: session.cooldown.map((v) => v.id),
+        };
+        data.days = admin.firestore.FieldValue.arrayUnion(day);
+      }
+
+      await safeUpdate(runRef, data);
+    },
+
+    async onNodeError(node, state, _error, durationMs) {
+      observer.failedNode = node;
+      const timing: GenerationNodeTiming = {
+        node,
+        dayIndex: state.currentDayIndex ?? 0,
+        startedAt: new Date(Date.now() - durationMs).toISOString(),
+        durationMs,
+        status: "failed",
+      };
+      await safeUpdate(runRef, {
+        nodeTimings: admin.firestore.FieldValue.arrayUnion(timing),
+      });
+    },
+  };
+
+  return observer;
+}
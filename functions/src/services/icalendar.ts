@@ -0,0 +1,240 @@
+/**
+ * iCalendar Feed (RFC 5545)
+ *
+ * Construye el feed .ics por usuario que sirve el endpoint calendarFeed:
+ * un evento de día completo por sesión con fecha del training system más reciente.
+ * Los eventos son los mismos que la descarga del calendario (js/core/icalendar.js):
+ * - UID estable por sesión (una sesión movida actualiza el evento existente)
+ * - SEQUENCE = calendarSequence de la sesión (se incrementa al moverla)
+ * - SUMMARY: framework y disciplina, DESCRIPTION: resumen de fases
+ */
+
+import * as admin from "firebase-admin";
+import { timingSafeEqual } from "crypto";
+import { initializeFirebaseAdmin } from "../utils/admin-init";
+
+const ICAL_PRODUCT_ID = "-//REGAIN//Training Calendar//EN";
+const ICAL_UID_DOMAIN = "regain.app";
+const FEED_REFRESH_INTERVAL = "PT6H";
+
+const PHASE_LABELS: Record<string, string> = {
+  warmup: "Warm-up",
+  workout: "Workout",
+  cooldown: "Cool Down",
+};
+
+// Mismas disciplinas que cleanFrameworkName (js/core/constants.js)
+const FRAMEWORK_DISCIPLINES = ["Animal Flow", "Pilates", "Yoga", "Weights", "Calisthenics", "Crossfit", "CrossFit"];
+
+/**
+ * Quita el nombre de la disciplina de un framework combinado ("Animal Flow - Push" -> "Push")
+ * Port de cleanFrameworkName (js/core/constants.js)
+ */
+function cleanFrameworkName(framework: unknown): string {
+  if (!framework || typeof framework !== "string") {
+    return "Workout";
+  }
+
+  let cleaned = framework.trim();
+  FRAMEWORK_DISCIPLINES.forEach((discipline) => {
+    const patterns = [
+      new RegExp(`\\s+and\\s+${discipline}`, "gi"),
+      new RegExp(`${discipline}\\s+and\\s+`, "gi"),
+      new RegExp(`\\s+&\\s+${discipline}`, "gi"),
+      new RegExp(`${discipline}\\s+&\\s+`, "gi"),
+      new RegExp(`\\s*-\\s*${discipline}`, "gi"),
+      new RegExp(`${discipline}\\s*-\\s*`, "gi"),
+      new RegExp(`^${discipline}\\s+`, "gi"),
+      new RegExp(`\\s+${discipline}$`, "gi"),
+    ];
+    patterns.forEach((pattern) => {
+      cleaned = cleaned.replace(pattern, "");
+    });
+  });
+
+  cleaned = cleaned.replace(/\s+/g, " ").trim();
+  cleaned = cleaned.replace(/^\s*[-/]\s*/, "").replace(/\s*[-/]\s*$/, "");
+  return cleaned || "Workout";
+}
+
+function formatDisciplines(discipline: unknown): string {
+  if (Array.isArray(discipline)) return discipline.join(", ");
+  return typeof discipline === "string" ? discipline : "";
+}
+
+/**
+ * Normaliza la fecha de una sesión a YYYY-MM-DD
+ * Las fechas guardadas como string ya son días del calendario del usuario
+ */
+function normalizeDateKey(value: any): string | null {
+  if (!value) return null;
+  if (typeof value === "string") {
+    if (/^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+    const parsed = new Date(value);
+    return isNaN(parsed.getTime()) ? null : parsed.toISOString().split("T")[0];
+  }
+  if (typeof value.toDate === "function") return value.toDate().toISOString().split("T")[0];
+  return null;
+}
+
+function nextDay(dateKey: string): string {
+  const [year, month, day] = dateKey.split("-").map(Number);
+  return new Date(Date.UTC(year, month - 1, day + 1)).toISOString().split("T")[0];
+}
+
+function formatICalTimestamp(value: any): string | null {
+  const date = typeof value?.toDate === "function" ? value.toDate() : new Date(value);
+  if (isNaN(date.getTime())) return null;
+  return date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+function escapeICalText(value: string): string {
+  return value
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+/**
+ * Pliega una línea a 75 octetos sin partir caracteres UTF-8 (RFC 5545 3.1)
+ */
+function foldICalLine(line: string): string {
+  const parts: string[] = [];
+  let current = "";
+  let currentBytes = 0;
+
+  for (const char of line) {
+    const charBytes = Buffer.byteLength(char, "utf8");
+    const limit = parts.length === 0 ? 75 : 74;
+    if (currentBytes + charBytes > limit) {
+      parts.push(current);
+      current = "";
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += charBytes;
+  }
+  parts.push(current);
+
+  return parts.join("\r\n ");
+}
+
+function formatPhaseSummary(phases: Record<string, any[]> = {}): string {
+  return Object.entries(PHASE_LABELS)
+    .map(([phaseKey, label]) => {
+      const phase = Array.isArray(phases?.[phaseKey]) ? phases[phaseKey] : [];
+      if (phase.length === 0) return null;
+      const names = phase
+        .map((variation) => variation?.variationName || variation?.exerciseName)
+        .filter(Boolean);
+      return `${label} (${phase.length}): ${names.join(", ")}`;
+    })
+    .filter(Boolean)
+    .join("\n");
+}
+
+function buildSessionEvent(session: any, systemId: string, dtstamp: string): string[] {
+  const date = normalizeDateKey(session.date);
+  if (!date) return [];
+
+  const framework = cleanFrameworkName(session.framework || session.workout);
+  const discipline = formatDisciplines(session.discipline);
+  const title = `${session.completed ? "✓ " : ""}${discipline ? `${framework} · ${discipline}` : framework}`;
+  const description = [
+    session.completed ? "Completed" : null,
+    formatPhaseSummary(session.phases),
+  ].filter(Boolean).join("\n\n");
+  const lastModified = session.updatedAt ? formatICalTimestamp(session.updatedAt) : null;
+  const sessionKey = session.id || normalizeDateKey(session.originalDate || session.date);
+
+  return [
+    "BEGIN:VEVENT",
+    `UID:${systemId}-${sessionKey}@${ICAL_UID_DOMAIN}`,
+    `DTSTAMP:${dtstamp}`,
+    `DTSTART;VALUE=DATE:${date.replace(/-/g, "")}`,
+    `DTEND;VALUE=DATE:${nextDay(date).replace(/-/g, "")}`,
+    `SEQUENCE:${Number.isInteger(session.calendarSequence) ? session.calendarSequence : 0}`,
+    `SUMMARY:${escapeICalText(title)}`,
+    ...(description ? [`DESCRIPTION:${escapeICalText(description)}`] : []),
+    ...(lastModified ? [`LAST-MODIFIED:${lastModified}`] : []),
+    "STATUS:CONFIRMED",
+    "TRANSP:TRANSPARENT",
+    "END:VEVENT",
+  ];
+}
+
+/**
+ * Construye el VCALENDAR de un training system
+ * @param systemId ID del training system
+ * @param sessions Sesiones del sistema (con id)
+ * @returns Texto iCalendar (líneas CRLF)
+ */
+export function buildTrainingCalendar(systemId: string | null, sessions: any[]): string {
+  const dtstamp = formatICalTimestamp(new Date()) as string;
+  const datedSessions = sessions
+    .filter((session) => normalizeDateKey(session.date))
+    .sort((a, b) => (normalizeDateKey(a.date) as string).localeCompare(normalizeDateKey(b.date) as string));
+
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${ICAL_PRODUCT_ID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    "X-WR-CALNAME:REGAIN Training",
+    `REFRESH-INTERVAL;VALUE=DURATION:${FEED_REFRESH_INTERVAL}`,
+    `X-PUBLISHED-TTL:${FEED_REFRESH_INTERVAL}`,
+    ...(systemId ? datedSessions.flatMap((session) => buildSessionEvent(session, systemId, dtstamp)) : []),
+    "END:VCALENDAR",
+  ];
+
+  return lines.map(foldICalLine).join("\r\n") + "\r\n";
+}
+
+/**
+ * Comprueba el token del feed de un usuario (calendarFeedToken del perfil)
+ * @param uid User ID
+ * @param token Token recibido en la URL del feed
+ * @returns true si el token coincide
+ */
+export async function verifyCalendarFeedToken(uid: string, token: string): Promise<boolean> {
+  initializeFirebaseAdmin();
+  const db = admin.firestore();
+
+  const userDoc = await db.collection("users").doc(uid).get();
+  const expected = userDoc.exists ? userDoc.data()?.calendarFeedToken : null;
+  if (typeof expected !== "string" || !expected || expected.length !== token.length) {
+    return false;
+  }
+
+  return timingSafeEqual(Buffer.from(expected), Buffer.from(token));
+}
+
+/**
+ * Construye el feed del usuario con el training system más reciente
+ * @param uid User ID
+ * @returns Texto iCalendar (un calendario vacío si el usuario no tiene sistema)
+ */
+export async function buildUserCalendarFeed(uid: string): Promise<string> {
+  initializeFirebaseAdmin();
+  const db = admin.firestore();
+
+  // 1. Training system más reciente (el que muestra el calendario)
+  const systemsSnap = await db.collection("users").doc(uid)
+    .collection("trainingSystems")
+    .orderBy("createdAt", "desc")
+    .limit(1)
+    .get();
+
+  if (systemsSnap.empty) {
+    return buildTrainingCalendar(null, []);
+  }
+
+  // 2. Sesiones del sistema
+  const systemDoc = systemsSnap.docs[0];
+  const sessionsSnap = await systemDoc.ref.collection("sessions").get();
+  const sessions = sessionsSnap.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+
+  return buildTrainingCalendar(systemDoc.id, sessions);
+}
@@ -0,0 +1,274 @@
+/**
+ * LLM Providers
+ *
+ * Implementaciones intercambiables del cliente LLM usado por services/llm.ts.
+ * El provider se selecciona por configuración (LLM_PROVIDER):
+ *
+ * - "openai": ChatOpenAI contra la API de OpenAI (OPENAI_API_KEY)
+ * - "openai-compatible": ChatOpenAI contra cualquier endpoint compatible (LLM_BASE_URL),
+ *   ej. Ollama, LM Studio o vLLM en local
+ * - "fixture": replay determinístico de respuestas de tool calling grabadas en un JSON,
+ *   sin acceso a red (tests y emulador)
+ */
+
+import * as fs from "fs";
+import * as path from "path";
+import { ChatOpenAI } from "@langchain/openai";
+import { HumanMessage } from "@langchain/core/messages";
+
+export type LLMProviderName = "openai" | "openai-compatible" | "fixture";
+
+export const LLM_PROVIDER_NAMES: LLMProviderName[] = ["openai", "openai-compatible", "fixture"];
+
+/**
+ * JSON schema de la función que el LLM debe llamar
+ */
+export interface LLMFunctionDefinition {
+  name: string;
+  description: string;
+  parameters: {
+    type: string;
+    properties: Record<string, any>;
+    required?: string[];
+  };
+}
+
+/**
+ * Contrato común de todos los providers
+ */
+export interface LLMProvider {
+  readonly name: LLMProviderName;
+
+  /**
+   * Llama al modelo forzando la función indicada y devuelve sus argumentos parseados
+   * @throws Error si el modelo no llama a la función o no hay respuesta disponible
+   */
+  callWithFunctionCalling<T = any>(
+    prompt: string,
+    functionDefinition: LLMFunctionDefinition,
+    model: string
+  ): Promise<T>;
+}
+
+/**
+ * Fichero de fixtures: respuestas grabadas por nombre de función, en orden de llamada
+ *
+ * @example
+ * {
+ *   "generate_weekly_plan": [{ "totalTrainingDays": 3, ... }],
+ *   "select_target_tags": [{ "targetTags": ["push", "chest"] }, { "targetTags": ["pull"] }]
+ * }
+ */
+export type LLMFixtures = Record<string, any[]>;
+
+/**
+ * Provider basado en ChatOpenAI (OpenAI o endpoint compatible)
+ */
+class ChatOpenAIProvider implements LLMProvider {
+  constructor(
+    readonly name: LLMProviderName,
+    private readonly apiKey: string,
+    private readonly temperature: number,
+    private readonly baseURL?: string
+  ) {}
+
+  async callWithFunctionCalling<T = any>(
+    prompt: string,
+    functionDefinition: LLMFunctionDefinition,
+    model: string
+  ): Promise<T> {
+    const llm = new ChatOpenAI({
+      model: model,
+      temperature: this.temperature,
+      openAIApiKey: this.apiKey,
+      ...(this.baseURL ? { configuration: { baseURL: this.baseURL } } : {}),
+    });
+
+    // Bind the function definition to the LLM using bindTools
+    // In @langchain/openai v0.3+, bindTools accepts an array of tool definitions
+    const llmWithFunction = llm.bindTools([
+      {
+        type: "function" as const,
+        function: {
+          name: functionDefinition.name,
+          description: functionDefinition.description,
+          parameters: functionDefinition.parameters,
+        },
+      },
+    ]);
+
+    // Call the LLM
+    const response = await llmWithFunction.invoke([new HumanMessage(prompt)]);
+
+    // Extract tool calls from the response
+    // In LangChain, tool_calls is an array on the message
+    const toolCalls = response.tool_calls || [];
+
+    if (toolCalls.length === 0) {
+      // If no tool calls, check if there's content in the response
+      const content = typeof response.content === "string"
+        ? response.content
+        : JSON.stringify(response.content);
+      throw new Error(
+        `LLM did not call the function ${functionDefinition.name}. Response: ${content}`
+      );
+    }
+
+    // Get the first tool call (should be our function)
+    const toolCall = toolCalls[0];
+
+    if (toolCall.name !== functionDefinition.name) {
+      throw new Error(
+        `Expected function call to ${functionDefinition.name}, but got ${toolCall.name}`
+      );
+    }
+
+    // toolCall.args should contain the parsed JSON arguments
+    const args = toolCall.args;
+
+    if (!args) {
+      throw new Error(
+        `Function call to ${functionDefinition.name} returned no arguments`
+      );
+    }
+
+    return args as T;
+  }
+}
+
+/**
+ * Provider de replay: devuelve las respuestas grabadas de cada función en orden,
+ * volviendo a la primera cuando se agotan. Mismo orden de llamadas → mismas respuestas.
+ */
+export class FixtureReplayProvider implements LLMProvider {
+  readonly name: LLMProviderName = "fixture";
+  private readonly cursors = new Map<string, number>();
+
+  constructor(private readonly fixtures: LLMFixtures) {}
+
+  async callWithFunctionCalling<T = any>(
+    _prompt: string,
+    functionDefinition: LLMFunctionDefinition
+  ): Promise<T> {
+    const responses = this.fixtures[functionDefinition.name];
+
+    if (!Array.isArray(responses) || responses.length === 0) {
+      throw new Error(
+        `No recorded response for function ${functionDefinition.name}`
+      );
+    }
+
+    const cursor = this.cursors.get(functionDefinition.name) || 0;
+    this.cursors.set(functionDefinition.name, cursor + 1);
+
+    // Copia profunda para que los nodos no muten el fixture
+    return JSON.parse(JSON.stringify(responses[cursor % responses.length])) as T;
+  }
+}
+
+/**
+ * Decorador que graba cada respuesta del provider real en el fichero de fixtures,
+ * para poder reproducirla después con FixtureReplayProvider
+ */
+export class RecordingProvider implements LLMProvider {
+  constructor(
+    private readonly inner: LLMProvider,
+    private readonly fixturesPath: string
+  ) {}
+
+  get name(): LLMProviderName {
+    return this.inner.name;
+  }
+
+  async callWithFunctionCalling<T = any>(
+    prompt: string,
+    functionDefinition: LLMFunctionDefinition,
+    model: string
+  ): Promise<T> {
+    const result = await this.inner.callWithFunctionCalling<T>(prompt, functionDefinition, model);
+
+    const fixtures = fs.existsSync(this.fixturesPath) ? loadFixtures(this.fixturesPath) : {};
+    fixtures[functionDefinition.name] = [...(fixtures[functionDefinition.name] || []), result];
+
+    fs.mkdirSync(path.dirname(this.fixturesPath), { recursive: true });
+    fs.writeFileSync(this.fixturesPath, JSON.stringify(fixtures, null, 2) + "\n");
+
+    return result;
+  }
+}
+
+/**
+ * Lee y valida un fichero de fixtures
+ * @throws Error si el fichero no existe o no tiene el formato esperado
+ */
+export function loadFixtures(fixturesPath: string): LLMFixtures {
+  if (!fs.existsSync(fixturesPath)) {
+    throw new Error(`LLM fixtures file not found: ${fixturesPath}`);
+  }
+
+  const fixtures = JSON.parse(fs.readFileSync(fixturesPath, "utf8"));
+
+  if (!fixtures || typeof fixtures !== "object" || Array.isArray(fixtures)) {
+    throw new Error(`LLM fixtures file must be an object keyed by function name: ${fixturesPath}`);
+  }
+
+  Object.entries(fixtures).forEach(([functionName, responses]) => {
+    if (!Array.isArray(responses)) {
+      throw new Error(`LLM fixtures for ${functionName} must be an array of responses`);
+    }
+  });
+
+  return fixtures as LLMFixtures;
+}
+
+/**
+ * Configuración de providers (ver resolveLLMConfig en services/llm.ts)
+ */
+export interface LLMProviderConfig {
+  provider: LLMProviderName;
+  temperature: number;
+  apiKey?: string;
+  baseURL?: string;
+  fixturesPath: string;
+  recordFixtures: boolean;
+}
+
+/**
+ * Crea el provider indicado por la configuración
+ * @throws Error si falta la configuración requerida por el provider
+ */
+export function createLLMProvider(config: LLMProviderConfig): LLMProvider {
+  let provider: LLMProvider;
+
+  switch (config.provider) {
+    case "fixture":
+      return new FixtureReplayProvider(loadFixtures(config.fixturesPath));
+
+    case "openai-compatible":
+      if (!config.baseURL) {
+        throw new Error(
+          "LLM_BASE_URL is not set. It is required by the openai-compatible provider."
+        );
+      }
+      // Los servidores locales suelen ignorar la key, pero el cliente exige una
+      provider = new ChatOpenAIProvider(
+        "openai-compatible",
+        config.apiKey || "not-needed",
+        config.temperature,
+        config.baseURL
+      );
+      break;
+
+    case "openai":
+    default:
+      if (!config.apiKey) {
+        throw new Error(
+          "OPENAI_API_KEY is not set. Please set it in your .env file or environment variables."
+        );
+      }
+      provider = new ChatOpenAIProvider("openai", config.apiKey, config.temperature);
+      break;
+  }
+
+  return config.recordFixtures ? new RecordingProvider(provider, config.fixturesPath) : provider;
+}
@@ -1,108 +1,116 @@
 /**
  * LLM Service
- * 
+ *
  * Centralized service for initializing and using LLM clients.
- * Uses OpenAI via LangChain for function calling.
+ * The provider (OpenAI, OpenAI-compatible endpoint or fixture replay) is selected
+ * by configuration, see services/llm-providers.ts.
+ *
+ * Environment variables:
+ * - LLM_PROVIDER: "openai" (default) | "openai-compatible" | "fixture"
+ * - OPENAI_API_KEY: API key for the openai provider
+ * - LLM_BASE_URL / LLM_API_KEY: endpoint (and optional key) for the openai-compatible provider
+ * - LLM_MODEL: default model (gpt-4o-mini)
+ * - LLM_MODEL_<NODE>: per-node model override, e.g. LLM_MODEL_STRATEGY, LLM_MODEL_WORKOUT_SELECTOR
+ * - LLM_TEMPERATURE: sampling temperature (0.7)
+ * - LLM_FIXTURES_PATH: fixture file for the fixture provider (functions/fixtures/llm-responses.json)
+ * - LLM_RECORD_FIXTURES: "true" to record every real response into LLM_FIXTURES_PATH
  */
 
-import { ChatOpenAI } from "@langchain/openai";
-import { HumanMessage } from "@langchain/core/messages";
+import * as path from "path";
+import {
+  createLLMProvider,
+  LLM_PROVIDER_NAMES,
+  LLMFunctionDefinition,
+  LLMProvider,
+  LLMProviderConfig,
+  LLMProviderName,
+} from "./llm-providers";
+
+export const DEFAULT_LLM_MODEL = "gpt-4o-mini";
+const DEFAULT_LLM_TEMPERATURE = 0.7;
+const DEFAULT_FIXTURES_PATH = path.join(__dirname, "..", "..", "fixtures", "llm-responses.json");
+
+/**
+ * Nodes/services that call the LLM (used for per-node model overrides)
+ */
+export type LLMNodeName =
+  | "strategy"
+  | "phaseOrchestrator"
+  | "warmupSelector"
+  | "workoutSelector"
+  | "cooldownSelector"
+  | "exerciseSuggestions"
+  | "workoutReport";
+
+let cachedProvider: LLMProvider | null = null;
 
 /**
- * Initialize OpenAI Chat Model
- * Uses environment variable OPENAI_API_KEY
+ * Read the provider configuration from the environment
  */
-export function getLLMClient(model: string = "gpt-4o-mini"): ChatOpenAI {
-  const apiKey = process.env.OPENAI_API_KEY;
-  
-  if (!apiKey) {
+export function resolveLLMConfig(): LLMProviderConfig {
+  const provider = (process.env.LLM_PROVIDER || "openai").trim() as LLMProviderName;
+
+  if (!LLM_PROVIDER_NAMES.includes(provider)) {
     throw new Error(
-      "OPENAI_API_KEY is not set. Please set it in your .env file or environment variables."
+      `Unknown LLM_PROVIDER "${provider}". Expected one of: ${LLM_PROVIDER_NAMES.join(", ")}`
     );
   }
 
-  return new ChatOpenAI({
-    model: model,
-    temperature: 0.7,
-    openAIApiKey: apiKey,
-  });
+  const temperature = process.env.LLM_TEMPERATURE !== undefined
+    ? Number(process.env.LLM_TEMPERATURE)
+    : DEFAULT_LLM_TEMPERATURE;
+
+  return {
+    provider,
+    temperature: Number.isFinite(temperature) ? temperature : DEFAULT_LLM_TEMPERATURE,
+    apiKey: provider === "openai-compatible" ? process.env.LLM_API_KEY : process.env.OPENAI_API_KEY,
+    baseURL: process.env.LLM_BASE_URL,
+    fixturesPath: process.env.LLM_FIXTURES_PATH
+      ? path.resolve(process.env.LLM_FIXTURES_PATH)
+      : DEFAULT_FIXTURES_PATH,
+    recordFixtures: process.env.LLM_RECORD_FIXTURES === "true",
+  };
+}
+
+/**
+ * Get the configured LLM provider (created once per instance)
+ */
+export function getLLMProvider(): LLMProvider {
+  if (!cachedProvider) {
+    cachedProvider = createLLMProvider(resolveLLMConfig());
+    console.log("[LLM] Using provider:", cachedProvider.name);
+  }
+  return cachedProvider;
+}
+
+/**
+ * Replace the provider (tests) or reset it so the next call re-reads the environment (null)
+ */
+export function setLLMProvider(provider: LLMProvider | null): void {
+  cachedProvider = provider;
+}
+
+/**
+ * Model for a node: LLM_MODEL_<NODE> → LLM_MODEL → gpt-4o-mini
+ * @example getModelForNode("workoutSelector") reads LLM_MODEL_WORKOUT_SELECTOR
+ */
+export function getModelForNode(node: LLMNodeName): string {
+  const envKey = `LLM_MODEL_${node.replace(/([a-z])([A-Z])/g, "$1_$2").toUpperCase()}`;
+  return process.env[envKey] || process.env.LLM_MODEL || DEFAULT_LLM_MODEL;
 }
 
 /**
  * Call LLM with function/tool calling
- * 
+ *
  * @param prompt - The prompt string to send to the LLM
  * @param functionDefinition - JSON schema for function calling
- * @param model - Model name (default: gpt-4o-mini)
+ * @param model - Model name (default: LLM_MODEL or gpt-4o-mini)
  * @returns The parsed function call result
  */
 export async function callLLMWithFunctionCalling<T = any>(
   prompt: string,
-  functionDefinition: {
-    name: string;
-    description: string;
-    parameters: {
-      type: string;
-      properties: Record<string, any>;
-      required?: string[];
-    };
-  },
-  model: string = "gpt-4o-mini"
+  functionDefinition: LLMFunctionDefinition,
+  model: string = process.env.LLM_MODEL || DEFAULT_LLM_MODEL
 ): Promise<T> {
-  const llm = getLLMClient(model);
-  
-  // Bind the function definition to the LLM using bindTools
-  // In @langchain/openai v0.3+, bindTools accepts an array of tool definitions
-  const llmWithFunction = llm.bindTools([
-    {
-      type: "function" as const,
-      function: {
-        name: functionDefinition.name,
-        description: functionDefinition.description,
-        parameters: functionDefinition.parameters,
-      },
-    },
-  ]);
-
-  // Create the prompt message
-  const messages = [new HumanMessage(prompt)];
-
-  // Call the LLM
-  const response = await llmWithFunction.invoke(messages);
-
-  // Extract tool calls from the response
-  // In LangChain, tool_calls is an array on the message
-  const toolCalls = response.tool_calls || [];
-  
-  if (toolCalls.length === 0) {
-    // If no tool calls, check if there's content in the response
-    const content = typeof response.content === 'string' 
-      ? response.content 
-      : JSON.stringify(response.content);
-    throw new Error(
-      `LLM did not call the function ${functionDefinition.name}. Response: ${content}`
-    );
-  }
-
-  // Get the first tool call (should be our function)
-  const toolCall = toolCalls[0];
-  
-  if (toolCall.name !== functionDefinition.name) {
-    throw new Error(
-      `Expected function call to ${functionDefinition.name}, but got ${toolCall.name}`
-    );
-  }
-
-  // Parse the arguments from the tool call
-  // toolCall.args should contain the parsed JSON arguments
-  const args = toolCall.args;
-  
-  if (!args) {
-    throw new Error(
-      `Function call to ${functionDefinition.name} returned no arguments`
-    );
-  }
-  
-  return args as T;
+  return getLLMProvider().callWithFunctionCalling<T>(prompt, functionDefinition, model);
 }
-
@@ -0,0 +1,204 @@
+/**
+ * Mesocycle Planner (DETERMINÍSTICO)
+ *
+ * Periodización en bloques de 4-8 semanas sobre el WeeklyPlan del Strategy:
+ * - Accumulation: volumen alto, cargas moderadas
+ * - Intensification: menos volumen, más intensidad y trabajo unilateral/explosivo
+ * - Deload: última semana del bloque, recuperación y movilidad
+ *
+ * El esqueleto semanal (días, focus, description) se genera una vez por bloque;
+ * cada semana deriva su systemGoal y sus targetTags de la fase en la que está.
+ * En el deload además se baja el volumen: menos series en el workout (applyMesocycleVolume).
+ */
+
+import { Mesocycle, MesocyclePhase, MesocycleWeek, WeeklyPlan } from "../types/schemas";
+import { SessionPhases, prescribeVariation } from "./session-duration";
+
+export const MIN_MESOCYCLE_WEEKS = 4;
+export const MAX_MESOCYCLE_WEEKS = 8;
+export const DEFAULT_MESOCYCLE_WEEKS = 4;
+
+/**
+ * Objetivo, tags y volumen de cada fase del bloque
+ * maxWorkoutSets: tope de series de cada variación del workout (null = prescripción normal)
+ */
+export const MESOCYCLE_PHASE_PROFILES: Record<
+  MesocyclePhase,
+  { systemGoal: string; targetTags: string[]; maxWorkoutSets: number | null }
+> = {
+  accumulation: {
+    systemGoal: "Accumulation week: build work capacity with higher volume, moderate loads and controlled tempo",
+    targetTags: ["bilateral"],
+    maxWorkoutSets: null,
+  },
+  intensification: {
+    systemGoal: "Intensification week: lower volume, heavier or harder progressions and more demanding unilateral and explosive work",
+    targetTags: ["unilateral", "explosive"],
+    maxWorkoutSets: null,
+  },
+  deload: {
+    systemGoal: "Deload week: reduce volume and intensity, prioritize recovery, mobility and technique",
+    targetTags: ["isometric", "rotation"],
+    maxWorkoutSets: 2,
+  },
+};
+
+/**
+ * Normaliza la duración pedida al rango 4-8 semanas
+ */
+export function clampMesocycleWeeks(weeks: number | null | undefined): number {
+  if (typeof weeks !== "number" || !Number.isFinite(weeks)) {
+    return DEFAULT_MESOCYCLE_WEEKS;
+  }
+  return Math.min(Math.max(Math.round(weeks), MIN_MESOCYCLE_WEEKS), MAX_MESOCYCLE_WEEKS);
+}
+
+/**
+ * Reparte las fases del bloque: la última semana es deload y el resto
+ * se divide ~60/40 entre accumulation e intensification
+ *
+ * @example 4 semanas → accumulation, accumulation, intensification, deload
+ * @example 6 semanas → accumulation x3, intensification x2, deload
+ */
+export function buildMesocycleWeeks(totalWeeks: number): MesocycleWeek[] {
+  const loadingWeeks = totalWeeks - 1;
+  const accumulationWeeks = Math.ceil(loadingWeeks * 0.6);
+
+  return Array.from({ length: totalWeeks }, (_, i) => {
+    const phase: MesocyclePhase = i === totalWeeks - 1
+      ? "deload"
+      : i < accumulationWeeks ? "accumulation" : "intensification";
+
+    return {
+      weekNumber: i + 1,
+      phase,
+      systemGoal: MESOCYCLE_PHASE_PROFILES[phase].systemGoal,
+      targetTags: [...MESOCYCLE_PHASE_PROFILES[phase].targetTags],
+    };
+  });
+}
+
+/**
+ * Crea un mesociclo nuevo a partir del esqueleto semanal del Strategy
+ *
+ * @param basePlan - WeeklyPlan del Strategy (sin startDate)
+ * @param totalWeeks - Duración pedida (se normaliza a 4-8)
+ * @returns Mesociclo activo sin ninguna semana generada todavía
+ */
+export function createMesocycle(
+  basePlan: Omit<WeeklyPlan, "startDate">,
+  totalWeeks?: number | null
+): Mesocycle {
+  const weeks = clampMesocycleWeeks(totalWeeks);
+
+  return {
+    id: `mesocycle_${Date.now()}`,
+    status: "active",
+    totalWeeks: weeks,
+    currentWeek: 0,
+    lastGeneratedWeekStart: null,
+    basePlan: {
+      totalTrainingDays: basePlan.totalTrainingDays,
+      trainingDays: basePlan.trainingDays,
+      goalDescription: basePlan.goalDescription,
+      schedule: basePlan.schedule,
+    },
+    weeks: buildMesocycleWeeks(weeks),
+  };
+}
+
+/**
+ * Lunes (YYYY-MM-DD) de la semana de una fecha
+ */
+export function getWeekStartKey(date: string): string {
+  const d = new Date(`${date.split("T")[0]}T00:00:00Z`);
+  const day = d.getUTCDay();
+  d.setUTCDate(d.getUTCDate() - (day === 0 ? 6 : day - 1));
+  return d.toISOString().split("T")[0];
+}
+
+/**
+ * Avanza el mesociclo a la semana que empieza en startDate
+ *
+ * Regla: si esa semana ya se generó (misma semana de lunes), se regenera la misma
+ * semana del bloque en lugar de avanzar; si no, se pasa a la siguiente.
+ *
+ * @returns Mesociclo actualizado, o null si el bloque ya está completo
+ */
+export function advanceMesocycle(mesocycle: Mesocycle, startDate: string): Mesocycle | null {
+  const weekStart = getWeekStartKey(startDate);
+
+  if (mesocycle.currentWeek > 0 && mesocycle.lastGeneratedWeekStart === weekStart) {
+    return mesocycle;
+  }
+
+  if (mesocycle.currentWeek >= mesocycle.totalWeeks) {
+    return null;
+  }
+
+  return {
+    ...mesocycle,
+    currentWeek: mesocycle.currentWeek + 1,
+    lastGeneratedWeekStart: weekStart,
+  };
+}
+
+/**
+ * Semana del bloque que se está generando
+ */
+export function getCurrentMesocycleWeek(mesocycle: Mesocycle | null | undefined): MesocycleWeek | null {
+  if (!mesocycle || mesocycle.currentWeek < 1) {
+    return null;
+  }
+  return mesocycle.weeks[mesocycle.currentWeek - 1] || null;
+}
+
+/**
+ * Construye el WeeklyPlan de la semana actual del bloque:
+ * el systemGoal de cada día incorpora el objetivo de la fase
+ *
+ * @param mesocycle - Mesociclo ya avanzado a la semana a generar
+ * @param startDate - startDate calculada para esta semana (YYYY-MM-DD)
+ */
+export function buildMesocycleWeeklyPlan(mesocycle: Mesocycle, startDate: string): WeeklyPlan {
+  const week = getCurrentMesocycleWeek(mesocycle);
+  if (!week) {
+    throw new Error(`[Mesocycle Planner] Mesocycle ${mesocycle.id} has no current week`);
+  }
+
+  const { basePlan } = mesocycle;
+
+  return {
+    totalTrainingDays: basePlan.totalTrainingDays,
+    trainingDays: [...basePlan.trainingDays],
+    startDate,
+    goalDescription:
+      `${basePlan.goalDescription} Week ${week.weekNumber}/${mesocycle.totalWeeks} of the block (${week.phase}).`,
+    schedule: basePlan.schedule.map((day) => ({
+      ...day,
+      systemGoal: `${day.systemGoal}. ${week.systemGoal}`,
+    })),
+  };
+}
+
+/**
+ * Aplica el volumen de la fase del bloque a las variaciones de una sesión:
+ * en el deload cada variación del workout baja a maxWorkoutSets series
+ *
+ * @param phases - Variaciones de la sesión (ya ajustadas a la duración objetivo)
+ * @param week - Semana del bloque que se está generando (null = sin mesociclo)
+ */
+export function applyMesocycleVolume(phases: SessionPhases, week: MesocycleWeek | null): SessionPhases {
+  const maxWorkoutSets = week ? MESOCYCLE_PHASE_PROFILES[week.phase].maxWorkoutSets : null;
+  if (maxWorkoutSets === null) {
+    return phases;
+  }
+
+  return {
+    ...phases,
+    workout: phases.workout.map(variation => {
+      const prescribed = prescribeVariation(variation, "workout");
+      return { ...prescribed, sets: Math.min(prescribed.sets, maxWorkoutSets) };
+    }),
+  };
+}
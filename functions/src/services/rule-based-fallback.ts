@@ -0,0 +1,268 @@
+/**
+ * Rule-Based Fallback Service
+ *
+ * Modo determinístico de los nodos LLM del grafo (3, 5.1 y 5.4.x).
+ * Cada nodo cambia a estas reglas cuando el LLM no está disponible
+ * (sin OPENAI_API_KEY, error de red, etc.) o devuelve una salida inválida,
+ * para que la generación semanal nunca se aborte por el LLM.
+ *
+ * - Strategy: WeeklyPlan derivado de DEFAULT_WEEKLY_CONFIG y FRAMEWORK_MUSCLE_MAPPINGS
+ * - Phase Orchestrator: tags derivadas del texto del training day
+ * - Selectors: top-scored del Filter Engine con restricción de diversidad de disciplinas
+ */
+
+import { ExerciseVariation, PhaseType, ScheduledTrainingDay, UserAvailability, UserProfile, WeeklyPlan } from "../types/schemas";
+import { getAvailableDays } from "./availability";
+import {
+  AVAILABLE_TAGS,
+  DEFAULT_WEEKLY_CONFIG,
+  FRAMEWORK_MUSCLE_MAPPINGS,
+} from "../utils/training-constants";
+
+/**
+ * Número de variaciones por fase (dentro de los rangos de getSelectorFunctionDefinition)
+ */
+export const RULE_BASED_PHASE_COUNTS: Record<PhaseType, number> = {
+  warmup: 4,
+  workout: 5,
+  cooldown: 3,
+};
+
+/**
+ * Mínimo de disciplinas distintas por fase (misma restricción que el prompt del Workout Selector)
+ */
+const MIN_DISCIPLINES_PER_PHASE: Record<PhaseType, number> = {
+  warmup: 1,
+  workout: 2,
+  cooldown: 1,
+};
+
+/**
+ * Métricas por debajo de este valor se consideran un déficit (mismo umbral que el prompt de Strategy)
+ */
+const LOW_METRIC_THRESHOLD = 40;
+
+/**
+ * Tags por defecto cuando el texto del training day no menciona ninguna tag conocida
+ */
+const FULL_BODY_TAGS = ["push", "pull", "squat", "hinge", "core"];
+
+/**
+ * Palabras clave (músculos / patrones) → tags del sistema
+ */
+const KEYWORD_TAGS: Record<string, string[]> = {
+  "chest": ["chest", "push"],
+  "triceps": ["push"],
+  "front delts": ["shoulders", "push"],
+  "shoulders": ["shoulders"],
+  "back": ["back", "pull"],
+  "lats": ["back", "pull"],
+  "biceps": ["pull"],
+  "rear delts": ["shoulders", "pull"],
+  "traps": ["back"],
+  "rhomboids": ["back"],
+  "quads": ["legs", "squat"],
+  "glutes": ["legs", "hinge"],
+  "hamstrings": ["legs", "hinge"],
+  "calves": ["legs"],
+  "adductors": ["legs", "lunge"],
+  "abs": ["core"],
+  "obliques": ["core", "rotation"],
+  "upper": ["chest", "back", "shoulders", "push", "pull"],
+  "lower": ["legs", "squat", "hinge", "lunge"],
+  "full body": FULL_BODY_TAGS,
+  "mobility": ["rotation"],
+  "stability": ["isometric"],
+  "power": ["explosive"],
+};
+
+/**
+ * Indica si el grafo debe saltarse el LLM por completo (ej. en el emulador)
+ */
+export function isRuleBasedModeForced(): boolean {
+  return process.env.FORCE_RULE_BASED_GENERATION === "true";
+}
+
+/**
+ * Nombre legible de una disciplina (ej. "animal-flow" → "Animal Flow")
+ */
+function formatDiscipline(discipline: string): string {
+  return discipline
+    .split(/[-_\s]+/)
+    .filter(Boolean)
+    .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(" ");
+}
+
+/**
+ * Construye un WeeklyPlan (sin startDate) a partir de DEFAULT_WEEKLY_CONFIG
+ *
+ * - Training days: días disponibles del usuario (máximo daysPerWeek), primero los que no
+ *   están en restDays para repartir el descanso; sin disponibilidad, los que no están en restDays
+ * - Focus: rota sobre las partes del framework (Push/Pull → Push, Pull, Push, ...)
+ * - Description: músculos primarios/secundarios de FRAMEWORK_MUSCLE_MAPPINGS
+ * - SystemGoal: añade trabajo de movilidad si alguna métrica está por debajo del umbral
+ *
+ * @param userProfile - Perfil del usuario (métricas, molestias, objetivos, disciplinas)
+ * @param availability - Disponibilidad del usuario (ver services/availability.ts)
+ * @returns WeeklyPlan sin startDate (se calcula en el nodo Strategy)
+ */
+export function buildRuleBasedWeeklyPlan(
+  userProfile: Pick<UserProfile, "metrics" | "discomforts" | "objectives" | "preferredDisciplines">,
+  availability: UserAvailability | null = null
+): Omit<WeeklyPlan, "startDate"> {
+  const { daysPerWeek, framework, restDays } = DEFAULT_WEEKLY_CONFIG;
+  const availableDays = getAvailableDays(availability);
+
+  // Lunes primero para repartir los días de descanso a lo largo de la semana;
+  // los restDays solo se usan si el usuario no tiene suficientes días disponibles
+  const weekOrder = [1, 2, 3, 4, 5, 6, 0].filter((day) => availableDays.includes(day));
+  const trainingDays = [
+    ...weekOrder.filter((day) => !restDays.includes(day)),
+    ...(availability ? weekOrder.filter((day) => restDays.includes(day)) : []),
+  ]
+    .slice(0, daysPerWeek)
+    .sort((a, b) => a - b);
+
+  const frameworkParts = framework.split("/").map((part) => part.trim());
+
+  const lowMetrics = Object.entries(userProfile.metrics || {})
+    .filter(([, value]) => typeof value === "number" && value < LOW_METRIC_THRESHOLD)
+    .map(([metric]) => metric);
+
+  const disciplines = (userProfile.preferredDisciplines || []).map(formatDiscipline);
+  const discomforts = userProfile.discomforts || [];
+
+  const schedule: ScheduledTrainingDay[] = trainingDays.map((dayIndex, i) => {
+    const part = frameworkParts[i % frameworkParts.length];
+    const mapping = FRAMEWORK_MUSCLE_MAPPINGS[part] || FRAMEWORK_MUSCLE_MAPPINGS["Full Body"];
+
+    const focus = lowMetrics.length > 0 ? `${part} + Mobility Focus` : part;
+
+    const descriptionParts = [
+      `${part} session targeting ${mapping.primary.join(", ")}, with accessory work for ${mapping.secondary.join(", ")}.`,
+    ];
+    if (disciplines.length > 0) {
+      descriptionParts.push(`Built around ${disciplines.join(" and ")}.`);
+    }
+    if (discomforts.length > 0) {
+      descriptionParts.push(`Avoid aggravating: ${discomforts.join(", ")}.`);
+    }
+
+    const systemGoal = lowMetrics.length > 0
+      ? `Build ${part.toLowerCase()} strength while improving ${lowMetrics.join(", ")}`
+      : `Build ${part.toLowerCase()} strength while keeping holistic balance between strength and mobility`;
+
+    return {
+      dayIndex,
+      focus,
+      description: descriptionParts.join(" "),
+      systemGoal,
+    };
+  });
+
+  const objectives = userProfile.objectives || [];
+  const goalDescription = objectives.length > 0
+    ? `${framework} split for ${objectives.join(", ")}, balancing strength with mobility and flexibility.`
+    : `${framework} split balancing strength with mobility and flexibility.`;
+
+  return {
+    totalTrainingDays: trainingDays.length,
+    trainingDays,
+    goalDescription,
+    schedule,
+  };
+}
+
+/**
+ * Deriva las targetTags de un training day a partir de su focus/description/systemGoal
+ *
+ * 1. Tags del sistema mencionadas literalmente
+ * 2. Músculos/patrones (KEYWORD_TAGS y FRAMEWORK_MUSCLE_MAPPINGS) mapeados a tags
+ * 3. Si no se encuentra ninguna, tags de cuerpo completo
+ *
+ * @param text - Texto libre del training day
+ * @returns Tags válidas de AVAILABLE_TAGS (sin duplicados)
+ */
+export function deriveRuleBasedTargetTags(text: string): string[] {
+  const normalized = ` ${text.toLowerCase().replace(/[^a-z]+/g, " ")} `;
+  const tags = new Set<string>();
+
+  const mentions = (keyword: string) => normalized.includes(` ${keyword} `);
+
+  AVAILABLE_TAGS.forEach((tag) => {
+    if (mentions(tag)) {
+      tags.add(tag);
+    }
+  });
+
+  Object.entries(KEYWORD_TAGS).forEach(([keyword, keywordTags]) => {
+    if (mentions(keyword)) {
+      keywordTags.forEach((tag) => tags.add(tag));
+    }
+  });
+
+  // Partes de framework (ej. "Legs") → músculos primarios → tags
+  Object.entries(FRAMEWORK_MUSCLE_MAPPINGS).forEach(([part, mapping]) => {
+    if (!part.includes("/") && mentions(part.toLowerCase())) {
+      mapping.primary.forEach((muscle) => {
+        if (AVAILABLE_TAGS.includes(muscle)) {
+          tags.add(muscle);
+        }
+        (KEYWORD_TAGS[muscle] || []).forEach((tag) => tags.add(tag));
+      });
+    }
+  });
+
+  if (tags.size === 0) {
+    FULL_BODY_TAGS.forEach((tag) => tags.add(tag));
+  }
+
+  return Array.from(tags);
+}
+
+/**
+ * Selecciona las variaciones de una fase sin LLM
+ *
+ * El pool ya viene ordenado por score (Filter Engine + Variation Cleaner).
+ * 1. Se limita cada disciplina primaria a ceil(count / minDisciplines) variaciones,
+ *    lo que garantiza la diversidad mínima cuando el pool lo permite
+ * 2. Los huecos restantes se rellenan por score
+ *
+ * @param pool - Variaciones candidatas de la fase (scoredPool[phase])
+ * @param phase - Fase a seleccionar
+ * @returns Variaciones seleccionadas, en orden de score
+ */
+export function selectRuleBasedVariations(
+  pool: ExerciseVariation[],
+  phase: PhaseType
+): ExerciseVariation[] {
+  const count = RULE_BASED_PHASE_COUNTS[phase];
+  const maxPerDiscipline = Math.ceil(count / MIN_DISCIPLINES_PER_PHASE[phase]);
+
+  const sorted = [...pool].sort((a, b) => (b.score || 0) - (a.score || 0));
+  const selected: ExerciseVariation[] = [];
+  const perDiscipline = new Map<string, number>();
+
+  // 1. Primera pasada con límite por disciplina
+  for (const variation of sorted) {
+    if (selected.length >= count) break;
+    const discipline = (variation.disciplines?.[0] || "unknown").toLowerCase().trim();
+    const used = perDiscipline.get(discipline) || 0;
+    if (used < maxPerDiscipline) {
+      selected.push(variation);
+      perDiscipline.set(discipline, used + 1);
+    }
+  }
+
+  // 2. Rellenar por score si el pool no tiene suficientes disciplinas
+  for (const variation of sorted) {
+    if (selected.length >= count) break;
+    if (!selected.includes(variation)) {
+      selected.push(variation);
+    }
+  }
+
+  const selectedIds = new Set(selected.map((v) => v.id));
+  return sorted.filter((v) => selectedIds.has(v.id));
+}
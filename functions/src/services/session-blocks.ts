@@ -0,0 +1,113 @@
+/**
+ * Session Blocks (DETERMINÍSTICO)
+ *
+ * Agrupa las variaciones seleccionadas de una fase en bloques:
+ * - flow: 2+ variaciones de Animal Flow se encadenan en una secuencia (cualquier fase)
+ * - circuit: 3+ variaciones de Crossfit en el workout
+ * - superset: 2 variaciones de Crossfit, o parejas consecutivas del workout que
+ *   trabajan grupos musculares distintos (uno descansa mientras el otro trabaja)
+ * - straight: el resto (sin blockId)
+ *
+ * Las fases siguen siendo arrays planos: los miembros de un bloque comparten
+ * blockId/blockType y se colocan seguidos en la posición del primero.
+ * El frontend lee los bloques con js/core/session-blocks.js.
+ */
+
+import { BlockType, ExerciseVariation, PhaseType } from "../types/schemas";
+
+const FLOW_DISCIPLINES = ["animal-flow", "animalflow", "animal flow"];
+const CIRCUIT_DISCIPLINES = ["crossfit"];
+
+/**
+ * Mínimo de variaciones para un circuito (con 2 es un superset)
+ */
+const MIN_CIRCUIT_SIZE = 3;
+
+function hasDiscipline(variation: ExerciseVariation, disciplines: string[]): boolean {
+  return (variation.disciplines || []).some(d => disciplines.includes(d.toLowerCase().trim()));
+}
+
+/**
+ * Dos variaciones pueden ir en superset si ambas declaran músculos y no comparten ninguno
+ */
+function canPairAsSuperset(a: ExerciseVariation, b: ExerciseVariation): boolean {
+  const musclesA = a.targetMuscles || [];
+  const musclesB = b.targetMuscles || [];
+  if (musclesA.length === 0 || musclesB.length === 0) return false;
+  return !musclesA.some(muscle => musclesB.includes(muscle));
+}
+
+/**
+ * Asigna bloques a las variaciones de una fase
+ * @param variations Variaciones seleccionadas (orden del selector)
+ * @param phase Fase de la sesión
+ * @param blockIdPrefix Prefijo de los ids de bloque (ej. "2025-01-06-workout"), estable entre regeneraciones
+ * @returns Variaciones con blockId/blockType, con los miembros de cada bloque seguidos
+ */
+export function assignPhaseBlocks(
+  variations: ExerciseVariation[],
+  phase: PhaseType,
+  blockIdPrefix: string
+): ExerciseVariation[] {
+  // 1. Limpiar bloques previos (el selector no los asigna, pero una sesión regenerada sí los trae)
+  const items = variations.map(({ blockId, blockType, ...variation }) => variation as ExerciseVariation);
+  const groups: Array<{ type: BlockType; indices: number[] }> = [];
+  const grouped = new Set<number>();
+
+  const addGroup = (type: BlockType, indices: number[]) => {
+    groups.push({ type, indices });
+    indices.forEach(index => grouped.add(index));
+  };
+
+  // 2. Secuencias de Animal Flow
+  const flowIndices = items.map((v, i) => (hasDiscipline(v, FLOW_DISCIPLINES) ? i : -1)).filter(i => i >= 0);
+  if (flowIndices.length >= 2) {
+    addGroup("flow", flowIndices);
+  }
+
+  if (phase === "workout") {
+    // 3. Circuito (o superset) de Crossfit
+    const circuitIndices = items
+      .map((v, i) => (!grouped.has(i) && hasDiscipline(v, CIRCUIT_DISCIPLINES) ? i : -1))
+      .filter(i => i >= 0);
+    if (circuitIndices.length >= MIN_CIRCUIT_SIZE) {
+      addGroup("circuit", circuitIndices);
+    } else if (circuitIndices.length === 2) {
+      addGroup("superset", circuitIndices);
+    }
+
+    // 4. Supersets de grupos musculares distintos entre las variaciones restantes
+    const remaining = items.map((_, i) => i).filter(i => !grouped.has(i));
+    for (let k = 0; k + 1 < remaining.length; k++) {
+      const [a, b] = [remaining[k], remaining[k + 1]];
+      if (canPairAsSuperset(items[a], items[b])) {
+        addGroup("superset", [a, b]);
+        k++;
+      }
+    }
+  }
+
+  if (groups.length === 0) {
+    return items;
+  }
+
+  // 5. Construir el array final: cada bloque en la posición de su primer miembro
+  const groupByFirstIndex = new Map<number, { type: BlockType; indices: number[]; blockId: string }>();
+  groups
+    .sort((a, b) => a.indices[0] - b.indices[0])
+    .forEach((group, n) => {
+      groupByFirstIndex.set(group.indices[0], { ...group, blockId: `${blockIdPrefix}-b${n + 1}` });
+    });
+
+  const result: ExerciseVariation[] = [];
+  items.forEach((variation, index) => {
+    const group = groupByFirstIndex.get(index);
+    if (group) {
+      group.indices.forEach(i => result.push({ ...items[i], blockId: group.blockId, blockType: group.type }));
+    } else if (!grouped.has(index)) {
+      result.push(variation);
+    }
+  });
+
+  return result;
+}
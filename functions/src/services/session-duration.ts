@@ -0,0 +1,257 @@
+/**
+ * Session Duration (DETERMINÍSTICO)
+ *
+ * Estima la duración de cada variación a partir de su prescripción (series, reps o
+ * isometría, tempo y descanso) y ajusta la sesión a una duración objetivo:
+ * - Se pasa del objetivo: se quitan accesorios (las últimas variaciones de la fase más por
+ *   encima de su parte del tiempo) y, si no basta, series
+ * - Le sobra tiempo: se recuperan series hasta la prescripción de la fase y se añaden
+ *   accesorios al workout (los mejor puntuados del scoredPool)
+ *
+ * En superset/circuito/flow el descanso va tras cada ronda, así que se reparte entre
+ * los miembros del bloque.
+ *
+ * Replica la estimación de js/core/session-duration.js (el paquete de functions no puede
+ * importar el código del frontend).
+ */
+
+import { ExerciseVariation, PhaseType } from "../types/schemas";
+import { DEFAULT_PHASE_PRESCRIPTIONS } from "../utils/training-constants";
+
+export type SessionPhases = Record<PhaseType, ExerciseVariation[]>;
+
+type PrescribedVariation = ExerciseVariation & { sets: number; restSeconds: number };
+
+const PHASES: PhaseType[] = ["warmup", "workout", "cooldown"];
+
+/**
+ * Segundos por repetición cuando la variación no tiene tempo
+ */
+const DEFAULT_REP_SECONDS = 3;
+
+/**
+ * Segundos por serie de una variación isométrica en una fase por repeticiones
+ */
+const ISOMETRIC_HOLD_SECONDS = 30;
+
+/**
+ * Preparación y cambio de ejercicio (una vez por variación)
+ */
+const SETUP_SECONDS = 30;
+
+/**
+ * Parte del tiempo objetivo de cada fase: al recortar se empieza por la fase más por encima
+ */
+const PHASE_TIME_SHARE: Record<PhaseType, number> = { warmup: 0.2, workout: 0.65, cooldown: 0.15 };
+
+const MIN_PHASE_VARIATIONS: Record<PhaseType, number> = { warmup: 1, workout: 2, cooldown: 1 };
+const MIN_PHASE_SETS: Record<PhaseType, number> = { warmup: 1, workout: 2, cooldown: 1 };
+
+/**
+ * Máximo de variaciones del workout al añadir accesorios
+ */
+const MAX_WORKOUT_VARIATIONS = 8;
+
+const TEMPO_PATTERN = /^([0-9X])-?([0-9X])-?([0-9X])-?([0-9X])$/i;
+
+function hasTag(variation: ExerciseVariation, tag: string): boolean {
+  return (variation.tags || []).some(t => t.toLowerCase().trim() === tag);
+}
+
+/**
+ * Segundos de una repetición según el tempo ("3-1-1-0" → 5, X cuenta como 1)
+ */
+function getRepSeconds(tempo: string | undefined): number {
+  const match = typeof tempo === "string" ? TEMPO_PATTERN.exec(tempo.trim()) : null;
+  if (!match) return DEFAULT_REP_SECONDS;
+  const seconds = match.slice(1).reduce((total, part) => total + (part.toUpperCase() === "X" ? 1 : Number(part)), 0);
+  return seconds || DEFAULT_REP_SECONDS;
+}
+
+/**
+ * Completa la prescripción de una variación con la de su fase (mantiene lo que ya traiga).
+ * Las variaciones isométricas y las fases por tiempo (cooldown) se prescriben en segundos.
+ */
+export function prescribeVariation(variation: ExerciseVariation, phase: PhaseType): PrescribedVariation {
+  const defaults = DEFAULT_PHASE_PRESCRIPTIONS[phase];
+  const timed =
+    variation.reps === undefined &&
+    (variation.holdSeconds !== undefined || defaults.reps === null || hasTag(variation, "isometric"));
+
+  return {
+    ...variation,
+    sets: variation.sets ?? defaults.sets,
+    ...(timed
+      ? { holdSeconds: variation.holdSeconds ?? defaults.holdSeconds ?? ISOMETRIC_HOLD_SECONDS }
+      : { reps: variation.reps ?? (defaults.reps as number) }),
+    restSeconds: variation.restSeconds ?? defaults.restSeconds,
+  };
+}
+
+/**
+ * Segundos de trabajo de una serie (las variaciones unilaterales se hacen por cada lado)
+ */
+function getSetWorkSeconds(variation: PrescribedVariation): number {
+  const seconds =
+    variation.holdSeconds !== undefined ? variation.holdSeconds : (variation.reps ?? 0) * getRepSeconds(variation.tempo);
+  return hasTag(variation, "unilateral") ? seconds * 2 : seconds;
+}
+
+/**
+ * Duración de una variación en series rectas: series, descansos entre series y preparación
+ */
+export function estimateVariationSeconds(variation: ExerciseVariation, phase: PhaseType): number {
+  const prescribed = prescribeVariation(variation, phase);
+  return (
+    prescribed.sets * getSetWorkSeconds(prescribed) +
+    (prescribed.sets - 1) * prescribed.restSeconds +
+    SETUP_SECONDS
+  );
+}
+
+/**
+ * Prescribe las variaciones de una fase y les añade su duración estimada (estimatedSeconds).
+ * Los miembros de un bloque comparten el descanso tras cada ronda.
+ */
+export function annotatePhaseDurations(variations: ExerciseVariation[], phase: PhaseType): ExerciseVariation[] {
+  const prescribed = variations.map(v => prescribeVariation(v, phase));
+
+  const blocks = new Map<string, PrescribedVariation[]>();
+  prescribed.forEach(v => {
+    if (v.blockId) {
+      blocks.set(v.blockId, [...(blocks.get(v.blockId) || []), v]);
+    }
+  });
+
+  return prescribed.map(v => {
+    const members = v.blockId ? blocks.get(v.blockId) || [] : [];
+    if (members.length < 2) {
+      return { ...v, estimatedSeconds: estimateVariationSeconds(v, phase) };
+    }
+
+    const rounds = Math.max(...members.map(m => m.sets));
+    const blockRestSeconds = (rounds - 1) * Math.max(...members.map(m => m.restSeconds));
+    return {
+      ...v,
+      estimatedSeconds: Math.round(v.sets * getSetWorkSeconds(v) + SETUP_SECONDS + blockRestSeconds / members.length),
+    };
+  });
+}
+
+/**
+ * Duración estimada de una fase (segundos)
+ */
+export function estimatePhaseSeconds(variations: ExerciseVariation[], phase: PhaseType): number {
+  return annotatePhaseDurations(variations, phase).reduce((total, v) => total + (v.estimatedSeconds || 0), 0);
+}
+
+/**
+ * Duración estimada de una sesión (minutos, redondeados)
+ */
+export function estimateSessionMinutes(phases: SessionPhases): number {
+  const seconds = PHASES.reduce((total, phase) => total + estimatePhaseSeconds(phases[phase] || [], phase), 0);
+  return Math.round(seconds / 60);
+}
+
+/**
+ * Variación a quitar al recortar una fase: la última (el principio de la fase son los
+ * ejercicios principales) que no deje la fase con menos de 2 disciplinas si las tenía
+ */
+function getAccessoryIndex(variations: ExerciseVariation[]): number {
+  const countDisciplines = (items: ExerciseVariation[]) => new Set(items.flatMap(v => v.disciplines || [])).size;
+  const required = Math.min(2, countDisciplines(variations));
+
+  for (let index = variations.length - 1; index >= 0; index--) {
+    if (countDisciplines(variations.filter((_, i) => i !== index)) >= required) {
+      return index;
+    }
+  }
+  return variations.length - 1;
+}
+
+/**
+ * Ajusta las fases de una sesión a una duración objetivo
+ * Si la sesión se pasa del objetivo:
+ * 1. Quitar accesorios de la fase más por encima de su parte (respetando mínimos)
+ * 2. Si no basta, quitar series a la variación con más series de esa fase
+ * Si le sobra tiempo:
+ * 3. Recuperar series hasta la prescripción de la fase
+ * 4. Añadir accesorios al workout (candidatos en orden de score)
+ *
+ * Se estima en series rectas (sin bloques): el Assembler agrupa después y los bloques
+ * solo acortan la sesión.
+ *
+ * @param phases Variaciones seleccionadas (pueden traer bloques de una sesión ya generada)
+ * @param targetMinutes Duración objetivo
+ * @param candidates Variaciones del workout que se pueden añadir (las ya seleccionadas se ignoran)
+ * @returns Fases prescritas y ajustadas, sin bloques
+ */
+export function fitSessionToDuration(
+  phases: SessionPhases,
+  targetMinutes: number,
+  candidates: ExerciseVariation[] = []
+): SessionPhases {
+  const targetSeconds = targetMinutes * 60;
+  const prescribePhase = (variations: ExerciseVariation[], phase: PhaseType) =>
+    variations.map(({ blockId, blockType, ...variation }) => prescribeVariation(variation as ExerciseVariation, phase));
+
+  const fitted: Record<PhaseType, PrescribedVariation[]> = {
+    warmup: prescribePhase(phases.warmup || [], "warmup"),
+    workout: prescribePhase(phases.workout || [], "workout"),
+    cooldown: prescribePhase(phases.cooldown || [], "cooldown"),
+  };
+
+  const phaseSeconds = (phase: PhaseType) => estimatePhaseSeconds(fitted[phase], phase);
+  const totalSeconds = () => PHASES.reduce((total, phase) => total + phaseSeconds(phase), 0);
+  const byOverBudget = (a: PhaseType, b: PhaseType) =>
+    (phaseSeconds(b) - PHASE_TIME_SHARE[b] * targetSeconds) - (phaseSeconds(a) - PHASE_TIME_SHARE[a] * targetSeconds);
+
+  if (totalSeconds() > targetSeconds) {
+    // 1. Quitar accesorios
+    while (totalSeconds() > targetSeconds) {
+      const phase = PHASES.filter(p => fitted[p].length > MIN_PHASE_VARIATIONS[p]).sort(byOverBudget)[0];
+      if (!phase) break;
+      const index = getAccessoryIndex(fitted[phase]);
+      fitted[phase] = fitted[phase].filter((_, i) => i !== index);
+    }
+
+    // 2. Quitar series
+    while (totalSeconds() > targetSeconds) {
+      const phase = PHASES.filter(p => fitted[p].some(v => v.sets > MIN_PHASE_SETS[p])).sort(byOverBudget)[0];
+      if (!phase) break;
+      const sets = fitted[phase].map(v => v.sets);
+      const index = sets.lastIndexOf(Math.max(...sets));
+      fitted[phase][index] = { ...fitted[phase][index], sets: sets[index] - 1 };
+    }
+
+    return fitted;
+  }
+
+  // 3. Recuperar series (workout primero)
+  (["workout", "warmup", "cooldown"] as PhaseType[]).forEach(phase => {
+    fitted[phase].forEach((variation, index) => {
+      const setSeconds = getSetWorkSeconds(variation) + variation.restSeconds;
+      while (
+        fitted[phase][index].sets < DEFAULT_PHASE_PRESCRIPTIONS[phase].sets &&
+        totalSeconds() + setSeconds <= targetSeconds
+      ) {
+        fitted[phase][index] = { ...fitted[phase][index], sets: fitted[phase][index].sets + 1 };
+      }
+    });
+  });
+
+  // 4. Añadir accesorios al workout
+  const selectedIds = new Set(PHASES.flatMap(phase => fitted[phase].map(v => v.id)));
+  for (const candidate of candidates) {
+    if (fitted.workout.length >= MAX_WORKOUT_VARIATIONS) break;
+    if (selectedIds.has(candidate.id)) continue;
+
+    const accessory = prescribePhase([candidate], "workout")[0];
+    if (totalSeconds() + estimateVariationSeconds(accessory, "workout") <= targetSeconds) {
+      fitted.workout = [...fitted.workout, accessory];
+      selectedIds.add(accessory.id);
+    }
+  }
+
+  return fitted;
+}
@@ -0,0 +1,100 @@
+/**
+ * Workout Report Service
+ *
+ * Generates the narrative of a completed session's performance report.
+ *
+ * Flujo:
+ * 1. Se inyecta el reportData en el prompt
+ * 2. LLM call con la definición del JSON schema
+ * 3. Post-processing: exerciseInsights (array) → mapa por ID de ejercicio
+ * 4. Validación del WorkoutReportNarrative completo
+ */
+
+import { WorkoutReportNarrative } from "../types/schemas";
+import { getWorkoutReportPrompt, getWorkoutReportFunctionDefinition } from "../prompts/workout-report";
+import { callLLMWithFunctionCalling, getModelForNode } from "./llm";
+import { validateReportData, validateWorkoutReportNarrative } from "../utils/workout-report-validator";
+
+/**
+ * Interface for LLM response (exerciseInsights as array)
+ */
+interface WorkoutReportLLMResponse extends Omit<WorkoutReportNarrative, "exerciseInsights"> {
+  exerciseInsights: Array<{ exerciseId: string; insight: string }>;
+}
+
+/**
+ * ID de un ejercicio del reportData (transformado o tal cual sale de buildSessionReportData)
+ */
+function getReportExerciseId(exercise: any): string {
+  return exercise.id || `${exercise.exerciseId}-${exercise.variationId}`;
+}
+
+/**
+ * Generate the performance report narrative for a completed session
+ *
+ * @param reportData - reportData built by buildSessionReportData
+ * @returns Validated WorkoutReportNarrative
+ */
+export async function generateWorkoutReportNarrative(reportData: any): Promise<WorkoutReportNarrative> {
+  // 1. Validar entrada
+  validateReportData(reportData);
+
+  const exerciseIds: string[] = reportData.exercises.map(getReportExerciseId);
+
+  // 2. Llamar al LLM con function calling
+  const prompt = getWorkoutReportPrompt(reportData);
+  console.log("[Workout Report] Prompt constructed, length:", prompt.length);
+
+  let llmResponse: WorkoutReportLLMResponse;
+  try {
+    llmResponse = await callLLMWithFunctionCalling<WorkoutReportLLMResponse>(
+      prompt,
+      getWorkoutReportFunctionDefinition(),
+      getModelForNode("workoutReport")
+    );
+  } catch (error) {
+    console.error("[Workout Report] LLM call failed:", error);
+    throw new Error(
+      `[Workout Report] Failed to generate narrative: ${error instanceof Error ? error.message : "Unknown error"}`
+    );
+  }
+
+  // 3. Post-processing: construir mapa de insights, descartando IDs desconocidos
+  const knownIds = new Set(exerciseIds);
+  const exerciseInsights: Record<string, string> = {};
+
+  (llmResponse.exerciseInsights || []).forEach(({ exerciseId, insight }) => {
+    if (knownIds.has(exerciseId)) {
+      exerciseInsights[exerciseId] = insight;
+    } else {
+      console.warn("[Workout Report] Insight for unknown exercise, filtering out:", exerciseId);
+    }
+  });
+
+  const narrative: WorkoutReportNarrative = {
+    reportTitle: llmResponse.reportTitle,
+    summary: llmResponse.summary,
+    highlights: llmResponse.highlights || [],
+    concerns: llmResponse.concerns || [],
+    nextSessionRecommendation: llmResponse.nextSessionRecommendation,
+    exerciseInsights,
+  };
+
+  // 4. Validaciones
+  try {
+    validateWorkoutReportNarrative(narrative, exerciseIds);
+  } catch (error) {
+    console.error("[Workout Report] Narrative validation failed:", error);
+    throw new Error(
+      `[Workout Report] Narrative validation failed: ${error instanceof Error ? error.message : "Unknown error"}`
+    );
+  }
+
+  console.log("[Workout Report] Narrative generated successfully:", {
+    highlights: narrative.highlights.length,
+    concerns: narrative.concerns.length,
+    exerciseInsights: Object.keys(narrative.exerciseInsights).length,
+  });
+
+  return narrative;
+}
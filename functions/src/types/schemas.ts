@@ -5,6 +5,12 @@
 
 export type PhaseType = 'warmup' | 'workout' | 'cooldown';
 
+/**
+ * Agrupación de variaciones dentro de una fase (ver services/session-blocks.ts).
+ * 'straight' = series completas de un ejercicio antes del siguiente (sin blockId).
+ */
+export type BlockType = 'straight' | 'superset' | 'circuit' | 'flow';
+
 // --- ENTIDADES ---
 
 export interface UserMetrics {
@@ -19,17 +25,86 @@ export interface UserProfile {
   discomforts: string[];
   objectives: string[];
   preferredDisciplines: string[];
+  // Historial de lesiones en texto libre (baselineAssessment.physiological.injuryHistory)
+  injuryHistory: string;
+  // Sobrecarga progresiva: variación dominada → variación más difícil que la sustituye
+  // (users/{uid}.variationPromotions, se actualiza en el cliente al completar una sesión)
+  variationPromotions: Record<string, string>;
+  // Disponibilidad del usuario (users/{uid}.availability, se edita en el perfil)
+  availability?: UserAvailability | null;
   // NOTA: Ya no guardamos la blacklist aquí para no duplicar datos en el State.
   // La blacklist se carga directamente en 'initialBlacklist' del state.
 }
 
+/**
+ * Franja horaria de un día de la semana ("HH:MM", hora local del usuario)
+ */
+export interface AvailabilityTimeWindow {
+  day: number; // 0=Sunday, 6=Saturday
+  start: string;
+  end: string;
+}
+
+/**
+ * Fechas sin entrenamiento (viajes, vacaciones...). start/end YYYY-MM-DD, ambos incluidos
+ */
+export interface BlackoutPeriod {
+  start: string;
+  end: string;
+  reason?: string;
+}
+
+/**
+ * Disponibilidad semanal del usuario (ver services/availability.ts)
+ * - days: días de la semana en los que puede entrenar (0=Sunday)
+ * - timeWindows: franja de cada día disponible (opcional), limita la duración de la sesión
+ * - maxSessionMinutes: duración máxima de cualquier sesión (null = sin límite)
+ * - blackoutDates: periodos puntuales sin entrenamiento
+ */
+export interface UserAvailability {
+  days: number[];
+  timeWindows: AvailabilityTimeWindow[];
+  maxSessionMinutes: number | null;
+  blackoutDates: BlackoutPeriod[];
+}
+
 export interface ExerciseVariation {
   id: string;
   name: string;
+  // Ejercicio padre (ejercicios/{exerciseId}): el cliente guarda los hitos de sobrecarga por ejercicio
+  exerciseId?: string;
   phase: PhaseType;
   disciplines: string[];
   tags: string[];
+  // Grupos musculares del ejercicio padre, normalizados ("hip-flexors" → "hip flexors")
+  targetMuscles?: string[];
   score?: number; 
+  // Superset / circuito / flow: las variaciones del mismo bloque comparten blockId
+  // y van seguidas en el array de la fase (lo asigna el Assembler)
+  blockId?: string;
+  blockType?: BlockType;
+  // Prescripción (la completa el Assembler, ver services/session-duration.ts):
+  // reps o holdSeconds por serie, tempo "3-1-1-0" (X = explosivo) y descanso entre series
+  sets?: number;
+  reps?: number;
+  holdSeconds?: number;
+  tempo?: string;
+  restSeconds?: number;
+  // Duración estimada de la variación en la sesión (series, descansos y preparación)
+  estimatedSeconds?: number;
+}
+
+/**
+ * Variación excluida o penalizada por una molestia/lesión del usuario
+ * (ver services/contraindications.ts). Se guarda con la sesión para la UI.
+ */
+export interface ContraindicationRecord {
+  variationId: string;
+  variationName: string;
+  phase: PhaseType;
+  action: 'excluded' | 'downscored';
+  area: string;
+  reason: string;
 }
 
 // --- PLAN Y SESIÓN ---
@@ -39,6 +114,8 @@ export interface ScheduledTrainingDay {
   focus: string;
   description: string;
   systemGoal: string;
+  // Minutos disponibles ese día según la disponibilidad del usuario (sin límite si no existe)
+  maxDurationMinutes?: number;
 }
 
 export interface WeeklyPlan {
@@ -57,6 +134,38 @@ export interface TrainingSession {
   warmup: ExerciseVariation[];
   workout: ExerciseVariation[];
   cooldown: ExerciseVariation[];
+  // Semana y fase del mesociclo en el que se generó la sesión
+  mesocycleWeek?: number;
+  mesocyclePhase?: MesocyclePhase;
+  // Variaciones relevantes para el foco del día que se evitaron o penalizaron por contraindicación
+  contraindications?: ContraindicationRecord[];
+  // Duración estimada de la sesión y duración a la que se ajustó (si había una)
+  estimatedMinutes?: number;
+  targetMinutes?: number;
+}
+
+// --- MESOCICLO (PERIODIZACIÓN) ---
+
+export type MesocyclePhase = 'accumulation' | 'intensification' | 'deload';
+
+export interface MesocycleWeek {
+  weekNumber: number; // 1-indexed
+  phase: MesocyclePhase;
+  systemGoal: string; // Objetivo de la fase, se añade al systemGoal de cada training day
+  targetTags: string[]; // Tags de la fase, se añaden a las del Phase Orchestrator
+}
+
+export interface Mesocycle {
+  id: string;
+  status: 'active' | 'completed';
+  totalWeeks: number; // 4-8
+  /** Última semana generada (1-indexed, 0 = ninguna todavía) */
+  currentWeek: number;
+  /** Lunes (YYYY-MM-DD) de la última semana generada, para no avanzar dos veces la misma semana */
+  lastGeneratedWeekStart: string | null;
+  /** Esqueleto semanal del Strategy: se reutiliza en todas las semanas del bloque */
+  basePlan: Omit<WeeklyPlan, 'startDate'>;
+  weeks: MesocycleWeek[];
 }
 
 // --- ESTADO DEL GRAFO (LANGGRAPH) ---
@@ -109,4 +218,112 @@ export interface TrainingGraphState {
     workout: ExerciseVariation[];
     cooldown: ExerciseVariation[];
   };
-}
\ No newline at end of file
+
+  // 5. PERIODIZACIÓN
+
+  /**
+   * Mesociclo activo (cargado de Firebase o creado por el Strategy).
+   * currentWeek apunta a la semana que se está generando.
+   */
+  mesocycle: Mesocycle | null;
+
+  /** Duración pedida para un bloque nuevo (4-8 semanas), si no hay uno activo */
+  requestedMesocycleWeeks: number | null;
+
+  // 6. MODO RULE-BASED
+
+  /**
+   * Nodos LLM que usaron el fallback determinístico (APPEND ONLY).
+   * Se persiste con la semana para saber qué partes del plan no vienen del LLM.
+   */
+  fallbackNodes: string[];
+
+  // 7. CONTRAINDICACIONES
+
+  /**
+   * Variaciones excluidas o penalizadas por el Filter Engine en la sesión actual
+   * (se reemplaza en cada vuelta del bucle). El Assembler lo copia a la sesión.
+   */
+  contraindicationLog: ContraindicationRecord[];
+
+  // 8. DURACIÓN
+
+  /**
+   * Duración pedida para la sesión (ej. "versión de 30 minutos"). Si es null, el Assembler
+   * ajusta la sesión a los minutos disponibles del día (schedule[].maxDurationMinutes).
+   */
+  targetSessionMinutes?: number | null;
+}
+
+// --- INFORME DE RENDIMIENTO (generateWorkoutReport) ---
+
+export interface WorkoutReportNarrative {
+  reportTitle: string;
+  summary: string;
+  highlights: string[];
+  concerns: string[];
+  nextSessionRecommendation: string;
+  /** Insight por ejercicio, indexado por `${exerciseId}-${variationId}` */
+  exerciseInsights: Record<string, string>;
+}
+
+// --- EJECUCIONES DE GENERACIÓN (users/{uid}/generationRuns/{runId}) ---
+
+export type GenerationRunStatus = 'running' | 'completed' | 'failed';
+
+/** Semana del bloque devuelta al frontend junto a las sesiones */
+export interface MesocycleSummary {
+  id: string;
+  week: number;
+  totalWeeks: number;
+  phase: MesocyclePhase;
+}
+
+export interface GenerationNodeTiming {
+  node: string;
+  dayIndex: number; // currentDayIndex (bucle) al empezar el nodo
+  startedAt: string; // ISO
+  durationMs: number;
+  status: 'completed' | 'failed';
+}
+
+/** Selección de un día ya ensamblado (estado intermedio del bucle) */
+export interface GenerationRunDay {
+  dayIndex: number; // índice del bucle (0-indexed)
+  date: string;
+  focus: string;
+  warmup: string[]; // variation IDs
+  workout: string[];
+  cooldown: string[];
+}
+
+export interface GenerationRun {
+  id: string;
+  userId: string;
+  requestType: string;
+  status: GenerationRunStatus;
+  input: { mesocycleWeeks: number | null };
+  /** Veces que se ha ejecutado (1 + reanudaciones) */
+  attempts: number;
+  currentNode: string | null;
+  nodeTimings: GenerationNodeTiming[];
+  weeklyPlan: WeeklyPlan | null;
+  days: GenerationRunDay[];
+  error: { message: string; node: string | null; at: string } | null;
+  result: { sessions: TrainingSession[]; mesocycle: MesocycleSummary | null } | null;
+  createdAt: string;
+  updatedAt: string;
+  completedAt: string | null;
+}
+
+// --- EVENTOS DE PROGRESO (SSE de generateWorkout) ---
+
+export type GenerationEvent =
+  | { type: 'run'; runId: string }
+  | { type: 'node'; node: string; status: 'started' | 'completed' | 'failed'; dayIndex: number; durationMs?: number }
+  | { type: 'strategy'; weeklyPlan: WeeklyPlan }
+  | { type: 'day_phase'; dayIndex: number; phase: PhaseType; variations: ExerciseVariation[] }
+  | { type: 'day_assembled'; dayIndex: number; session: TrainingSession }
+  | { type: 'persisted'; sessionCount: number }
+  | { type: 'complete'; runId: string; sessions: TrainingSession[]; mesocycle: MesocycleSummary | null }
+  | { type: 'error'; runId: string; message: string; resumable: boolean };
@@ -0,0 +1,34 @@
+/**
+ * HTTP Auth Utility
+ * Verifies the Firebase ID token sent by the frontend as "Authorization: Bearer <token>"
+ */
+
+import * as admin from "firebase-admin";
+import type { Request } from "firebase-functions/v2/https";
+import type { Response } from "express";
+
+/**
+ * Verify the caller's ID token and return its uid
+ * Sends the 401 response itself when the token is missing or invalid
+ *
+ * @param req - Incoming HTTP request
+ * @param res - HTTP response (used to reply 401)
+ * @returns The authenticated uid, or null if the request was rejected
+ */
+export async function verifyRequestAuth(req: Request, res: Response): Promise<string | null> {
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith("Bearer ")) {
+    res.status(401).json({ error: "Unauthorized: Missing or invalid token" });
+    return null;
+  }
+
+  const idToken = authHeader.split("Bearer ")[1];
+
+  try {
+    const decodedToken = await admin.auth().verifyIdToken(idToken);
+    return decodedToken.uid;
+  } catch (error) {
+    res.status(401).json({ error: "Unauthorized: Invalid token" });
+    return null;
+  }
+}
@@ -116,3 +116,30 @@ export function calculateStartDate(trainingDays: number[]): Date {
   return getNextWeekDate(minDay);
 }
 
+
+/**
+ * Date of a day of the week in the plan week that begins on startDate
+ * (days before the start day's weekday wrap to the following week)
+ * @param startDate - ISO date string (YYYY-MM-DD)
+ * @param dayOfWeek - Day of week (0 = Sunday, 1 = Monday, ..., 6 = Saturday)
+ * @returns ISO date string (YYYY-MM-DD)
+ */
+export function getPlanDateForDay(startDate: string, dayOfWeek: number): string {
+  const start = new Date(startDate);
+  if (isNaN(start.getTime())) {
+    throw new Error(`Invalid startDate: ${startDate}`);
+  }
+
+  let daysToAdd = dayOfWeek - start.getDay();
+  if (daysToAdd < 0) {
+    daysToAdd += 7;
+  }
+
+  const date = new Date(start);
+  date.setDate(start.getDate() + daysToAdd);
+
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
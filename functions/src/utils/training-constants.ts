@@ -0,0 +1,119 @@
+/**
+ * Training Constants
+ *
+ * Constantes del sistema de entrenamiento compartidas por los nodos del grafo.
+ * DEFAULT_WEEKLY_CONFIG y FRAMEWORK_MUSCLE_MAPPINGS replican js/core/constants.js
+ * (el paquete de functions no puede importar el código del frontend).
+ */
+
+import { PhaseType } from "../types/schemas";
+
+/**
+ * Lista de todas las tags disponibles en el sistema
+ */
+export const AVAILABLE_TAGS = [
+  // Anatomía
+  'chest',
+  'back',
+  'legs',
+  'shoulders',
+  'core',
+  // Patrón de Movimiento
+  'push',
+  'pull',
+  'squat',
+  'hinge',
+  'lunge',
+  'rotation',
+  // Modalidad/Atributo
+  'unilateral',
+  'bilateral',
+  'isometric',
+  'explosive',
+  'plyometric',
+];
+
+export const TRAINING_FRAMEWORKS = {
+  PUSH_PULL: 'Push/Pull',
+  UPPER_LOWER: 'Upper/Lower',
+  CHEST_BACK_LEGS: 'Chest/Back/Legs',
+  FULL_BODY: 'Full Body',
+  PUSH_PULL_LEGS: 'Push/Pull/Legs',
+};
+
+export interface MuscleMapping {
+  primary: string[];
+  secondary: string[];
+}
+
+// Framework to Muscle Group Mappings
+export const FRAMEWORK_MUSCLE_MAPPINGS: Record<string, MuscleMapping> = {
+  'Push': {
+    primary: ['chest', 'shoulders', 'triceps'],
+    secondary: ['front delts', 'upper chest'],
+  },
+  'Pull': {
+    primary: ['back', 'biceps', 'rear delts'],
+    secondary: ['lats', 'rhomboids', 'traps'],
+  },
+  'Legs': {
+    primary: ['quads', 'glutes', 'hamstrings', 'calves'],
+    secondary: ['hip flexors', 'adductors'],
+  },
+  'Upper': {
+    primary: ['chest', 'back', 'shoulders', 'biceps', 'triceps'],
+    secondary: ['traps', 'rear delts', 'front delts'],
+  },
+  'Lower': {
+    primary: ['quads', 'glutes', 'hamstrings', 'calves'],
+    secondary: ['hip flexors', 'adductors', 'abductors'],
+  },
+  'Core': {
+    primary: ['abs', 'core', 'obliques'],
+    secondary: ['lower back', 'hip flexors'],
+  },
+  'Push/Pull': {
+    primary: ['chest', 'back', 'shoulders', 'biceps', 'triceps'],
+    secondary: ['rear delts', 'traps'],
+  },
+  'Upper/Lower': {
+    primary: ['chest', 'back', 'shoulders', 'arms', 'quads', 'glutes', 'hamstrings'],
+    secondary: ['calves', 'traps'],
+  },
+  'Chest/Back/Legs': {
+    primary: ['chest', 'back', 'quads', 'glutes', 'hamstrings'],
+    secondary: ['shoulders', 'biceps', 'triceps', 'calves'],
+  },
+  'Full Body': {
+    primary: ['chest', 'back', 'shoulders', 'quads', 'glutes', 'hamstrings', 'core'],
+    secondary: ['biceps', 'triceps', 'calves', 'abs'],
+  },
+  'Push/Pull/Legs': {
+    primary: ['chest', 'back', 'shoulders', 'quads', 'glutes', 'hamstrings'],
+    secondary: ['biceps', 'triceps', 'calves'],
+  },
+};
+
+// Default Weekly System Configuration
+// restDays solo ordenan la preferencia: los días los decide la disponibilidad del usuario (services/availability.ts)
+export const DEFAULT_WEEKLY_CONFIG = {
+  daysPerWeek: 4,
+  framework: TRAINING_FRAMEWORKS.PUSH_PULL,
+  restDays: [2, 4, 6], // Tuesday, Thursday, Saturday (0 = Sunday)
+};
+
+/**
+ * Prescripción por defecto de cada fase (las variaciones del catálogo no traen series/reps).
+ * reps = null: la fase se trabaja por tiempo (holdSeconds por serie).
+ * restSeconds replica DEFAULT_REST_SECONDS de js/core/constants.js (temporizador de descanso).
+ */
+export const DEFAULT_PHASE_PRESCRIPTIONS: Record<PhaseType, {
+  sets: number;
+  reps: number | null;
+  holdSeconds: number | null;
+  restSeconds: number;
+}> = {
+  warmup: { sets: 2, reps: 10, holdSeconds: null, restSeconds: 30 },
+  workout: { sets: 3, reps: 10, holdSeconds: null, restSeconds: 90 },
+  cooldown: { sets: 1, reps: null, holdSeconds: 45, restSeconds: 20 },
+};
@@ -4,7 +4,8 @@
  * Validates WeeklyPlan structure and data integrity.
  */
 
-import { WeeklyPlan } from "../types/schemas";
+import { UserAvailability, WeeklyPlan } from "../types/schemas";
+import { getAvailabilityViolations } from "../services/availability";
 
 /**
  * Validate WeeklyPlan structure and data integrity
@@ -15,11 +16,14 @@ import { WeeklyPlan } from "../types/schemas";
  * 3. No duplicate days in trainingDays
  * 4. trainingDays values are in valid range (0-6)
  * 5. schedule[i].dayIndex === trainingDays[i] (consistent order)
+ * 6. The plan respects the user's availability, if given (available days,
+ *    no session on blackout dates, maxDurationMinutes within the day's limit)
  * 
  * @param weeklyPlan - The WeeklyPlan to validate
+ * @param availability - User availability (see services/availability.ts)
  * @throws Error if validation fails
  */
-export function validateWeeklyPlan(weeklyPlan: WeeklyPlan): void {
+export function validateWeeklyPlan(weeklyPlan: WeeklyPlan, availability?: UserAvailability | null): void {
   // 1. totalTrainingDays === trainingDays.length
   if (weeklyPlan.totalTrainingDays !== weeklyPlan.trainingDays.length) {
     throw new Error(
@@ -59,6 +63,12 @@ export function validateWeeklyPlan(weeklyPlan: WeeklyPlan): void {
     }
   }
 
+  // 6. The plan respects the user's availability
+  const availabilityViolations = getAvailabilityViolations(weeklyPlan, availability);
+  if (availabilityViolations.length > 0) {
+    throw new Error(`WeeklyPlan does not respect the user's availability: ${availabilityViolations.join("; ")}`);
+  }
+
   // Additional validations for schedule items
   weeklyPlan.schedule.forEach((scheduledDay, index) => {
     if (!scheduledDay.focus || scheduledDay.focus.trim() === "") {
@@ -0,0 +1,100 @@
+/**
+ * Workout Report Validator
+ *
+ * Validates the input reportData and the WorkoutReportNarrative produced by the LLM.
+ */
+
+import { WorkoutReportNarrative } from "../types/schemas";
+
+/**
+ * Validate the reportData sent by the frontend (buildSessionReportData)
+ *
+ * Validations:
+ * 1. reportData is an object
+ * 2. sessionDate is a non-empty string
+ * 3. macroStats is an object
+ * 4. exercises is an array of objects
+ *
+ * @param reportData - Raw request payload
+ * @throws Error if validation fails
+ */
+export function validateReportData(reportData: any): void {
+  if (!reportData || typeof reportData !== "object") {
+    throw new Error("reportData is required and must be an object");
+  }
+
+  if (typeof reportData.sessionDate !== "string" || reportData.sessionDate.trim() === "") {
+    throw new Error("reportData.sessionDate is required and must be a string");
+  }
+
+  if (!reportData.macroStats || typeof reportData.macroStats !== "object") {
+    throw new Error("reportData.macroStats is required and must be an object");
+  }
+
+  if (!Array.isArray(reportData.exercises)) {
+    throw new Error("reportData.exercises is required and must be an array");
+  }
+
+  reportData.exercises.forEach((exercise: any, index: number) => {
+    if (!exercise || typeof exercise !== "object") {
+      throw new Error(`reportData.exercises[${index}] must be an object`);
+    }
+  });
+}
+
+/**
+ * Validate WorkoutReportNarrative structure and data integrity
+ *
+ * Validations:
+ * 1. reportTitle, summary and nextSessionRecommendation are non-empty strings
+ * 2. highlights has at least one non-empty string
+ * 3. concerns is an array of non-empty strings (can be empty)
+ * 4. exerciseInsights only references exercises present in the report
+ *
+ * @param narrative - The WorkoutReportNarrative to validate
+ * @param exerciseIds - IDs of the exercises in the reportData
+ * @throws Error if validation fails
+ */
+export function validateWorkoutReportNarrative(
+  narrative: WorkoutReportNarrative,
+  exerciseIds: string[]
+): void {
+  // 1. Required text fields
+  (["reportTitle", "summary", "nextSessionRecommendation"] as const).forEach((field) => {
+    if (typeof narrative[field] !== "string" || narrative[field].trim() === "") {
+      throw new Error(`${field} is required and cannot be empty`);
+    }
+  });
+
+  // 2. highlights
+  if (!Array.isArray(narrative.highlights) || narrative.highlights.length === 0) {
+    throw new Error("highlights must contain at least one item");
+  }
+
+  // 3. highlights / concerns items
+  (["highlights", "concerns"] as const).forEach((field) => {
+    if (!Array.isArray(narrative[field])) {
+      throw new Error(`${field} must be an array`);
+    }
+    narrative[field].forEach((item, index) => {
+      if (typeof item !== "string" || item.trim() === "") {
+        throw new Error(`${field}[${index}] must be a non-empty string`);
+      }
+    });
+  });
+
+  // 4. exerciseInsights
+  if (!narrative.exerciseInsights || typeof narrative.exerciseInsights !== "object") {
+    throw new Error("exerciseInsights must be an object");
+  }
+
+  const knownIds = new Set(exerciseIds);
+  Object.entries(narrative.exerciseInsights).forEach(([exerciseId, insight]) => {
+    if (!knownIds.has(exerciseId)) {
+      throw new Error(`exerciseInsights references unknown exercise: ${exerciseId}`);
+    }
+    if (typeof insight !== "string" || insight.trim() === "") {
+      throw new Error(`exerciseInsights[${exerciseId}] must be a non-empty string`);
+    }
+  });
+}
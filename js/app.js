@@ -12,6 +12,7 @@ import { initializeAthleteApp } from './athlete/dashboard.js';
 import { loadAllTemplates } from './core/template-loader.js';
 import { initAuthManager, onAuthStateChanged, isAuthenticated } from './core/auth-manager.js';
 import { initAuthUI, showAuthOverlay, hideAuthOverlay } from './ui/auth-ui.js';
+import { registerServiceWorker } from './core/pwa.js';
 
 // Global router instance
 let router = null;
@@ -204,6 +205,10 @@ document.addEventListener('DOMContentLoaded', async () => {
         // Continue execution even if templates fail to load
         // This allows the app to function with minimal degradation
     }
+
+    // Service worker: offline shell, cached templates and update prompt (after the
+    // templates are fetched, so they can be precached from the page's resources)
+    registerServiceWorker();
     
     // Initialize authentication (popup flow doesn't need redirect result checking)
     await initAuthManager();
@@ -2,6 +2,15 @@
 import { getCalendarViewPreference, saveCalendarViewPreference, getTrainingSystem } from '../core/storage.js';
 import { cleanFrameworkName } from '../core/constants.js';
 import { formatDisciplines } from '../core/ui-utils.js';
+import { normalizeDateKey, parseLocalDate } from '../core/streak-engine.js';
+import {
+    CONFLICT_RESOLUTIONS,
+    CalendarHistory,
+    planSessionMoves,
+    planShiftSessions,
+    planPushRestOfWeek,
+    buildRescheduleChanges
+} from '../core/calendar-reschedule.js';
 
 export class AthleteCalendarManager {
     constructor() {
@@ -16,6 +25,13 @@ export class AthleteCalendarManager {
         this.dragThreshold = 5; // pixels
         // Modal reference
         this.sessionDetailModal = null;
+        // Session shown in the modal (for the Regenerate action)
+        this.modalSession = null;
+        this.modalDateStr = null;
+        // Undo/redo of calendar moves and sessions selected for a bulk shift
+        this.history = new CalendarHistory();
+        this.selectedSessionIds = new Set();
+        this.isApplyingChanges = false;
         // Init will be called and handled asynchronously
         this.init().catch(err => console.error('Error initializing calendar:', err));
     }
@@ -33,6 +49,8 @@ export class AthleteCalendarManager {
                 console.error('[Calendar] Modal failed to load during init');
             }
             this.setupToggle();
+            this.setupCalendarExport();
+            this.setupRescheduleControls();
             this.setupScroll();
             await this.renderCalendar();
         }
@@ -57,6 +75,468 @@ export class AthleteCalendarManager {
         });
     }
 
+    /**
+     * Setup the .ics download and the calendar feed panel
+     */
+    setupCalendarExport() {
+        const exportBtn = document.getElementById('calendar-export-ics-btn');
+        const subscribeBtn = document.getElementById('calendar-subscribe-btn');
+        const feedPanel = document.getElementById('calendar-feed-panel');
+        if (!exportBtn || !subscribeBtn || !feedPanel || exportBtn.dataset.initialized) return;
+        exportBtn.dataset.initialized = 'true';
+
+        const feedInput = document.getElementById('calendar-feed-url');
+        const openLink = document.getElementById('calendar-feed-open-link');
+        const status = document.getElementById('calendar-feed-status');
+
+        exportBtn.addEventListener('click', async () => {
+            try {
+                const { downloadTrainingCalendar } = await import('../services/calendarExportService.js');
+                const trainingSystem = await getTrainingSystem();
+                downloadTrainingCalendar(trainingSystem);
+            } catch (error) {
+                console.error('[Calendar] Error exporting calendar:', error);
+                alert(error.message || 'Could not export the calendar. Please try again.');
+            }
+        });
+
+        const loadFeedUrl = async (reset = false) => {
+            status.textContent = reset ? 'Creating a new link...' : 'Loading...';
+            try {
+                const { getAuthUser } = await import('../core/auth-manager.js');
+                const { getCalendarFeedUrls } = await import('../services/calendarExportService.js');
+                const user = getAuthUser();
+                if (!user) {
+                    throw new Error('User must be authenticated');
+                }
+
+                const { httpsUrl, webcalUrl } = await getCalendarFeedUrls(user.uid, { reset });
+                feedInput.value = httpsUrl;
+                openLink.href = webcalUrl;
+                status.textContent = reset ? 'New link created. Old subscriptions will stop updating.' : '';
+            } catch (error) {
+                console.error('[Calendar] Error loading calendar feed:', error);
+                status.textContent = 'Could not load the calendar link.';
+            }
+        };
+
+        subscribeBtn.addEventListener('click', () => {
+            feedPanel.classList.toggle('hidden');
+            if (!feedPanel.classList.contains('hidden') && !feedInput.value) {
+                loadFeedUrl();
+            }
+        });
+
+        document.getElementById('calendar-feed-copy-btn')?.addEventListener('click', async () => {
+            if (!feedInput.value) return;
+            try {
+                await navigator.clipboard.writeText(feedInput.value);
+                status.textContent = 'Link copied';
+            } catch (error) {
+                feedInput.select();
+                status.textContent = 'Press Ctrl+C to copy the link';
+            }
+        });
+
+        document.getElementById('calendar-feed-reset-btn')?.addEventListener('click', () => {
+            if (!confirm('Create a new link? Calendars subscribed with the current link will stop updating.')) {
+                return;
+            }
+            loadFeedUrl(true);
+        });
+    }
+
+    /**
+     * Setup undo/redo, the multi-select bar and "push the rest of the week"
+     */
+    setupRescheduleControls() {
+        const undoBtn = document.getElementById('calendar-undo-btn');
+        if (!undoBtn || undoBtn.dataset.initialized) return;
+        undoBtn.dataset.initialized = 'true';
+
+        undoBtn.addEventListener('click', () => this.undoLastChange());
+        document.getElementById('calendar-redo-btn')?.addEventListener('click', () => this.redoLastChange());
+        document.getElementById('calendar-push-week-btn')?.addEventListener('click', () => {
+            this.pushRestOfWeek().catch(error => console.error('[Calendar] Error pushing week:', error));
+        });
+
+        document.querySelectorAll('#calendar-selection-bar [data-shift-days]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.shiftSelectedSessions(Number(button.dataset.shiftDays))
+                    .catch(error => console.error('[Calendar] Error shifting sessions:', error));
+            });
+        });
+        document.getElementById('calendar-selection-clear')?.addEventListener('click', () => this.clearSelection());
+
+        // Ctrl/Cmd+Z undo, Ctrl/Cmd+Shift+Z or Ctrl+Y redo, Escape clears the selection
+        document.addEventListener('keydown', (e) => {
+            if (!this.container || this.container.offsetParent === null) return;
+            if (e.target instanceof HTMLElement && e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+
+            const key = e.key.toLowerCase();
+            if ((e.ctrlKey || e.metaKey) && key === 'z') {
+                e.preventDefault();
+                if (e.shiftKey) {
+                    this.redoLastChange();
+                } else {
+                    this.undoLastChange();
+                }
+            } else if ((e.ctrlKey || e.metaKey) && key === 'y') {
+                e.preventDefault();
+                this.redoLastChange();
+            } else if (key === 'escape' && this.selectedSessionIds.size > 0) {
+                this.clearSelection();
+            }
+        });
+
+        this.updateHistoryControls();
+        this.updateSelectionBar();
+    }
+
+    /**
+     * Enable the undo/redo buttons and describe what they would do
+     */
+    updateHistoryControls() {
+        const undoBtn = document.getElementById('calendar-undo-btn');
+        const redoBtn = document.getElementById('calendar-redo-btn');
+        if (undoBtn) {
+            undoBtn.disabled = !this.history.canUndo || this.isApplyingChanges;
+            undoBtn.title = this.history.canUndo ? `Undo: ${this.history.peekUndo().label}` : 'Nothing to undo';
+        }
+        if (redoBtn) {
+            redoBtn.disabled = !this.history.canRedo || this.isApplyingChanges;
+            redoBtn.title = this.history.canRedo ? `Redo: ${this.history.peekRedo().label}` : 'Nothing to redo';
+        }
+    }
+
+    /**
+     * Add or remove a session from the selection (Shift/Ctrl/Cmd+click on a badge)
+     * @param {string} sessionId - Session ID
+     */
+    toggleSessionSelection(sessionId) {
+        if (this.selectedSessionIds.has(sessionId)) {
+            this.selectedSessionIds.delete(sessionId);
+        } else {
+            this.selectedSessionIds.add(sessionId);
+        }
+
+        this.grid?.querySelectorAll(`.calendar-session-badge[data-session-id="${sessionId}"]`).forEach(badge => {
+            badge.classList.toggle('selected', this.selectedSessionIds.has(sessionId));
+        });
+        this.updateSelectionBar();
+    }
+
+    clearSelection() {
+        this.selectedSessionIds.clear();
+        this.grid?.querySelectorAll('.calendar-session-badge.selected').forEach(badge => badge.classList.remove('selected'));
+        this.updateSelectionBar();
+    }
+
+    updateSelectionBar() {
+        const bar = document.getElementById('calendar-selection-bar');
+        if (!bar) return;
+
+        const count = this.selectedSessionIds.size;
+        bar.classList.toggle('hidden', count === 0);
+        const label = document.getElementById('calendar-selection-count');
+        if (label) {
+            label.textContent = `${count} session${count === 1 ? '' : 's'} selected`;
+        }
+    }
+
+    /**
+     * User, training system and fresh sessions to plan a reschedule with
+     * @returns {Promise<Object>} { user, trainingSystem, sessions }
+     */
+    async getScheduleContext() {
+        const { getAuthUser } = await import('../core/auth-manager.js');
+        const { getSystemSessions } = await import('../services/dbService.js');
+
+        const user = getAuthUser();
+        if (!user) {
+            throw new Error('User must be authenticated');
+        }
+
+        const trainingSystem = await getTrainingSystem();
+        if (!trainingSystem || !trainingSystem.id) {
+            throw new Error('Training system not found');
+        }
+
+        const sessions = await getSystemSessions(user.uid, trainingSystem.id);
+        return { user, trainingSystem, sessions };
+    }
+
+    /**
+     * Plan, confirm conflicts, save and record a reschedule
+     * @param {Function} buildPlan - (sessions) => plan (see js/core/calendar-reschedule.js)
+     * @param {string} label - Description for the undo/redo buttons
+     * @returns {Promise<boolean>} false if nothing was moved (no moves, past days or cancelled)
+     */
+    async rescheduleSessions(buildPlan, label) {
+        const context = await this.getScheduleContext();
+        const plan = buildPlan(context.sessions);
+
+        if (plan.pastDates.length > 0) {
+            alert('Sessions can only be moved to today or a later day.');
+            return false;
+        }
+        if (plan.moves.length === 0) {
+            return false;
+        }
+
+        let resolution = CONFLICT_RESOLUTIONS.KEEP_BOTH;
+        if (plan.conflicts.length > 0) {
+            resolution = await this.promptConflictResolution(plan.conflicts);
+            if (!resolution) return false;
+        }
+
+        const changes = buildRescheduleChanges(plan, resolution);
+        await this.applySessionChanges(changes, 'after', context);
+        this.history.record({ label, changes });
+        this.updateHistoryControls();
+        return true;
+    }
+
+    /**
+     * Save one side of a list of changes
+     * Fields missing from a snapshot are cleared, so undoing a merge removes mergedInto.
+     * @param {Array} changes - [{ before, after }] (null = no session, deleted)
+     * @param {string} side - 'before' (undo) or 'after' (apply/redo)
+     * @param {Object} context - { user, trainingSystem, sessions } from getScheduleContext
+     */
+    async applySessionChanges(changes, side, { user, trainingSystem, sessions }) {
+        const { saveSessionToSystem, deleteSessionFromSystem } = await import('../services/dbService.js');
+        const { saveTrainingSystem } = await import('../core/storage.js');
+        const liveById = new Map(sessions.map(session => [session.id, session]));
+
+        for (const change of changes) {
+            const target = change[side];
+            const sessionId = (target || change.before || change.after).id;
+            const live = liveById.get(sessionId);
+
+            if (!target) {
+                await deleteSessionFromSystem(user.uid, trainingSystem.id, sessionId);
+                liveById.delete(sessionId);
+                continue;
+            }
+
+            const cleared = Object.fromEntries(
+                Object.keys(live || {}).filter(key => !(key in target)).map(key => [key, null])
+            );
+            const saved = {
+                ...cleared,
+                ...target,
+                id: sessionId,
+                // Revision of the calendar event (SEQUENCE in the .ics export and feed)
+                calendarSequence: (live?.calendarSequence || 0) + 1
+            };
+            await saveSessionToSystem(user.uid, trainingSystem.id, saved);
+            liveById.set(sessionId, saved);
+        }
+
+        // Update local cache
+        trainingSystem.sessions = [...liveById.values()];
+        await saveTrainingSystem(trainingSystem);
+    }
+
+    /**
+     * Ask how to resolve sessions landing on the same day
+     * @param {Array} conflicts - [{ date, sessions }] from the plan
+     * @returns {Promise<string|null>} CONFLICT_RESOLUTIONS value, or null if cancelled
+     */
+    promptConflictResolution(conflicts) {
+        return new Promise(resolve => {
+            const dialog = document.createElement('div');
+            dialog.id = 'calendar-conflict-dialog';
+            dialog.className = 'calendar-conflict-dialog';
+            dialog.setAttribute('role', 'dialog');
+            dialog.setAttribute('aria-modal', 'true');
+
+            const items = conflicts.map(({ date, sessions }) => {
+                const day = parseLocalDate(date).toLocaleDateString(undefined, { weekday: 'short', day: 'numeric', month: 'short' });
+                const names = sessions.map(session => this.extractFrameworkName(session.framework || session.workout)).join(' + ');
+                return `<li><span class="font-semibold">${day}</span>: ${names}</li>`;
+            }).join('');
+
+            dialog.innerHTML = `
+                <div class="glass-strong rounded-2xl p-6 border border-zinc-800 max-w-md w-full">
+                    <h3 class="text-lg font-semibold text-white mb-2">Two sessions on the same day</h3>
+                    <ul class="text-sm text-white/80 mb-4 space-y-1">${items}</ul>
+                    <p class="text-sm text-white/60 mb-6">Merge them into one session with all the exercises, or keep both sessions on that day.</p>
+                    <div class="flex gap-3">
+                        <button type="button" data-resolution="${CONFLICT_RESOLUTIONS.MERGE}" class="flex-1 px-4 py-2 rounded-lg font-semibold hover:bg-white/90 transition-all" style="background-color: #F2ECE1; color: #323434;">Merge</button>
+                        <button type="button" data-resolution="${CONFLICT_RESOLUTIONS.KEEP_BOTH}" class="flex-1 px-4 py-2 rounded-lg border border-white/20 text-white hover:bg-white/10 transition-all">Keep both</button>
+                        <button type="button" data-resolution="" class="px-4 py-2 rounded-lg text-white/60 hover:text-white transition-all">Cancel</button>
+                    </div>
+                </div>
+            `;
+
+            const close = (resolution) => {
+                document.removeEventListener('keydown', onKeydown);
+                dialog.remove();
+                resolve(resolution || null);
+            };
+            const onKeydown = (e) => {
+                if (e.key === 'Escape') close(null);
+            };
+
+            dialog.addEventListener('click', (e) => {
+                const button = e.target instanceof HTMLElement ? e.target.closest('[data-resolution]') : null;
+                if (button) {
+                    close(button.dataset.resolution);
+                } else if (e.target === dialog) {
+                    close(null);
+                }
+            });
+            document.addEventListener('keydown', onKeydown);
+            document.body.appendChild(dialog);
+            dialog.querySelector('[data-resolution]')?.focus();
+        });
+    }
+
+    /**
+     * Revert the last calendar change
+     */
+    async undoLastChange() {
+        const entry = this.history.peekUndo();
+        if (!entry || this.isApplyingChanges) return;
+
+        this.isApplyingChanges = true;
+        this.updateHistoryControls();
+        try {
+            const context = await this.getScheduleContext();
+            await this.applySessionChanges([...entry.changes].reverse(), 'before', context);
+            this.history.undo();
+            await this.refreshAfterScheduleChange();
+        } catch (error) {
+            console.error('[Calendar] Error undoing change:', error);
+            alert('Could not undo the last change. Please try again.');
+        } finally {
+            this.isApplyingChanges = false;
+            this.updateHistoryControls();
+        }
+    }
+
+    /**
+     * Apply again the last undone calendar change
+     */
+    async redoLastChange() {
+        const entry = this.history.peekRedo();
+        if (!entry || this.isApplyingChanges) return;
+
+        this.isApplyingChanges = true;
+        this.updateHistoryControls();
+        try {
+            const context = await this.getScheduleContext();
+            await this.applySessionChanges(entry.changes, 'after', context);
+            this.history.redo();
+            await this.refreshAfterScheduleChange();
+        } catch (error) {
+            console.error('[Calendar] Error redoing change:', error);
+            alert('Could not redo the change. Please try again.');
+        } finally {
+            this.isApplyingChanges = false;
+            this.updateHistoryControls();
+        }
+    }
+
+    /**
+     * Move the selected sessions by a number of days
+     * @param {number} days - Days to move (negative moves them earlier)
+     */
+    async shiftSelectedSessions(days) {
+        if (!days || this.selectedSessionIds.size === 0 || this.isApplyingChanges) return;
+
+        const sessionIds = [...this.selectedSessionIds];
+        const count = sessionIds.length;
+        const label = `Move ${count} session${count === 1 ? '' : 's'} ${days > 0 ? '+' : ''}${days} day${Math.abs(days) === 1 ? '' : 's'}`;
+
+        this.isApplyingChanges = true;
+        try {
+            const moved = await this.rescheduleSessions(sessions => planShiftSessions(sessions, sessionIds, days), label);
+            if (moved) {
+                await this.refreshAfterScheduleChange();
+            }
+        } catch (error) {
+            console.error('[Calendar] Error moving sessions:', error);
+            alert('Error moving sessions. Please try again.');
+        } finally {
+            this.isApplyingChanges = false;
+            this.updateHistoryControls();
+        }
+    }
+
+    /**
+     * Push the sessions left this week by N days (from today, or from the Monday of the week shown if it is later)
+     */
+    async pushRestOfWeek() {
+        if (this.isApplyingChanges) return;
+
+        const todayStr = this.getTodayLocalDateString();
+        const shownWeekStart = this.formatLocalDate(this.getWeekStart(this.currentDate));
+        const fromDate = this.currentView === 'weekly' && shownWeekStart > todayStr ? shownWeekStart : todayStr;
+
+        const answer = prompt(`Push the sessions left this week (from ${fromDate}) by how many days?`, '1');
+        if (answer === null) return;
+
+        const days = parseInt(answer, 10);
+        if (!Number.isInteger(days) || days < 1 || days > 14) {
+            alert('Enter a number of days between 1 and 14.');
+            return;
+        }
+
+        this.isApplyingChanges = true;
+        try {
+            const moved = await this.rescheduleSessions(
+                sessions => planPushRestOfWeek(sessions, fromDate, days),
+                `Push week by ${days} day${days === 1 ? '' : 's'}`
+            );
+            if (!moved) {
+                alert('There are no sessions left to push this week.');
+                return;
+            }
+            await this.refreshAfterScheduleChange();
+        } catch (error) {
+            console.error('[Calendar] Error pushing week:', error);
+            alert('Error moving sessions. Please try again.');
+        } finally {
+            this.isApplyingChanges = false;
+            this.updateHistoryControls();
+        }
+    }
+
+    /**
+     * Re-render and make the other views (homepage) load the new schedule
+     */
+    async refreshAfterScheduleChange() {
+        await this.renderCalendar();
+
+        // Clear training system cache to force fresh load on next access
+        // This ensures the homepage will see the updated session dates
+        try {
+            const { getAuthUser } = await import('../core/auth-manager.js');
+            const user = getAuthUser();
+            const currentSystem = await getTrainingSystem();
+            if (user && currentSystem && currentSystem.id) {
+                // Remove localStorage cache to force fresh load
+                localStorage.removeItem('trainingSystem');
+                // Also clear the Firestore cache key
+                const cacheKey = `firestore_cache_training_system_${user.uid}_${currentSystem.id}`;
+                localStorage.removeItem(cacheKey);
+            }
+        } catch (error) {
+            console.warn('[Calendar] Failed to clear cache:', error.message);
+        }
+
+        // Trigger dashboard refresh if on home page
+        if (typeof window.initDashboard === 'function') {
+            // Use setTimeout to ensure cache is cleared first
+            setTimeout(() => {
+                window.initDashboard();
+            }, 100);
+        }
+    }
+
     updateToggleLabels() {
         const labels = this.toggle.querySelectorAll('.toggle-label');
         labels.forEach((label, index) => {
@@ -347,13 +827,13 @@ export class AthleteCalendarManager {
                 dayElement.classList.add('today');
             }
             
-            // Find session for this day
-            const session = this.getSessionForDate(day, trainingSystem);
+            // Find sessions for this day (several when the athlete kept both after a conflict)
+            const sessions = this.getSessionsForDate(day, trainingSystem);
             const dateStr = this.formatLocalDate(day);
             
             dayElement.innerHTML = `
                 <div class="calendar-day-number">${day.getDate()}</div>
-                <div class="calendar-day-events">${session ? this.formatSessionBadge(session, dateStr) : ''}</div>
+                <div class="calendar-day-events">${sessions.map(session => this.formatSessionBadge(session, dateStr)).join('')}</div>
             `;
             
             // Add data attribute for drop target
@@ -383,13 +863,13 @@ export class AthleteCalendarManager {
                 dayElement.classList.add('today');
             }
             
-            // Find session for this day
-            const session = isCurrentMonth ? this.getSessionForDate(date, trainingSystem) : null;
+            // Find sessions for this day
+            const sessions = isCurrentMonth ? this.getSessionsForDate(date, trainingSystem) : [];
             const dateStr = this.formatLocalDate(date);
             
             dayElement.innerHTML = `
                 <div class="calendar-day-number">${date.getDate()}</div>
-                <div class="calendar-day-events">${session ? this.formatSessionBadge(session, dateStr) : ''}</div>
+                <div class="calendar-day-events">${sessions.map(session => this.formatSessionBadge(session, dateStr)).join('')}</div>
             `;
             
             // Add data attribute for drop target (only for current month days)
@@ -402,6 +882,32 @@ export class AthleteCalendarManager {
         });
     }
 
+    /**
+     * Get all sessions for a specific date
+     * Usually one; a day can hold several saved sessions after a reschedule conflict kept both.
+     * @param {Date} date - Date to find sessions for
+     * @param {Object} trainingSystem - Training system object
+     * @returns {Array} Sessions (empty if none)
+     */
+    getSessionsForDate(date, trainingSystem) {
+        const session = this.getSessionForDate(date, trainingSystem);
+        if (!session) return [];
+        if (!session.id) return [session];
+
+        const dateStr = this.formatLocalDate(date);
+        const others = trainingSystem.sessions
+            .filter(other => other && other.id && other.id !== session.id && !other.mergedInto
+                && normalizeDateKey(other.date) === dateStr)
+            .map(other => ({
+                ...other,
+                date: dateStr,
+                dayOfWeek: date.getDay(),
+                framework: other.framework || other.workout || other.workoutType
+            }));
+
+        return [session, ...others];
+    }
+
     /**
      * Get session for a specific date
      * @param {Date} date - Date to find session for
@@ -636,6 +1142,15 @@ export class AthleteCalendarManager {
             // Track drag state
             let isDraggingThisBadge = false;
             
+            // Shift/Ctrl/Cmd+click selects saved sessions to move them together
+            badge.addEventListener('click', (e) => {
+                const sessionId = badge.getAttribute('data-session-id');
+                if (!sessionId || !(e.shiftKey || e.ctrlKey || e.metaKey)) return;
+                e.preventDefault();
+                e.stopPropagation();
+                this.toggleSessionSelection(sessionId);
+            });
+            
             // Handle double click event - this won't interfere with drag and drop
             badge.addEventListener('dblclick', (e) => {
                 e.preventDefault();
@@ -645,7 +1160,7 @@ export class AthleteCalendarManager {
                 const sessionDate = badge.getAttribute('data-session-date');
                 if (sessionId) {
                     // Get session data from training system
-                    this.getSessionForClick(sessionDate).then(session => {
+                    this.getSessionForClick(sessionDate, sessionId).then(session => {
                         if (session && session.id) {
                             this.handleSessionBadgeClick(session, sessionDate);
                         }
@@ -708,7 +1223,7 @@ export class AthleteCalendarManager {
                 const sessionDate = badge.getAttribute('data-session-date');
                 if (sessionId) {
                     // Get session data from training system
-                    this.getSessionForClick(sessionDate).then(session => {
+                    this.getSessionForClick(sessionDate, sessionId).then(session => {
                         if (session && session.id) {
                             this.handleSessionBadgeClick(session, sessionDate);
                         }
@@ -809,10 +1324,6 @@ export class AthleteCalendarManager {
                 
                 console.log('[Drop] Dropping session', draggedSession.id, 'from', draggedSession.date, 'to', targetDate);
                 
-                // Parse date string (YYYY-MM-DD) correctly in local timezone
-                const targetDateObj = this.parseLocalDateString(targetDate);
-                targetDateObj.setHours(0, 0, 0, 0);
-                
                 // Get today's date string for comparison (using local timezone)
                 const todayStr = this.getTodayLocalDateString();
                 
@@ -833,60 +1344,32 @@ export class AthleteCalendarManager {
                     return;
                 }
                 
-                // Check if target date already has a session
-                const { getTrainingSystem } = await import('../core/storage.js');
-                const trainingSystem = await getTrainingSystem();
-                const existingSession = this.getSessionForDate(targetDateObj, trainingSystem);
-                if (existingSession && existingSession.id && existingSession.id !== draggedSession.id) {
-                    console.warn('[Drop] Target date already has a session');
-                    dayElement.classList.remove('drag-over', 'drop-valid', 'drop-invalid');
-                    return;
-                }
-                
                 // Update or create session in Firebase
+                // Sessions landing on a day that already has one ask to merge or keep both
                 try {
-                    if (draggedSession.id) {
+                    if (draggedSession.id && this.selectedSessionIds.has(draggedSession.id) && this.selectedSessionIds.size > 1) {
+                        // Dragging one of the selected sessions moves the whole selection by the same days
+                        const days = Math.round((parseLocalDate(targetDate) - parseLocalDate(draggedSession.date)) / 86400000);
+                        console.log('[Drop] Moving selected sessions by', days, 'days');
+                        await this.shiftSelectedSessions(days);
+                    } else if (draggedSession.id) {
                         // Session exists, update it
                         console.log('[Drop] Updating session date...');
-                        await this.updateSessionDate(draggedSession.id, targetDate);
-                        console.log('[Drop] Session date updated successfully');
+                        const moved = await this.updateSessionDate(draggedSession.id, targetDate);
+                        if (moved) {
+                            await this.refreshAfterScheduleChange();
+                        }
                     } else {
                         // Session is a pattern (no ID), create new session
                         console.log('[Drop] Creating session from pattern...');
                         await this.createSessionFromPattern(draggedSession, targetDate);
                         console.log('[Drop] Session created successfully');
+                        await this.refreshAfterScheduleChange();
                     }
                     
                     // Clear dragged session immediately
                     this.draggedSession = null;
                     this.draggedElement = null;
-                    
-                    // Re-render calendar to show updated session
-                    await this.renderCalendar();
-                    
-                    // Clear training system cache to force fresh load on next access
-                    // This ensures the homepage will see the updated session date
-                    try {
-                        const { getTrainingSystem } = await import('../core/storage.js');
-                        const currentSystem = await getTrainingSystem();
-                        if (currentSystem && currentSystem.id) {
-                            // Remove localStorage cache to force fresh load
-                            localStorage.removeItem('trainingSystem');
-                            // Also clear the Firestore cache key
-                            const cacheKey = `firestore_cache_training_system_${user.uid}_${currentSystem.id}`;
-                            localStorage.removeItem(cacheKey);
-                        }
-                    } catch (error) {
-                        console.warn('[Calendar] Failed to clear cache:', error.message);
-                    }
-                    
-                    // Trigger dashboard refresh if on home page
-                    if (typeof window.initDashboard === 'function') {
-                        // Use setTimeout to ensure cache is cleared first
-                        setTimeout(() => {
-                            window.initDashboard();
-                        }, 100);
-                    }
                 } catch (error) {
                     console.error('[Drop] Error moving session:', error);
                     alert('Error moving session. Please try again.');
@@ -900,61 +1383,20 @@ export class AthleteCalendarManager {
     
     /**
      * Update session date in Firebase
+     * Recorded in the undo history; a session already on the new day asks to merge or keep both.
      * @param {string} sessionId - Session ID
      * @param {string} newDate - New date string (YYYY-MM-DD)
+     * @returns {Promise<boolean>} false if the move was cancelled or not allowed
      */
     async updateSessionDate(sessionId, newDate) {
         if (!sessionId) {
             throw new Error('Session ID is required');
         }
         
-        const { getAuthUser } = await import('../core/auth-manager.js');
-        const { saveSessionToSystem, getSystemSessions } = await import('../services/dbService.js');
-        const { getTrainingSystem } = await import('../core/storage.js');
-        
-        const user = getAuthUser();
-        if (!user) {
-            throw new Error('User must be authenticated');
-        }
-        
-        const trainingSystem = await getTrainingSystem();
-        if (!trainingSystem || !trainingSystem.id) {
-            throw new Error('Training system not found');
-        }
-        
-        // Get the session from Firebase
-        const sessions = await getSystemSessions(user.uid, trainingSystem.id);
-        const session = sessions.find(s => s.id === sessionId);
-        
-        if (!session) {
-            throw new Error('Session not found');
-        }
-        
-        // Update session with new date
-        // IMPORTANT: If session was completed on its original date, reset completed flag
-        // when moving to a new date, so it can be done again on the new date
-        const updatedSession = {
-            ...session,
-            date: newDate,
-            id: sessionId,
-            // Reset completed flag when moving to a new date
-            // The session should be available to complete on its new date
-            completed: false,
-            completedAt: undefined
-        };
-        
-        // Save to Firebase
-        await saveSessionToSystem(user.uid, trainingSystem.id, updatedSession);
-        
-        // Update local cache
-        if (trainingSystem.sessions) {
-            const sessionIndex = trainingSystem.sessions.findIndex(s => s.id === sessionId);
-            if (sessionIndex >= 0) {
-                trainingSystem.sessions[sessionIndex] = updatedSession;
-                const { saveTrainingSystem } = await import('../core/storage.js');
-                await saveTrainingSystem(trainingSystem);
-            }
-        }
+        return this.rescheduleSessions(
+            sessions => planSessionMoves(sessions, [{ sessionId, toDate: newDate }], { today: this.getTodayLocalDateString() }),
+            'Move session'
+        );
     }
     
     /**
@@ -1022,13 +1464,17 @@ export class AthleteCalendarManager {
         const newSessionId = await saveSessionToSystem(user.uid, trainingSystem.id, newSession);
         
         // Update local cache
+        const sessionWithId = { ...newSession, id: newSessionId };
         if (trainingSystem.sessions) {
-            const sessionWithId = { ...newSession, id: newSessionId };
             trainingSystem.sessions.push(sessionWithId);
             const { saveTrainingSystem } = await import('../core/storage.js');
             await saveTrainingSystem(trainingSystem);
         }
         
+        // Undo deletes the created session
+        this.history.record({ label: 'Add session', changes: [{ before: null, after: sessionWithId }] });
+        this.updateHistoryControls();
+        
         return newSessionId;
     }
 
@@ -1060,9 +1506,10 @@ export class AthleteCalendarManager {
         
         // Add cursor-pointer if session has ID (is clickable)
         const cursorClass = sessionId ? 'cursor-pointer cursor-move' : 'cursor-move';
+        const selectedClass = sessionId && this.selectedSessionIds.has(sessionId) ? 'selected' : '';
         
         return `
-            <div class="calendar-session-badge ${badgeClass} text-xs px-2 py-1 rounded-full mt-1 font-medium ${cursorClass}"
+            <div class="calendar-session-badge ${badgeClass} text-xs px-2 py-1 rounded-full mt-1 font-medium ${cursorClass} ${selectedClass}"
                  draggable="true"
                  data-session-id="${sessionId}"
                  data-session-date="${originalDate}"
@@ -1139,6 +1586,12 @@ export class AthleteCalendarManager {
             closeBtnBottom.addEventListener('click', () => this.hideSessionDetailModal());
         }
         
+        // Regenerate button
+        const regenerateBtn = this.sessionDetailModal.querySelector('#session-detail-regenerate-btn');
+        if (regenerateBtn) {
+            regenerateBtn.addEventListener('click', () => this.handleRegenerateModalSession());
+        }
+        
         // Click outside to close
         this.sessionDetailModal.addEventListener('click', (e) => {
             if (e.target === this.sessionDetailModal) {
@@ -1157,15 +1610,17 @@ export class AthleteCalendarManager {
     /**
      * Get session data for click handler
      * @param {string} dateStr - Date string
+     * @param {string} sessionId - Session ID of the badge (a day can have several sessions)
      * @returns {Promise<Object|null>} Session object or null
      */
-    async getSessionForClick(dateStr) {
+    async getSessionForClick(dateStr, sessionId = null) {
         try {
             const trainingSystem = await getTrainingSystem();
             if (!trainingSystem) return null;
             
             const date = this.parseLocalDateString(dateStr);
-            return this.getSessionForDate(date, trainingSystem);
+            const sessions = this.getSessionsForDate(date, trainingSystem);
+            return sessions.find(session => sessionId && session.id === sessionId) || sessions[0] || null;
         } catch (error) {
             console.error('Error getting session for click:', error);
             return null;
@@ -1241,6 +1696,9 @@ export class AthleteCalendarManager {
             return;
         }
         
+        this.modalSession = session;
+        this.modalDateStr = dateStr;
+        
         // Extract framework name
         const rawFramework = session.framework || session.workout || 'Workout';
         const framework = this.extractFrameworkName(rawFramework);
@@ -1281,6 +1739,65 @@ export class AthleteCalendarManager {
         });
     }
 
+    /**
+     * Regenerate the session shown in the detail modal (whole day), keeping the rest of the week
+     */
+    async handleRegenerateModalSession() {
+        const session = this.modalSession;
+        if (!session || !session.id) return;
+        
+        if (!confirm("Regenerate this day's session? The current exercises will be replaced.")) {
+            return;
+        }
+        
+        const regenerateBtn = this.sessionDetailModal?.querySelector('#session-detail-regenerate-btn');
+        if (regenerateBtn) {
+            regenerateBtn.disabled = true;
+            regenerateBtn.innerHTML = '<i class="fas fa-spinner fa-spin mr-2"></i>Regenerating...';
+        }
+        
+        try {
+            const { getAuthUser } = await import('../core/auth-manager.js');
+            const { saveSessionToSystem } = await import('../services/dbService.js');
+            const { regenerateSession } = await import('../services/workoutGenerationService.js');
+            
+            const user = getAuthUser();
+            const trainingSystem = await getTrainingSystem();
+            if (!user || !trainingSystem || !trainingSystem.id) {
+                throw new Error('Training system not found');
+            }
+            
+            const updatedSession = {
+                ...(await regenerateSession(session)),
+                calendarSequence: (session.calendarSequence || 0) + 1
+            };
+            
+            // Save to Firebase
+            await saveSessionToSystem(user.uid, trainingSystem.id, updatedSession);
+            
+            // Update local cache
+            if (trainingSystem.sessions) {
+                const sessionIndex = trainingSystem.sessions.findIndex(s => s.id === session.id);
+                if (sessionIndex >= 0) {
+                    trainingSystem.sessions[sessionIndex] = updatedSession;
+                    const { saveTrainingSystem } = await import('../core/storage.js');
+                    await saveTrainingSystem(trainingSystem);
+                }
+            }
+            
+            this.showSessionDetailModal(updatedSession, this.modalDateStr);
+            await this.renderCalendar();
+        } catch (error) {
+            console.error('[Calendar] Error regenerating session:', error);
+            alert(`Error: ${error.message || 'Could not regenerate the session. Please try again.'}`);
+        } finally {
+            if (regenerateBtn) {
+                regenerateBtn.disabled = false;
+                regenerateBtn.innerHTML = '<i class="fas fa-sync-alt mr-2"></i>Regenerate Session';
+            }
+        }
+    }
+
     /**
      * Hide session detail modal
      */
@@ -1,13 +1,17 @@
 // Athlete Dashboard/Homepage Logic
 import { AthleteCalendarManager } from './calendar.js';
 import { generateWeeklySystem, findAlternativeVariation, loadExercises, calculateProjectedMetrics } from '../core/workout-engine.js';
-import { getUserProfile, saveUserProfile, getTrainingSystem, saveTrainingSystem } from '../core/storage.js';
+import { getUserProfile, saveUserProfile, getTrainingSystem, saveTrainingSystem, saveSessionProgress, getSessionProgress, clearSessionProgress } from '../core/storage.js';
 import { SessionView } from './session-view.js';
 import { init as initDashboardUI } from '../../src/ui/dashboard.js';
 import { getAuthUser } from '../core/auth-manager.js';
-import { cleanFrameworkName } from '../core/constants.js';
+import { cleanFrameworkName, QUICK_SESSION_MINUTES, DEFAULT_WEEKLY_CONFIG, MESOCYCLE_WEEK_OPTIONS } from '../core/constants.js';
 import { EditSessionManager } from '../ui/edit-session-manager.js';
-import { formatDisciplines } from '../core/ui-utils.js';
+import { formatDisciplines, escapeHtml } from '../core/ui-utils.js';
+import { getPhaseBlocks, getBlockLabel, isGroupedBlock } from '../core/session-blocks.js';
+import { describeGenerationRun, regenerateSession } from '../services/workoutGenerationService.js';
+import { toLocalDateKey } from '../core/streak-engine.js';
+import { estimatePhaseMinutes, estimateSessionMinutes } from '../core/session-duration.js';
 
 let athleteCalendarManager = null;
 let routerInstance = null;
@@ -92,17 +96,25 @@ export function initializeAthleteApp(router) {
             }
         }
     }, 2000); // Wait 2 seconds after app load to not block initial rendering
+
+    // Offline outbox: show its sync status and replay writes queued while offline
+    Promise.all([import('../ui/sync-status.js'), import('../services/dbService.js')])
+        .then(([{ initSyncStatusIndicator }, { initOfflineWrites }]) => {
+            initSyncStatusIndicator();
+            initOfflineWrites();
+        })
+        .catch(error => console.warn('[Dashboard] Could not start offline sync:', error));
 }
 
 // Export initDashboard to window for session completion callback
 window.initDashboard = initDashboard;
 
 /**
- * Get today's date in YYYY-MM-DD format
+ * Get today's date in YYYY-MM-DD format (local day, not UTC)
  * @returns {string} Today's date
  */
 function getTodayDate() {
-    return new Date().toISOString().split('T')[0];
+    return toLocalDateKey();
 }
 
 /**
@@ -261,6 +273,7 @@ function renderRestDayState(userProfile, trainingSystem) {
     }
     
     const streak = userProfile?.currentStreak || 0;
+    const streakFreezes = userProfile?.streakFreezes || 0;
     const nextTrainingDay = getNextTrainingDay(trainingSystem);
     const nextTrainingDayText = formatNextTrainingDay(nextTrainingDay);
     
@@ -276,6 +289,11 @@ function renderRestDayState(userProfile, trainingSystem) {
                         <p class="text-sm text-white/60">${streak === 1 ? 'day' : 'days'} in a row</p>
                     </div>
                 </div>
+                ${streakFreezes > 0 ? `
+                    <p class="text-xs text-sky-300/80 mb-4">
+                        <i class="fas fa-snowflake mr-1"></i>${streakFreezes} streak ${streakFreezes === 1 ? 'freeze' : 'freezes'} saved for a missed training day
+                    </p>
+                ` : ''}
                 ${nextTrainingDay ? `
                     <p class="text-white/80 mb-2">Keep your streak going!</p>
                     <p class="text-white/60 text-sm">Next training: <span class="font-semibold text-white">${nextTrainingDayText}</span></p>
@@ -394,6 +412,13 @@ export async function initDashboard() {
         
         // Update homepage stats (streak, milestones)
         await updateHomepageStats(userProfile);
+
+        // Offer to resume a session left in progress (possibly on another device)
+        if (user?.uid) {
+            promptActiveSessionResume(user.uid).catch(error => {
+                console.warn('[Dashboard] Active session check failed:', error);
+            });
+        }
         
         // Check if training system exists - use skipCache to detect deletions
         let trainingSystem = await getTrainingSystem({ skipCache: true });
@@ -619,6 +644,7 @@ async function renderDailySession(session, allSessions = [], userId = null) {
                 <div>
                     <h3 class="text-xl font-semibold text-white" id="session-title">${framework} Session</h3>
                     <p class="text-sm text-white/60 mt-1" id="session-workout-info">${formatDisciplines(session.discipline) || ''}</p>
+                    <p class="text-xs text-white/60 mt-1 hidden" id="session-estimated-time"></p>
                 </div>
                 <span class="text-xs text-white bg-white/10 px-3 py-1 rounded-full border border-white/20">${dateText}</span>
             </div>
@@ -644,6 +670,16 @@ async function renderDailySession(session, allSessions = [], userId = null) {
     if (workoutInfoEl) {
         workoutInfoEl.textContent = formatDisciplines(session.discipline) || '';
     }
+
+    // Estimated duration, from the current exercises so swaps and edits are reflected
+    const estimatedTimeEl = document.getElementById('session-estimated-time');
+    if (estimatedTimeEl) {
+        const estimatedMinutes = estimateSessionMinutes(session);
+        estimatedTimeEl.innerHTML = estimatedMinutes
+            ? `<i class="fas fa-stopwatch mr-1"></i>~${estimatedMinutes} min${session.targetMinutes ? ` (fitted to ${session.targetMinutes} min)` : ''}`
+            : '';
+        estimatedTimeEl.classList.toggle('hidden', !estimatedMinutes);
+    }
     
     // Update date badge
     if (dateBadgeEl) {
@@ -684,6 +720,20 @@ async function renderDailySession(session, allSessions = [], userId = null) {
         editBtn.onclick = () => handleEditSession(session);
         editBtn.disabled = false;
     }
+
+    // Wire Regenerate Session button (whole day)
+    const regenerateBtn = document.getElementById('regenerate-session-btn');
+    if (regenerateBtn) {
+        regenerateBtn.onclick = () => window.handleRegenerateSession();
+        regenerateBtn.disabled = false;
+    }
+
+    // Wire short version button (same exercises fitted to QUICK_SESSION_MINUTES)
+    const quickBtn = document.getElementById('quick-session-btn');
+    if (quickBtn) {
+        quickBtn.onclick = () => window.handleQuickSession();
+        quickBtn.disabled = false;
+    }
     
     // Calculate and update session rating (projected metrics)
     try {
@@ -828,7 +878,7 @@ function renderExpandablePhases(session) {
                         </div>
                         <div>
                             <h4 class="font-semibold text-white">${config.name}</h4>
-                            <p class="text-xs text-white/60">${phase.length} exercise${phase.length !== 1 ? 's' : ''}</p>
+                            <p class="text-xs text-white/60">${phase.length} exercise${phase.length !== 1 ? 's' : ''}${phase.length > 0 ? ` · ~${estimatePhaseMinutes(phase, phaseKey)} min` : ''}</p>
                         </div>
                     </div>
                     <div class="flex items-center gap-2">
@@ -839,6 +889,13 @@ function renderExpandablePhases(session) {
             </div>
             <div class="phase-variations px-4 pb-4 ${isExpanded ? '' : 'hidden'}" id="phase-variations-${phaseKey}">
                 ${phase.length > 0 ? renderVariationList(phase, phaseKey) : '<p class="text-sm text-white/60">No exercises in this phase</p>'}
+                ${renderContraindicationNotes(session.contraindications, phaseKey)}
+                <button 
+                    class="mt-3 text-xs text-white/60 hover:text-white transition-colors regenerate-phase-btn" 
+                    onclick="handleRegenerateSession('${phaseKey}')"
+                >
+                    <i class="fas fa-sync-alt mr-1"></i>Regenerate ${config.name}
+                </button>
             </div>
         `;
         
@@ -853,7 +910,7 @@ function renderExpandablePhases(session) {
  * @returns {string} HTML string
  */
 function renderVariationList(variations, phaseKey) {
-    return variations.map((variation, index) => `
+    const renderVariation = (variation, index) => `
         <div class="flex items-center justify-between py-2 border-b border-white/10 last:border-0" data-variation-index="${index}">
             <div class="flex-1">
                 <p class="text-sm font-medium text-white">${variation.variationName || variation.exerciseName}</p>
@@ -867,7 +924,55 @@ function renderVariationList(variations, phaseKey) {
                 <i class="fas fa-exchange-alt text-white/60 hover:text-white transition-colors"></i>
             </button>
         </div>
-    `).join('');
+    `;
+
+    return getPhaseBlocks(variations, phaseKey).map(block => {
+        const itemsHtml = block.items.map(({ item, index }) => renderVariation(item, index)).join('');
+        if (!isGroupedBlock(block.type)) {
+            return itemsHtml;
+        }
+
+        // Supersets, circuits and flows are listed together under their type
+        return `
+            <div class="my-2 pl-3 border-l-2 border-white/30">
+                <p class="text-[11px] uppercase tracking-wide text-white/60 pt-1">${getBlockLabel(block.type)}</p>
+                ${itemsHtml}
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Render the exercises avoided (or kept with caution) because of the user's discomforts/injuries
+ * @param {Array} contraindications - session.contraindications from the generator ({ variationName, phase, action, reason })
+ * @param {string} phaseKey - Phase key (warmup/workout/cooldown)
+ * @returns {string} HTML string (empty when nothing was avoided in this phase)
+ */
+function renderContraindicationNotes(contraindications, phaseKey) {
+    const records = (contraindications || []).filter(record => record.phase === phaseKey);
+    if (records.length === 0) return '';
+    
+    const excluded = records.filter(record => record.action === 'excluded');
+    const downscored = records.filter(record => record.action === 'downscored');
+    // Names and reasons are catalog data stored with the session, not markup
+    const renderRecord = record => `
+        <li class="text-xs text-white/60">
+            <span class="text-white/80">${escapeHtml(record.variationName)}</span> — ${escapeHtml(record.reason)}
+        </li>
+    `;
+    
+    return `
+        <div class="mt-3 p-3 rounded-lg bg-amber-500/10 border border-amber-500/20">
+            ${excluded.length > 0 ? `
+                <p class="text-xs font-semibold text-amber-300 mb-1"><i class="fas fa-shield-alt mr-1"></i>Avoided for your safety</p>
+                <ul class="space-y-1">${excluded.map(renderRecord).join('')}</ul>
+            ` : ''}
+            ${downscored.length > 0 ? `
+                <p class="text-xs font-semibold text-amber-300 mb-1 ${excluded.length > 0 ? 'mt-2' : ''}"><i class="fas fa-exclamation-triangle mr-1"></i>Included with caution</p>
+                <ul class="space-y-1">${downscored.map(renderRecord).join('')}</ul>
+            ` : ''}
+        </div>
+    `;
 }
 
 /**
@@ -925,8 +1030,10 @@ window.handleSwapVariation = async function(exerciseId, variationId, phaseKey, v
         // TODO: Create proper selection UI
         const selected = alternatives[0];
         
-        // Update session
-        currentSession.phases[phaseKey][variationIndex] = selected;
+        // Update session (the alternative keeps the superset / circuit / flow of the swapped exercise)
+        currentSession.phases[phaseKey][variationIndex] = currentVariation.blockId
+            ? { ...selected, blockId: currentVariation.blockId, blockType: currentVariation.blockType }
+            : selected;
         
         // Update training system - now async
         const trainingSystem = await getTrainingSystem();
@@ -949,6 +1056,98 @@ window.handleSwapVariation = async function(exerciseId, variationId, phaseKey, v
     }
 };
 
+/**
+ * Regenerate the current session, or only one of its phases, keeping the rest of the week
+ * @param {string|null} phaseKey - Phase to regenerate (warmup/workout/cooldown), whole day if missing
+ */
+window.handleRegenerateSession = async function(phaseKey = null) {
+    if (!currentSession) return;
+    
+    const target = phaseKey ? 'this phase' : "this day's session";
+    if (!confirm(`Regenerate ${target}? The current exercises will be replaced.`)) {
+        return;
+    }
+    
+    const regenerateBtn = document.getElementById('regenerate-session-btn');
+    const phaseButtons = document.querySelectorAll('.regenerate-phase-btn');
+    const setBusy = busy => {
+        if (regenerateBtn) {
+            regenerateBtn.disabled = busy;
+            regenerateBtn.innerHTML = busy
+                ? '<i class="fas fa-spinner fa-spin mr-2"></i>Regenerating...'
+                : '<i class="fas fa-sync-alt mr-2"></i>Regenerate Session';
+        }
+        phaseButtons.forEach(button => { button.disabled = busy; });
+    };
+    
+    try {
+        setBusy(true);
+        const updatedSession = await regenerateSession(currentSession, { phase: phaseKey });
+        await saveRegeneratedSession(updatedSession);
+    } catch (error) {
+        console.error('[Dashboard] Error regenerating session:', error);
+        alert(`Error: ${error.message || 'Could not regenerate the session. Please try again.'}`);
+    } finally {
+        setBusy(false);
+    }
+};
+
+/**
+ * Short version of the current session: keeps its exercises and fits them into
+ * QUICK_SESSION_MINUTES (accessory exercises and sets are trimmed server-side)
+ */
+window.handleQuickSession = async function() {
+    if (!currentSession) return;
+
+    if (!confirm(`Fit this session into ${QUICK_SESSION_MINUTES} minutes? Some accessory exercises and sets may be removed.`)) {
+        return;
+    }
+
+    const quickBtn = document.getElementById('quick-session-btn');
+    const setBusy = busy => {
+        if (quickBtn) {
+            quickBtn.disabled = busy;
+            quickBtn.innerHTML = busy
+                ? '<i class="fas fa-spinner fa-spin mr-2"></i>Fitting session...'
+                : `<i class="fas fa-stopwatch mr-2"></i>${QUICK_SESSION_MINUTES}-Minute Version`;
+        }
+    };
+
+    try {
+        setBusy(true);
+        const updatedSession = await regenerateSession(currentSession, { targetMinutes: QUICK_SESSION_MINUTES });
+        await saveRegeneratedSession(updatedSession);
+    } catch (error) {
+        console.error('[Dashboard] Error fitting session to time:', error);
+        alert(`Error: ${error.message || 'Could not shorten the session. Please try again.'}`);
+    } finally {
+        setBusy(false);
+    }
+};
+
+/**
+ * Save a session returned by regenerateSession in the training system and show it
+ * @param {Object} updatedSession - Updated current session
+ */
+async function saveRegeneratedSession(updatedSession) {
+    // Update training system (same path as swapping a variation)
+    const trainingSystem = await getTrainingSystem();
+    let allSessions = [updatedSession];
+    if (trainingSystem && trainingSystem.sessions) {
+        const sessionIndex = trainingSystem.sessions.findIndex(s => 
+            (currentSession.id && s.id === currentSession.id) || s.date === currentSession.date
+        );
+        if (sessionIndex !== -1) {
+            trainingSystem.sessions[sessionIndex] = updatedSession;
+            await saveTrainingSystem(trainingSystem);
+        }
+        allSessions = trainingSystem.sessions;
+    }
+    
+    window.dispatchEvent(new CustomEvent('session-updated', { detail: { session: updatedSession } }));
+    await renderDailySession(updatedSession, allSessions, getAuthUser()?.uid);
+}
+
 /**
  * Show empty state with Generate button (only if no training system exists)
  */
@@ -970,41 +1169,111 @@ function renderEmptyState() {
             `;
         } else {
             // No training system - show generate button
-            card.innerHTML = `
-                <div class="text-center py-12">
-                    <i class="fas fa-dumbbell text-6xl text-white/20 mb-6"></i>
-                    <h3 class="text-2xl font-semibold text-white mb-2">Ready to Start?</h3>
-                    <p class="text-white/60 mb-8">Generate your first personalized training plan</p>
-                    <button id="generate-plan-btn" class="bg-white hover:bg-white/90 text-black font-semibold px-8 py-3 rounded-xl transition-all duration-300 hover:scale-[1.02]">
-                        Generate My First Plan
-                    </button>
-                </div>
-            `;
-            
-            const generateBtn = document.getElementById('generate-plan-btn');
-            if (generateBtn) {
-                generateBtn.onclick = handleGeneratePlan;
-            }
+            renderGeneratePlanPrompt(card);
         }
     }).catch(error => {
         console.error('Error checking training system in renderEmptyState:', error);
         // Fallback to showing generate button
-        card.innerHTML = `
-            <div class="text-center py-12">
-                <i class="fas fa-dumbbell text-6xl text-white/20 mb-6"></i>
-                <h3 class="text-2xl font-semibold text-white mb-2">Ready to Start?</h3>
-                <p class="text-white/60 mb-8">Generate your first personalized training plan</p>
+        renderGeneratePlanPrompt(card);
+    });
+}
+
+/**
+ * Render the "Generate My First Plan" prompt with the block length choice
+ * @param {HTMLElement} card - Daily session card
+ */
+function renderGeneratePlanPrompt(card) {
+    const weekOptions = MESOCYCLE_WEEK_OPTIONS.map(weeks => `
+        <option value="${weeks}" ${weeks === DEFAULT_WEEKLY_CONFIG.mesocycleWeeks ? 'selected' : ''}>${weeks} weeks</option>
+    `).join('');
+    
+    card.innerHTML = `
+        <div class="text-center py-12">
+            <i class="fas fa-dumbbell text-6xl text-white/20 mb-6"></i>
+            <h3 class="text-2xl font-semibold text-white mb-2">Ready to Start?</h3>
+            <p class="text-white/60 mb-6">Generate your first personalized training plan</p>
+            <label for="mesocycle-weeks-select" class="block text-sm text-white/60 mb-2">Training block length (the last week is a deload)</label>
+            <select id="mesocycle-weeks-select" class="bg-white/10 border border-white/20 text-white rounded-lg px-4 py-2 mb-8">
+                ${weekOptions}
+            </select>
+            <div>
                 <button id="generate-plan-btn" class="bg-white hover:bg-white/90 text-black font-semibold px-8 py-3 rounded-xl transition-all duration-300 hover:scale-[1.02]">
                     Generate My First Plan
                 </button>
             </div>
-        `;
-        
-        const generateBtn = document.getElementById('generate-plan-btn');
-        if (generateBtn) {
-            generateBtn.onclick = handleGeneratePlan;
-        }
-    });
+        </div>
+    `;
+    
+    const generateBtn = document.getElementById('generate-plan-btn');
+    if (generateBtn) {
+        generateBtn.onclick = handleGeneratePlan;
+    }
+}
+
+// Failed generation run that can be resumed from its last completed step
+let resumableGenerationRunId = null;
+
+const GENERATION_PHASE_LABELS = { warmup: 'Warm-up', workout: 'Workout', cooldown: 'Cool-down' };
+
+/**
+ * Render the weekly plan skeleton while the plan is streamed from generateWorkout
+ * @param {Object} weeklyPlan - Weekly plan from the strategy node ({ schedule: [{ dayIndex, focus }] })
+ */
+function renderGenerationSkeleton(weeklyPlan) {
+    const card = document.getElementById('daily-session-card');
+    if (!card || !weeklyPlan?.schedule?.length) return;
+    
+    let container = document.getElementById('generation-progress');
+    if (!container) {
+        container = document.createElement('div');
+        container.id = 'generation-progress';
+        container.className = 'mt-8 space-y-2 text-left';
+        (card.firstElementChild || card).appendChild(container);
+    }
+    
+    container.innerHTML = weeklyPlan.schedule.map((day, index) => `
+        <div class="p-3 rounded-lg bg-white/5 border border-white/10" data-generation-day="${index}">
+            <div class="flex items-center justify-between">
+                <p class="text-sm font-medium text-white">
+                    <span class="text-white/60 mr-2">${new Date(2024, 0, 7 + day.dayIndex).toLocaleDateString('en-US', { weekday: 'short' })}</span>${escapeHtml(day.focus)}
+                </p>
+                <span class="generation-day-status text-xs text-white/40">Queued</span>
+            </div>
+            <div class="generation-day-phases mt-1 text-xs text-white/60"></div>
+        </div>
+    `).join('');
+}
+
+/**
+ * Fill in one day of the generation skeleton
+ * @param {number} dayIndex - Position of the day in the weekly plan
+ * @param {Object} update - { phase, variations } when a phase is chosen, { session } (DailySession) when the day is assembled
+ */
+function updateGenerationDay(dayIndex, update) {
+    const row = document.querySelector(`#generation-progress [data-generation-day="${dayIndex}"]`);
+    if (!row) return;
+    
+    const status = row.querySelector('.generation-day-status');
+    const phases = row.querySelector('.generation-day-phases');
+    
+    if (update.session) {
+        const { warmup = [], workout = [], cooldown = [] } = update.session;
+        status.textContent = 'Ready';
+        status.className = 'generation-day-status text-xs text-green-400';
+        // Backend DailySession: its variations only have a name
+        phases.textContent = workout
+            .map(variation => variation.name)
+            .join(' · ');
+        phases.title = `${warmup.length + workout.length + cooldown.length} exercises`;
+        return;
+    }
+    
+    status.textContent = 'Choosing exercises...';
+    status.className = 'generation-day-status text-xs text-white/60';
+    const chosen = document.createElement('span');
+    chosen.className = 'mr-3';
+    chosen.textContent = `${GENERATION_PHASE_LABELS[update.phase] || update.phase}: ${update.variations.length}`;
+    phases.appendChild(chosen);
 }
 
 /**
@@ -1038,13 +1307,49 @@ async function handleGeneratePlan() {
         
         // ALWAYS use AI generation - this is an AI-driven app
         // forceAI: true ensures it never falls back to rule-based generation
-        const systemPromise = generateWeeklySystem(userProfile, {}, { useAI: true, forceAI: true });
+        // Progress is polled from the generation run; a failed run is resumed instead of restarted
+        // The response is streamed: the week skeleton and each day are rendered as they are produced
+        let totalDays = 0;
+        let assembledDays = 0;
+        const blockLengthSelect = document.getElementById('mesocycle-weeks-select');
+        const mesocycleWeeks = blockLengthSelect ? Number(blockLengthSelect.value) : DEFAULT_WEEKLY_CONFIG.mesocycleWeeks;
+        const systemPromise = generateWeeklySystem(userProfile, { mesocycleWeeks }, {
+            useAI: true,
+            forceAI: true,
+            resumeRunId: resumableGenerationRunId,
+            onProgress: run => {
+                if (generateBtn && !totalDays) {
+                    generateBtn.textContent = describeGenerationRun(run);
+                }
+            },
+            onEvent: event => {
+                if (event.type === 'strategy') {
+                    totalDays = event.weeklyPlan.schedule?.length || 0;
+                    renderGenerationSkeleton(event.weeklyPlan);
+                } else if (event.type === 'day_phase') {
+                    updateGenerationDay(event.dayIndex, { phase: event.phase, variations: event.variations });
+                } else if (event.type === 'day_assembled') {
+                    assembledDays++;
+                    updateGenerationDay(event.dayIndex, { session: event.session });
+                } else if (event.type === 'persisted') {
+                    if (generateBtn) generateBtn.textContent = 'Plan ready!';
+                    return;
+                } else {
+                    return;
+                }
+                if (generateBtn && totalDays) {
+                    generateBtn.textContent = assembledDays >= totalDays
+                        ? 'Saving your plan...'
+                        : `Building day ${assembledDays + 1} of ${totalDays}...`;
+                }
+            }
+        });
         
         // Set up timeout warning (but don't cancel the operation)
         let timeoutWarningShown = false;
         const timeoutWarning = setTimeout(() => {
             timeoutWarningShown = true;
-            if (generateBtn) {
+            if (generateBtn && !totalDays) {
                 generateBtn.textContent = 'Still generating... This may take a while';
             }
             console.log('[Plan Generation] Generation taking longer than expected, but continuing...');
@@ -1070,6 +1375,8 @@ async function handleGeneratePlan() {
             throw new Error('No sessions generated in system');
         }
         
+        resumableGenerationRunId = null;
+        
         // Save system to Firestore with sessions in sub-collection
         const user = getAuthUser();
         if (!user || !user.uid) {
@@ -1126,9 +1433,12 @@ async function handleGeneratePlan() {
         console.error('[Plan Generation] Error generating plan:', error);
         console.error('[Plan Generation] Error stack:', error.stack);
         
+        // Keep the failed run so the next click resumes it from its last completed step
+        resumableGenerationRunId = error.resumable ? error.runId : null;
+        
         if (generateBtn) {
             generateBtn.disabled = false;
-            generateBtn.textContent = 'Generate My First Plan';
+            generateBtn.textContent = resumableGenerationRunId ? 'Resume Generation' : 'Generate My First Plan';
         }
         
         // Show user-friendly error message
@@ -1137,6 +1447,45 @@ async function handleGeneratePlan() {
     }
 }
 
+// The resume prompt is shown once per page load (on login)
+let activeSessionPromptShown = false;
+
+/**
+ * Ask to resume the in-progress session mirrored in Firestore
+ * @param {string} userId - User ID
+ */
+async function promptActiveSessionResume(userId) {
+    if (activeSessionPromptShown) return;
+    activeSessionPromptShown = true;
+
+    const { findResumableSession, discardActiveSession } = await import('../services/activeSessionService.js');
+    const resumable = await findResumableSession(userId);
+    if (!resumable) return;
+
+    const sessionLabel = resumable.session.focus || resumable.session.day || 'Workout';
+    const loggedSets = Object.values(resumable.progress.journalData?.currentSessionData || {})
+        .filter(state => state?.completed).length;
+    const lastUpdate = new Date(resumable.updatedAt).toLocaleString();
+
+    const resume = confirm(
+        `You have a session in progress: ${sessionLabel} (${resumable.sessionId}).\n` +
+        `${loggedSets} set${loggedSets === 1 ? '' : 's'} logged, last updated ${lastUpdate}.\n\n` +
+        'Resume it now?'
+    );
+
+    if (resume) {
+        saveSessionProgress(resumable.progress, { sync: false });
+        handleStartSession(resumable.session);
+    } else if (confirm('Discard the session in progress? Logged sets that were not finished will be lost.')) {
+        if (getSessionProgress()?.sessionId === resumable.sessionId) {
+            // Clears the local progress and the mirrored one
+            clearSessionProgress();
+        } else {
+            await discardActiveSession();
+        }
+    }
+}
+
 /**
  * Handle Start Session button click
  * @param {Object} session - Session object
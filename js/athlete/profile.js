@@ -2,6 +2,23 @@
 import { getUserProfile, saveUserProfile } from '../core/storage.js';
 import { getAuthUser } from '../core/auth-manager.js';
 import { saveUserProfile as saveFirestoreProfile } from '../services/dbService.js';
+import { E1RM_FORMULAS, DEFAULT_E1RM_FORMULA } from '../services/exerciseHistoryService.js';
+import { exportUserData, previewWorkoutImport, importWorkoutHistory } from '../services/dataPortabilityService.js';
+import { loadExercises } from '../core/workout-engine.js';
+import { normalizeAvailability } from '../core/availability.js';
+import { toLocalDateKey } from '../core/streak-engine.js';
+import { escapeHtml } from '../core/ui-utils.js';
+
+// Availability rows, Monday first (0 = Sunday)
+const AVAILABILITY_WEEK_DAYS = [
+    { day: 1, label: 'Lunes' },
+    { day: 2, label: 'Martes' },
+    { day: 3, label: 'Miércoles' },
+    { day: 4, label: 'Jueves' },
+    { day: 5, label: 'Viernes' },
+    { day: 6, label: 'Sábado' },
+    { day: 0, label: 'Domingo' }
+];
 
 /**
  * Initialize profile page
@@ -22,6 +39,7 @@ export async function initProfile() {
         console.log('[Profile] Rendering sections...');
         renderPhysiologicalData(userProfile);
         renderPreferences(userProfile);
+        renderAvailability(userProfile);
         renderBenchmarks(userProfile);
         
         // Load and display milestones
@@ -33,6 +51,12 @@ export async function initProfile() {
         // Setup save functionality
         setupSaveFunctionality();
         
+        // Setup export / import of the workout history
+        setupDataPortability();
+        
+        // Setup availability editing (days, times, blackout dates)
+        setupAvailability();
+        
         console.log('[Profile] Profile page initialized successfully');
     } catch (error) {
         console.error('[Profile] Error initializing profile:', error);
@@ -108,6 +132,7 @@ function renderPhysiologicalData(userProfile) {
         const bodyFatInput = document.getElementById('profile-bodyfat');
         const activityLevelSelect = document.getElementById('profile-activity-level');
         const injuryHistoryTextarea = document.getElementById('profile-injury-history');
+        const e1rmFormulaSelect = document.getElementById('profile-e1rm-formula');
         
         if (ageInput) ageInput.value = physiological.age || '';
         if (weightInput) weightInput.value = physiological.weight || '';
@@ -119,6 +144,9 @@ function renderPhysiologicalData(userProfile) {
         if (injuryHistoryTextarea) {
             injuryHistoryTextarea.value = physiological.injuryHistory || '';
         }
+        if (e1rmFormulaSelect) {
+            e1rmFormulaSelect.value = userProfile?.e1rmFormula || DEFAULT_E1RM_FORMULA;
+        }
         
         console.log('[Profile] Physiological data rendered');
     } catch (error) {
@@ -179,6 +207,201 @@ function renderPreferences(userProfile) {
     }
 }
 
+/**
+ * Render the availability card of the preferences section
+ * No days saved yet means any day, so every day starts checked.
+ * @param {Object} userProfile - User profile object
+ */
+function renderAvailability(userProfile) {
+    try {
+        const availability = normalizeAvailability(userProfile?.availability);
+        const availableDays = availability?.days?.length ? availability.days : AVAILABILITY_WEEK_DAYS.map(({ day }) => day);
+
+        const daysContainer = document.getElementById('availability-days');
+        if (daysContainer) {
+            daysContainer.innerHTML = AVAILABILITY_WEEK_DAYS.map(({ day, label }) => {
+                const dayWindow = availability?.timeWindows.find(timeWindow => timeWindow.day === day);
+                return `
+                    <div class="flex items-center gap-2">
+                        <label class="flex items-center gap-2 text-sm text-white w-28">
+                            <input type="checkbox" data-availability-day="${day}" ${availableDays.includes(day) ? 'checked' : ''}>
+                            ${label}
+                        </label>
+                        <input type="time" data-window-start="${day}" value="${dayWindow?.start || ''}" class="flex-1 px-2 py-1 rounded-lg bg-white/10 border border-white/20 text-white text-sm" aria-label="${label} from">
+                        <span class="text-white/50 text-sm">-</span>
+                        <input type="time" data-window-end="${day}" value="${dayWindow?.end || ''}" class="flex-1 px-2 py-1 rounded-lg bg-white/10 border border-white/20 text-white text-sm" aria-label="${label} to">
+                    </div>
+                `;
+            }).join('');
+        }
+
+        const maxMinutesInput = document.getElementById('availability-max-minutes');
+        if (maxMinutesInput) {
+            maxMinutesInput.value = availability?.maxSessionMinutes || '';
+        }
+
+        renderBlackoutList(availability?.blackoutDates || []);
+        console.log('[Profile] Availability rendered');
+    } catch (error) {
+        console.error('[Profile] Error rendering availability:', error);
+    }
+}
+
+/**
+ * Render the blackout periods (the list is the source of truth until saved)
+ * @param {Array} periods - [{ start, end, reason }]
+ */
+function renderBlackoutList(periods) {
+    const container = document.getElementById('availability-blackouts');
+    if (!container) return;
+
+    if (periods.length === 0) {
+        container.innerHTML = '<span class="text-white/50 text-sm">No blackout dates</span>';
+        return;
+    }
+
+    container.innerHTML = periods.map(period => `
+        <div class="flex items-center gap-2 px-3 py-2 rounded-lg bg-white/5 border border-white/10" data-blackout-start="${period.start}" data-blackout-end="${period.end}" data-blackout-reason="${escapeHtml(period.reason || '')}">
+            <span class="text-sm text-white flex-1">
+                ${period.start === period.end ? period.start : `${period.start} → ${period.end}`}
+                ${period.reason ? `<span class="text-white/50">· ${escapeHtml(period.reason)}</span>` : ''}
+            </span>
+            <button type="button" class="text-white/50 hover:text-white" data-remove-blackout aria-label="Remove">
+                <i class="fas fa-times"></i>
+            </button>
+        </div>
+    `).join('');
+}
+
+/**
+ * Blackout periods currently in the list
+ * @returns {Array} [{ start, end, reason }]
+ */
+function getBlackoutPeriodsFromList() {
+    return [...document.querySelectorAll('#availability-blackouts [data-blackout-start]')].map(item => ({
+        start: item.dataset.blackoutStart,
+        end: item.dataset.blackoutEnd,
+        reason: item.dataset.blackoutReason || undefined
+    }));
+}
+
+/**
+ * Setup adding/removing blackout dates and saving the availability
+ */
+function setupAvailability() {
+    const saveBtn = document.getElementById('save-availability-btn');
+    // initProfile runs on every visit to the page
+    if (!saveBtn || saveBtn.dataset.initialized === 'true') return;
+    saveBtn.dataset.initialized = 'true';
+
+    const status = document.getElementById('availability-status');
+    const startInput = document.getElementById('availability-blackout-start');
+    const endInput = document.getElementById('availability-blackout-end');
+    const reasonInput = document.getElementById('availability-blackout-reason');
+
+    document.getElementById('availability-blackout-add-btn')?.addEventListener('click', () => {
+        const start = startInput.value;
+        const end = endInput.value || start;
+        if (!start) {
+            status.textContent = 'Pick the first day without training.';
+            return;
+        }
+        if (end < start) {
+            status.textContent = 'The last day must be after the first one.';
+            return;
+        }
+
+        const { blackoutDates } = normalizeAvailability({
+            blackoutDates: [...getBlackoutPeriodsFromList(), { start, end, reason: reasonInput.value.trim() }]
+        });
+        renderBlackoutList(blackoutDates);
+        startInput.value = '';
+        endInput.value = '';
+        reasonInput.value = '';
+        status.textContent = 'Dates added. Save to apply them.';
+    });
+
+    document.getElementById('availability-blackouts')?.addEventListener('click', (event) => {
+        const removeBtn = event.target.closest('[data-remove-blackout]');
+        if (!removeBtn) return;
+        removeBtn.closest('[data-blackout-start]')?.remove();
+        renderBlackoutList(getBlackoutPeriodsFromList());
+        status.textContent = 'Dates removed. Save to apply the change.';
+    });
+
+    saveBtn.addEventListener('click', async () => {
+        await saveAvailability(status);
+    });
+}
+
+/**
+ * Save the availability to the profile
+ * @param {HTMLElement} status - Status message element
+ */
+async function saveAvailability(status) {
+    const user = getAuthUser();
+    if (!user) {
+        alert('You must be logged in to save changes.');
+        return;
+    }
+
+    const days = [];
+    const timeWindows = [];
+    for (const { day, label } of AVAILABILITY_WEEK_DAYS) {
+        const start = document.querySelector(`[data-window-start="${day}"]`)?.value;
+        const end = document.querySelector(`[data-window-end="${day}"]`)?.value;
+        if (!document.querySelector(`[data-availability-day="${day}"]`)?.checked) continue;
+
+        days.push(day);
+        if (start || end) {
+            if (!start || !end || end <= start) {
+                status.textContent = `${label}: the time window must have a start and a later end.`;
+                return;
+            }
+            timeWindows.push({ day, start, end });
+        }
+    }
+
+    if (days.length === 0) {
+        status.textContent = 'Select at least one day you can train.';
+        return;
+    }
+
+    const maxMinutesValue = document.getElementById('availability-max-minutes')?.value;
+    const maxSessionMinutes = maxMinutesValue ? parseInt(maxMinutesValue) : null;
+    if (maxSessionMinutes !== null && (maxSessionMinutes < 15 || maxSessionMinutes > 240)) {
+        status.textContent = 'Max session length must be between 15 and 240 minutes.';
+        return;
+    }
+
+    // Periods that already ended are not needed anymore
+    const today = toLocalDateKey();
+    const availability = normalizeAvailability({
+        days,
+        timeWindows,
+        maxSessionMinutes,
+        blackoutDates: getBlackoutPeriodsFromList().filter(period => period.end >= today)
+    });
+
+    try {
+        const currentProfile = await getUserProfile();
+        const profileUpdate = {
+            ...currentProfile,
+            availability
+        };
+
+        // Save to Firebase using dbService, and localStorage via storage.js for consistency
+        await saveFirestoreProfile(user.uid, profileUpdate);
+        await saveUserProfile(profileUpdate);
+
+        renderBlackoutList(availability.blackoutDates);
+        status.textContent = 'Saved. Your next weeks will be planned around it.';
+    } catch (error) {
+        console.error('[Profile] Error saving availability:', error);
+        status.textContent = 'Failed to save availability. Please try again.';
+    }
+}
+
 /**
  * Render benchmarks section
  * @param {Object} userProfile - User profile object
@@ -309,6 +532,119 @@ function setupSaveFunctionality() {
     }
 }
 
+/**
+ * Setup export and Strong/Hevy import of the workout history
+ */
+function setupDataPortability() {
+    const section = document.getElementById('data-content');
+    // initProfile runs on every visit to the page
+    if (!section || section.dataset.initialized === 'true') return;
+    section.dataset.initialized = 'true';
+
+    const exportStatus = document.getElementById('export-status');
+    const runExport = async (format) => {
+        const user = getAuthUser();
+        if (!user) {
+            alert('You must be logged in to export your data.');
+            return;
+        }
+        exportStatus.textContent = 'Preparing export...';
+        try {
+            const archive = await exportUserData(user.uid, format);
+            exportStatus.textContent = `Exported ${archive.completedSessions.length} sessions and ${archive.exerciseHistory.length} exercise histories.`;
+        } catch (error) {
+            console.error('[Profile] Export failed:', error);
+            exportStatus.textContent = 'Export failed. Please try again.';
+        }
+    };
+    document.getElementById('export-json-btn')?.addEventListener('click', () => runExport('json'));
+    document.getElementById('export-csv-btn')?.addEventListener('click', () => runExport('csv'));
+
+    const fileInput = document.getElementById('import-file');
+    const unitSelect = document.getElementById('import-weight-unit');
+    const previewContainer = document.getElementById('import-preview');
+    const importBtn = document.getElementById('import-btn');
+    const importStatus = document.getElementById('import-status');
+    let csvText = null;
+
+    // Manual mappings chosen for the names the catalog matching missed
+    const getMappings = () => {
+        const mappings = {};
+        previewContainer.querySelectorAll('select[data-import-name]').forEach(select => {
+            if (!select.value) return;
+            const [exerciseId, variationId] = select.value.split('/');
+            mappings[select.dataset.importName] = { exerciseId, variationId };
+        });
+        return mappings;
+    };
+
+    const renderPreview = async () => {
+        importBtn.disabled = true;
+        previewContainer.innerHTML = '';
+        if (!csvText) return;
+
+        importStatus.textContent = 'Reading file...';
+        try {
+            const [preview, catalog] = await Promise.all([
+                previewWorkoutImport(csvText, { weightUnit: unitSelect.value }),
+                loadExercises()
+            ]);
+            const variationOptions = catalog.exercises.flatMap(exercise => exercise.variations.map(variation =>
+                `<option value="${exercise.id}/${variation.id}">${escapeHtml(exercise.name)} - ${escapeHtml(variation.name)}</option>`
+            )).join('');
+
+            importStatus.textContent = `${preview.source === 'hevy' ? 'Hevy' : 'Strong'} export: ${preview.workouts} workouts, ${preview.sets.length} sets, ${Object.keys(preview.matched).length} exercises matched.`;
+            previewContainer.innerHTML = preview.unmatched.length > 0 ? `
+                <p class="text-sm text-white/70">Not found in the catalog (skipped unless you pick a match):</p>
+                ${preview.unmatched.map(name => `
+                    <div class="flex items-center gap-2">
+                        <span class="text-sm text-white flex-1 truncate" title="${escapeHtml(name)}">${escapeHtml(name)}</span>
+                        <select data-import-name="${escapeHtml(name)}" class="flex-1 px-2 py-1 rounded-lg bg-white/10 border border-white/20 text-white text-sm">
+                            <option value="">Skip</option>
+                            ${variationOptions}
+                        </select>
+                    </div>
+                `).join('')}
+            ` : '';
+            importBtn.disabled = preview.sets.length === 0;
+        } catch (error) {
+            console.error('[Profile] Import preview failed:', error);
+            importStatus.textContent = error.message;
+        }
+    };
+
+    fileInput?.addEventListener('change', async () => {
+        const file = fileInput.files?.[0];
+        csvText = file ? await file.text() : null;
+        await renderPreview();
+    });
+    unitSelect?.addEventListener('change', renderPreview);
+
+    importBtn?.addEventListener('click', async () => {
+        const user = getAuthUser();
+        if (!user || !csvText) return;
+
+        importBtn.disabled = true;
+        try {
+            const result = await importWorkoutHistory(user.uid, csvText, {
+                weightUnit: unitSelect.value,
+                mappings: getMappings(),
+                onProgress: (done, total) => {
+                    importStatus.textContent = `Importing... ${done}/${total}`;
+                }
+            });
+            importStatus.textContent = `Imported ${result.importedSets} sets from ${result.workouts} workouts` +
+                (result.skippedSets > 0 ? ` (${result.skippedSets} sets skipped)` : '') +
+                (result.failed.length > 0 ? `. ${result.failed.length} exercises failed, try again.` : '.');
+        } catch (error) {
+            console.error('[Profile] Import failed:', error);
+            importStatus.textContent = `Import failed: ${error.message}`;
+        } finally {
+            importBtn.disabled = false;
+        }
+    });
+}
+
 /**
  * Save profile changes to Firebase
  */
@@ -330,6 +666,7 @@ async function saveProfileChanges() {
         const bodyFatPercent = parseFloat(document.getElementById('profile-bodyfat')?.value);
         const activityLevel = document.getElementById('profile-activity-level')?.value;
         const injuryHistory = document.getElementById('profile-injury-history')?.value.trim();
+        const e1rmFormula = document.getElementById('profile-e1rm-formula')?.value;
         
         // Validate inputs
         if (age && (age < 18 || age > 99)) {
@@ -381,6 +718,9 @@ async function saveProfileChanges() {
             ...currentProfile,
             baselineAssessment
         };
+        if (Object.values(E1RM_FORMULAS).includes(e1rmFormula)) {
+            profileUpdate.e1rmFormula = e1rmFormula;
+        }
         
         // Save to Firebase using dbService
         await saveFirestoreProfile(user.uid, profileUpdate);
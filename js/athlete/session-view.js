@@ -1,16 +1,20 @@
 // Athlete Session View - Active workout player/interface
-import { updateMilestone, getCurrentVariation, getNextVariation, isMilestoneAchieved } from '../core/workout-engine.js';
+import { applySessionMilestones, loadExercises } from '../core/workout-engine.js';
 import { getUserProfile, saveUserProfile, saveSessionProgress, getSessionProgress, clearSessionProgress } from '../core/storage.js';
 import { getAuthUser } from '../core/auth-manager.js';
 import { saveSessionOnComplete } from '../../src/ui/session-view.js';
 import { WorkoutJournal } from '../ui/workout-journal.js';
+import { SessionTimer } from '../ui/session-timer.js';
+import { DEFAULT_REST_SECONDS } from '../core/constants.js';
+import { toLocalDateKey } from '../core/streak-engine.js';
 import { getAllExercises } from '../../src/services/exerciseService.js';
 
 /**
  * Show completion modal with streak information
  * @param {string} userId - User ID
+ * @param {Array} levelUps - Variations promoted in this session (see applySessionMilestones)
  */
-async function showCompletionModal(userId) {
+async function showCompletionModal(userId, levelUps = []) {
     try {
         // Load completion modal template if not already loaded
         const modalContainer = document.getElementById('completion-modal-container');
@@ -25,6 +29,8 @@ async function showCompletionModal(userId) {
         const streakInfo = document.getElementById('completion-streak-info');
         const streakValue = document.getElementById('completion-streak-value');
         const closeBtn = document.getElementById('completion-modal-close');
+        const levelUpInfo = document.getElementById('completion-level-up-info');
+        const levelUpList = document.getElementById('completion-level-up-list');
         
         if (!modal || !closeBtn) {
             console.warn('Completion modal not found, falling back to alert');
@@ -52,6 +58,17 @@ async function showCompletionModal(userId) {
             }
         }, 500);
         
+        // Level-ups: the next generation uses the harder variation
+        if (levelUpInfo && levelUpList && levelUps.length > 0) {
+            levelUpList.innerHTML = levelUps.map(levelUp => `
+                <li class="text-sm text-white">
+                    <span class="font-semibold">${levelUp.exerciseName || levelUp.fromVariationName}</span>:
+                    ${levelUp.fromVariationName} <i class="fas fa-arrow-right text-xs text-white/60 mx-1"></i> ${levelUp.toVariationName}
+                </li>
+            `).join('');
+            levelUpInfo.classList.remove('hidden');
+        }
+        
         // Show modal with animation
         modal.classList.remove('hidden');
         requestAnimationFrame(() => {
@@ -72,6 +89,9 @@ async function showCompletionModal(userId) {
                 if (streakInfo) {
                     streakInfo.classList.add('hidden');
                 }
+                if (levelUpInfo) {
+                    levelUpInfo.classList.add('hidden');
+                }
                 // Reset for next time
                 if (modalContent) {
                     modalContent.style.transform = 'scale(0.95)';
@@ -115,6 +135,7 @@ export class SessionView {
         this.isPaused = false;
         this.userProfile = null; // Will be loaded async
         this.journal = null; // WorkoutJournal instance
+        this.timer = null; // SessionTimer instance (rest / interval timers)
         this.allExercises = null; // Cache of all exercises for lookup
         this.userId = null; // User ID for history lookup
     }
@@ -145,15 +166,68 @@ export class SessionView {
             this.allExercises = [];
         }
 
+        // Resume progress saved for this session (this device or mirrored from another one)
+        this.restoreProgress();
+
         overlay.classList.remove('hidden');
         
         // Set up event listeners
         this.setupEventListeners();
 
+        // Rest / interval timer (resumes its saved state on reload)
+        this.initializeTimer();
+
         // Initialize workout journal
         this.initializeWorkoutJournal();
     }
 
+    /**
+     * Restore set data and start time from the saved session progress
+     */
+    restoreProgress() {
+        // Progress logged on another device while this one is open
+        this._handleRemoteMerge = (event) => {
+            const merged = event.detail?.progress;
+            if (!merged || merged.sessionId !== this.getSessionId()) return;
+            this.startedAt = merged.startedAt || this.startedAt;
+            if (merged.journalData && this.journal) {
+                this.journal.applyRemoteSnapshot(merged.journalData);
+            }
+        };
+        window.addEventListener('active-session-merged', this._handleRemoteMerge);
+
+        const progress = getSessionProgress();
+        if (!progress || progress.sessionId !== this.getSessionId()) {
+            // Store the session itself so it can be resumed on another device
+            this.saveProgress();
+            return;
+        }
+
+        this.setData = progress.setData || {};
+        this.completedSets = progress.completedSets || [];
+        this.startedAt = progress.startedAt || this.startedAt;
+    }
+
+    getSessionId() {
+        return this.session.date || this.session.day;
+    }
+
+    /**
+     * Initialize rest / interval timer component
+     */
+    initializeTimer() {
+        try {
+            this.timer?.destroy();
+            this.timer = new SessionTimer('session-timer-container', {
+                sessionId: this.getSessionId()
+            });
+            this.timer.render();
+        } catch (error) {
+            console.error('Failed to initialize session timer:', error);
+            this.timer = null;
+        }
+    }
+
     /**
      * Initialize workout journal component
      */
@@ -168,6 +242,11 @@ export class SessionView {
                         weight: state.weight ?? undefined,
                         reps: state.reps ?? undefined,
                         time: state.time ?? undefined,
+                        rpe: state.rpe ?? undefined,
+                        rir: state.rir ?? undefined,
+                        tempo: state.tempo || undefined,
+                        prescribedTempo: state.prescribedTempo || undefined,
+                        restSeconds: state.restSeconds ?? undefined,
                         completed: !!state.completed,
                         notes: state.notes
                     };
@@ -178,6 +257,13 @@ export class SessionView {
                         this.completedSets = this.completedSets.filter(key => key !== setKey);
                     }
                 },
+                onSetCompleted: (setKey, state, { roundCompleted = true } = {}) => {
+                    // Rest countdown after each set (after each round in supersets, circuits and flows),
+                    // unless the session is over
+                    if (!this.timer || !roundCompleted || this.journal?.areAllSetsCompleted()) return;
+                    const restSeconds = DEFAULT_REST_SECONDS[state.phase] ?? DEFAULT_REST_SECONDS.workout;
+                    this.timer.startRest(restSeconds);
+                },
                 onSessionUpdated: () => {
                     // Save lightweight progress snapshot for resume support
                     this.saveProgress();
@@ -264,9 +350,11 @@ export class SessionView {
             if (this.isPaused) {
                 pauseBtn.innerHTML = '<i class="fas fa-play text-white text-xl"></i>';
                 this.pauseSession();
+                this.timer?.pause();
             } else {
                 pauseBtn.innerHTML = '<i class="fas fa-pause text-white text-xl"></i>';
                 this.resumeSession();
+                this.timer?.resume();
             }
         }
     }
@@ -292,7 +380,8 @@ export class SessionView {
      */
     saveProgress() {
         const progress = {
-            sessionId: this.session.date || this.session.day,
+            sessionId: this.getSessionId(),
+            session: this.session,
             currentPhase: this.currentPhase,
             phaseIndex: this.currentPhaseIndex,
             variationIndex: this.currentVariationIndex,
@@ -320,8 +409,14 @@ export class SessionView {
      * End session and update milestones
      */
     async endSession() {
+        // The journal ends the session when the last set is completed; ignore a second call
+        // (e.g. the finish button) so the session is not counted twice
+        if (this.isEnding) return;
+        this.isEnding = true;
+        
         // Get current user ID (define at function scope so it's available later)
         const user = getAuthUser();
+        let levelUps = [];
         
         try {
             if (!user || !user.uid) {
@@ -332,13 +427,21 @@ export class SessionView {
                 await saveSessionOnComplete(this, user.uid);
                 console.log('✓ Session saved successfully to Firestore');
                 
+                // Progressive overload: count the variations whose prescribed sets were finished
+                try {
+                    levelUps = await this.updateMilestones(user.uid);
+                } catch (error) {
+                    console.error('Error updating milestones:', error);
+                    // Non-critical, continue
+                }
+                
                 // Mark session as completed in training system
                 try {
                     const { getTrainingSystem, saveTrainingSystem } = await import('../core/storage.js');
                     const trainingSystem = await getTrainingSystem();
                     
                     if (trainingSystem && trainingSystem.sessions) {
-                        const sessionDate = this.session.date || new Date().toISOString().split('T')[0];
+                        const sessionDate = this.session.date || toLocalDateKey();
                         const sessionIndex = trainingSystem.sessions.findIndex(s => s.date === sessionDate);
                         
                         if (sessionIndex !== -1) {
@@ -364,7 +467,10 @@ export class SessionView {
             // User can still complete the session, but streak won't update
         }
         
-        // Final milestone updates are already done per variation
+        // Stop timers before clearing the saved progress (they persist on change)
+        this.timer?.destroy();
+        this.timer = null;
+
         // Clear saved progress
         clearSessionProgress();
         
@@ -372,7 +478,7 @@ export class SessionView {
         this.hide();
         
         // Show completion modal with updated streak
-        await showCompletionModal(user?.uid);
+        await showCompletionModal(user?.uid, levelUps);
         
         // Refresh dashboard to show updated streak and milestones
         if (window.initDashboard) {
@@ -406,10 +512,48 @@ export class SessionView {
         }
     }
 
+    /**
+     * Update the per-variation overload counters of the user
+     * When a variation reaches OVERLOAD_PERIOD_SESSIONS, the next generation uses the
+     * next (harder) variation of the exercise instead.
+     * @param {string} userId - User ID
+     * @returns {Promise<Array>} Variations promoted in this session
+     */
+    async updateMilestones(userId) {
+        const { getUserProfile: getFirestoreProfile, saveVariationMilestones } = await import('../services/dbService.js');
+        const [profile, exerciseData] = await Promise.all([
+            getFirestoreProfile(userId, { skipCache: true }),
+            loadExercises()
+        ]);
+        
+        const { currentMilestones, variationPromotions, levelUps } = applySessionMilestones(
+            this.session,
+            // The journal state also covers sets restored from a resumed session
+            this.journal?.currentSessionData || this.setData,
+            profile,
+            exerciseData.exercises
+        );
+        
+        await saveVariationMilestones(userId, { currentMilestones, variationPromotions });
+        console.log('✓ Milestones updated', { levelUps: levelUps.length });
+        
+        return levelUps;
+    }
+
     /**
      * Hide session overlay
      */
     hide() {
+        if (this._handleRemoteMerge) {
+            window.removeEventListener('active-session-merged', this._handleRemoteMerge);
+            this._handleRemoteMerge = null;
+        }
+
+        if (this.timer) {
+            this.timer.destroy();
+            this.timer = null;
+        }
+
         const overlay = document.getElementById('session-overlay');
         if (overlay) {
             overlay.classList.add('hidden');
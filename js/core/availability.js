@@ -0,0 +1,127 @@
+/**
+ * TRAINING AVAILABILITY
+ *
+ * When the athlete can actually train (users/{uid}.availability, edited in the profile):
+ * - days: days of the week they can train (0 = Sunday; empty = any day)
+ * - timeWindows: [{ day, start, end }] time window of a day ("HH:MM"), its length caps that day's session
+ * - maxSessionMinutes: longest session on any day (null = no limit)
+ * - blackoutDates: [{ start, end, reason }] one-off periods without training (travel, holidays), both days included
+ *
+ * Plan generation respects it on the backend (functions/src/services/availability.ts mirrors these rules);
+ * the weekly generator uses it to skip weeks with nothing available.
+ */
+import { addDays, normalizeDateKey, parseLocalDate } from './streak-engine.js';
+
+export const ALL_WEEK_DAYS = [0, 1, 2, 3, 4, 5, 6];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+/**
+ * Minutes since midnight of an "HH:MM" time
+ * @param {string} time
+ * @returns {number|null} null when the format is not valid
+ */
+function parseTimeToMinutes(time) {
+    const match = typeof time === 'string' ? TIME_PATTERN.exec(time.trim()) : null;
+    return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
+
+function isWeekDay(day) {
+    return Number.isInteger(day) && day >= 0 && day <= 6;
+}
+
+/**
+ * Clean up the availability of a profile (drops invalid days, windows and periods)
+ * @param {Object} raw - users/{uid}.availability
+ * @returns {Object|null} { days, timeWindows, maxSessionMinutes, blackoutDates } or null if not set
+ */
+export function normalizeAvailability(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+
+    const days = [...new Set((Array.isArray(raw.days) ? raw.days : []).filter(isWeekDay))].sort((a, b) => a - b);
+
+    const timeWindows = (Array.isArray(raw.timeWindows) ? raw.timeWindows : [])
+        .filter(window => {
+            if (!window || !isWeekDay(window.day)) return false;
+            const start = parseTimeToMinutes(window.start);
+            const end = parseTimeToMinutes(window.end);
+            return start !== null && end !== null && end > start;
+        })
+        .map(window => ({ day: window.day, start: window.start.trim(), end: window.end.trim() }));
+
+    const maxSessionMinutes = Number(raw.maxSessionMinutes);
+
+    const blackoutDates = (Array.isArray(raw.blackoutDates) ? raw.blackoutDates : [])
+        .map(period => {
+            const start = normalizeDateKey(period?.start);
+            const end = normalizeDateKey(period?.end) || start;
+            if (!start) return null;
+            return {
+                start: start <= end ? start : end,
+                end: start <= end ? end : start,
+                ...(period.reason ? { reason: String(period.reason) } : {})
+            };
+        })
+        .filter(Boolean)
+        .sort((a, b) => a.start.localeCompare(b.start));
+
+    return {
+        days,
+        timeWindows,
+        maxSessionMinutes: Number.isFinite(maxSessionMinutes) && maxSessionMinutes > 0 ? Math.round(maxSessionMinutes) : null,
+        blackoutDates
+    };
+}
+
+/**
+ * Days of the week the athlete can train (every day when not set)
+ * @param {Object|null} availability - Normalized availability
+ * @returns {Array<number>}
+ */
+export function getAvailableDays(availability) {
+    return availability?.days?.length ? [...availability.days] : [...ALL_WEEK_DAYS];
+}
+
+/**
+ * Minutes available on a day of the week: its longest time window, capped by maxSessionMinutes
+ * @param {Object|null} availability - Normalized availability
+ * @param {number} day - Day of the week (0 = Sunday)
+ * @returns {number|null} null = no limit
+ */
+export function getDayMaxMinutes(availability, day) {
+    if (!availability) return null;
+
+    const windowMinutes = availability.timeWindows
+        .filter(window => window.day === day)
+        .map(window => parseTimeToMinutes(window.end) - parseTimeToMinutes(window.start));
+
+    const limits = [
+        ...(windowMinutes.length > 0 ? [Math.max(...windowMinutes)] : []),
+        ...(availability.maxSessionMinutes ? [availability.maxSessionMinutes] : [])
+    ];
+
+    return limits.length > 0 ? Math.min(...limits) : null;
+}
+
+/**
+ * Blackout period a day falls in
+ * @param {Object|null} availability - Normalized availability
+ * @param {string} dateKey - YYYY-MM-DD
+ * @returns {Object|null} The period, or null if the day is free
+ */
+export function getBlackoutPeriod(availability, dateKey) {
+    return availability?.blackoutDates?.find(period => dateKey >= period.start && dateKey <= period.end) || null;
+}
+
+/**
+ * Days of a week the athlete can train (available day of the week and not a blackout date)
+ * @param {Object|null} availability - Normalized availability
+ * @param {string} weekStart - First day of the week (YYYY-MM-DD)
+ * @returns {Array<string>} YYYY-MM-DD
+ */
+export function getAvailableDatesInWeek(availability, weekStart) {
+    const availableDays = getAvailableDays(availability);
+    return ALL_WEEK_DAYS
+        .map(offset => addDays(weekStart, offset))
+        .filter(dateKey => availableDays.includes(parseLocalDate(dateKey).getDay()) && !getBlackoutPeriod(availability, dateKey));
+}
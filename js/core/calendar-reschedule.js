@@ -0,0 +1,283 @@
+/**
+ * CALENDAR RESCHEDULING
+ *
+ * Plans the moves of the athlete calendar (drag-and-drop, multi-select shift and
+ * "push the rest of the week") and the undo/redo history of those moves.
+ *
+ * - Only sessions saved in the training system (with an id) are moved; pattern days are not
+ * - Two sessions ending on the same day are a conflict, resolved by merging them
+ *   (the session already on that day keeps the exercises of the others; the merged ones
+ *   lose their date and point to it with mergedInto) or keeping both. Completed sessions
+ *   are never merged
+ * - Every move is a list of changes { before, after } with full session snapshots,
+ *   so undo writes back `before` and redo writes back `after` (null = no session)
+ */
+import { CALENDAR_HISTORY_LIMIT } from './constants.js';
+import { normalizeDisciplines } from './ui-utils.js';
+import { normalizeDateKey, parseLocalDate, addDays, toLocalDateKey } from './streak-engine.js';
+
+export const CONFLICT_RESOLUTIONS = {
+    MERGE: 'merge',
+    KEEP_BOTH: 'keep-both'
+};
+
+const PHASE_KEYS = ['warmup', 'workout', 'cooldown'];
+
+/**
+ * Sessions the calendar shows on a date (saved, with a date, not merged into another)
+ * @param {Object} session
+ * @returns {boolean}
+ */
+function isScheduledSession(session) {
+    return !!(session && session.id && normalizeDateKey(session.date) && !session.mergedInto);
+}
+
+/**
+ * Sunday of the week of a day (calendar weeks start on Monday)
+ * @param {string} dateKey - YYYY-MM-DD
+ * @returns {string} YYYY-MM-DD
+ */
+export function getWeekEndDateKey(dateKey) {
+    const dayOfWeek = parseLocalDate(dateKey).getDay();
+    return addDays(dateKey, dayOfWeek === 0 ? 0 : 7 - dayOfWeek);
+}
+
+/**
+ * Plan moving sessions to new days
+ * @param {Array} sessions - Sessions of the training system
+ * @param {Array} moves - [{ sessionId, toDate }]
+ * @param {Object} options - { today } moves to days before today are rejected
+ * @returns {Object} { moves: [{ session, fromDate, toDate }], conflicts: [{ date, sessions }], pastDates }
+ *   conflicts list the sessions that would share a day (the one already there first)
+ */
+export function planSessionMoves(sessions = [], moves = [], { today = toLocalDateKey() } = {}) {
+    const scheduled = sessions.filter(isScheduledSession);
+    const byId = new Map(scheduled.map(session => [session.id, session]));
+
+    const plannedMoves = [];
+    const pastDates = [];
+    moves.forEach(({ sessionId, toDate }) => {
+        const session = byId.get(sessionId);
+        const fromDate = session ? normalizeDateKey(session.date) : null;
+        if (!session || !toDate || toDate === fromDate) return;
+        if (toDate < today) {
+            pastDates.push(toDate);
+            return;
+        }
+        plannedMoves.push({ session, fromDate, toDate });
+    });
+
+    // Day every session ends on, sessions staying in place first
+    const movedIds = new Set(plannedMoves.map(move => move.session.id));
+    const sessionsByDate = new Map();
+    const place = (date, session) => {
+        if (!sessionsByDate.has(date)) sessionsByDate.set(date, []);
+        sessionsByDate.get(date).push(session);
+    };
+    scheduled
+        .filter(session => !movedIds.has(session.id))
+        .forEach(session => place(normalizeDateKey(session.date), session));
+    plannedMoves.forEach(({ session, toDate }) => place(toDate, session));
+
+    const conflicts = [...sessionsByDate.entries()]
+        .filter(([, daySessions]) => daySessions.length > 1 && daySessions.some(session => movedIds.has(session.id)))
+        .map(([date, daySessions]) => ({ date, sessions: daySessions }))
+        .sort((a, b) => a.date.localeCompare(b.date));
+
+    return { moves: plannedMoves, conflicts, pastDates: [...new Set(pastDates)] };
+}
+
+/**
+ * Plan shifting some sessions by a number of days
+ * @param {Array} sessions - Sessions of the training system
+ * @param {Array<string>} sessionIds - Sessions to shift
+ * @param {number} days - Days to shift (negative moves them earlier)
+ * @param {Object} options - See planSessionMoves
+ * @returns {Object} Plan (see planSessionMoves)
+ */
+export function planShiftSessions(sessions, sessionIds, days, options = {}) {
+    const ids = new Set(sessionIds);
+    const moves = sessions
+        .filter(session => isScheduledSession(session) && ids.has(session.id))
+        .map(session => ({ sessionId: session.id, toDate: addDays(normalizeDateKey(session.date), days) }));
+    return planSessionMoves(sessions, moves, options);
+}
+
+/**
+ * Plan pushing the rest of a week by a number of days (sick, travelling...)
+ * Moves the sessions not completed yet from `fromDate` to the Sunday of its week.
+ * @param {Array} sessions - Sessions of the training system
+ * @param {string} fromDate - First day to push (YYYY-MM-DD)
+ * @param {number} days - Days to push
+ * @param {Object} options - See planSessionMoves
+ * @returns {Object} Plan (see planSessionMoves)
+ */
+export function planPushRestOfWeek(sessions, fromDate, days, options = {}) {
+    const weekEnd = getWeekEndDateKey(fromDate);
+    const sessionIds = sessions
+        .filter(session => {
+            if (!isScheduledSession(session) || session.completed) return false;
+            const date = normalizeDateKey(session.date);
+            return date >= fromDate && date <= weekEnd;
+        })
+        .map(session => session.id);
+    return planShiftSessions(sessions, sessionIds, days, options);
+}
+
+/**
+ * Session moved to a new day (same rules as a drag-and-drop move)
+ * @param {Object} session
+ * @param {string} toDate - YYYY-MM-DD
+ * @returns {Object}
+ */
+function moveSession(session, toDate) {
+    return {
+        ...session,
+        date: toDate,
+        // Date the session was generated for (used to regenerate it)
+        originalDate: session.originalDate || session.date,
+        // The session is done again on its new day
+        completed: false,
+        completedAt: undefined
+    };
+}
+
+/**
+ * Merge the exercises of a session into another
+ * Exercises already in the target phase (same variationId) are not repeated.
+ * @param {Object} target - Session that stays
+ * @param {Object} source - Session merged into it
+ * @returns {Object} Merged session
+ */
+export function mergeSessions(target, source) {
+    const phases = { ...(target.phases || {}) };
+    PHASE_KEYS.forEach(phaseKey => {
+        const targetItems = Array.isArray(phases[phaseKey]) ? phases[phaseKey] : [];
+        const sourceItems = Array.isArray(source.phases?.[phaseKey]) ? source.phases[phaseKey] : [];
+        const existing = new Set(targetItems.map(item => item.variationId).filter(Boolean));
+        phases[phaseKey] = [
+            ...targetItems,
+            ...sourceItems.filter(item => !item.variationId || !existing.has(item.variationId))
+        ];
+    });
+
+    const disciplines = [...new Set([
+        ...normalizeDisciplines(target.discipline),
+        ...normalizeDisciplines(source.discipline)
+    ])];
+
+    return {
+        ...target,
+        phases,
+        discipline: disciplines.length > 1 ? disciplines : disciplines[0] || target.discipline,
+        mergedFrom: [...(target.mergedFrom || []), source.id]
+    };
+}
+
+/**
+ * Turn a plan into the session changes to save
+ * @param {Object} plan - Plan from planSessionMoves / planShiftSessions / planPushRestOfWeek
+ * @param {string} resolution - CONFLICT_RESOLUTIONS value (used when the plan has conflicts)
+ * @returns {Array} [{ before, after }] session snapshots
+ */
+export function buildRescheduleChanges(plan, resolution = CONFLICT_RESOLUTIONS.KEEP_BOTH) {
+    const originals = new Map();
+    const updated = new Map();
+
+    plan.moves.forEach(({ session, toDate }) => {
+        originals.set(session.id, session);
+        updated.set(session.id, moveSession(session, toDate));
+    });
+
+    if (resolution === CONFLICT_RESOLUTIONS.MERGE) {
+        plan.conflicts.forEach(({ sessions }) => {
+            // Completed sessions are neither merged into (the exercises would never be done)
+            // nor merged away (they keep their day), they just stay alongside
+            const keeper = sessions.find(session => !session.completed);
+            if (!keeper) return;
+            const merged = sessions.filter(session => session !== keeper && !session.completed);
+            let result = updated.get(keeper.id) || keeper;
+            originals.set(keeper.id, keeper);
+
+            merged.forEach(session => {
+                const current = updated.get(session.id) || session;
+                originals.set(session.id, session);
+                result = mergeSessions(result, current);
+                updated.set(session.id, { ...current, date: null, mergedInto: keeper.id });
+            });
+
+            updated.set(keeper.id, result);
+        });
+    }
+
+    return [...updated.entries()].map(([id, after]) => ({ before: originals.get(id), after }));
+}
+
+/**
+ * Undo/redo history of calendar changes
+ * Entries are { label, changes } (see buildRescheduleChanges); applying them is up to the caller.
+ */
+export class CalendarHistory {
+    constructor(limit = CALENDAR_HISTORY_LIMIT) {
+        this.limit = limit;
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    get canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    get canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Record a change that was just applied (clears the redo stack)
+     * @param {Object} entry - { label, changes }
+     */
+    record(entry) {
+        if (!entry?.changes?.length) return;
+        this.undoStack.push(entry);
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+    }
+
+    /**
+     * Entry the next undo would revert
+     * @returns {Object|null}
+     */
+    peekUndo() {
+        return this.undoStack[this.undoStack.length - 1] || null;
+    }
+
+    /**
+     * Entry the next redo would apply again
+     * @returns {Object|null}
+     */
+    peekRedo() {
+        return this.redoStack[this.redoStack.length - 1] || null;
+    }
+
+    /**
+     * Mark the last entry as undone (call after writing back its `before` snapshots)
+     * @returns {Object|null} Undone entry
+     */
+    undo() {
+        const entry = this.undoStack.pop() || null;
+        if (entry) this.redoStack.push(entry);
+        return entry;
+    }
+
+    /**
+     * Mark the last undone entry as applied again (call after writing back its `after` snapshots)
+     * @returns {Object|null} Redone entry
+     */
+    redo() {
+        const entry = this.redoStack.pop() || null;
+        if (entry) this.undoStack.push(entry);
+        return entry;
+    }
+}
@@ -12,6 +12,9 @@ export const TERMINOLOGY = {
     PHASES: 'Phases',
     EXERCISE: 'Exercise',
     SUPERSET: 'Superset',
+    CIRCUIT: 'Circuit',
+    FLOW_SEQUENCE: 'Flow sequence',
+    STRAIGHT_SETS: 'Straight sets',
     SET: 'Set',
     VARIATIONS: 'Variations',
     OVERLOAD: 'Overload',
@@ -159,13 +162,58 @@ export const PHASE_CRITERIA = {
 };
 
 // Default Weekly System Configuration
+// restDays are only a preference: the user's availability (js/core/availability.js) decides the training days
 export const DEFAULT_WEEKLY_CONFIG = {
     daysPerWeek: 4,
     framework: TRAINING_FRAMEWORKS.PUSH_PULL,
     startDate: new Date().toISOString().split('T')[0],
-    restDays: [2, 4, 6] // Tuesday, Thursday, Saturday (0 = Sunday)
+    restDays: [2, 4, 6], // Tuesday, Thursday, Saturday (0 = Sunday)
+    mesocycleWeeks: 4
 };
 
+// Block lengths the user can pick for the periodized plan (last week of a block is a deload),
+// see functions/src/services/mesocycle-planner.ts
+export const MESOCYCLE_WEEK_OPTIONS = [4, 5, 6, 7, 8];
+
+// Session block types: how the exercises of a phase are grouped (see js/core/session-blocks.js)
+// - straight: all sets of one exercise, then the next one
+// - superset: 2 exercises alternated set by set, rest after each round
+// - circuit: 3+ exercises in a row, rest after each round
+// - flow: movements linked without rest (Animal Flow sequences), rest after each round
+export const BLOCK_TYPES = {
+    STRAIGHT: 'straight',
+    SUPERSET: 'superset',
+    CIRCUIT: 'circuit',
+    FLOW: 'flow'
+};
+
+// Default rest between sets per session phase (seconds), used by the session rest timer
+export const DEFAULT_REST_SECONDS = {
+    warmup: 30,
+    workout: 90,
+    cooldown: 20
+};
+
+// Length of the on-demand short version of a session (dashboard "30-minute version"),
+// see js/core/session-duration.js
+export const QUICK_SESSION_MINUTES = 30;
+
+// Interval timer presets (Crossfit / Animal Flow flows)
+export const INTERVAL_TIMER_PRESETS = {
+    EMOM: { rounds: 10, intervalSeconds: 60 },          // Every minute on the minute
+    TABATA: { rounds: 8, workSeconds: 20, restSeconds: 10 },
+    AMRAP: { durationSeconds: 12 * 60 }                 // As many rounds as possible
+};
+
+// Streak freezes (see js/core/streak-engine.js): one is earned every
+// STREAK_FREEZE_EARN_INTERVAL scheduled training days completed in a row and
+// covers one missed training day; at most MAX_STREAK_FREEZES are banked
+export const STREAK_FREEZE_EARN_INTERVAL = 7;
+export const MAX_STREAK_FREEZES = 2;
+
+// Calendar moves that can be undone (see CalendarHistory in js/core/calendar-reschedule.js)
+export const CALENDAR_HISTORY_LIMIT = 50;
+
 /**
  * Clean framework name by removing discipline names
  * Frameworks should NEVER include disciplines like "Animal Flow", "Pilates", etc.
@@ -0,0 +1,183 @@
+/**
+ * ICALENDAR EXPORT (RFC 5545)
+ *
+ * Turns the sessions of a training system into a VCALENDAR, used for the one-off
+ * .ics download of the calendar page. The per-user feed served by the calendarFeed
+ * Cloud Function builds the same events (functions/src/services/icalendar.ts).
+ *
+ * - One all-day event per dated session (pattern days without a session are not exported)
+ * - UID is stable per session, so a moved session updates the existing event instead
+ *   of adding a new one; SEQUENCE is the session's calendarSequence (bumped on moves)
+ * - SUMMARY: framework and discipline, DESCRIPTION: phase summary
+ */
+import { cleanFrameworkName } from './constants.js';
+import { formatDisciplines } from './ui-utils.js';
+import { normalizeDateKey, addDays } from './streak-engine.js';
+
+export const ICAL_PRODUCT_ID = '-//REGAIN//Training Calendar//EN';
+export const ICAL_UID_DOMAIN = 'regain.app';
+
+// Same labels as the session detail modal (AthleteCalendarManager.renderSessionPhases)
+export const ICAL_PHASE_LABELS = {
+    warmup: 'Warm-up',
+    workout: 'Workout',
+    cooldown: 'Cool Down'
+};
+
+// Subscribed calendars re-fetch the feed at this interval (hint, clients may ignore it)
+const FEED_REFRESH_INTERVAL = 'PT6H';
+
+/**
+ * Escape a TEXT value (RFC 5545 3.3.11)
+ * @param {string|null|undefined} value - Missing values escape to an empty text
+ * @returns {string}
+ */
+export function escapeICalText(value) {
+    return String(value ?? '')
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line at 75 octets (RFC 5545 3.1), never splitting a UTF-8 character
+ * @param {string} line
+ * @returns {string} Folded line (continuation lines start with a space)
+ */
+export function foldICalLine(line) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    let current = '';
+    let currentBytes = 0;
+
+    for (const char of line) {
+        const charBytes = encoder.encode(char).length;
+        // Continuation lines lose one octet to the leading space
+        const limit = parts.length === 0 ? 75 : 74;
+        if (currentBytes + charBytes > limit) {
+            parts.push(current);
+            current = '';
+            currentBytes = 0;
+        }
+        current += char;
+        currentBytes += charBytes;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+}
+
+/**
+ * Format a UTC timestamp as a DATE-TIME value (e.g. 20250101T090000Z)
+ * @param {Date|string} value
+ * @returns {string|null}
+ */
+export function formatICalTimestamp(value) {
+    const date = value instanceof Date ? value : new Date(value);
+    if (isNaN(date)) return null;
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Stable event UID of a session
+ * Sessions are keyed by their document ID, so the UID survives moves.
+ * @param {string} systemId - Training system ID
+ * @param {Object} session - Session ({ id, originalDate, date })
+ * @returns {string}
+ */
+export function getSessionEventUid(systemId, session) {
+    const sessionKey = session.id || normalizeDateKey(session.originalDate || session.date);
+    return `${systemId}-${sessionKey}@${ICAL_UID_DOMAIN}`;
+}
+
+/**
+ * Event title: framework and discipline (e.g. "Push · Weights")
+ * @param {Object} session
+ * @returns {string}
+ */
+export function formatSessionEventTitle(session) {
+    const framework = cleanFrameworkName(session.framework || session.workout);
+    const discipline = formatDisciplines(session.discipline);
+    return discipline ? `${framework} · ${discipline}` : framework;
+}
+
+/**
+ * Phase summary of a session, one line per phase
+ * (e.g. "Warm-up (3): Cat-Cow, Inchworm, Jumping Jacks")
+ * @param {Object} phases - { warmup, workout, cooldown } arrays of variations
+ * @returns {string}
+ */
+export function formatSessionPhaseSummary(phases = {}) {
+    return Object.entries(ICAL_PHASE_LABELS)
+        .map(([phaseKey, label]) => {
+            const phase = Array.isArray(phases?.[phaseKey]) ? phases[phaseKey] : [];
+            if (phase.length === 0) return null;
+            const names = phase
+                .map(variation => variation.variationName || variation.exerciseName)
+                .filter(Boolean);
+            return `${label} (${phase.length}): ${names.join(', ')}`;
+        })
+        .filter(Boolean)
+        .join('\n');
+}
+
+/**
+ * Content lines of the VEVENT of a session
+ * @param {Object} session - Session with a date
+ * @param {Object} options - { systemId, dtstamp }
+ * @returns {Array<string>} Unfolded content lines (empty if the session has no date)
+ */
+export function buildSessionEvent(session, { systemId, dtstamp }) {
+    const date = normalizeDateKey(session.date);
+    if (!date) return [];
+
+    const description = [
+        session.completed ? 'Completed' : null,
+        formatSessionPhaseSummary(session.phases)
+    ].filter(Boolean).join('\n\n');
+    const lastModified = session.updatedAt ? formatICalTimestamp(session.updatedAt) : null;
+
+    return [
+        'BEGIN:VEVENT',
+        `UID:${getSessionEventUid(systemId, session)}`,
+        `DTSTAMP:${dtstamp}`,
+        `DTSTART;VALUE=DATE:${date.replace(/-/g, '')}`,
+        `DTEND;VALUE=DATE:${addDays(date, 1).replace(/-/g, '')}`,
+        `SEQUENCE:${Number.isInteger(session.calendarSequence) ? session.calendarSequence : 0}`,
+        `SUMMARY:${escapeICalText(`${session.completed ? '✓ ' : ''}${formatSessionEventTitle(session)}`)}`,
+        ...(description ? [`DESCRIPTION:${escapeICalText(description)}`] : []),
+        ...(lastModified ? [`LAST-MODIFIED:${lastModified}`] : []),
+        'STATUS:CONFIRMED',
+        'TRANSP:TRANSPARENT',
+        'END:VEVENT'
+    ];
+}
+
+/**
+ * Build the VCALENDAR of a training system
+ * @param {Object} trainingSystem - Training system with its sessions ({ id, sessions })
+ * @param {Object} options - { calendarName, now }
+ * @returns {string} iCalendar text (CRLF line endings)
+ */
+export function buildTrainingCalendar(trainingSystem, { calendarName = 'REGAIN Training', now = new Date() } = {}) {
+    const dtstamp = formatICalTimestamp(now);
+    const sessions = (trainingSystem?.sessions || [])
+        .filter(session => normalizeDateKey(session.date))
+        .sort((a, b) => normalizeDateKey(a.date).localeCompare(normalizeDateKey(b.date)));
+
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${ICAL_PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeICalText(calendarName)}`,
+        `REFRESH-INTERVAL;VALUE=DURATION:${FEED_REFRESH_INTERVAL}`,
+        `X-PUBLISHED-TTL:${FEED_REFRESH_INTERVAL}`,
+        ...sessions.flatMap(session => buildSessionEvent(session, { systemId: trainingSystem.id, dtstamp })),
+        'END:VCALENDAR'
+    ];
+
+    return lines.map(foldICalLine).join('\r\n') + '\r\n';
+}
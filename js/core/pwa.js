@@ -0,0 +1,172 @@
+/**
+ * PWA SUPPORT
+ *
+ * - Registers the service worker (assets/sw.js, served at /sw.js) and sends it the
+ *   templates and page resources to precache, so the app opens without a connection
+ * - Shows an "update available" banner when a new version is waiting
+ * - Keeps the exercise catalog in Cache Storage (CATALOG_CACHE, left alone by the
+ *   service worker on updates) for stale-while-revalidate loading in workout-engine.js
+ */
+import { getTemplatePaths } from './template-loader.js';
+
+// Must match CATALOG_CACHE in assets/sw.js
+const CATALOG_CACHE = 'regain-catalog';
+const CATALOG_URL = '/catalog/exercises.json';
+
+// Cross-origin resources of the page worth precaching (must match CACHEABLE_ORIGINS in assets/sw.js)
+const PRECACHE_ORIGINS = ['https://esm.sh', 'https://cdnjs.cloudflare.com'];
+
+const UPDATE_BANNER_ID = 'pwa-update-banner';
+
+let reloadOnControllerChange = false;
+
+/**
+ * URLs the service worker should precache: templates plus the scripts, styles and
+ * fonts this page loaded (their names are hashed in production builds)
+ * @returns {Array<string>}
+ */
+function getPrecacheUrls() {
+    const templates = getTemplatePaths().map(path => new URL(path, window.location.href).href);
+    const resources = performance.getEntriesByType('resource')
+        .filter(entry => ['script', 'link', 'css', 'other'].includes(entry.initiatorType))
+        .map(entry => entry.name)
+        .filter(url => {
+            const { origin } = new URL(url);
+            return origin === window.location.origin || PRECACHE_ORIGINS.includes(origin);
+        });
+
+    return [...new Set([...templates, ...resources])];
+}
+
+/**
+ * Show the "update available" banner for a waiting service worker
+ * @param {ServiceWorker} worker - Installed worker waiting to activate
+ */
+function showUpdateBanner(worker) {
+    if (document.getElementById(UPDATE_BANNER_ID)) return;
+
+    const banner = document.createElement('div');
+    banner.id = UPDATE_BANNER_ID;
+    banner.className = 'pwa-update-banner';
+    banner.setAttribute('role', 'status');
+    banner.innerHTML = `
+        <span>A new version of REGAIN is available.</span>
+        <button type="button" class="pwa-update-banner-reload">Update</button>
+        <button type="button" class="pwa-update-banner-dismiss" aria-label="Dismiss">
+            <i class="fas fa-times"></i>
+        </button>
+    `;
+
+    banner.querySelector('.pwa-update-banner-reload').addEventListener('click', () => {
+        reloadOnControllerChange = true;
+        worker.postMessage({ type: 'SKIP_WAITING' });
+    });
+    banner.querySelector('.pwa-update-banner-dismiss').addEventListener('click', () => {
+        banner.remove();
+    });
+
+    document.body.appendChild(banner);
+}
+
+/**
+ * Watch a registration for new versions
+ * @param {ServiceWorkerRegistration} registration
+ */
+function watchForUpdates(registration) {
+    // Only an update if a worker already controls the page (the first install is not)
+    if (registration.waiting && navigator.serviceWorker.controller) {
+        showUpdateBanner(registration.waiting);
+    }
+
+    registration.addEventListener('updatefound', () => {
+        const worker = registration.installing;
+        if (!worker) return;
+
+        worker.addEventListener('statechange', () => {
+            if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                showUpdateBanner(worker);
+            }
+        });
+    });
+
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (reloadOnControllerChange) {
+            reloadOnControllerChange = false;
+            window.location.reload();
+        }
+    });
+
+    // Long-lived tabs (a phone left open at the gym) check for updates when shown again
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'visible') {
+            registration.update().catch(() => {});
+        }
+    });
+}
+
+/**
+ * Register the service worker (production builds only; E2E runs and the Vite dev
+ * server keep plain network loading)
+ * @returns {Promise<ServiceWorkerRegistration|null>}
+ */
+export async function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || import.meta.env?.DEV || window.__E2E_TEST__ === true) {
+        return null;
+    }
+
+    try {
+        const registration = await navigator.serviceWorker.register('/sw.js', { scope: '/' });
+        console.log('[PWA] Service worker registered');
+
+        watchForUpdates(registration);
+
+        const ready = await navigator.serviceWorker.ready;
+        ready.active?.postMessage({ type: 'PRECACHE', urls: getPrecacheUrls() });
+
+        return registration;
+    } catch (error) {
+        console.warn('[PWA] Service worker registration failed:', error);
+        return null;
+    }
+}
+
+// ===== EXERCISE CATALOG CACHE =====
+
+/**
+ * Read the cached exercise catalog
+ * @returns {Promise<Object|null>} { catalog, cachedAt } or null if not cached
+ */
+export async function getCachedExerciseCatalog() {
+    if (typeof caches === 'undefined') return null;
+
+    try {
+        const cache = await caches.open(CATALOG_CACHE);
+        const response = await cache.match(CATALOG_URL);
+        if (!response) return null;
+
+        const { catalog, cachedAt } = await response.json();
+        return catalog ? { catalog, cachedAt } : null;
+    } catch (error) {
+        console.warn('[PWA] Failed to read cached exercise catalog:', error);
+        return null;
+    }
+}
+
+/**
+ * Store the exercise catalog
+ * @param {Object} catalog - Catalog as returned by loadExercises ({ exercises })
+ * @returns {Promise<void>}
+ */
+export async function saveExerciseCatalogToCache(catalog) {
+    if (typeof caches === 'undefined') return;
+
+    try {
+        const cache = await caches.open(CATALOG_CACHE);
+        await cache.put(CATALOG_URL, new Response(
+            JSON.stringify({ catalog, cachedAt: new Date().toISOString() }),
+            { headers: { 'Content-Type': 'application/json' } }
+        ));
+    } catch (error) {
+        console.warn('[PWA] Failed to cache exercise catalog:', error);
+    }
+}
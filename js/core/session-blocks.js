@@ -0,0 +1,146 @@
+/**
+ * SESSION BLOCKS
+ *
+ * Sessions keep flat arrays per phase (session.phases.{warmup,workout,cooldown});
+ * grouped exercises share a block on their items:
+ *   { ..., blockId: 'block-...', blockType: 'superset' | 'circuit' | 'flow' }
+ * Items without blockId are straight sets (one block per exercise).
+ * Members of a block are kept next to each other in the phase array.
+ *
+ * Used by the Edit Session drawer (grouping), the workout journal (alternating
+ * sets with shared rest) and the session reports (volume per block).
+ */
+import { BLOCK_TYPES, TERMINOLOGY } from './constants.js';
+
+const BLOCK_LABELS = {
+    [BLOCK_TYPES.STRAIGHT]: TERMINOLOGY.STRAIGHT_SETS,
+    [BLOCK_TYPES.SUPERSET]: TERMINOLOGY.SUPERSET,
+    [BLOCK_TYPES.CIRCUIT]: TERMINOLOGY.CIRCUIT,
+    [BLOCK_TYPES.FLOW]: TERMINOLOGY.FLOW_SEQUENCE
+};
+
+/**
+ * Display label of a block type
+ * @param {string} type - BLOCK_TYPES value
+ * @returns {string}
+ */
+export function getBlockLabel(type) {
+    return BLOCK_LABELS[type] || BLOCK_LABELS[BLOCK_TYPES.STRAIGHT];
+}
+
+/**
+ * Whether a block type alternates its exercises set by set (anything but straight sets)
+ * @param {string} type - BLOCK_TYPES value
+ * @returns {boolean}
+ */
+export function isGroupedBlock(type) {
+    return type === BLOCK_TYPES.SUPERSET || type === BLOCK_TYPES.CIRCUIT || type === BLOCK_TYPES.FLOW;
+}
+
+/**
+ * Create a block id (unique within a session)
+ * @returns {string}
+ */
+export function createBlockId() {
+    return `block-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+}
+
+/**
+ * Group the items of a phase into blocks, in session order
+ * @param {Array|undefined} items - Phase items (session.phases[phase]; missing phases have none)
+ * @param {string} phase - Phase name (used for the ids of straight blocks)
+ * @returns {Array} [{ id, type, items: [{ item, index }] }]
+ */
+export function getPhaseBlocks(items, phase = '') {
+    const blocks = [];
+    const blocksById = new Map();
+
+    (items || []).forEach((item, index) => {
+        const type = item.blockId && isGroupedBlock(item.blockType) ? item.blockType : BLOCK_TYPES.STRAIGHT;
+
+        if (type === BLOCK_TYPES.STRAIGHT) {
+            blocks.push({ id: `${phase}-${index}`, type, items: [{ item, index }] });
+            return;
+        }
+
+        if (!blocksById.has(item.blockId)) {
+            const block = { id: item.blockId, type, items: [] };
+            blocksById.set(item.blockId, block);
+            blocks.push(block);
+        }
+        blocksById.get(item.blockId).items.push({ item, index });
+    });
+
+    // A grouped block left with a single exercise behaves as straight sets
+    return blocks.map(block => (
+        block.items.length < 2 ? { ...block, type: BLOCK_TYPES.STRAIGHT } : block
+    ));
+}
+
+/**
+ * Remove block fields from an item
+ * @param {Object} item - Phase item
+ * @returns {Object} Copy without blockId/blockType
+ */
+function toStraightItem(item) {
+    const { blockId, blockType, ...rest } = item;
+    return rest;
+}
+
+/**
+ * Group items of a phase into a new block
+ * The grouped items are moved next to the first one (keeping their relative order).
+ * @param {Array} items - Phase items
+ * @param {Array<number>} indices - Indices of the items to group (2 or more)
+ * @param {string} type - BLOCK_TYPES value (superset, circuit or flow)
+ * @returns {Array} New phase items
+ */
+export function groupItemsIntoBlock(items, indices, type) {
+    const selected = [...new Set(indices)]
+        .filter(index => index >= 0 && index < items.length)
+        .sort((a, b) => a - b);
+
+    if (selected.length < 2 || !isGroupedBlock(type)) {
+        return [...items];
+    }
+
+    const blockId = createBlockId();
+    const grouped = selected.map(index => ({ ...items[index], blockId, blockType: type }));
+    const result = [];
+
+    items.forEach((item, index) => {
+        if (index === selected[0]) {
+            result.push(...grouped);
+        } else if (!selected.includes(index)) {
+            result.push(item);
+        }
+    });
+
+    // Blocks the selection was taken from may be left with a single exercise
+    return normalizePhaseBlocks(result);
+}
+
+/**
+ * Split a block back into straight sets
+ * @param {Array} items - Phase items
+ * @param {string} blockId - Block to ungroup
+ * @returns {Array} New phase items
+ */
+export function ungroupBlock(items, blockId) {
+    return items.map(item => (item.blockId === blockId ? toStraightItem(item) : item));
+}
+
+/**
+ * Clean the blocks of a phase after edits:
+ * - members of a block are moved next to its first member
+ * - blocks left with a single exercise become straight sets
+ * @param {Array} items - Phase items
+ * @returns {Array} New phase items
+ */
+export function normalizePhaseBlocks(items) {
+    return getPhaseBlocks(items).flatMap(block => (
+        block.type === BLOCK_TYPES.STRAIGHT
+            ? block.items.map(({ item }) => (item.blockId ? toStraightItem(item) : item))
+            : block.items.map(({ item }) => item)
+    ));
+}
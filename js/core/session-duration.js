@@ -0,0 +1,131 @@
+/**
+ * SESSION DURATION
+ *
+ * Estimated duration of a session from the prescription of its items:
+ *   { ..., sets, reps | holdSeconds, tempo, restSeconds }
+ * - A set lasts reps × seconds per rep (tempo "3-1-1-0" = 5s, X = 1s; 3s without tempo)
+ *   or holdSeconds; unilateral items are done once per side
+ * - Rest goes between sets; in supersets, circuits and flows it goes after each round
+ *   and is shared by the members of the block
+ * - Every item adds a setup / change-over time
+ *
+ * Generated sessions carry the prescription and estimatedMinutes (the backend fits them
+ * to the time available, see functions/src/services/session-duration.ts, which mirrors
+ * these rules). Items without a prescription use the workout journal defaults (3 sets).
+ */
+import { DEFAULT_REST_SECONDS } from './constants.js';
+import { getPhaseBlocks } from './session-blocks.js';
+
+const PHASE_KEYS = ['warmup', 'workout', 'cooldown'];
+
+const DEFAULT_SETS = 3;
+const DEFAULT_REPS = 10;
+const DEFAULT_REP_SECONDS = 3;
+const ISOMETRIC_HOLD_SECONDS = 30;
+const COOLDOWN_HOLD_SECONDS = 45;
+const SETUP_SECONDS = 30;
+
+const TEMPO_PATTERN = /^([0-9X])-?([0-9X])-?([0-9X])-?([0-9X])$/i;
+
+function hasTag(item, tag) {
+    return (item.tags || []).some(t => String(t).toLowerCase().trim() === tag);
+}
+
+/**
+ * Seconds of one rep from its tempo ("3-1-1-0" → 5, X counts as 1)
+ * @param {string} tempo
+ * @returns {number}
+ */
+function getRepSeconds(tempo) {
+    const match = typeof tempo === 'string' ? TEMPO_PATTERN.exec(tempo.trim()) : null;
+    if (!match) return DEFAULT_REP_SECONDS;
+    const seconds = match.slice(1).reduce((total, part) => total + (part.toUpperCase() === 'X' ? 1 : Number(part)), 0);
+    return seconds || DEFAULT_REP_SECONDS;
+}
+
+function getSets(item) {
+    return item.sets || item.totalSets || DEFAULT_SETS;
+}
+
+function getRestSeconds(item, phase) {
+    return typeof item.restSeconds === 'number' ? item.restSeconds : (DEFAULT_REST_SECONDS[phase] ?? DEFAULT_REST_SECONDS.workout);
+}
+
+/**
+ * Work time of one set of an item
+ * @param {Object} item - Session item
+ * @param {string} phase - Phase of the item
+ * @returns {number} Seconds
+ */
+function getSetWorkSeconds(item, phase) {
+    let seconds;
+    if (typeof item.holdSeconds === 'number') {
+        seconds = item.holdSeconds;
+    } else if (typeof item.reps === 'number') {
+        seconds = item.reps * getRepSeconds(item.tempo);
+    } else if (phase === 'cooldown') {
+        seconds = COOLDOWN_HOLD_SECONDS;
+    } else if (hasTag(item, 'isometric')) {
+        seconds = ISOMETRIC_HOLD_SECONDS;
+    } else {
+        seconds = DEFAULT_REPS * getRepSeconds(item.tempo);
+    }
+    return hasTag(item, 'unilateral') ? seconds * 2 : seconds;
+}
+
+/**
+ * Estimated seconds of every item of a phase (block members share the rest after each round)
+ * @param {Array|undefined} items - Phase items (session.phases[phase]; missing phases have none)
+ * @param {string} phase - Phase name
+ * @returns {Array<number>} Seconds per item, in phase order
+ */
+export function estimatePhaseItemSeconds(items, phase) {
+    const seconds = (items || []).map(() => 0);
+
+    getPhaseBlocks(items, phase).forEach(block => {
+        const members = block.items;
+        const rounds = Math.max(...members.map(({ item }) => getSets(item)));
+        const blockRest = members.length > 1
+            ? (rounds - 1) * Math.max(...members.map(({ item }) => getRestSeconds(item, phase))) / members.length
+            : null;
+
+        members.forEach(({ item, index }) => {
+            const sets = getSets(item);
+            const rest = blockRest ?? (sets - 1) * getRestSeconds(item, phase);
+            seconds[index] = Math.round(sets * getSetWorkSeconds(item, phase) + rest + SETUP_SECONDS);
+        });
+    });
+
+    return seconds;
+}
+
+/**
+ * Estimated duration of a phase
+ * @param {Array} items - Phase items
+ * @param {string} phase - Phase name
+ * @returns {number} Minutes (rounded)
+ */
+export function estimatePhaseMinutes(items, phase) {
+    const seconds = estimatePhaseItemSeconds(items, phase).reduce((total, value) => total + value, 0);
+    return Math.round(seconds / 60);
+}
+
+/**
+ * Estimated duration of a session from its current items (reflects swaps and edits)
+ * @param {Object|null} session - Session with phases
+ * @returns {number|null} Minutes, or null when the session has no exercises
+ */
+export function estimateSessionMinutes(session) {
+    const phases = session?.phases || {};
+    const hasItems = PHASE_KEYS.some(phase => (phases[phase] || []).length > 0);
+    if (!hasItems) {
+        // Sessions saved straight from the generator only have the backend estimate
+        return typeof session?.estimatedMinutes === 'number' ? session.estimatedMinutes : null;
+    }
+
+    const seconds = PHASE_KEYS.reduce(
+        (total, phase) => total + estimatePhaseItemSeconds(phases[phase] || [], phase).reduce((sum, value) => sum + value, 0),
+        0
+    );
+    return Math.round(seconds / 60);
+}
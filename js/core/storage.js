@@ -394,10 +394,27 @@ export async function saveTrainingSystem(system) {
 
 /**
  * Save session progress
+ * The session view, the workout journal and the timers each save their own part,
+ * so progress of the same session is merged with what is already stored.
+ * The result is mirrored to Firestore for cross-device resume (activeSessionService.js).
  * @param {Object} progress - Session progress object
+ * @param {Object} options - { sync: false } to skip the Firestore mirror
  */
-export function saveSessionProgress(progress) {
-    localStorage.setItem('sessionProgress', JSON.stringify(progress));
+export function saveSessionProgress(progress, { sync = true } = {}) {
+    const stored = getSessionProgress();
+    const merged = stored && stored.sessionId === progress.sessionId
+        ? { ...stored, ...progress }
+        : { ...progress };
+    if (sync) {
+        merged.updatedAt = Date.now();
+    }
+    localStorage.setItem('sessionProgress', JSON.stringify(merged));
+
+    if (sync) {
+        import('../services/activeSessionService.js')
+            .then(({ scheduleActiveSessionSync }) => scheduleActiveSessionSync(merged))
+            .catch(error => console.warn('Error mirroring session progress:', error));
+    }
 }
 
 /**
@@ -410,9 +427,13 @@ export function getSessionProgress() {
 }
 
 /**
- * Clear session progress
+ * Clear session progress (also the Firestore mirror)
  */
 export function clearSessionProgress() {
     localStorage.removeItem('sessionProgress');
+
+    import('../services/activeSessionService.js')
+        .then(({ discardActiveSession }) => discardActiveSession())
+        .catch(error => console.warn('Error clearing mirrored session progress:', error));
 }
 
@@ -0,0 +1,169 @@
+/**
+ * STREAK ENGINE
+ *
+ * Streaks count consecutive *scheduled* training days completed, so the rest days
+ * of the training system never break them.
+ *
+ * - Dates are local calendar days (YYYY-MM-DD in the user's timezone), never UTC
+ * - A day is scheduled when a training system has a session on it (moved sessions
+ *   included); outside the weeks a system has planned, its trainingDaysOfWeek apply
+ * - Completing a scheduled day adds 1; sessions done on rest days neither add nor break
+ * - A missed scheduled day in the past uses a banked freeze if there is one
+ *   (the streak holds), otherwise resets the streak
+ * - Today's session is still pending: it never breaks the streak
+ * - Freezes are earned every STREAK_FREEZE_EARN_INTERVAL days of streak (max MAX_STREAK_FREEZES)
+ *
+ * Everything is derived from the completed sessions, so the streak can be recomputed
+ * at any time (see recalculateStreak in js/services/dbService.js).
+ */
+import { STREAK_FREEZE_EARN_INTERVAL, MAX_STREAK_FREEZES } from './constants.js';
+
+/**
+ * Local calendar day of a date
+ * @param {Date} [date] - Date (defaults to now)
+ * @returns {string} YYYY-MM-DD in the local timezone
+ */
+export function toLocalDateKey(date = new Date()) {
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${year}-${month}-${day}`;
+}
+
+/**
+ * Parse a YYYY-MM-DD day as local midnight (new Date('YYYY-MM-DD') would be UTC)
+ * @param {string} dateKey - YYYY-MM-DD
+ * @returns {Date}
+ */
+export function parseLocalDate(dateKey) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return new Date(year, month - 1, day);
+}
+
+/**
+ * Normalize a stored session date to a local day
+ * Plain YYYY-MM-DD strings are kept as they are (they already are calendar days);
+ * timestamps are converted to the local day they happened on.
+ * @param {string|Date|Object|null} value - Date string, Date or Firestore Timestamp
+ * @returns {string|null} YYYY-MM-DD or null
+ */
+export function normalizeDateKey(value) {
+    if (!value) return null;
+    if (typeof value === 'string') {
+        if (/^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+        const parsed = new Date(value);
+        return isNaN(parsed) ? null : toLocalDateKey(parsed);
+    }
+    if (value.toDate) return toLocalDateKey(value.toDate());
+    if (value instanceof Date) return toLocalDateKey(value);
+    return null;
+}
+
+/**
+ * Add days to a local day
+ * @param {string} dateKey - YYYY-MM-DD
+ * @param {number} days - Days to add (negative to subtract)
+ * @returns {string} YYYY-MM-DD
+ */
+export function addDays(dateKey, days) {
+    const date = parseLocalDate(dateKey);
+    date.setDate(date.getDate() + days);
+    return toLocalDateKey(date);
+}
+
+/**
+ * Build the training schedule of the user
+ * @param {Array} trainingSystems - Training systems with their sessions ({ startDate, trainingDaysOfWeek, sessions })
+ * @returns {Function} (dateKey) => boolean, whether the day is a scheduled training day
+ */
+export function createTrainingSchedule(trainingSystems = []) {
+    const plannedDates = new Set();
+    const ranges = [];
+
+    trainingSystems.forEach(system => {
+        const sessionDates = (system.sessions || [])
+            .map(session => normalizeDateKey(session.date))
+            .filter(Boolean)
+            .sort();
+        sessionDates.forEach(date => plannedDates.add(date));
+
+        const start = normalizeDateKey(system.startDate) || sessionDates[0];
+        if (!start) return;
+        ranges.push({
+            start,
+            end: sessionDates[sessionDates.length - 1] || null,
+            trainingDaysOfWeek: Array.isArray(system.trainingDaysOfWeek) ? system.trainingDaysOfWeek : []
+        });
+    });
+    ranges.sort((a, b) => a.start.localeCompare(b.start));
+
+    // No plan at all: every day counts (plain calendar streak)
+    if (ranges.length === 0 && plannedDates.size === 0) {
+        return () => true;
+    }
+
+    return (dateKey) => {
+        if (plannedDates.has(dateKey)) return true;
+
+        // Inside the planned weeks of a system the sessions decide (a moved session frees its old day)
+        if (ranges.some(range => range.end && range.start <= dateKey && dateKey <= range.end)) {
+            return false;
+        }
+
+        // Before, between or after the planned weeks: weekly pattern of the system in effect
+        const current = [...ranges].reverse().find(range => range.start <= dateKey) || ranges[0];
+        return !!current && current.trainingDaysOfWeek.includes(parseLocalDate(dateKey).getDay());
+    };
+}
+
+/**
+ * Compute the streak from the completed session days
+ * @param {Object} params
+ * @param {Array<string|null>} params.completedDates - Days with a completed session (YYYY-MM-DD; nulls are skipped)
+ * @param {Function} params.isScheduled - (dateKey) => boolean (see createTrainingSchedule)
+ * @param {string} [params.today] - Local today (YYYY-MM-DD)
+ * @returns {Object} { currentStreak, longestStreak, streakFreezes, frozenDates, lastSessionDate }
+ */
+export function calculateStreak({ completedDates = [], isScheduled, today = toLocalDateKey() }) {
+    const completed = new Set(completedDates.filter(Boolean));
+    const sortedDates = [...completed].sort();
+    const result = {
+        currentStreak: 0,
+        longestStreak: 0,
+        streakFreezes: 0,
+        frozenDates: [],
+        lastSessionDate: sortedDates[sortedDates.length - 1] || null
+    };
+    if (sortedDates.length === 0) return result;
+
+    let streak = 0;
+    let freezes = 0;
+    let frozenDates = [];
+    const lastDay = sortedDates[sortedDates.length - 1] > today ? sortedDates[sortedDates.length - 1] : today;
+
+    for (let day = sortedDates[0]; day <= lastDay; day = addDays(day, 1)) {
+        if (!isScheduled(day)) continue;
+
+        if (completed.has(day)) {
+            streak++;
+            if (streak % STREAK_FREEZE_EARN_INTERVAL === 0) {
+                freezes = Math.min(MAX_STREAK_FREEZES, freezes + 1);
+            }
+            result.longestStreak = Math.max(result.longestStreak, streak);
+        } else if (day < today) {
+            if (streak > 0 && freezes > 0) {
+                freezes--;
+                frozenDates.push(day);
+            } else {
+                streak = 0;
+                frozenDates = [];
+            }
+        }
+    }
+
+    result.currentStreak = streak;
+    result.streakFreezes = freezes;
+    // Only the freezes protecting the current streak are relevant
+    result.frozenDates = frozenDates;
+    return result;
+}
@@ -17,6 +17,14 @@ const TEMPLATE_MAP = {
     'auth-overlay': 'html/overlays/auth.html'
 };
 
+/**
+ * Paths of all the templates (precached by the service worker, see pwa.js)
+ * @returns {Array<string>}
+ */
+export function getTemplatePaths() {
+    return Object.values(TEMPLATE_MAP);
+}
+
 /**
  * Load a single HTML template file
  * @param {string} path - Path to the template file
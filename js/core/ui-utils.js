@@ -109,3 +109,17 @@ export function formatDisciplines(discipline) {
     return disciplines.join(', ');
 }
 
+/**
+ * Escape text before inserting it into innerHTML (user input, imported files, LLM output)
+ * @param {*} text - Text to escape
+ * @returns {string} HTML-safe text (also safe inside quoted attributes)
+ */
+export function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
@@ -18,12 +18,57 @@ import {
     TERMINOLOGY
 } from './constants.js';
 import { getAllExercises, getAllVariations } from '../../src/services/exerciseService.js';
+import { getCachedExerciseCatalog, saveExerciseCatalogToCache } from './pwa.js';
+
+// Background refresh of the cached catalog, once per page load
+let catalogRevalidation = null;
 
 /**
- * Load exercises from Firestore and transform to expected structure
+ * Load the exercise catalog (stale-while-revalidate)
+ * Returns the catalog cached on this device immediately (works offline) and refreshes
+ * it from Firestore in the background; without a cached copy it waits for Firestore.
+ * Dispatches 'exercise-catalog-updated' when the refresh brings changes.
  * @returns {Promise<Object>} Exercises data in format { exercises: [...] }
  */
 export async function loadExercises() {
+    const cached = await getCachedExerciseCatalog();
+    if (cached) {
+        revalidateExerciseCatalog(cached.catalog);
+        return cached.catalog;
+    }
+
+    const catalog = await fetchExerciseCatalog();
+    await saveExerciseCatalogToCache(catalog);
+    return catalog;
+}
+
+/**
+ * Refresh the cached catalog from Firestore (at most once per page load)
+ * @param {Object} cachedCatalog - Catalog currently served from the cache
+ */
+function revalidateExerciseCatalog(cachedCatalog) {
+    if (catalogRevalidation) return;
+
+    catalogRevalidation = fetchExerciseCatalog()
+        .then(async (catalog) => {
+            if (JSON.stringify(catalog) === JSON.stringify(cachedCatalog)) return;
+
+            await saveExerciseCatalogToCache(catalog);
+            console.log('[Workout Engine] Exercise catalog updated');
+            window.dispatchEvent(new CustomEvent('exercise-catalog-updated', { detail: { catalog } }));
+        })
+        .catch(error => {
+            // Offline: keep serving the cached catalog and retry on the next page load
+            console.warn('[Workout Engine] Could not refresh exercise catalog:', error.message);
+            catalogRevalidation = null;
+        });
+}
+
+/**
+ * Load exercises from Firestore and transform to expected structure
+ * @returns {Promise<Object>} Exercises data in format { exercises: [...] }
+ */
+async function fetchExerciseCatalog() {
     try {
         console.log('[Workout Engine] Loading exercises from Firestore...');
         
@@ -300,9 +345,8 @@ export function getNextVariation(exercise, currentVariationId) {
 export function updateMilestone(exerciseId, variationId, currentMilestones) {
     const updated = { ...currentMilestones };
     
-    if (!updated[exerciseId]) {
-        updated[exerciseId] = {};
-    }
+    // Copy the exercise entry too, so the caller's milestones are not mutated
+    updated[exerciseId] = { ...(updated[exerciseId] || {}) };
     
     const currentCount = updated[exerciseId][variationId] || 0;
     updated[exerciseId][variationId] = Math.min(currentCount + 1, OVERLOAD_PERIOD_SESSIONS);
@@ -310,6 +354,77 @@ export function updateMilestone(exerciseId, variationId, currentMilestones) {
     return updated;
 }
 
+/**
+ * Check if all prescribed sets of a session variation were completed
+ * Prescribed sets are set-1..set-N, with N = variation.sets (3 by default, as in the
+ * workout journal). Extra sets added during the session don't count.
+ * @param {Object} variation - Session variation ({ exerciseId, variationId, sets })
+ * @param {Object} setData - Set state by key (`${exerciseId}-${variationId}-set-${n}`)
+ * @returns {boolean} True if every prescribed set was completed
+ */
+export function arePrescribedSetsCompleted(variation, setData) {
+    const exerciseId = variation?.exerciseId;
+    const variationId = variation?.variationId || variation?.id;
+    if (!exerciseId || !variationId) return false;
+    
+    const totalSets = variation.sets || variation.totalSets || 3;
+    for (let setNumber = 1; setNumber <= totalSets; setNumber++) {
+        if (!setData?.[`${exerciseId}-${variationId}-set-${setNumber}`]?.completed) {
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Apply a completed session to the overload milestones
+ * Only variations whose prescribed sets were all completed count as a session.
+ * When a variation reaches OVERLOAD_PERIOD_SESSIONS it is promoted to the next
+ * variation of the exercise (variationPromotions: { [fromVariationId]: toVariationId }),
+ * which the next generation uses instead.
+ * @param {Object} session - Completed session ({ phases: { warmup, workout, cooldown } })
+ * @param {Object} setData - Set state by key
+ * @param {Object} userProfile - Profile with currentMilestones and variationPromotions
+ * @param {Array} exercises - Exercises with variations (see loadExercises)
+ * @returns {Object} { currentMilestones, variationPromotions, levelUps }
+ */
+export function applySessionMilestones(session, setData, userProfile, exercises) {
+    let currentMilestones = { ...(userProfile?.currentMilestones || {}) };
+    const variationPromotions = { ...(userProfile?.variationPromotions || {}) };
+    const levelUps = [];
+    const exerciseMap = new Map((exercises || []).map(exercise => [exercise.id, exercise]));
+    
+    ['warmup', 'workout', 'cooldown'].forEach(phase => {
+        (session?.phases?.[phase] || []).forEach(variation => {
+            if (!arePrescribedSetsCompleted(variation, setData)) return;
+            
+            const exerciseId = variation.exerciseId;
+            const variationId = variation.variationId || variation.id;
+            const wasAchieved = isMilestoneAchieved(exerciseId, variationId, currentMilestones);
+            currentMilestones = updateMilestone(exerciseId, variationId, currentMilestones);
+            
+            // Level up only once, when the milestone is reached
+            if (wasAchieved || !isMilestoneAchieved(exerciseId, variationId, currentMilestones)) return;
+            
+            const exercise = exerciseMap.get(exerciseId);
+            const nextVariation = getNextVariation(exercise, variationId);
+            if (!nextVariation) return;
+            
+            variationPromotions[variationId] = nextVariation.id;
+            levelUps.push({
+                exerciseId,
+                exerciseName: exercise.name || variation.exerciseName || '',
+                fromVariationId: variationId,
+                fromVariationName: variation.variationName || variation.name || '',
+                toVariationId: nextVariation.id,
+                toVariationName: nextVariation.name || ''
+            });
+        });
+    });
+    
+    return { currentMilestones, variationPromotions, levelUps };
+}
+
 // ============================================================================
 // SESSION GENERATION
 // ============================================================================
@@ -485,11 +600,11 @@ export async function findAlternativeVariation(currentVariation, allExercises, p
  * Generate a weekly training system (AI-powered with fallback)
  * @param {Object} userProfile - User profile with milestones, goals, discomforts, equipment, baselineAssessment
  * @param {Object} config - Configuration (daysPerWeek, framework, startDate)
- * @param {Object} options - Options { useAI: boolean, forceAI: boolean }
+ * @param {Object} options - Options { useAI: boolean, forceAI: boolean, onProgress(run), onEvent(event), resumeRunId }
  * @returns {Promise<Object>} Generated weekly training system
  */
 export async function generateWeeklySystem(userProfile = {}, config = {}, options = {}) {
-    const { useAI = true, forceAI = true } = options; // Default forceAI to true - this is an AI-driven app
+    const { useAI = true, forceAI = true, onProgress, onEvent, resumeRunId } = options; // Default forceAI to true - this is an AI-driven app
     
     try {
         console.log('generateWeeklySystem called with:', { userProfile, config, options });
@@ -503,7 +618,8 @@ export async function generateWeeklySystem(userProfile = {}, config = {}, option
         const {
             daysPerWeek = finalConfig.daysPerWeek,
             framework = finalConfig.framework,
-            startDate = finalConfig.startDate
+            startDate = finalConfig.startDate,
+            mesocycleWeeks = finalConfig.mesocycleWeeks
         } = finalConfig;
         
         // ALWAYS use AI - this is an AI-driven app
@@ -526,11 +642,14 @@ export async function generateWeeklySystem(userProfile = {}, config = {}, option
         
         // Use LangGraph workflow via Cloud Functions
         try {
-            return await generateWeeklySystem(userProfile, { daysPerWeek, framework, startDate });
+            return await generateWeeklySystem(userProfile, { daysPerWeek, framework, startDate, mesocycleWeeks }, { onProgress, onEvent, resumeRunId });
         } catch (error) {
             console.error('[LangGraph] Generation failed:', error);
-            // Throw error - LangGraph is required
-            throw new Error(`Workout generation failed: ${error.message}. This app requires LangGraph-powered generation.`);
+            // Throw error - LangGraph is required (keep the run ID so the caller can resume it)
+            const generationError = new Error(`Workout generation failed: ${error.message}. This app requires LangGraph-powered generation.`);
+            generationError.runId = error.runId || null;
+            generationError.resumable = !!error.resumable;
+            throw generationError;
         }
         
     } catch (error) {
@@ -3,11 +3,22 @@
  *
  * Builds rich per-session report data from:
  * - Current session structure (phases/variations)
- * - Captured set performance (weight, reps, time)
+ * - Captured set performance (weight, reps, time, effort, tempo, rest)
  * - Historical exercise data from exerciseHistoryService
+ * - Strength estimations (e1RM, rep maxes, relative strength) for loaded sets
+ * - Volume per block for supersets, circuits and flows (session-blocks.js)
  */
 
-import { getExerciseHistory } from '../services/exerciseHistoryService.js';
+import {
+  getExerciseHistory,
+  calculateBestOneRepMax,
+  buildRepMaxTable,
+  calculateRelativeStrength,
+  getOneRepMaxProgression,
+  DEFAULT_E1RM_FORMULA
+} from '../services/exerciseHistoryService.js';
+import { getSetRpe, normalizeTempo } from '../services/exerciseTypeService.js';
+import { getPhaseBlocks, isGroupedBlock } from './session-blocks.js';
 
 /**
  * Safely parse a date string or Date into a Date instance.
@@ -37,7 +48,41 @@ function computeSetVolume(set) {
 }
 
 /**
- * Aggregate volume, reps, sets and max weight for an array of sets.
+ * Round to one decimal, keeping null
+ * @param {number|null} value
+ * @returns {number|null}
+ */
+function roundOne(value) {
+  return value === null ? null : Math.round(value * 10) / 10;
+}
+
+/**
+ * Average of the numeric values, or null if there are none
+ * @param {Array<number|null>} values
+ * @returns {number|null}
+ */
+function average(values) {
+  const numbers = values.filter((value) => typeof value === 'number');
+  if (numbers.length === 0) return null;
+  return numbers.reduce((sum, value) => sum + value, 0) / numbers.length;
+}
+
+/**
+ * Share of sets (with a prescribed and an actual tempo) performed at the prescribed tempo
+ * @param {Array<Object>} sets
+ * @returns {number|null} Percentage 0-100, or null if no set can be compared
+ */
+function computeTempoAdherence(sets) {
+  const compared = sets.filter((set) => normalizeTempo(set.tempo) && normalizeTempo(set.prescribedTempo));
+  if (compared.length === 0) return null;
+
+  const matching = compared.filter((set) => normalizeTempo(set.tempo) === normalizeTempo(set.prescribedTempo));
+  return Math.round((matching.length / compared.length) * 100);
+}
+
+/**
+ * Aggregate volume, reps, sets and max weight for an array of sets,
+ * plus average effort (as RPE), average rest and tempo adherence.
  * @param {Array<Object>} sets
  */
 function aggregateSets(sets) {
@@ -46,7 +91,15 @@ function aggregateSets(sets) {
   let maxWeight = 0;
 
   if (!Array.isArray(sets)) {
-    return { totalVolume, totalReps, maxWeight, numSets: 0 };
+    return {
+      totalVolume,
+      totalReps,
+      maxWeight,
+      numSets: 0,
+      avgRpe: null,
+      avgRestSeconds: null,
+      tempoAdherence: null
+    };
   }
 
   for (const set of sets) {
@@ -62,11 +115,16 @@ function aggregateSets(sets) {
     }
   }
 
+  const avgRestSeconds = average(sets.map((set) => set.restSeconds));
+
   return {
     totalVolume,
     totalReps,
     maxWeight,
-    numSets: sets.length
+    numSets: sets.length,
+    avgRpe: roundOne(average(sets.map(getSetRpe))),
+    avgRestSeconds: avgRestSeconds === null ? null : Math.round(avgRestSeconds),
+    tempoAdherence: computeTempoAdherence(sets)
   };
 }
 
@@ -92,6 +150,11 @@ function extractCurrentSetsForVariation(exerciseId, variationId, setData) {
       weight: typeof data.weight === 'number' ? data.weight : undefined,
       reps: typeof data.reps === 'number' ? data.reps : undefined,
       time: typeof data.time === 'number' ? data.time : undefined,
+      rpe: typeof data.rpe === 'number' ? data.rpe : undefined,
+      rir: typeof data.rir === 'number' ? data.rir : undefined,
+      tempo: normalizeTempo(data.tempo) || undefined,
+      prescribedTempo: normalizeTempo(data.prescribedTempo) || undefined,
+      restSeconds: typeof data.restSeconds === 'number' ? data.restSeconds : undefined,
       notes: data.notes
     });
   });
@@ -101,18 +164,60 @@ function extractCurrentSetsForVariation(exerciseId, variationId, setData) {
   return sets;
 }
 
+/**
+ * Build the strength section of a report entry (loaded sets only).
+ * @param {Array<Object>} currentSets - Sets of this session
+ * @param {Array<Object>} pastSessions - Past history sessions ({ sets })
+ * @param {Object} options - { formula, bodyWeight }
+ * @returns {Object|null} Strength summary or null if no set can be estimated
+ */
+function buildStrengthSummary(currentSets, pastSessions, { formula, bodyWeight }) {
+  const current = calculateBestOneRepMax(currentSets, formula);
+  if (!current) return null;
+
+  const pastSets = pastSessions.flatMap((session) => (Array.isArray(session.sets) ? session.sets : []));
+  const previousBest = calculateBestOneRepMax(pastSets, formula);
+  const bestE1RM = Math.max(current.value, previousBest ? previousBest.value : 0);
+
+  const strength = {
+    formula: current.formula,
+    e1rm: current.value,
+    e1rmSet: { weight: current.weight, reps: current.reps },
+    bestE1RM,
+    previousBestE1RM: previousBest ? previousBest.value : null,
+    // First loaded session is a baseline, not a PR
+    isE1RMPR: !!previousBest && current.value > previousBest.value,
+    repMaxes: buildRepMaxTable([...pastSets, ...currentSets], formula),
+    // Best e1RM over time (last sessions, this one included)
+    progression: getOneRepMaxProgression(
+      [...pastSessions, { date: new Date().toISOString(), sets: currentSets }],
+      formula
+    ).slice(-6)
+  };
+
+  const relativeStrength = calculateRelativeStrength(bestE1RM, bodyWeight);
+  if (relativeStrength !== null) {
+    strength.bodyWeight = bodyWeight;
+    strength.relativeStrength = relativeStrength;
+  }
+
+  return strength;
+}
+
 /**
  * Build per-exercise report entry combining:
  * - Current session performance (sets, volume, max weight)
  * - Historical sessions from exerciseHistory
+ * - Strength estimations (e1RM, rep maxes, relative strength)
  *
  * @param {Object} params
  * @param {string} params.userId
  * @param {string} params.sessionId
  * @param {Object} params.variation
  * @param {Object} params.sessionState
+ * @param {Object} params.strengthOptions - { formula, bodyWeight }
  */
-async function buildExerciseReportEntry({ userId, sessionId, variation, sessionState }) {
+async function buildExerciseReportEntry({ userId, sessionId, variation, sessionState, strengthOptions }) {
   const exerciseId = variation.exerciseId;
   const variationId = variation.variationId || variation.id;
 
@@ -136,6 +241,7 @@ async function buildExerciseReportEntry({ userId, sessionId, variation, sessionS
   const currentAgg = aggregateSets(currentSets);
 
   let history = [];
+  let pastSessions = [];
   let comparison = {
     metric: 'volume',
     currentVolume: currentAgg.totalVolume,
@@ -146,6 +252,13 @@ async function buildExerciseReportEntry({ userId, sessionId, variation, sessionS
     previousMaxWeight: null,
     maxWeightDelta: null,
     maxWeightDeltaPercent: null,
+    currentAvgRpe: currentAgg.avgRpe,
+    previousAvgRpe: null,
+    rpeDelta: null,
+    currentAvgRestSeconds: currentAgg.avgRestSeconds,
+    previousAvgRestSeconds: null,
+    restDeltaSeconds: null,
+    tempoAdherence: currentAgg.tempoAdherence,
     improvement: null,
     isPR: false
   };
@@ -156,7 +269,7 @@ async function buildExerciseReportEntry({ userId, sessionId, variation, sessionS
 
       if (historyDoc && Array.isArray(historyDoc.sessions)) {
         // Exclude the just-completed session from the "past" baseline
-        const pastSessions = historyDoc.sessions
+        pastSessions = historyDoc.sessions
           .filter((s) => !sessionId || s.sessionId !== sessionId)
           .slice(); // shallow copy
 
@@ -172,10 +285,13 @@ async function buildExerciseReportEntry({ userId, sessionId, variation, sessionS
         history = lastFive.map((session) => {
           const sets = Array.isArray(session.sets) ? session.sets : [];
           const agg = aggregateSets(sets);
+          const best = calculateBestOneRepMax(sets, strengthOptions.formula);
           return {
             date: session.date || null,
             volume: agg.totalVolume,
-            maxWeight: agg.maxWeight
+            maxWeight: agg.maxWeight,
+            e1rm: best ? best.value : null,
+            avgRpe: agg.avgRpe
           };
         });
 
@@ -197,6 +313,16 @@ async function buildExerciseReportEntry({ userId, sessionId, variation, sessionS
           const maxDeltaPct =
             prevMax > 0 ? Math.round((maxDelta / prevMax) * 100) : null;
 
+          // Effort and rest are only compared when logged in both sessions
+          const rpeDelta =
+            currentAgg.avgRpe !== null && lastAgg.avgRpe !== null
+              ? roundOne(currentAgg.avgRpe - lastAgg.avgRpe)
+              : null;
+          const restDelta =
+            currentAgg.avgRestSeconds !== null && lastAgg.avgRestSeconds !== null
+              ? currentAgg.avgRestSeconds - lastAgg.avgRestSeconds
+              : null;
+
           comparison = {
             metric: 'volume',
             currentVolume: curVol,
@@ -207,7 +333,18 @@ async function buildExerciseReportEntry({ userId, sessionId, variation, sessionS
             previousMaxWeight: prevMax,
             maxWeightDelta: maxDelta,
             maxWeightDeltaPercent: maxDeltaPct,
-            improvement: volumeDelta > 0 || maxDelta > 0,
+            currentAvgRpe: currentAgg.avgRpe,
+            previousAvgRpe: lastAgg.avgRpe,
+            rpeDelta,
+            currentAvgRestSeconds: currentAgg.avgRestSeconds,
+            previousAvgRestSeconds: lastAgg.avgRestSeconds,
+            restDeltaSeconds: restDelta,
+            tempoAdherence: currentAgg.tempoAdherence,
+            // Same work at a lower effort also counts as an improvement
+            improvement:
+              volumeDelta > 0 ||
+              maxDelta > 0 ||
+              (volumeDelta >= 0 && maxDelta >= 0 && rpeDelta !== null && rpeDelta < 0),
             isPR:
               !!historyDoc.personalBest &&
               typeof historyDoc.personalBest.weight === 'number' &&
@@ -242,7 +379,10 @@ async function buildExerciseReportEntry({ userId, sessionId, variation, sessionS
       totalVolume: currentAgg.totalVolume,
       totalReps: currentAgg.totalReps,
       maxWeight: currentAgg.maxWeight,
-      numSets: currentAgg.numSets
+      numSets: currentAgg.numSets,
+      avgRpe: currentAgg.avgRpe,
+      avgRestSeconds: currentAgg.avgRestSeconds,
+      tempoAdherence: currentAgg.tempoAdherence
     },
     history,
     comparison: {}
@@ -252,6 +392,11 @@ async function buildExerciseReportEntry({ userId, sessionId, variation, sessionS
   if (variation.phase) {
     entry.phase = variation.phase;
   }
+
+  const strength = buildStrengthSummary(currentSets, pastSessions, strengthOptions);
+  if (strength) {
+    entry.strength = strength;
+  }
   
   // Clean comparison object - only include defined values
   Object.keys(comparison).forEach(key => {
@@ -263,6 +408,53 @@ async function buildExerciseReportEntry({ userId, sessionId, variation, sessionS
   return entry;
 }
 
+/**
+ * Aggregate the exercise entries of a superset / circuit / flow
+ * @param {Object} block - Block from getPhaseBlocks ({ id, type })
+ * @param {string} phase - Phase name
+ * @param {Array} entries - Exercise entries of the block
+ * @returns {Object} { blockId, blockType, phase, exercises, totalVolume, totalReps, numSets, rounds, previousVolume, volumeDelta }
+ */
+function buildBlockReportEntry(block, phase, entries) {
+  let totalVolume = 0;
+  let totalReps = 0;
+  let numSets = 0;
+  let rounds = 0;
+  let previousVolume = 0;
+  let hasPrevious = false;
+
+  entries.forEach((entry) => {
+    totalVolume += entry.current.totalVolume;
+    totalReps += entry.current.totalReps;
+    numSets += entry.current.numSets;
+    // A round is complete once every exercise logged its set
+    rounds = rounds === 0 ? entry.current.numSets : Math.min(rounds, entry.current.numSets);
+
+    if (typeof entry.comparison.previousVolume === 'number') {
+      previousVolume += entry.comparison.previousVolume;
+      hasPrevious = true;
+    }
+  });
+
+  const blockEntry = {
+    blockId: block.id,
+    blockType: block.type,
+    phase,
+    exercises: entries.map((entry) => entry.name),
+    totalVolume,
+    totalReps,
+    numSets,
+    rounds
+  };
+
+  if (hasPrevious) {
+    blockEntry.previousVolume = previousVolume;
+    blockEntry.volumeDelta = totalVolume - previousVolume;
+  }
+
+  return blockEntry;
+}
+
 /**
  * Build full `reportData` object for a completed session.
  *
@@ -271,13 +463,17 @@ async function buildExerciseReportEntry({ userId, sessionId, variation, sessionS
  * @param {Object} params.sessionState - { startedAt, completedSets, setData, duration? }
  * @param {string} params.userId - User ID
  * @param {string} params.sessionId - Saved session ID (from completedSessions)
+ * @param {string} [params.e1rmFormula] - e1RM formula (defaults to the user's preference)
+ * @param {number} [params.bodyWeight] - Body weight in kg (defaults to the baseline physiological data)
  * @returns {Promise<Object|null>}
  */
 export async function buildSessionReportData({
   session,
   sessionState,
   userId,
-  sessionId
+  sessionId,
+  e1rmFormula,
+  bodyWeight
 }) {
   if (!session || !session.phases) {
     console.warn('[WorkoutMetrics] Missing session/phases, skipping reportData build');
@@ -295,22 +491,53 @@ export async function buildSessionReportData({
       ? sessionState.duration
       : Math.max(0, Math.floor((completedAt - startedAt) / 1000));
 
+  // Strength options: e1RM formula preference and body weight for relative strength
+  let profile = null;
+  if (userId && (!e1rmFormula || bodyWeight === undefined)) {
+    try {
+      const { getUserProfile } = await import('../services/dbService.js');
+      profile = await getUserProfile(userId);
+    } catch (error) {
+      console.warn('[WorkoutMetrics] Failed to load profile for strength estimations:', error);
+    }
+  }
+
+  const strengthOptions = {
+    formula: e1rmFormula || profile?.e1rmFormula || DEFAULT_E1RM_FORMULA,
+    bodyWeight: bodyWeight ?? profile?.baselineAssessment?.physiological?.weight ?? null
+  };
+
   const exerciseEntries = [];
+  const blockEntries = [];
 
   // Build per-exercise entries for all variations in the session
   for (const phaseName of phases) {
     const phaseVariations =
       (session.phases && session.phases[phaseName]) || [];
 
-    for (const variation of phaseVariations) {
-      const entry = await buildExerciseReportEntry({
-        userId,
-        sessionId,
-        variation,
-        sessionState
-      });
-      if (entry) {
-        exerciseEntries.push(entry);
+    for (const block of getPhaseBlocks(phaseVariations, phaseName)) {
+      const blockExercises = [];
+
+      for (const { item: variation } of block.items) {
+        const entry = await buildExerciseReportEntry({
+          userId,
+          sessionId,
+          variation,
+          sessionState,
+          strengthOptions
+        });
+        if (entry) {
+          if (isGroupedBlock(block.type)) {
+            entry.blockId = block.id;
+            entry.blockType = block.type;
+          }
+          exerciseEntries.push(entry);
+          blockExercises.push(entry);
+        }
+      }
+
+      if (isGroupedBlock(block.type) && blockExercises.length > 0) {
+        blockEntries.push(buildBlockReportEntry(block, phaseName, blockExercises));
       }
     }
   }
@@ -363,6 +590,11 @@ export async function buildSessionReportData({
     macroStats,
     exercises: exerciseEntries
   };
+
+  // Only include blocks if the session has supersets, circuits or flows
+  if (blockEntries.length > 0) {
+    reportData.blocks = blockEntries;
+  }
   
   // Only include sessionId if it exists
   if (sessionId) {
@@ -0,0 +1,244 @@
+/**
+ * Active Session Service
+ *
+ * Mirrors the in-progress session (localStorage `sessionProgress`, see storage.js)
+ * to users/{uid}/activeSession/current so a workout started on one device can be
+ * resumed on another, and survives clearing the browser storage.
+ *
+ * - Writes are debounced (ACTIVE_SESSION_SYNC_DELAY) and flushed when the page is hidden
+ * - Every device has an id; each write records the device and its local updatedAt
+ *
+ * Conflict rule (two devices logging the same session):
+ * - Different sessions: the most recently updated one is the active session
+ * - Same session: the most recent progress wins, except that a set logged as done
+ *   on any device is never lost (done beats not done; if both are done the later
+ *   completedAt wins) and sets added on either device are kept
+ */
+
+import { getAuthUser } from '../core/auth-manager.js';
+import { getSessionProgress, saveSessionProgress } from '../core/storage.js';
+import { getActiveSession, saveActiveSession, clearActiveSession } from './dbService.js';
+
+/**
+ * Debounce delay of the Firestore mirror (ms)
+ */
+export const ACTIVE_SESSION_SYNC_DELAY = 2000;
+
+const DEVICE_ID_KEY = 'deviceId';
+
+let syncTimeoutId = null;
+let pendingProgress = null;
+// updatedAt of the remote document the last time this device read or wrote it
+let lastKnownRemoteUpdatedAt = 0;
+let flushListenersAttached = false;
+
+/**
+ * Stable id of this browser/device
+ * @returns {string}
+ */
+export function getDeviceId() {
+  let deviceId = localStorage.getItem(DEVICE_ID_KEY);
+  if (!deviceId) {
+    deviceId = globalThis.crypto?.randomUUID?.() ||
+      `device-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    localStorage.setItem(DEVICE_ID_KEY, deviceId);
+  }
+  return deviceId;
+}
+
+/**
+ * Pick the state of a set from two devices (see conflict rule)
+ */
+function pickSetState(newer, older) {
+  if (!older) return newer;
+  if (!newer) return older;
+  if (older.completed && !newer.completed) return older;
+  if (older.completed && newer.completed &&
+      new Date(older.completedAt || 0) > new Date(newer.completedAt || 0)) {
+    return older;
+  }
+  return newer;
+}
+
+/**
+ * Merge two progress objects of the same session (see conflict rule)
+ * @param {Object|null} local - Progress of this device
+ * @param {Object|null} remote - Progress from the activeSession document
+ * @returns {Object} Merged progress
+ */
+export function mergeSessionProgress(local, remote) {
+  if (!remote) return local;
+  if (!local) return remote;
+  if (local.sessionId !== remote.sessionId) {
+    return (remote.updatedAt || 0) > (local.updatedAt || 0) ? remote : local;
+  }
+
+  const remoteIsNewer = (remote.updatedAt || 0) > (local.updatedAt || 0);
+  const newer = remoteIsNewer ? remote : local;
+  const older = remoteIsNewer ? local : remote;
+  const merged = { ...older, ...newer };
+
+  // Journal sets and their state
+  const newerJournal = newer.journalData || {};
+  const olderJournal = older.journalData || {};
+  if (newer.journalData || older.journalData) {
+    const newerSets = newerJournal.sets || [];
+    const newerKeys = new Set(newerSets.map(set => set.key));
+    const currentSessionData = {};
+    const keys = new Set([
+      ...Object.keys(olderJournal.currentSessionData || {}),
+      ...Object.keys(newerJournal.currentSessionData || {})
+    ]);
+    keys.forEach(key => {
+      currentSessionData[key] = pickSetState(
+        newerJournal.currentSessionData?.[key],
+        olderJournal.currentSessionData?.[key]
+      );
+    });
+
+    merged.journalData = {
+      sets: [...newerSets, ...(olderJournal.sets || []).filter(set => !newerKeys.has(set.key))],
+      currentSessionData
+    };
+  }
+
+  // SessionView structures (used when saving the completed session)
+  if (newer.setData || older.setData) {
+    const setData = { ...(older.setData || {}) };
+    Object.entries(newer.setData || {}).forEach(([key, data]) => {
+      setData[key] = pickSetState(data, setData[key]);
+    });
+    merged.setData = setData;
+    merged.completedSets = Object.keys(setData).filter(key => setData[key]?.completed);
+  }
+
+  // The session started when it was first started on any device
+  if (older.startedAt && (!newer.startedAt || older.startedAt < newer.startedAt)) {
+    merged.startedAt = older.startedAt;
+  }
+
+  return merged;
+}
+
+/**
+ * Firestore rejects undefined values: keep only JSON data
+ */
+function toFirestoreData(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Write the pending progress to Firestore
+ * If another device wrote the session since we last saw it, both are merged first
+ * and the merged progress is stored locally too ('active-session-merged' event).
+ * @returns {Promise<void>}
+ */
+export async function flushActiveSessionSync() {
+  if (syncTimeoutId) {
+    clearTimeout(syncTimeoutId);
+    syncTimeoutId = null;
+  }
+
+  const user = getAuthUser();
+  let progress = pendingProgress;
+  pendingProgress = null;
+  if (!user || !progress || !progress.sessionId) return;
+
+  try {
+    const deviceId = getDeviceId();
+    const remote = await getActiveSession(user.uid);
+
+    if (remote && remote.deviceId !== deviceId && (remote.updatedAt || 0) > lastKnownRemoteUpdatedAt &&
+        remote.sessionId === progress.sessionId) {
+      progress = mergeSessionProgress(progress, remote.progress);
+      saveSessionProgress(progress, { sync: false });
+      window.dispatchEvent(new CustomEvent('active-session-merged', { detail: { progress } }));
+      console.log('[ActiveSession] Merged progress logged on another device');
+    }
+
+    const updatedAt = Math.max(Date.now(), (remote?.updatedAt || 0) + 1);
+    await saveActiveSession(user.uid, toFirestoreData({
+      sessionId: progress.sessionId,
+      session: progress.session || remote?.session || null,
+      progress,
+      deviceId,
+      updatedAt
+    }));
+    lastKnownRemoteUpdatedAt = updatedAt;
+  } catch (error) {
+    // Local progress is still saved; the next change retries the mirror
+    console.warn('[ActiveSession] Failed to sync active session:', error);
+  }
+}
+
+/**
+ * Schedule a debounced mirror of the session progress
+ * @param {Object} progress - Full progress stored in localStorage
+ */
+export function scheduleActiveSessionSync(progress) {
+  pendingProgress = progress;
+
+  if (!flushListenersAttached && typeof document !== 'undefined') {
+    flushListenersAttached = true;
+    // Don't lose the last changes when the tab is closed or the phone is locked
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden' && pendingProgress) {
+        flushActiveSessionSync();
+      }
+    });
+  }
+
+  if (syncTimeoutId) {
+    clearTimeout(syncTimeoutId);
+  }
+  syncTimeoutId = setTimeout(() => {
+    flushActiveSessionSync();
+  }, ACTIVE_SESSION_SYNC_DELAY);
+}
+
+/**
+ * Stop mirroring and delete the active session (completed or discarded)
+ * @returns {Promise<void>}
+ */
+export async function discardActiveSession() {
+  if (syncTimeoutId) {
+    clearTimeout(syncTimeoutId);
+    syncTimeoutId = null;
+  }
+  pendingProgress = null;
+
+  const user = getAuthUser();
+  if (!user) return;
+
+  try {
+    await clearActiveSession(user.uid);
+    lastKnownRemoteUpdatedAt = 0;
+  } catch (error) {
+    console.warn('[ActiveSession] Failed to clear active session:', error);
+  }
+}
+
+/**
+ * Find an in-progress session worth offering to resume
+ * Returns it when it was last logged on another device or this device has no
+ * local progress for it (e.g. storage was cleared).
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} { session, progress, deviceId, updatedAt } (progress already merged with local)
+ */
+export async function findResumableSession(userId) {
+  const remote = await getActiveSession(userId);
+  if (!remote || !remote.session || !remote.progress) return null;
+
+  lastKnownRemoteUpdatedAt = Math.max(lastKnownRemoteUpdatedAt, remote.updatedAt || 0);
+
+  const local = getSessionProgress();
+  const hasLocal = local && local.sessionId === remote.sessionId;
+  if (hasLocal && remote.deviceId === getDeviceId()) {
+    return null;
+  }
+
+  return {
+    ...remote,
+    progress: hasLocal ? mergeSessionProgress(local, remote.progress) : remote.progress
+  };
+}
@@ -0,0 +1,65 @@
+/**
+ * Calendar Export Service
+ *
+ * Planned sessions in the athlete's own calendar app:
+ * - .ics download of the current training system (built in the browser, js/core/icalendar.js)
+ * - Subscription URL of the per-user feed (calendarFeed Cloud Function), which phone
+ *   calendars poll, so moved or regenerated sessions show up without re-importing
+ */
+
+import { buildTrainingCalendar } from '../core/icalendar.js';
+import { toLocalDateKey } from '../core/streak-engine.js';
+import { getCalendarFeedToken } from './dbService.js';
+import { downloadFile } from './dataPortabilityService.js';
+
+/**
+ * Get the Cloud Functions base URL (same rules as workoutGenerationService)
+ * @returns {string}
+ */
+function getFunctionsBaseUrl() {
+  const projectId = import.meta.env.VITE_FIREBASE_PROJECT_ID;
+  if (!projectId) {
+    throw new Error('VITE_FIREBASE_PROJECT_ID not configured');
+  }
+
+  const emulatorEnvValue = import.meta.env.VITE_USE_FIREBASE_EMULATOR;
+  if (emulatorEnvValue === 'true' || emulatorEnvValue === true) {
+    const host = import.meta.env.VITE_FIREBASE_EMULATOR_HOST || 'localhost';
+    const port = import.meta.env.VITE_FUNCTIONS_EMULATOR_PORT || '5001';
+    return `http://${host}:${port}/${projectId}/us-central1`;
+  }
+
+  return `https://us-central1-${projectId}.cloudfunctions.net`;
+}
+
+/**
+ * Download the sessions of a training system as an .ics file
+ * @param {Object} trainingSystem - Training system with its sessions
+ */
+export function downloadTrainingCalendar(trainingSystem) {
+  const datedSessions = (trainingSystem?.sessions || []).filter(session => session.date);
+  if (datedSessions.length === 0) {
+    throw new Error('No planned sessions to export');
+  }
+
+  const calendar = buildTrainingCalendar(trainingSystem);
+  downloadFile(`regain-training-${toLocalDateKey()}.ics`, calendar, 'text/calendar;charset=utf-8');
+}
+
+/**
+ * Subscription URLs of the user's calendar feed
+ * @param {string} userId - User ID
+ * @param {Object} options - { reset: boolean } new token (old subscriptions stop updating)
+ * @returns {Promise<Object>} { httpsUrl, webcalUrl }
+ */
+export async function getCalendarFeedUrls(userId, { reset = false } = {}) {
+  const token = await getCalendarFeedToken(userId, { reset });
+  const params = new URLSearchParams({ uid: userId, token });
+  const httpsUrl = `${getFunctionsBaseUrl()}/calendarFeed?${params}`;
+
+  return {
+    httpsUrl,
+    // webcal:// opens the "subscribe" dialog of Apple/Google calendar apps
+    webcalUrl: httpsUrl.replace(/^https?:\/\//, 'webcal://')
+  };
+}
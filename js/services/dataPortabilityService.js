@@ -0,0 +1,533 @@
+/**
+ * Data Portability Service
+ *
+ * Export of the whole workout history and import of other apps' history.
+ *
+ * Export (from the dbService.js / exerciseHistoryService.js getters):
+ * - JSON archive: one versioned document with the profile, training systems (with their
+ *   sessions), completedSessions, sessionReports and exerciseHistory
+ * - CSV: one row per logged set (from exerciseHistory)
+ *
+ * Import:
+ * - CSV exports of Strong and Hevy (format detected from the header)
+ * - Exercise names are mapped onto our catalog (loadExercises); unmatched names are
+ *   reported and can be mapped by hand with `mappings`
+ * - Sets are written through saveExercisePerformance so personal bests and e1RM stay
+ *   consistent; each imported workout gets a stable id, so importing the same file
+ *   twice doesn't duplicate history
+ */
+
+import {
+  getUserProfile,
+  getAllTrainingSystems,
+  getSystemSessions,
+  getCompletedSessions,
+  getSessionReports
+} from './dbService.js';
+import { getAllExerciseHistory, saveExercisePerformance } from './exerciseHistoryService.js';
+import { loadExercises } from '../core/workout-engine.js';
+import { toLocalDateKey } from '../core/streak-engine.js';
+
+export const EXPORT_FORMAT = 'regain-export';
+export const EXPORT_FORMAT_VERSION = 1;
+
+/**
+ * Upper bound of documents read per collection for an export
+ */
+const EXPORT_LIMIT = 5000;
+
+export const IMPORT_SOURCES = {
+  STRONG: 'strong',
+  HEVY: 'hevy'
+};
+
+const LB_TO_KG = 0.45359237;
+
+/**
+ * Minimum name similarity (0-1) to map an imported exercise onto the catalog
+ */
+const MIN_MATCH_SCORE = 0.6;
+
+export const CSV_COLUMNS = [
+  'date',
+  'session_id',
+  'exercise_id',
+  'exercise_name',
+  'variation_id',
+  'variation_name',
+  'set_number',
+  'weight_kg',
+  'reps',
+  'time_seconds',
+  'rpe',
+  'rir',
+  'tempo',
+  'rest_seconds',
+  'notes'
+];
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+/**
+ * Convert Firestore values to plain JSON (Timestamps become ISO strings)
+ */
+function toExportValue(value) {
+  if (value === null || value === undefined) return null;
+  if (typeof value?.toDate === 'function') return value.toDate().toISOString();
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.map(toExportValue);
+  if (typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, toExportValue(v)]));
+  }
+  return value;
+}
+
+/**
+ * Build the JSON archive of all the user's data
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} { format, version, exportedAt, userId, profile, trainingSystems, completedSessions, sessionReports, exerciseHistory }
+ */
+export async function buildExportArchive(userId) {
+  const [profile, trainingSystems, completedSessions, sessionReports, exerciseHistory] = await Promise.all([
+    getUserProfile(userId, { skipCache: true }),
+    getAllTrainingSystems(userId, { skipCache: true }),
+    getCompletedSessions(userId, { limit: EXPORT_LIMIT }),
+    getSessionReports(userId, { limit: EXPORT_LIMIT }),
+    getAllExerciseHistory(userId, EXPORT_LIMIT)
+  ]);
+
+  const systemsWithSessions = await Promise.all((trainingSystems || []).map(async (system) => ({
+    ...system,
+    sessions: await getSystemSessions(userId, system.id)
+  })));
+
+  return toExportValue({
+    format: EXPORT_FORMAT,
+    version: EXPORT_FORMAT_VERSION,
+    exportedAt: new Date().toISOString(),
+    userId,
+    profile,
+    trainingSystems: systemsWithSessions,
+    completedSessions,
+    sessionReports,
+    exerciseHistory
+  });
+}
+
+/**
+ * Escape a CSV field (RFC 4180)
+ */
+function toCsvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Flatten an export archive to CSV, one row per set
+ * @param {Object} archive - Archive from buildExportArchive
+ * @param {Object} catalog - Exercise catalog ({ exercises }) for exercise/variation names
+ * @returns {string} CSV text (CSV_COLUMNS header)
+ */
+export function archiveToCsv(archive, catalog = { exercises: [] }) {
+  const names = new Map();
+  (catalog.exercises || []).forEach(exercise => {
+    (exercise.variations || []).forEach(variation => {
+      names.set(`${exercise.id}/${variation.id}`, { exerciseName: exercise.name, variationName: variation.name });
+    });
+  });
+
+  // Day of each completed session (the history date is when it was saved)
+  const sessionDates = new Map((archive.completedSessions || []).map(session => [session.id, session.date]));
+
+  const rows = [];
+  (archive.exerciseHistory || []).forEach(history => {
+    const name = names.get(`${history.exerciseId}/${history.variationId}`) || {};
+    (history.sessions || []).forEach(session => {
+      const date = sessionDates.get(session.sessionId) || (session.date ? toLocalDateKey(new Date(session.date)) : '');
+      (session.sets || []).forEach(set => {
+        rows.push({
+          date,
+          session_id: session.sessionId,
+          exercise_id: history.exerciseId,
+          exercise_name: name.exerciseName || '',
+          variation_id: history.variationId,
+          variation_name: name.variationName || '',
+          set_number: set.setNumber,
+          weight_kg: set.weight,
+          reps: set.reps,
+          time_seconds: set.time,
+          rpe: set.rpe,
+          rir: set.rir,
+          tempo: set.tempo,
+          rest_seconds: set.restSeconds,
+          notes: set.notes
+        });
+      });
+    });
+  });
+
+  rows.sort((a, b) => String(a.date).localeCompare(String(b.date)) || (a.set_number || 0) - (b.set_number || 0));
+
+  return [
+    CSV_COLUMNS.join(','),
+    ...rows.map(row => CSV_COLUMNS.map(column => toCsvField(row[column])).join(','))
+  ].join('\r\n');
+}
+
+/**
+ * Let the browser download a file
+ * @param {string} filename - File name
+ * @param {string} content - File content
+ * @param {string} mimeType - MIME type
+ */
+export function downloadFile(filename, content, mimeType) {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Export the user's history and download it
+ * @param {string} userId - User ID
+ * @param {string} format - 'json' or 'csv'
+ * @returns {Promise<Object>} Archive that was exported
+ */
+export async function exportUserData(userId, format = 'json') {
+  const archive = await buildExportArchive(userId);
+  const stamp = toLocalDateKey();
+
+  if (format === 'csv') {
+    const catalog = await loadExercises();
+    downloadFile(`regain-sets-${stamp}.csv`, archiveToCsv(archive, catalog), 'text/csv;charset=utf-8');
+  } else {
+    downloadFile(`regain-export-${stamp}.json`, JSON.stringify(archive, null, 2), 'application/json');
+  }
+
+  return archive;
+}
+
+// ============================================================================
+// IMPORT
+// ============================================================================
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, escaped quotes, newlines inside quotes)
+ * The delimiter is detected from the header (',' or ';', used by Strong in some locales).
+ * @param {string} text - CSV text
+ * @returns {Array<Object>} Rows keyed by header name
+ */
+export function parseCsv(text) {
+  const source = text.replace(/^\uFEFF/, '');
+  const firstLine = source.split(/\r?\n/, 1)[0] || '';
+  const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const [header = [], ...body] = records.filter(r => r.some(value => value.trim() !== ''));
+  const keys = header.map(key => key.trim());
+  return body.map(values => Object.fromEntries(keys.map((key, index) => [key, (values[index] ?? '').trim()])));
+}
+
+/**
+ * Detect which app a CSV export comes from
+ * @param {Array<Object>} rows - Parsed rows
+ * @returns {string|null} IMPORT_SOURCES value or null
+ */
+export function detectImportSource(rows) {
+  const columns = Object.keys(rows[0] || {});
+  if (columns.includes('exercise_title') && columns.includes('set_index')) return IMPORT_SOURCES.HEVY;
+  if (columns.includes('Exercise Name') && columns.includes('Set Order')) return IMPORT_SOURCES.STRONG;
+  return null;
+}
+
+function toNumber(value) {
+  if (value === undefined || value === null || String(value).trim() === '') return undefined;
+  const number = Number(String(value).replace(',', '.'));
+  return Number.isFinite(number) ? number : undefined;
+}
+
+/**
+ * Parse the dates of the exports as local time
+ * Strong: "2024-01-26 07:10:00". Hevy: "26 Jan 2024, 07:10" (or ISO).
+ */
+function parseImportDate(value) {
+  if (!value) return null;
+  const iso = value.match(/^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2})(?::(\d{2}))?)?$/);
+  if (iso) {
+    const [, y, m, d, hh = 0, mm = 0, ss = 0] = iso;
+    return new Date(+y, +m - 1, +d, +hh, +mm, +ss);
+  }
+  const hevy = value.match(/^(\d{1,2}) (\w{3}) (\d{4}),? (\d{1,2}):(\d{2})$/);
+  if (hevy) {
+    const [, d, monthName, y, hh, mm] = hevy;
+    const month = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec']
+      .indexOf(monthName.toLowerCase());
+    if (month >= 0) return new Date(+y, month, +d, +hh, +mm);
+  }
+  const parsed = new Date(value);
+  return isNaN(parsed) ? null : parsed;
+}
+
+/**
+ * Normalize the rows of a Strong or Hevy export
+ * @param {Array<Object>} rows - Parsed rows
+ * @param {string} source - IMPORT_SOURCES value
+ * @param {Object} options - { weightUnit: 'kg' | 'lb' } unit of Strong weights (Strong doesn't say)
+ * @returns {Array<Object>} [{ performedAt, workoutName, exerciseName, setNumber, weight, reps, time, rpe, notes }]
+ */
+export function normalizeImportRows(rows, source, { weightUnit = 'kg' } = {}) {
+  return rows.map(row => {
+    if (source === IMPORT_SOURCES.HEVY) {
+      const weightLb = toNumber(row.weight_lbs);
+      return {
+        performedAt: parseImportDate(row.start_time),
+        workoutName: row.title,
+        exerciseName: row.exercise_title,
+        setNumber: (toNumber(row.set_index) ?? 0) + 1,
+        weight: toNumber(row.weight_kg) ?? (weightLb !== undefined ? weightLb * LB_TO_KG : undefined),
+        reps: toNumber(row.reps),
+        time: toNumber(row.duration_seconds),
+        rpe: toNumber(row.rpe),
+        notes: row.exercise_notes || undefined
+      };
+    }
+
+    const weight = toNumber(row.Weight);
+    return {
+      performedAt: parseImportDate(row.Date),
+      workoutName: row['Workout Name'],
+      exerciseName: row['Exercise Name'],
+      setNumber: toNumber(row['Set Order']),
+      weight: weight !== undefined && weightUnit === 'lb' ? weight * LB_TO_KG : weight,
+      reps: toNumber(row.Reps),
+      time: toNumber(row.Seconds),
+      rpe: toNumber(row.RPE),
+      notes: row.Notes || undefined
+    };
+  })
+    // Strong adds "Rest Timer" rows without a set number
+    .filter(set => set.performedAt && set.exerciseName && set.setNumber)
+    .map(set => ({
+      ...set,
+      // Empty weight/reps are exported as 0
+      weight: set.weight ? Math.round(set.weight * 10) / 10 : undefined,
+      reps: set.reps || undefined,
+      time: set.time || undefined
+    }));
+}
+
+/**
+ * Normalize an exercise name for matching
+ * "Bench Press (Barbell)" -> ["barbell", "bench", "press"]
+ */
+function nameTokens(name) {
+  const stopWords = ['the', 'with', 'a', 'de', 'con'];
+  return [...new Set(String(name)
+    .toLowerCase()
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .split(' ')
+    .map(token => token.replace(/s$/, ''))
+    .filter(token => token && !stopWords.includes(token)))].sort();
+}
+
+function tokenSimilarity(a, b) {
+  if (a.length === 0 || b.length === 0) return 0;
+  const shared = a.filter(token => b.includes(token)).length;
+  return shared / new Set([...a, ...b]).size;
+}
+
+/**
+ * Map an exercise name from another app onto the catalog
+ * Compares the name with every "exercise variation" and variation name.
+ * @param {string} name - Exercise name in the import
+ * @param {Object} catalog - Exercise catalog ({ exercises })
+ * @returns {Object|null} { exerciseId, variationId, exerciseName, variationName, score }
+ */
+export function matchCatalogExercise(name, catalog) {
+  const tokens = nameTokens(name);
+  // Without the equipment qualifier: "Squat (Barbell)" -> "Squat"
+  const baseTokens = nameTokens(String(name).replace(/\(.*?\)/g, ''));
+  const similarity = (candidate) => Math.max(
+    tokenSimilarity(tokens, candidate),
+    tokenSimilarity(baseTokens, candidate) * 0.95
+  );
+  let best = null;
+
+  (catalog.exercises || []).forEach(exercise => {
+    (exercise.variations || []).forEach(variation => {
+      const score = Math.max(
+        similarity(nameTokens(variation.name)),
+        similarity(nameTokens(`${exercise.name} ${variation.name}`)),
+        // Only the exercise matches: its easiest variation, slightly penalized
+        similarity(nameTokens(exercise.name)) * 0.9
+      );
+      if (!best || score > best.score) {
+        best = {
+          exerciseId: exercise.id,
+          variationId: variation.id,
+          exerciseName: exercise.name,
+          variationName: variation.name,
+          score
+        };
+      }
+    });
+  });
+
+  return best && best.score >= MIN_MATCH_SCORE ? best : null;
+}
+
+/**
+ * Stable id of an imported workout
+ */
+function createImportSessionId(source, performedAt, workoutName) {
+  const key = `${performedAt.toISOString()}|${workoutName || ''}`;
+  let hash = 0;
+  for (let i = 0; i < key.length; i++) {
+    hash = (hash * 31 + key.charCodeAt(i)) | 0;
+  }
+  return `import-${source}-${toLocalDateKey(performedAt)}-${(hash >>> 0).toString(36)}`;
+}
+
+/**
+ * Read a Strong/Hevy CSV and map its exercises (no writes)
+ * @param {string} csvText - CSV file content
+ * @param {Object} options - { weightUnit, mappings: { [importedName]: { exerciseId, variationId } } }
+ * @returns {Promise<Object>} { source, sets, workouts, matched: { [name]: match }, unmatched: string[] }
+ */
+export async function previewWorkoutImport(csvText, { weightUnit = 'kg', mappings = {} } = {}) {
+  const rows = parseCsv(csvText);
+  const source = detectImportSource(rows);
+  if (!source) {
+    throw new Error('Unrecognized CSV: export your workouts from Strong or Hevy as CSV');
+  }
+
+  const sets = normalizeImportRows(rows, source, { weightUnit });
+  const catalog = await loadExercises();
+
+  const matched = {};
+  const unmatched = [];
+  [...new Set(sets.map(set => set.exerciseName))].forEach(name => {
+    const match = mappings[name] || matchCatalogExercise(name, catalog);
+    if (match) {
+      matched[name] = match;
+    } else {
+      unmatched.push(name);
+    }
+  });
+
+  const workouts = new Set(sets.map(set => `${set.performedAt.toISOString()}|${set.workoutName}`)).size;
+  return { source, sets, workouts, matched, unmatched };
+}
+
+/**
+ * Import a Strong/Hevy CSV into the exercise history
+ * Sets of unmatched exercises are skipped (see preview.unmatched).
+ * @param {string} userId - User ID
+ * @param {string} csvText - CSV file content
+ * @param {Object} options - { weightUnit, mappings, onProgress: (done, total) => void }
+ * @returns {Promise<Object>} { source, workouts, importedSets, skippedSets, unmatched, failed }
+ */
+export async function importWorkoutHistory(userId, csvText, { weightUnit = 'kg', mappings = {}, onProgress } = {}) {
+  const preview = await previewWorkoutImport(csvText, { weightUnit, mappings });
+
+  // Group by workout and catalog variation
+  const groups = new Map();
+  let skippedSets = 0;
+  preview.sets.forEach(set => {
+    const match = preview.matched[set.exerciseName];
+    if (!match) {
+      skippedSets++;
+      return;
+    }
+    const sessionId = createImportSessionId(preview.source, set.performedAt, set.workoutName);
+    const key = `${sessionId}|${match.exerciseId}|${match.variationId}`;
+    if (!groups.has(key)) {
+      groups.set(key, { sessionId, performedAt: set.performedAt, match, sets: [] });
+    }
+    groups.get(key).sets.push(set);
+  });
+
+  let importedSets = 0;
+  const failed = [];
+  let done = 0;
+
+  // Sequential: the history of a variation is a single document
+  for (const group of groups.values()) {
+    // Renumber: the same catalog variation may come from several imported exercises
+    const sets = group.sets
+      .sort((a, b) => a.setNumber - b.setNumber)
+      .map((set, index) => ({ ...set, setNumber: index + 1 }));
+
+    try {
+      await saveExercisePerformance(
+        userId,
+        group.match.exerciseId,
+        group.match.variationId,
+        group.sessionId,
+        sets,
+        { performedAt: group.performedAt }
+      );
+      importedSets += sets.length;
+    } catch (error) {
+      console.error('[Import] Failed to import sets:', group.sessionId, group.match.variationId, error);
+      failed.push({ sessionId: group.sessionId, exerciseName: group.sets[0].exerciseName, error: error.message });
+    }
+
+    done++;
+    onProgress?.(done, groups.size);
+  }
+
+  console.log(`[Import] ✓ Imported ${importedSets} sets from ${preview.source} (${skippedSets} skipped)`);
+  return {
+    source: preview.source,
+    workouts: preview.workouts,
+    importedSets,
+    skippedSets,
+    unmatched: preview.unmatched,
+    failed
+  };
+}
@@ -33,6 +33,19 @@ import {
   Timestamp,
   serverTimestamp
 } from 'firebase/firestore';
+import {
+  enqueueMutation,
+  hasPendingMutations,
+  registerOutboxHandler,
+  replayOutbox,
+  initOfflineSync
+} from './offlineQueue.js';
+import {
+  calculateStreak,
+  createTrainingSchedule,
+  normalizeDateKey,
+  toLocalDateKey
+} from '../core/streak-engine.js';
 
 // ============================================================================
 // CACHE-FIRST PATTERN IMPLEMENTATION
@@ -152,6 +165,45 @@ function isOfflineError(error) {
   );
 }
 
+/**
+ * Client-generated document id
+ * Writes that can be queued offline create their documents with it, so a replay is idempotent.
+ * @param {string} prefix - Id prefix (e.g. 'session')
+ * @returns {string}
+ */
+function createClientId(prefix) {
+  return `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * Queue a write in the offline outbox (offlineQueue.js)
+ * @param {string} type - Outbox handler type (the dbService function name)
+ * @param {string} userId - User ID
+ * @param {Array} args - Function arguments after userId
+ * @param {string} mutationId - Idempotency key of the write
+ * @param {string|null} clientId - Client id of the created document
+ * @returns {Promise<boolean>} False if the outbox is not available (e.g. no IndexedDB)
+ */
+async function queueWrite(type, userId, args, mutationId, clientId = null) {
+  try {
+    await enqueueMutation({ mutationId, type, userId, args, clientId });
+    if (typeof navigator === 'undefined' || navigator.onLine !== false) {
+      replayOutbox();
+    }
+    return true;
+  } catch (error) {
+    console.warn('[Outbox] Could not queue write:', type, error);
+    return false;
+  }
+}
+
+/**
+ * Error thrown to the outbox when a replayed write still can't reach the server
+ */
+function createRetryableError(error) {
+  return Object.assign(new Error(error.message), { retryable: true });
+}
+
 /**
  * Check if error is a permission error
  * These are expected when rules aren't deployed or user doesn't have data yet
@@ -327,12 +379,23 @@ async function fetchUserProfileFromFirestore(userId, cacheKey) {
     if (userSnap.exists()) {
       const profile = { id: userSnap.id, ...userSnap.data() };
       
-      // Auto-backfill longestStreak if missing (non-blocking)
-      if (profile.longestStreak === undefined) {
+      // Recompute the streak once a day (missed training days, freezes) and for profiles
+      // saved before the streak engine or without longestStreak (non-blocking)
+      if (profile.longestStreak === undefined || profile.streakCalculatedOn !== toLocalDateKey()) {
         // Backfill in background - don't block profile loading
-        backfillLongestStreak(userId).catch(err => {
-          console.warn('Background longestStreak backfill failed (non-critical):', err);
-        });
+        // Skipped while writes are queued offline: their sessions aren't in completedSessions
+        // yet (the streak would break), and the queued streak update recomputes it on replay
+        hasPendingMutations(userId)
+          .then(pending => {
+            if (pending) {
+              console.log('[Streak] Offline writes pending, streak recompute deferred');
+              return;
+            }
+            return backfillLongestStreak(userId);
+          })
+          .catch(err => {
+            console.warn('Background longestStreak backfill failed (non-critical):', err);
+          });
       }
       
       // Update cache for next time
@@ -358,6 +421,37 @@ async function fetchUserProfileFromFirestore(userId, cacheKey) {
   }
 }
 
+/**
+ * Get the token of the user's calendar feed (calendarFeed Cloud Function), creating it if needed
+ * Resetting it gives a new feed URL and stops serving the old one.
+ * @param {string} userId - User ID
+ * @param {Object} options - { reset: boolean }
+ * @returns {Promise<string>} Feed token
+ */
+export async function getCalendarFeedToken(userId, { reset = false } = {}) {
+  const cacheKey = CACHE_KEYS.PROFILE(userId);
+
+  if (!reset) {
+    const profile = await getUserProfile(userId, { skipCache: true });
+    if (profile?.calendarFeedToken) {
+      return profile.calendarFeedToken;
+    }
+  }
+
+  const token = crypto.randomUUID().replace(/-/g, '');
+  const userRef = getUserDocRef(userId);
+  await withTimeout(setDoc(userRef, {
+    calendarFeedToken: token,
+    updatedAt: serverTimestamp()
+  }, { merge: true }), NETWORK_TIMEOUT);
+
+  const cachedProfile = getFromCache(cacheKey);
+  if (cachedProfile) {
+    saveToCache(cacheKey, { ...cachedProfile, calendarFeedToken: token });
+  }
+  return token;
+}
+
 // ============================================================================
 // TRAINING SYSTEM OPERATIONS
 // ============================================================================
@@ -822,6 +916,23 @@ export async function saveSessionToSystem(userId, systemId, session) {
   }
 }
 
+/**
+ * Delete a session from a training system's sessions sub-collection
+ * @param {string} userId - User ID
+ * @param {string} systemId - Training system ID
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<void>}
+ */
+export async function deleteSessionFromSystem(userId, systemId, sessionId) {
+  try {
+    const sessionRef = doc(getSystemSessionsRef(userId, systemId), sessionId);
+    await withTimeout(deleteDoc(sessionRef), NETWORK_TIMEOUT);
+  } catch (error) {
+    console.error('Error deleting session from system:', error);
+    throw new Error(`Failed to delete session: ${error.message}`);
+  }
+}
+
 /**
  * Get all sessions for a training system
  * @param {string} userId - User ID
@@ -967,24 +1078,38 @@ function removeUndefinedFields(obj) {
 
 /**
  * Save completed session to Firebase
- * Stores completed sessions in a separate sub-collection for easy querying
+ * Stores completed sessions in a separate sub-collection for easy querying.
+ * Offline (or while earlier writes are queued) the write goes to the outbox and
+ * the client-generated id is returned.
  * @param {string} userId - User ID
- * @param {Object} sessionData - Completed session data
+ * @param {Object} sessionData - Completed session data (optional client id in `id`)
+ * @param {Object} options - { fromOutbox: true } when replayed by the offline queue
  * @returns {Promise<string>} Session document ID
  */
-export async function saveCompletedSession(userId, sessionData) {
+export async function saveCompletedSession(userId, sessionData, { fromOutbox = false } = {}) {
+  const { id: providedId, ...sessionFields } = sessionData;
+  const clientId = providedId || createClientId('session');
+  const queueArgs = [{ ...sessionFields, id: clientId }];
+  const mutationId = `saveCompletedSession:${clientId}`;
+
+  // Earlier writes are still queued: keep the order
+  if (!fromOutbox && await hasPendingMutations(userId) &&
+      await queueWrite('saveCompletedSession', userId, queueArgs, mutationId, clientId)) {
+    return clientId;
+  }
+
   try {
     const sessionsRef = getUserCompletedSessionsRef(userId);
     
     // Ensure date is in ISO format (YYYY-MM-DD)
-    const sessionDate = sessionData.date || new Date().toISOString().split('T')[0];
+    const sessionDate = sessionFields.date || new Date().toISOString().split('T')[0];
     
     // Convert dates to Firestore Timestamps
     let sessionDoc = {
-      ...sessionData,
+      ...sessionFields,
       date: sessionDate,
-      startedAt: sessionData.startedAt ? Timestamp.fromDate(new Date(sessionData.startedAt)) : serverTimestamp(),
-      completedAt: sessionData.completedAt ? Timestamp.fromDate(new Date(sessionData.completedAt)) : serverTimestamp(),
+      startedAt: sessionFields.startedAt ? Timestamp.fromDate(new Date(sessionFields.startedAt)) : serverTimestamp(),
+      completedAt: sessionFields.completedAt ? Timestamp.fromDate(new Date(sessionFields.completedAt)) : serverTimestamp(),
       createdAt: serverTimestamp(),
       updatedAt: serverTimestamp()
     };
@@ -1013,8 +1138,9 @@ export async function saveCompletedSession(userId, sessionData) {
       sessionId = existingDoc.id;
       console.log('[saveCompletedSession] ✓ Updated existing session:', sessionId);
     } else {
-      // Create new session
-      const docRef = await withTimeout(addDoc(sessionsRef, sessionDoc), NETWORK_TIMEOUT);
+      // Create new session (client id: a replayed write lands on the same document)
+      const docRef = doc(sessionsRef, clientId);
+      await withTimeout(setDoc(docRef, sessionDoc), NETWORK_TIMEOUT);
       sessionId = docRef.id;
       console.log('[saveCompletedSession] ✓ Created new session:', sessionId);
     }
@@ -1022,9 +1148,13 @@ export async function saveCompletedSession(userId, sessionData) {
     return sessionId;
   } catch (error) {
     if (isOfflineError(error)) {
-      console.warn('Offline detected while saving completed session, will retry when online');
-      // Firestore persistence will handle retry
-      return `temp-${Date.now()}`;
+      if (fromOutbox) {
+        throw createRetryableError(error);
+      }
+
+      console.warn('Offline detected while saving completed session, queued for when online');
+      await queueWrite('saveCompletedSession', userId, queueArgs, mutationId, clientId);
+      return clientId;
     }
     
     console.error('Error saving completed session:', error);
@@ -1091,16 +1221,29 @@ export async function getCompletedSessions(userId, options = {}) {
 /**
  * Save or update a performance report for a completed session.
  * Stores both a lightweight summary (for listing) and the full reportData payload.
+ * Offline (or while earlier writes are queued) the write goes to the outbox.
  *
  * @param {string} userId - User ID
- * @param {Object} reportData - Report data object from workout-metrics
+ * @param {Object} reportData - Report data object from workout-metrics (optional client id in `reportId`)
+ * @param {Object} options - { fromOutbox: true } when replayed by the offline queue
  * @returns {Promise<string>} Report document ID
  */
-export async function saveSessionReport(userId, reportData) {
+export async function saveSessionReport(userId, reportData, { fromOutbox = false } = {}) {
+  if (!userId || !reportData) {
+    throw new Error('userId and reportData are required');
+  }
+
+  const clientId = reportData.reportId || createClientId('report');
+  const queueArgs = [{ ...reportData, reportId: clientId }];
+  const mutationId = `saveSessionReport:${clientId}`;
+
+  // Earlier writes (e.g. the completed session) are still queued: keep the order
+  if (!fromOutbox && await hasPendingMutations(userId) &&
+      await queueWrite('saveSessionReport', userId, queueArgs, mutationId, clientId)) {
+    return clientId;
+  }
+
   try {
-    if (!userId || !reportData) {
-      throw new Error('userId and reportData are required');
-    }
 
     const reportsRef = getUserSessionReportsRef(userId);
     const sessionId = reportData.sessionId || null;
@@ -1151,7 +1294,7 @@ export async function saveSessionReport(userId, reportData) {
       sessionDate,
       macroStats: cleanMacroStats,
       exerciseSummaries,
-      reportData: removeUndefinedFields(reportData), // Clean the full reportData
+      reportData: removeUndefinedFields({ ...reportData, reportId: undefined }), // Clean the full reportData
       updatedAt: now
     };
 
@@ -1188,8 +1331,9 @@ export async function saveSessionReport(userId, reportData) {
         reportId = existingDoc.id;
         console.log('[saveSessionReport] ✓ Updated existing report:', reportId);
       } else {
-        const docRef = await withTimeout(
-          addDoc(reportsRef, {
+        const docRef = doc(reportsRef, clientId);
+        await withTimeout(
+          setDoc(docRef, {
             ...reportDoc,
             createdAt: now
           }),
@@ -1200,8 +1344,9 @@ export async function saveSessionReport(userId, reportData) {
       }
     } else {
       // No sessionId (should be rare) – just add a new document
-      const docRef = await withTimeout(
-        addDoc(reportsRef, {
+      const docRef = doc(reportsRef, clientId);
+      await withTimeout(
+        setDoc(docRef, {
           ...reportDoc,
           createdAt: now
         }),
@@ -1214,11 +1359,15 @@ export async function saveSessionReport(userId, reportData) {
     return reportId;
   } catch (error) {
     if (isOfflineError(error)) {
+      if (fromOutbox) {
+        throw createRetryableError(error);
+      }
+
       console.warn(
-        '[SessionReports] Offline detected while saving session report'
+        '[SessionReports] Offline detected while saving session report, queued for when online'
       );
-      // Firestore persistence will retry when back online
-      return `temp-report-${Date.now()}`;
+      await queueWrite('saveSessionReport', userId, queueArgs, mutationId, clientId);
+      return clientId;
     }
 
     console.error('[SessionReports] Error saving session report:', error);
@@ -1327,6 +1476,106 @@ export async function getSessionReport(userId, reportId) {
   }
 }
 
+/**
+ * Get a workout generation run (written by the generateWorkout Cloud Function)
+ * Used to poll progress while a plan is being generated.
+ * @param {string} userId - User ID
+ * @param {string} runId - Generation run ID
+ * @returns {Promise<Object|null>} Run document ({ status, currentNode, nodeTimings, days, error, result }) or null
+ */
+export async function getGenerationRun(userId, runId) {
+  try {
+    if (!userId || !runId) {
+      console.warn('getGenerationRun: userId and runId are required');
+      return null;
+    }
+
+    const runRef = doc(db, 'users', userId, 'generationRuns', runId);
+    const runSnap = await withTimeout(getDoc(runRef), NETWORK_TIMEOUT);
+
+    return runSnap.exists() ? { id: runSnap.id, ...runSnap.data() } : null;
+  } catch (error) {
+    if (isOfflineError(error)) {
+      console.warn('[GenerationRun] Offline detected while fetching run');
+      return null;
+    }
+
+    console.error('[GenerationRun] Error getting generation run:', error);
+    throw new Error(`Failed to get generation run: ${error.message}`);
+  }
+}
+
+// ============================================================================
+// ACTIVE SESSION OPERATIONS
+// ============================================================================
+
+/**
+ * Get the in-progress session document reference (one per user)
+ * @param {string} userId - User ID
+ * @returns {import('firebase/firestore').DocumentReference}
+ */
+function getActiveSessionDocRef(userId) {
+  return doc(db, 'users', userId, 'activeSession', 'current');
+}
+
+/**
+ * Get the in-progress session mirrored from any device
+ * (see js/services/activeSessionService.js)
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} { sessionId, session, progress, deviceId, updatedAt } or null
+ */
+export async function getActiveSession(userId) {
+  try {
+    if (!userId) {
+      console.warn('getActiveSession: userId is required');
+      return null;
+    }
+
+    const activeSnap = await withTimeout(getDoc(getActiveSessionDocRef(userId)), NETWORK_TIMEOUT);
+    return activeSnap.exists() ? activeSnap.data() : null;
+  } catch (error) {
+    if (isOfflineError(error)) {
+      console.warn('[ActiveSession] Offline detected while fetching active session');
+      return null;
+    }
+
+    console.error('[ActiveSession] Error getting active session:', error);
+    throw new Error(`Failed to get active session: ${error.message}`);
+  }
+}
+
+/**
+ * Save (overwrite) the in-progress session
+ * @param {string} userId - User ID
+ * @param {Object} activeSession - { sessionId, session, progress, deviceId, updatedAt }
+ * @returns {Promise<void>}
+ */
+export async function saveActiveSession(userId, activeSession) {
+  try {
+    await withTimeout(setDoc(getActiveSessionDocRef(userId), {
+      ...activeSession,
+      syncedAt: serverTimestamp()
+    }), NETWORK_TIMEOUT);
+  } catch (error) {
+    console.error('[ActiveSession] Error saving active session:', error);
+    throw new Error(`Failed to save active session: ${error.message}`);
+  }
+}
+
+/**
+ * Delete the in-progress session (completed or discarded)
+ * @param {string} userId - User ID
+ * @returns {Promise<void>}
+ */
+export async function clearActiveSession(userId) {
+  try {
+    await withTimeout(deleteDoc(getActiveSessionDocRef(userId)), NETWORK_TIMEOUT);
+  } catch (error) {
+    console.error('[ActiveSession] Error clearing active session:', error);
+    throw new Error(`Failed to clear active session: ${error.message}`);
+  }
+}
+
 /**
  * Check if a session is completed for a given date
  * @param {string} userId - User ID
@@ -1393,115 +1642,160 @@ function docToObject(docSnap) {
 
 /**
  * Update user streak when a session is completed
- * Increments currentStreak by 1 and updates longestStreak if needed
- * Also updates lastSessionDate to track consecutive days
+ * Recomputes the streak from the completed sessions (see recalculateStreak), so a
+ * repeated update for the same date leaves the streak unchanged.
+ * Offline (or while earlier writes are queued) the update goes to the outbox.
  * 
  * @param {string} userId - User ID
- * @param {string} sessionDate - Session date in YYYY-MM-DD format
- * @returns {Promise<Object>} Updated streak info { currentStreak, longestStreak }
+ * @param {string} sessionDate - Session date in YYYY-MM-DD format (local day)
+ * @param {Object} options - { fromOutbox: true } when replayed by the offline queue
+ * @returns {Promise<Object>} Updated streak info { currentStreak, longestStreak, streakFreezes, queued? }
  */
-export async function updateStreakOnSessionComplete(userId, sessionDate) {
+export async function updateStreakOnSessionComplete(userId, sessionDate, { fromOutbox = false } = {}) {
+  const mutationId = `updateStreakOnSessionComplete:${userId}:${sessionDate}`;
+  const queueStreakUpdate = async () => {
+    const queued = await queueWrite('updateStreakOnSessionComplete', userId, [sessionDate], mutationId);
+    if (!queued) return null;
+    // Last known values until the queued update is replayed
+    const cachedProfile = getFromCache(CACHE_KEYS.PROFILE(userId)) || {};
+    return {
+      currentStreak: cachedProfile.currentStreak || 0,
+      longestStreak: cachedProfile.longestStreak || 0,
+      streakFreezes: cachedProfile.streakFreezes || 0,
+      queued: true
+    };
+  };
+
+  // Earlier writes (e.g. the completed session) are still queued: keep the order
+  if (!fromOutbox && await hasPendingMutations(userId)) {
+    const queuedResult = await queueStreakUpdate();
+    if (queuedResult) return queuedResult;
+  }
+
   try {
-    const userRef = getUserDocRef(userId);
-    const userSnap = await withTimeout(getDoc(userRef), NETWORK_TIMEOUT);
-    
-    if (!userSnap.exists()) {
-      console.log('[Streak] User profile does not exist, creating with streak 1');
-      // First session - initialize streak
-      const newStreak = 1;
-      await withTimeout(setDoc(userRef, {
-        currentStreak: newStreak,
-        longestStreak: newStreak,
-        lastSessionDate: sessionDate,
-        updatedAt: serverTimestamp()
-      }), NETWORK_TIMEOUT);
-      
-      // Update cache
-      const cacheKey = CACHE_KEYS.PROFILE(userId);
-      saveToCache(cacheKey, {
-        id: userId,
-        currentStreak: newStreak,
-        longestStreak: newStreak,
-        lastSessionDate: sessionDate
-      });
-      
-      return { currentStreak: newStreak, longestStreak: newStreak };
-    }
-    
-    const userData = userSnap.data();
-    const currentStreak = userData.currentStreak || 0;
-    const longestStreak = userData.longestStreak || 0;
-    const lastSessionDate = userData.lastSessionDate;
-    
-    // Calculate new streak
-    let newStreak = 1; // Default to 1 if no previous session
-    
-    if (lastSessionDate) {
-      // Parse dates
-      const lastDate = new Date(lastSessionDate);
-      const currentDate = new Date(sessionDate);
-      
-      // Calculate days difference
-      const daysDiff = Math.floor((currentDate - lastDate) / (1000 * 60 * 60 * 24));
-      
-      if (daysDiff === 0) {
-        // Same day - don't increment (session already counted)
-        newStreak = currentStreak;
-      } else if (daysDiff === 1) {
-        // Consecutive day - increment streak
-        newStreak = currentStreak + 1;
-      } else {
-        // Gap in days - reset streak to 1
-        newStreak = 1;
+    // The session write may have failed: the day still counts as completed
+    return await recalculateStreak(userId, { includeDate: sessionDate });
+  } catch (error) {
+    if (isOfflineError(error)) {
+      if (fromOutbox) {
+        throw createRetryableError(error);
       }
-    } else {
-      // First session ever
-      newStreak = 1;
+
+      console.warn('[Streak] Offline detected while updating streak, queued for when online');
+      const queuedResult = await queueStreakUpdate();
+      if (queuedResult) return queuedResult;
     }
-    
-    // Update longestStreak if current streak exceeds it
-    const newLongestStreak = Math.max(longestStreak, newStreak);
-    
-    // Update user profile
+
+    console.error('[Streak] Error updating streak:', error);
+    throw new Error(`Failed to update streak: ${error.message}`);
+  }
+}
+
+/**
+ * Training systems of the user with their sessions (for the streak schedule)
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Training systems with `sessions`
+ */
+async function getTrainingSystemsWithSessions(userId) {
+  const systems = await getAllTrainingSystems(userId);
+  return Promise.all((systems || []).map(async (system) => ({
+    ...system,
+    sessions: await getSystemSessions(userId, system.id)
+  })));
+}
+
+/**
+ * Recompute the streak of a user from completedSessions and save it to the profile
+ * Counts consecutive scheduled training days completed, in the user's local days,
+ * with streak freezes covering missed days (see js/core/streak-engine.js).
+ * Offline errors are thrown (an empty history would reset the streak).
+ *
+ * @param {string} userId - User ID
+ * @param {Object} options - { includeDate: 'YYYY-MM-DD' } day to count as completed even if its session isn't saved yet
+ * @returns {Promise<Object>} { currentStreak, longestStreak, streakFreezes, frozenDates, lastSessionDate }
+ */
+export async function recalculateStreak(userId, { includeDate = null } = {}) {
+  const sessionsSnap = await withTimeout(getDocs(getUserCompletedSessionsRef(userId)), NETWORK_TIMEOUT);
+  const completedDates = sessionsSnap.docs.map(docSnap => normalizeDateKey(docSnap.data().date));
+  if (includeDate) {
+    completedDates.push(normalizeDateKey(includeDate));
+  }
+
+  const trainingSystems = await getTrainingSystemsWithSessions(userId);
+  const today = toLocalDateKey();
+  const streak = calculateStreak({
+    completedDates,
+    isScheduled: createTrainingSchedule(trainingSystems),
+    today
+  });
+
+  const userRef = getUserDocRef(userId);
+  await withTimeout(setDoc(userRef, {
+    ...streak,
+    streakCalculatedOn: today,
+    updatedAt: serverTimestamp()
+  }, { merge: true }), NETWORK_TIMEOUT);
+
+  // Update cache
+  const cacheKey = CACHE_KEYS.PROFILE(userId);
+  const cachedProfile = getFromCache(cacheKey) || {};
+  saveToCache(cacheKey, {
+    ...cachedProfile,
+    id: userId,
+    ...streak,
+    streakCalculatedOn: today
+  });
+
+  console.log(`[Streak] ✓ Recalculated streak: ${streak.currentStreak} (longest: ${streak.longestStreak}, freezes: ${streak.streakFreezes})`);
+
+  return streak;
+}
+
+/**
+ * Save the progressive overload counters of the user
+ * Overwrites both maps (see applySessionMilestones in js/core/workout-engine.js)
+ *
+ * @param {string} userId - User ID
+ * @param {Object} milestones - { currentMilestones, variationPromotions }
+ * @param {Object} milestones.currentMilestones - Completed sessions by exercise and variation
+ * @param {Object} milestones.variationPromotions - Harder variation to use, by mastered variation ID
+ * @returns {Promise<void>}
+ */
+export async function saveVariationMilestones(userId, { currentMilestones, variationPromotions }) {
+  try {
+    const userRef = getUserDocRef(userId);
     await withTimeout(updateDoc(userRef, {
-      currentStreak: newStreak,
-      longestStreak: newLongestStreak,
-      lastSessionDate: sessionDate,
+      currentMilestones,
+      variationPromotions,
       updatedAt: serverTimestamp()
     }), NETWORK_TIMEOUT);
-    
+
     // Update cache
     const cacheKey = CACHE_KEYS.PROFILE(userId);
     const cachedProfile = getFromCache(cacheKey) || {};
     saveToCache(cacheKey, {
       ...cachedProfile,
       id: userId,
-      currentStreak: newStreak,
-      longestStreak: newLongestStreak,
-      lastSessionDate: sessionDate
+      currentMilestones,
+      variationPromotions
     });
-    
-    console.log(`[Streak] ✓ Updated streak: ${currentStreak} -> ${newStreak} (longest: ${newLongestStreak})`);
-    
-    return { currentStreak: newStreak, longestStreak: newLongestStreak };
   } catch (error) {
-    console.error('[Streak] Error updating streak:', error);
-    throw new Error(`Failed to update streak: ${error.message}`);
+    console.error('[Milestones] Error saving milestones:', error);
+    throw new Error(`Failed to save milestones: ${error.message}`);
   }
 }
 
 /**
  * Backfill longestStreak field for existing users
- * Sets longestStreak to currentStreak if it's missing
- * This is a simple initialization - for accurate historical calculation,
- * use the backfillLongestStreak function from src/services/dbService.js
+ * Recomputes the whole streak history from completedSessions (see recalculateStreak),
+ * which also fixes streaks counted before rest days and timezones were handled.
  * 
  * @param {string} userId - User ID
- * @returns {Promise<number>} The longest streak value (currentStreak or 0)
+ * @returns {Promise<number>} The longest streak value
  */
 export async function backfillLongestStreak(userId) {
   try {
-    console.log('[Backfill] Initializing longestStreak for user:', userId);
+    console.log('[Backfill] Recomputing streak history for user:', userId);
     
     const userRef = getUserDocRef(userId);
     const userSnap = await withTimeout(getDoc(userRef), NETWORK_TIMEOUT);
@@ -1511,41 +1805,29 @@ export async function backfillLongestStreak(userId) {
       return 0;
     }
     
-    const userData = userSnap.data();
-    const currentStreak = userData.currentStreak || 0;
-    const existingLongestStreak = userData.longestStreak;
-    
-    console.log('[Backfill] Current streak:', currentStreak);
-    console.log('[Backfill] Existing longestStreak:', existingLongestStreak);
-    
-    // If longestStreak is missing, set it to currentStreak (or 0 if no streak)
-    if (existingLongestStreak === undefined) {
-      const longestStreak = currentStreak;
-      await withTimeout(updateDoc(userRef, {
-        longestStreak: longestStreak,
-        updatedAt: serverTimestamp()
-      }), NETWORK_TIMEOUT);
-      
-      console.log('[Backfill] ✓ Initialized longestStreak to:', longestStreak);
-      return longestStreak;
-    }
-    
-    // If currentStreak is higher than longestStreak, update it
-    if (currentStreak > existingLongestStreak) {
-      await withTimeout(updateDoc(userRef, {
-        longestStreak: currentStreak,
-        updatedAt: serverTimestamp()
-      }), NETWORK_TIMEOUT);
-      
-      console.log('[Backfill] ✓ Updated longestStreak:', existingLongestStreak, '->', currentStreak);
-      return currentStreak;
-    }
-    
-    console.log('[Backfill] ✓ longestStreak already up to date:', existingLongestStreak);
-    return existingLongestStreak;
+    const { longestStreak } = await recalculateStreak(userId);
+    console.log('[Backfill] ✓ longestStreak:', userSnap.data().longestStreak, '->', longestStreak);
+    return longestStreak;
   } catch (error) {
     console.error('[Backfill] Error backfilling longestStreak:', error);
     throw new Error(`Failed to backfill longest streak: ${error.message}`);
   }
 }
 
+// ============================================================================
+// OFFLINE OUTBOX
+// ============================================================================
+
+registerOutboxHandler('saveCompletedSession', (userId, sessionData) =>
+  saveCompletedSession(userId, sessionData, { fromOutbox: true }));
+registerOutboxHandler('saveSessionReport', (userId, reportData) =>
+  saveSessionReport(userId, reportData, { fromOutbox: true }));
+registerOutboxHandler('updateStreakOnSessionComplete', (userId, sessionDate) =>
+  updateStreakOnSessionComplete(userId, sessionDate, { fromOutbox: true }));
+
+/**
+ * Start replaying queued writes (on app start and whenever connectivity returns)
+ */
+export function initOfflineWrites() {
+  initOfflineSync();
+}
@@ -2,7 +2,9 @@
  * Exercise History Service
  * 
  * Service layer for managing exercise performance history.
- * Tracks weight, reps, and time across all sessions for progress tracking.
+ * Tracks weight, reps, and time across all sessions for progress tracking,
+ * plus strength estimations (e1RM, rep maxes, relative strength) so sets with
+ * different loads and reps can be compared.
  */
 
 import { db } from '../../config/firebase.config.js';
@@ -20,11 +22,215 @@ import {
   Timestamp,
   serverTimestamp
 } from 'firebase/firestore';
+import { normalizeTempo } from './exerciseTypeService.js';
+
+// ============================================================================
+// STRENGTH ESTIMATION
+// ============================================================================
+
+/**
+ * Supported one-rep max estimation formulas
+ */
+export const E1RM_FORMULAS = {
+  EPLEY: 'epley',
+  BRZYCKI: 'brzycki'
+};
+
+export const DEFAULT_E1RM_FORMULA = E1RM_FORMULAS.EPLEY;
+
+/**
+ * Sets above this many reps are too far from a max effort to estimate a 1RM
+ */
+export const MAX_E1RM_REPS = 12;
+
+/**
+ * Rep maxes shown in the rep-max table
+ */
+export const REP_MAX_TABLE_REPS = [3, 5, 10];
+
+/**
+ * Round to one decimal
+ * @param {number} value
+ * @returns {number}
+ */
+function roundStrength(value) {
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * Resolve a formula name, falling back to the default for unknown values
+ * @param {string} formula - Formula name
+ * @returns {string}
+ */
+function resolveFormula(formula) {
+  return Object.values(E1RM_FORMULAS).includes(formula) ? formula : DEFAULT_E1RM_FORMULA;
+}
+
+/**
+ * Estimate the one-rep max of a set
+ * Epley: weight × (1 + reps / 30). Brzycki: weight × 36 / (37 − reps).
+ * @param {number} weight - Load (kg)
+ * @param {number} reps - Reps performed
+ * @param {string} formula - One of E1RM_FORMULAS
+ * @returns {number|null} e1RM (kg) or null if the set can't be estimated
+ */
+export function estimateOneRepMax(weight, reps, formula = DEFAULT_E1RM_FORMULA) {
+  if (typeof weight !== 'number' || typeof reps !== 'number' || weight <= 0 || reps < 1) {
+    return null;
+  }
+
+  if (reps === 1) {
+    return weight;
+  }
+
+  if (reps > MAX_E1RM_REPS) {
+    return null;
+  }
+
+  const oneRepMax = resolveFormula(formula) === E1RM_FORMULAS.BRZYCKI
+    ? weight * 36 / (37 - reps)
+    : weight * (1 + reps / 30);
+
+  return roundStrength(oneRepMax);
+}
+
+/**
+ * Estimate the load for a given number of reps from a one-rep max
+ * (inverse of estimateOneRepMax)
+ * @param {number} oneRepMax - e1RM (kg)
+ * @param {number} reps - Target reps
+ * @param {string} formula - One of E1RM_FORMULAS
+ * @returns {number|null} Load (kg) or null
+ */
+export function estimateRepMax(oneRepMax, reps, formula = DEFAULT_E1RM_FORMULA) {
+  if (typeof oneRepMax !== 'number' || oneRepMax <= 0 || typeof reps !== 'number' || reps < 1) {
+    return null;
+  }
+
+  if (reps === 1) {
+    return oneRepMax;
+  }
+
+  const load = resolveFormula(formula) === E1RM_FORMULAS.BRZYCKI
+    ? oneRepMax * (37 - reps) / 36
+    : oneRepMax / (1 + reps / 30);
+
+  return roundStrength(load);
+}
+
+/**
+ * Find the set with the highest estimated one-rep max
+ * @param {Array} sets - Array of set performance data
+ * @param {string} formula - One of E1RM_FORMULAS
+ * @returns {Object|null} { value, weight, reps, formula } or null if no set can be estimated
+ */
+export function calculateBestOneRepMax(sets, formula = DEFAULT_E1RM_FORMULA) {
+  let best = null;
+
+  (sets || []).forEach(set => {
+    const value = estimateOneRepMax(set?.weight, set?.reps, formula);
+    if (value !== null && (!best || value > best.value)) {
+      best = { value, weight: set.weight, reps: set.reps, formula: resolveFormula(formula) };
+    }
+  });
+
+  return best;
+}
+
+/**
+ * Build the rep-max table (3RM/5RM/10RM) from logged sets
+ * - actual: heaviest load lifted for at least that many reps
+ * - estimated: load predicted from the best e1RM
+ * @param {Array} sets - Array of set performance data
+ * @param {string} formula - One of E1RM_FORMULAS
+ * @returns {Array<Object>} [{ reps, actual, estimated }]
+ */
+export function buildRepMaxTable(sets, formula = DEFAULT_E1RM_FORMULA) {
+  const best = calculateBestOneRepMax(sets, formula);
+
+  return REP_MAX_TABLE_REPS.map(reps => {
+    const loads = (sets || [])
+      .filter(set => typeof set?.weight === 'number' && set.weight > 0 && typeof set.reps === 'number' && set.reps >= reps)
+      .map(set => set.weight);
+
+    return {
+      reps,
+      actual: loads.length > 0 ? Math.max(...loads) : null,
+      estimated: best ? estimateRepMax(best.value, reps, formula) : null
+    };
+  });
+}
+
+/**
+ * Relative strength: one-rep max as a multiple of body weight
+ * @param {number} oneRepMax - e1RM (kg)
+ * @param {number} bodyWeight - Body weight (kg)
+ * @returns {number|null} Ratio (two decimals) or null
+ */
+export function calculateRelativeStrength(oneRepMax, bodyWeight) {
+  if (typeof oneRepMax !== 'number' || oneRepMax <= 0 || typeof bodyWeight !== 'number' || bodyWeight <= 0) {
+    return null;
+  }
+
+  return Math.round((oneRepMax / bodyWeight) * 100) / 100;
+}
+
+/**
+ * Best e1RM over time: one point per session with the session e1RM and
+ * the running best up to that session
+ * @param {Array} sessions - History sessions ({ date, sets })
+ * @param {string} formula - One of E1RM_FORMULAS
+ * @returns {Array<Object>} [{ date, e1rm, bestE1RM }], oldest first
+ */
+export function getOneRepMaxProgression(sessions, formula = DEFAULT_E1RM_FORMULA) {
+  let bestE1RM = null;
+
+  return (sessions || [])
+    .slice()
+    .sort((a, b) => new Date(a.date) - new Date(b.date))
+    .map(session => {
+      const best = calculateBestOneRepMax(session.sets, formula);
+      if (!best) return null;
+
+      bestE1RM = bestE1RM === null ? best.value : Math.max(bestE1RM, best.value);
+      return { date: session.date, e1rm: best.value, bestE1RM };
+    })
+    .filter(Boolean);
+}
 
 // ============================================================================
 // EXERCISE HISTORY OPERATIONS
 // ============================================================================
 
+/**
+ * Build the stored form of a set: only logged values are kept
+ * (Firestore rejects undefined, and empty journal inputs are '')
+ * @param {Object} set - Set performance data
+ * @returns {Object} { setNumber, weight?, reps?, time?, rpe?, rir?, tempo?, prescribedTempo?, restSeconds?, notes? }
+ */
+function toHistorySet(set) {
+  const historySet = { setNumber: set.setNumber };
+
+  ['weight', 'reps', 'time', 'rpe', 'rir', 'restSeconds'].forEach(field => {
+    if (typeof set[field] === 'number' && Number.isFinite(set[field])) {
+      historySet[field] = set[field];
+    }
+  });
+
+  ['tempo', 'prescribedTempo'].forEach(field => {
+    const tempo = normalizeTempo(set[field]);
+    if (tempo) {
+      historySet[field] = tempo;
+    }
+  });
+
+  if (typeof set.notes === 'string' && set.notes !== '') {
+    historySet.notes = set.notes;
+  }
+
+  return historySet;
+}
+
 /**
  * Get exercise history for a specific exercise/variation combination
  * @param {string} userId - User ID
@@ -140,14 +346,17 @@ export async function getPersonalBest(userId, exerciseId, variationId) {
 
 /**
  * Save exercise performance data from a completed session
+ * Sets may include effort (rpe or rir), tempo, prescribedTempo and restSeconds.
+ * Saving the same sessionId again replaces its entry (re-saves and re-imports don't duplicate).
  * @param {string} userId - User ID
  * @param {string} exerciseId - Exercise ID
  * @param {string} variationId - Variation ID
  * @param {string} sessionId - Completed session ID
  * @param {Array} sets - Array of set performance data
+ * @param {Object} options - { performedAt: Date|string } when the sets were done (defaults to now, e.g. imported workouts)
  * @returns {Promise<string>} History document ID
  */
-export async function saveExercisePerformance(userId, exerciseId, variationId, sessionId, sets) {
+export async function saveExercisePerformance(userId, exerciseId, variationId, sessionId, sets, { performedAt = null } = {}) {
   try {
     if (!userId || !exerciseId || !variationId || !sessionId) {
       throw new Error('userId, exerciseId, variationId, and sessionId are required');
@@ -168,7 +377,7 @@ export async function saveExercisePerformance(userId, exerciseId, variationId, s
     );
 
     const querySnapshot = await getDocs(q);
-    const now = new Date();
+    const now = performedAt ? new Date(performedAt) : new Date();
 
     if (querySnapshot.empty) {
       // Create new history document
@@ -181,13 +390,7 @@ export async function saveExercisePerformance(userId, exerciseId, variationId, s
         sessions: [{
           sessionId,
           date: Timestamp.fromDate(now),
-          sets: sets.map(set => ({
-            setNumber: set.setNumber,
-            weight: set.weight,
-            reps: set.reps,
-            time: set.time,
-            notes: set.notes
-          }))
+          sets: sets.map(toHistorySet)
         }],
         lastPerformedAt: Timestamp.fromDate(now),
         personalBest,
@@ -203,20 +406,16 @@ export async function saveExercisePerformance(userId, exerciseId, variationId, s
       const existingData = existingDoc.data();
       const existingSessions = existingData.sessions || [];
 
-      // Add new session
+      // Add new session (replacing a previous save of the same session), in date order
       const newSession = {
         sessionId,
         date: Timestamp.fromDate(now),
-        sets: sets.map(set => ({
-          setNumber: set.setNumber,
-          weight: set.weight,
-          reps: set.reps,
-          time: set.time,
-          notes: set.notes
-        }))
+        sets: sets.map(toHistorySet)
       };
 
-      const updatedSessions = [...existingSessions, newSession];
+      const updatedSessions = [...existingSessions.filter(s => s.sessionId !== sessionId), newSession]
+        .sort((a, b) => (a.date?.toMillis?.() || 0) - (b.date?.toMillis?.() || 0));
+      const lastPerformedAt = updatedSessions[updatedSessions.length - 1].date;
 
       // Calculate new personal best
       const allSets = updatedSessions.flatMap(s => s.sets);
@@ -224,7 +423,7 @@ export async function saveExercisePerformance(userId, exerciseId, variationId, s
 
       await updateDoc(existingDoc.ref, {
         sessions: updatedSessions,
-        lastPerformedAt: Timestamp.fromDate(now),
+        lastPerformedAt,
         personalBest,
         updatedAt: serverTimestamp()
       });
@@ -267,6 +466,12 @@ function calculatePersonalBest(sets) {
     personalBest.time = Math.max(...times);
   }
 
+  // Best estimated 1RM, so different load/rep combinations are comparable
+  const bestOneRepMax = calculateBestOneRepMax(sets);
+  if (bestOneRepMax) {
+    personalBest.e1rm = bestOneRepMax;
+  }
+
   return Object.keys(personalBest).length > 0 ? personalBest : undefined;
 }
 
@@ -6,6 +6,13 @@ import { getExerciseSuggestions } from './exerciseSuggestionService.js';
 
 let cachedExercises = null;
 
+// The catalog was refreshed in the background (see loadExercises)
+if (typeof window !== 'undefined') {
+  window.addEventListener('exercise-catalog-updated', () => {
+    cachedExercises = null;
+  });
+}
+
 async function ensureExercisesLoaded() {
   if (cachedExercises) return cachedExercises;
   const data = await loadExercises();
@@ -15,6 +15,87 @@ export const EXERCISE_TYPES = {
   REPS_ONLY: 'reps-only'   // Reps only, no weight (bodyweight)
 };
 
+/**
+ * Effort scale used to log a set: RPE (1-10) or reps in reserve
+ */
+export const EFFORT_TYPES = {
+  RPE: 'rpe',
+  RIR: 'rir'
+};
+
+export const MIN_RPE = 1;
+export const MAX_RPE = 10;
+export const MAX_RIR = 10;
+
+/**
+ * Tempo notation: eccentric-bottom pause-concentric-top pause, in seconds
+ * (e.g. "3-1-1-0"); "X" means explosive
+ */
+const TEMPO_PATTERN = /^([0-9X])-?([0-9X])-?([0-9X])-?([0-9X])$/i;
+
+/**
+ * Normalize a tempo string to the "3-1-1-0" notation
+ * @param {string} tempo - Tempo as typed ("3-1-1-0", "3110", "2-0-x-1")
+ * @returns {string|null} Normalized tempo or null if invalid
+ */
+export function normalizeTempo(tempo) {
+  if (typeof tempo !== 'string') return null;
+  const match = tempo.trim().match(TEMPO_PATTERN);
+  return match ? match.slice(1).map(part => part.toUpperCase()).join('-') : null;
+}
+
+/**
+ * Effort of a set as RPE (converts reps in reserve: RPE = 10 - RIR)
+ * @param {Object} set - Set data { rpe?, rir? }
+ * @returns {number|null} RPE or null if not logged
+ */
+export function getSetRpe(set) {
+  if (typeof set?.rpe === 'number') return set.rpe;
+  if (typeof set?.rir === 'number') return Math.max(MIN_RPE, MAX_RPE - set.rir);
+  return null;
+}
+
+/**
+ * Validate the optional per-set details: effort (RPE/RIR), tempo and rest taken
+ * @param {Object} data - { rpe?, rir?, tempo?, restSeconds? }
+ * @returns {string[]} Validation errors
+ */
+export function validateSetDetails(data) {
+  const errors = [];
+  const hasValue = (value) => value !== undefined && value !== null && value !== '';
+
+  if (hasValue(data.rpe)) {
+    // RPE in half points: 6, 6.5, ... 10
+    if (typeof data.rpe !== 'number' || data.rpe < MIN_RPE || data.rpe > MAX_RPE || !Number.isInteger(data.rpe * 2)) {
+      errors.push(`RPE must be between ${MIN_RPE} and ${MAX_RPE} in steps of 0.5`);
+    }
+  }
+
+  if (hasValue(data.rir)) {
+    if (typeof data.rir !== 'number' || data.rir < 0 || data.rir > MAX_RIR || !Number.isInteger(data.rir)) {
+      errors.push(`Reps in reserve must be an integer between 0 and ${MAX_RIR}`);
+    }
+  }
+
+  if (hasValue(data.rpe) && hasValue(data.rir) && typeof data.rpe === 'number' && typeof data.rir === 'number') {
+    if (data.rpe !== MAX_RPE - data.rir) {
+      errors.push('RPE and reps in reserve do not match (RPE = 10 - RIR)');
+    }
+  }
+
+  if (hasValue(data.tempo) && !normalizeTempo(data.tempo)) {
+    errors.push('Tempo must have four phases, e.g. 3-1-1-0 (X for explosive)');
+  }
+
+  if (hasValue(data.restSeconds)) {
+    if (typeof data.restSeconds !== 'number' || data.restSeconds < 0 || !Number.isFinite(data.restSeconds)) {
+      errors.push('Rest must be a non-negative number (seconds)');
+    }
+  }
+
+  return errors;
+}
+
 /**
  * Determine exercise type based on exercise and variation metadata
  * @param {Object} exercise - Exercise object
@@ -100,7 +181,7 @@ export function getExerciseInputs(exerciseType) {
 /**
  * Validate exercise input data based on exercise type
  * @param {string} exerciseType - Exercise type
- * @param {Object} data - Input data to validate
+ * @param {Object} data - Input data to validate ({ weight, reps, time, rpe?, rir?, tempo?, restSeconds? })
  * @returns {Object} Validation result { valid: boolean, errors: string[] }
  */
 export function validateExerciseInput(exerciseType, data) {
@@ -139,6 +220,9 @@ export function validateExerciseInput(exerciseType, data) {
     }
   }
 
+  // Optional effort, tempo and rest
+  errors.push(...validateSetDetails(data));
+
   // Special validation for isometric exercises
   if (exerciseType === EXERCISE_TYPES.TIME || exerciseType === EXERCISE_TYPES.BOTH) {
     if (data.reps !== undefined && data.reps !== null && data.reps > 0) {
@@ -160,16 +244,24 @@ export function validateExerciseInput(exerciseType, data) {
  * @param {string} exerciseType - Exercise type
  * @param {Object} variation - Variation object
  * @param {Object} lastPerformance - Last performance data (optional)
+ * @param {Object} progressionTarget - Prescribed target for the next set { weight?, reps?, time? } (optional)
  * @returns {Object} Default values { weight?, reps?, time? }
  */
-export function getDefaultValues(exerciseType, variation, lastPerformance = null) {
+export function getDefaultValues(exerciseType, variation, lastPerformance = null, progressionTarget = null) {
   const defaults = {};
 
-  // Prefer last performance if available
+  // Prefer the progression target (next session prescription) if available
+  if (progressionTarget) {
+    if (progressionTarget.weight !== undefined) defaults.weight = progressionTarget.weight;
+    if (progressionTarget.reps !== undefined) defaults.reps = progressionTarget.reps;
+    if (progressionTarget.time !== undefined) defaults.time = progressionTarget.time;
+  }
+
+  // Then last performance
   if (lastPerformance) {
-    if (lastPerformance.weight !== undefined) defaults.weight = lastPerformance.weight;
-    if (lastPerformance.reps !== undefined) defaults.reps = lastPerformance.reps;
-    if (lastPerformance.time !== undefined) defaults.time = lastPerformance.time;
+    if (lastPerformance.weight !== undefined && defaults.weight === undefined) defaults.weight = lastPerformance.weight;
+    if (lastPerformance.reps !== undefined && defaults.reps === undefined) defaults.reps = lastPerformance.reps;
+    if (lastPerformance.time !== undefined && defaults.time === undefined) defaults.time = lastPerformance.time;
   }
 
   // Fall back to variation defaults if not set
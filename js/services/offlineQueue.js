@@ -0,0 +1,365 @@
+/**
+ * Offline Queue (outbox)
+ *
+ * IndexedDB-backed queue of Firestore writes that could not reach the server
+ * (completed sessions, session reports, streak updates; see dbService.js).
+ *
+ * - Mutations are replayed in the order they were queued, when connectivity returns
+ * - Each mutation has a client-generated id: queueing the same write twice is a no-op,
+ *   and the writes themselves use client-generated document ids, so a replay after a
+ *   partial success does not duplicate data
+ * - A mutation that keeps failing (not because of connectivity) is parked as failed
+ *   after MAX_REPLAY_ATTEMPTS so it does not block the rest of the queue; later
+ *   mutations of the same user wait behind it (they may depend on it) until it is retried
+ * - Sync status changes are broadcast with the 'sync-status-changed' window event
+ */
+
+const DB_NAME = 'regain-offline';
+const DB_VERSION = 1;
+const OUTBOX_STORE = 'outbox';
+
+export const MAX_REPLAY_ATTEMPTS = 5;
+
+/**
+ * Base delay before retrying a failed replay (multiplied by the attempts)
+ */
+const RETRY_DELAY_MS = 30 * 1000;
+
+export const MUTATION_STATUS = {
+  PENDING: 'pending',
+  FAILED: 'failed'
+};
+
+export const SYNC_STATUS = {
+  SYNCED: 'synced',
+  PENDING: 'pending',
+  SYNCING: 'syncing',
+  OFFLINE: 'offline',
+  ERROR: 'error'
+};
+
+// type -> async (userId, ...args) => result
+const handlers = new Map();
+
+let dbPromise = null;
+let replayPromise = null;
+let retryTimeoutId = null;
+let initialized = false;
+let syncStatus = { status: SYNC_STATUS.SYNCED, pending: 0, failed: 0 };
+
+/**
+ * Wrap an IndexedDB request in a promise
+ */
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Open (and create) the outbox database
+ * @returns {Promise<IDBDatabase>}
+ */
+function openOutbox() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(OUTBOX_STORE, { keyPath: 'seq', autoIncrement: true });
+        store.createIndex('mutationId', 'mutationId', { unique: true });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch(error => {
+      dbPromise = null;
+      throw error;
+    });
+  }
+  return dbPromise;
+}
+
+async function getStore(mode) {
+  const db = await openOutbox();
+  return db.transaction(OUTBOX_STORE, mode).objectStore(OUTBOX_STORE);
+}
+
+/**
+ * All queued mutations, in queue order
+ * @returns {Promise<Array>}
+ */
+async function getAllMutations() {
+  const store = await getStore('readonly');
+  const mutations = await requestToPromise(store.getAll());
+  return mutations.sort((a, b) => a.seq - b.seq);
+}
+
+async function putMutation(mutation) {
+  const store = await getStore('readwrite');
+  await requestToPromise(store.put(mutation));
+}
+
+async function deleteMutation(seq) {
+  const store = await getStore('readwrite');
+  await requestToPromise(store.delete(seq));
+}
+
+function setSyncStatus(update) {
+  syncStatus = { ...syncStatus, ...update };
+  if (typeof window !== 'undefined') {
+    window.dispatchEvent(new CustomEvent('sync-status-changed', { detail: { ...syncStatus } }));
+  }
+}
+
+/**
+ * Recount the queue and publish the resulting status
+ */
+async function refreshSyncStatus(status = null) {
+  try {
+    const mutations = await getAllMutations();
+    const pending = mutations.filter(m => m.status === MUTATION_STATUS.PENDING).length;
+    const failed = mutations.filter(m => m.status === MUTATION_STATUS.FAILED).length;
+    const isOffline = typeof navigator !== 'undefined' && navigator.onLine === false;
+
+    setSyncStatus({
+      pending,
+      failed,
+      status: status || (failed > 0
+        ? SYNC_STATUS.ERROR
+        : pending > 0
+          ? (isOffline ? SYNC_STATUS.OFFLINE : SYNC_STATUS.PENDING)
+          : SYNC_STATUS.SYNCED)
+    });
+  } catch (error) {
+    console.warn('[OfflineQueue] Failed to read the outbox:', error);
+  }
+}
+
+/**
+ * Register the function that performs a queued mutation type
+ * The handler must throw an error with `retryable: true` when the server can't be reached.
+ * @param {string} type - Mutation type (e.g. 'saveCompletedSession')
+ * @param {Function} handler - async (userId, ...args) => result
+ */
+export function registerOutboxHandler(type, handler) {
+  handlers.set(type, handler);
+}
+
+/**
+ * Queue a mutation (no-op if a mutation with the same id is already queued)
+ * @param {Object} mutation
+ * @param {string} mutation.mutationId - Client-generated id of the write
+ * @param {string} mutation.type - Registered handler type
+ * @param {string} mutation.userId - User ID
+ * @param {Array} mutation.args - Handler arguments after userId (structured-cloneable)
+ * @param {string} [mutation.clientId] - Client id of the created document (see remapping in replayOutbox)
+ * @returns {Promise<void>}
+ */
+export async function enqueueMutation({ mutationId, type, userId, args, clientId = null }) {
+  const store = await getStore('readwrite');
+  const existing = await requestToPromise(store.index('mutationId').get(mutationId));
+  if (existing) return;
+
+  await requestToPromise(store.add({
+    mutationId,
+    type,
+    userId,
+    args,
+    clientId,
+    status: MUTATION_STATUS.PENDING,
+    attempts: 0,
+    lastError: null,
+    createdAt: new Date().toISOString()
+  }));
+
+  console.log('[OfflineQueue] Queued', type, mutationId);
+  await refreshSyncStatus();
+}
+
+/**
+ * Whether writes of a user are waiting in the queue (new writes must queue behind them)
+ * Failed mutations count too: the writes after them wait until they are retried.
+ * @param {string} userId - User ID
+ * @returns {Promise<boolean>}
+ */
+export async function hasPendingMutations(userId) {
+  try {
+    const mutations = await getAllMutations();
+    return mutations.some(m => m.userId === userId);
+  } catch {
+    return false;
+  }
+}
+
+// Argument fields that reference a document created with a client id
+const CLIENT_ID_FIELDS = ['id', 'sessionId'];
+
+/**
+ * Replace client ids in the id fields of object arguments (never free text)
+ * @param {Array} args - Mutation arguments
+ * @param {Map<string, string>} idMap - Client id -> real id
+ * @returns {Array} The same array if nothing changed
+ */
+function remapArgs(args, idMap) {
+  let changed = false;
+  const remapped = args.map(arg => {
+    if (!arg || typeof arg !== 'object' || Array.isArray(arg)) return arg;
+    const fields = CLIENT_ID_FIELDS.filter(field => idMap.has(arg[field]));
+    if (fields.length === 0) return arg;
+    changed = true;
+    return { ...arg, ...Object.fromEntries(fields.map(field => [field, idMap.get(arg[field])])) };
+  });
+  return changed ? remapped : args;
+}
+
+/**
+ * Point later mutations at the real id of a document created with a client id
+ * (e.g. a completed session that updated the existing session of that date)
+ */
+async function remapClientId(fromId, toId) {
+  const idMap = new Map([[fromId, toId]]);
+  const mutations = await getAllMutations();
+  for (const mutation of mutations) {
+    if (mutation.status !== MUTATION_STATUS.PENDING) continue;
+
+    const args = remapArgs(mutation.args, idMap);
+    if (args !== mutation.args) {
+      await putMutation({ ...mutation, args });
+    }
+  }
+}
+
+function scheduleRetry(attempts) {
+  if (retryTimeoutId) clearTimeout(retryTimeoutId);
+  retryTimeoutId = setTimeout(() => {
+    retryTimeoutId = null;
+    replayOutbox();
+  }, RETRY_DELAY_MS * Math.max(1, attempts));
+}
+
+async function runReplay() {
+  setSyncStatus({ status: SYNC_STATUS.SYNCING });
+
+  // Users with a failed mutation: their later mutations wait until it is retried
+  const blockedUsers = new Set();
+  // Ids remapped during this run (the mutations below were read before the remap)
+  const remappedIds = new Map();
+
+  for (const queued of await getAllMutations()) {
+    const mutation = { ...queued, args: remapArgs(queued.args, remappedIds) };
+    if (mutation.status === MUTATION_STATUS.FAILED) {
+      blockedUsers.add(mutation.userId);
+      continue;
+    }
+    if (blockedUsers.has(mutation.userId)) {
+      continue;
+    }
+
+    const handler = handlers.get(mutation.type);
+    if (!handler) {
+      console.warn('[OfflineQueue] No handler for mutation type:', mutation.type);
+      await putMutation({ ...mutation, status: MUTATION_STATUS.FAILED, lastError: 'Unknown mutation type' });
+      blockedUsers.add(mutation.userId);
+      continue;
+    }
+
+    try {
+      const result = await handler(mutation.userId, ...mutation.args);
+      await deleteMutation(mutation.seq);
+
+      if (mutation.clientId && typeof result === 'string' && result !== mutation.clientId) {
+        remappedIds.set(mutation.clientId, result);
+        await remapClientId(mutation.clientId, result);
+      }
+      console.log('[OfflineQueue] ✓ Replayed', mutation.type, mutation.mutationId);
+    } catch (error) {
+      const isOffline = error?.retryable || (typeof navigator !== 'undefined' && navigator.onLine === false);
+      if (isOffline) {
+        // Still offline: keep the order and wait for connectivity (the 'online' event
+        // doesn't fire when the browser is online but the server can't be reached)
+        scheduleRetry(mutation.attempts);
+        return SYNC_STATUS.OFFLINE;
+      }
+
+      const attempts = mutation.attempts + 1;
+      const failed = attempts >= MAX_REPLAY_ATTEMPTS;
+      await putMutation({
+        ...mutation,
+        attempts,
+        lastError: error?.message || String(error),
+        status: failed ? MUTATION_STATUS.FAILED : MUTATION_STATUS.PENDING
+      });
+      console.error('[OfflineQueue] Replay failed:', mutation.type, mutation.mutationId, error);
+
+      if (!failed) {
+        scheduleRetry(attempts);
+        return SYNC_STATUS.PENDING;
+      }
+      blockedUsers.add(mutation.userId);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Replay queued mutations in order (single flight: concurrent calls share the run)
+ * @returns {Promise<void>}
+ */
+export function replayOutbox() {
+  if (!replayPromise) {
+    replayPromise = runReplay()
+      .then(status => refreshSyncStatus(status))
+      .catch(error => {
+        console.warn('[OfflineQueue] Replay unavailable:', error);
+      })
+      .finally(() => {
+        replayPromise = null;
+      });
+  }
+  return replayPromise;
+}
+
+/**
+ * Give failed mutations another round of attempts and replay
+ * @returns {Promise<void>}
+ */
+export async function retryFailedMutations() {
+  const mutations = await getAllMutations();
+  for (const mutation of mutations) {
+    if (mutation.status === MUTATION_STATUS.FAILED) {
+      await putMutation({ ...mutation, status: MUTATION_STATUS.PENDING, attempts: 0 });
+    }
+  }
+  await replayOutbox();
+}
+
+/**
+ * Current sync status
+ * @returns {Object} { status, pending, failed }
+ */
+export function getSyncStatus() {
+  return { ...syncStatus };
+}
+
+/**
+ * Replay when connectivity returns (and once now for writes left from a previous visit)
+ */
+export function initOfflineSync() {
+  if (initialized || typeof window === 'undefined') return;
+  initialized = true;
+
+  window.addEventListener('online', () => replayOutbox());
+  window.addEventListener('offline', () => refreshSyncStatus());
+
+  refreshSyncStatus().then(() => {
+    if (syncStatus.pending > 0) {
+      replayOutbox();
+    }
+  });
+}
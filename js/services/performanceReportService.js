@@ -42,7 +42,8 @@ async function getAuthToken() {
 /**
  * Generate performance report narrative from reportData
  * @param {Object} reportData - Performance report data with macroStats and exercises
- * @returns {Promise<Object>} Narrative result with reportTitle, macroSummary, exerciseInsights
+ * @returns {Promise<Object>} Narrative result with reportTitle, macroSummary, highlights, concerns,
+ *   nextSessionRecommendation and exerciseInsights
  */
 export async function generatePerformanceReportNarrative(reportData) {
   try {
@@ -105,7 +106,10 @@ export async function generatePerformanceReportNarrative(reportData) {
     
     return {
       reportTitle: data.reportTitle,
-      macroSummary: data.macroSummary,
+      macroSummary: data.summary,
+      highlights: data.highlights || [],
+      concerns: data.concerns || [],
+      nextSessionRecommendation: data.nextSessionRecommendation || "",
       exerciseInsights: data.exerciseInsights || {},
     };
   } catch (error) {
@@ -0,0 +1,381 @@
+/**
+ * Progression Service
+ *
+ * Progressive overload engine: reads a variation's exercise history and prescribes
+ * the next session's per-set targets (load, reps or hold time).
+ *
+ * Schemes:
+ * - Double progression: add reps inside the rep range, add load once every set hits the top
+ * - Percentage: add a fixed % of load whenever every set hit its target reps
+ * - RPE: adjust load from the reported effort of the last session (RIR is converted to RPE)
+ *
+ * Stalls (no new best for STALL_SESSIONS sessions in a row) call for a deload on
+ * loaded exercises, or a regression (easier target / variation) on bodyweight and holds.
+ * The session after a stall (the deload / regression) is the reference of a new block,
+ * so building back up from it is progress and doesn't deload again.
+ */
+
+import { getExerciseHistory, calculateBestOneRepMax, DEFAULT_E1RM_FORMULA } from './exerciseHistoryService.js';
+import { EXERCISE_TYPES, getSetRpe } from './exerciseTypeService.js';
+
+/**
+ * Progression schemes
+ */
+export const PROGRESSION_SCHEMES = {
+  DOUBLE: 'double',
+  PERCENTAGE: 'percentage',
+  RPE: 'rpe'
+};
+
+/**
+ * Prescribed actions
+ */
+export const PROGRESSION_ACTIONS = {
+  BASELINE: 'baseline',     // No usable history yet
+  INCREASE: 'increase',     // More load / reps / time
+  HOLD: 'hold',             // Repeat the last session
+  DECREASE: 'decrease',     // Last session was too hard (RPE)
+  DELOAD: 'deload',         // Stalled with load: reduce it and build back up
+  REGRESSION: 'regression'  // Stalled without load: easier target or variation
+};
+
+export const DEFAULT_PROGRESSION_OPTIONS = {
+  scheme: PROGRESSION_SCHEMES.DOUBLE,
+  repRange: { min: 8, max: 12 },
+  incrementPercent: 2.5,
+  minIncrementKg: 1,
+  loadStepKg: 0.5,           // Loads are rounded to this step
+  targetRpe: 8,
+  timeIncrementSeconds: 5,
+  maxBodyweightReps: 20,     // Above this, progress the variation instead of adding reps
+  e1rmFormula: DEFAULT_E1RM_FORMULA // Compares loaded sessions (the user's preference)
+};
+
+// Consecutive sessions without a new best that count as a stall
+export const STALL_SESSIONS = 3;
+// Deload / regression sizes
+export const DELOAD_LOAD_FACTOR = 0.9;
+export const REGRESSION_FACTOR = 0.8;
+
+// ============================================================================
+// HISTORY HELPERS
+// ============================================================================
+
+/**
+ * Sessions with logged sets, oldest first
+ * @param {Object} history - Exercise history document ({ sessions: [{ date, sets }] })
+ * @returns {Array}
+ */
+function getLoggedSessions(history) {
+  return (history?.sessions || [])
+    .filter(session => Array.isArray(session.sets) && session.sets.length > 0)
+    .slice()
+    .sort((a, b) => new Date(a.date) - new Date(b.date));
+}
+
+/**
+ * Best performance of a session, comparable across sessions:
+ * estimated 1RM for loaded sets, best reps or hold time otherwise.
+ * Sessions with only high-rep sets (no e1RM above MAX_E1RM_REPS) count their heaviest load.
+ * @param {Object} session - History session
+ * @param {string} exerciseType - Exercise type
+ * @param {string} formula - e1RM formula (E1RM_FORMULAS)
+ * @returns {number}
+ */
+function getSessionPerformance(session, exerciseType, formula) {
+  const sets = session.sets || [];
+
+  if (exerciseType === EXERCISE_TYPES.TIME) {
+    return Math.max(0, ...sets.map(set => set.time || 0));
+  }
+
+  const hasLoad = sets.some(set => (set.weight || 0) > 0);
+  if (!hasLoad) {
+    return Math.max(0, ...sets.map(set => set.reps || 0));
+  }
+
+  const best = calculateBestOneRepMax(sets, formula);
+  return best ? best.value : Math.max(0, ...sets.map(set => set.weight || 0));
+}
+
+/**
+ * Number of most recent sessions in a row that did not beat the previous best
+ * The best restarts at the session after a stall (the deload or regression).
+ * @param {Array} sessions - Logged sessions, oldest first
+ * @param {string} exerciseType - Exercise type
+ * @param {string} [formula] - e1RM formula for loaded sets
+ * @returns {number}
+ */
+export function countStalledSessions(sessions, exerciseType, formula = DEFAULT_E1RM_FORMULA) {
+  let best = 0;
+  let stalled = 0;
+
+  sessions.forEach((session, index) => {
+    const performance = getSessionPerformance(session, exerciseType, formula);
+    if (index === 0 || performance > best) {
+      best = Math.max(best, performance);
+      stalled = 0;
+    } else if (stalled >= STALL_SESSIONS) {
+      // Session after a stall: the deload/regression starts a new block
+      best = performance;
+      stalled = 0;
+    } else {
+      stalled++;
+    }
+  });
+
+  return stalled;
+}
+
+/**
+ * Round a load to the available plate step (never below 0)
+ * @param {number} weight - Load in kg
+ * @param {number} step - Step in kg
+ * @returns {number}
+ */
+function roundLoad(weight, step) {
+  return Math.max(0, Math.round(weight / step) * step);
+}
+
+/**
+ * Load increment for a weight (at least minIncrementKg)
+ * @param {number} weight - Current load
+ * @param {Object} options - Progression options
+ * @param {number} multiplier - Multiplier of incrementPercent
+ * @returns {number}
+ */
+function getLoadIncrement(weight, options, multiplier = 1) {
+  return Math.max(options.minIncrementKg, weight * (options.incrementPercent * multiplier) / 100);
+}
+
+// ============================================================================
+// PRESCRIPTION
+// ============================================================================
+
+/**
+ * Prescribe the next session's targets for a variation
+ * @param {Object|null} history - Exercise history document (getExerciseHistory)
+ * @param {Object} options - { exerciseType, scheme, repRange, incrementPercent, targetRpe, e1rmFormula, ... }
+ * @returns {Object} { action, scheme, stalled, stallCount, reason, sets: [{ setNumber, weight?, reps?, time? }] }
+ */
+export function prescribeNextSession(history, options = {}) {
+  const config = {
+    ...DEFAULT_PROGRESSION_OPTIONS,
+    ...options,
+    repRange: { ...DEFAULT_PROGRESSION_OPTIONS.repRange, ...(options.repRange || {}) }
+  };
+  const exerciseType = options.exerciseType || EXERCISE_TYPES.WEIGHT;
+  const sessions = getLoggedSessions(history);
+
+  if (sessions.length === 0) {
+    return {
+      action: PROGRESSION_ACTIONS.BASELINE,
+      scheme: config.scheme,
+      stalled: false,
+      stallCount: 0,
+      reason: 'No history yet: pick a comfortable load to set a baseline.',
+      sets: []
+    };
+  }
+
+  const lastSets = sessions[sessions.length - 1].sets
+    .slice()
+    .sort((a, b) => (a.setNumber || 0) - (b.setNumber || 0));
+  const stallCount = countStalledSessions(sessions, exerciseType, config.e1rmFormula);
+  const stalled = stallCount >= STALL_SESSIONS;
+  const isLoaded = lastSets.some(set => (set.weight || 0) > 0);
+
+  const base = { scheme: config.scheme, stalled, stallCount };
+  const mapSets = fn => lastSets.map((set, index) => ({ setNumber: index + 1, ...fn(set) }));
+
+  // 1. Stall: deload loaded exercises, regress the rest
+  if (stalled) {
+    if (isLoaded) {
+      return {
+        ...base,
+        action: PROGRESSION_ACTIONS.DELOAD,
+        reason: `No progress in ${stallCount} sessions: deload to ${Math.round(DELOAD_LOAD_FACTOR * 100)}% and build back up.`,
+        sets: mapSets(set => ({
+          weight: roundLoad((set.weight || 0) * DELOAD_LOAD_FACTOR, config.loadStepKg),
+          reps: set.reps
+        }))
+      };
+    }
+
+    return {
+      ...base,
+      action: PROGRESSION_ACTIONS.REGRESSION,
+      reason: `No progress in ${stallCount} sessions: regress the target (or use an easier variation) and rebuild.`,
+      sets: mapSets(set => exerciseType === EXERCISE_TYPES.TIME
+        ? { time: Math.round((set.time || 0) * REGRESSION_FACTOR) }
+        : { reps: Math.max(1, Math.round((set.reps || 0) * REGRESSION_FACTOR)) })
+    };
+  }
+
+  // 2. Holds: add time to every set
+  if (exerciseType === EXERCISE_TYPES.TIME) {
+    return {
+      ...base,
+      action: PROGRESSION_ACTIONS.INCREASE,
+      reason: `Add ${config.timeIncrementSeconds}s to each hold.`,
+      sets: mapSets(set => ({
+        time: (set.time || 0) + config.timeIncrementSeconds,
+        ...(set.weight ? { weight: set.weight } : {})
+      }))
+    };
+  }
+
+  // 3. Bodyweight: add reps until the ceiling, then progress the variation
+  if (!isLoaded) {
+    const atCeiling = lastSets.every(set => (set.reps || 0) >= config.maxBodyweightReps);
+    return {
+      ...base,
+      action: atCeiling ? PROGRESSION_ACTIONS.HOLD : PROGRESSION_ACTIONS.INCREASE,
+      reason: atCeiling
+        ? `${config.maxBodyweightReps}+ reps on every set: move to a harder variation.`
+        : 'Add one rep to each set.',
+      sets: mapSets(set => ({
+        reps: Math.min((set.reps || 0) + 1, config.maxBodyweightReps)
+      }))
+    };
+  }
+
+  // 4. Loaded exercises
+  const rpeValues = lastSets.map(getSetRpe).filter(rpe => rpe !== null);
+  const scheme = config.scheme === PROGRESSION_SCHEMES.RPE && rpeValues.length === 0
+    ? PROGRESSION_SCHEMES.DOUBLE // No effort logged: fall back to double progression
+    : config.scheme;
+
+  if (scheme === PROGRESSION_SCHEMES.RPE) {
+    const lastRpe = rpeValues.reduce((sum, rpe) => sum + rpe, 0) / rpeValues.length;
+    const gap = config.targetRpe - lastRpe;
+
+    let action = PROGRESSION_ACTIONS.HOLD;
+    let multiplier = 0;
+    if (gap >= 1) {
+      action = PROGRESSION_ACTIONS.INCREASE;
+      multiplier = 2;
+    } else if (gap >= 0.5) {
+      action = PROGRESSION_ACTIONS.INCREASE;
+      multiplier = 1;
+    } else if (gap <= -1) {
+      action = PROGRESSION_ACTIONS.DECREASE;
+      multiplier = -1;
+    }
+
+    return {
+      ...base,
+      scheme,
+      action,
+      reason: `Last session averaged RPE ${lastRpe.toFixed(1)} (target ${config.targetRpe}).`,
+      sets: mapSets(set => ({
+        weight: roundLoad((set.weight || 0) + Math.sign(multiplier) * getLoadIncrement(set.weight || 0, config, Math.abs(multiplier)), config.loadStepKg),
+        reps: set.reps
+      }))
+    };
+  }
+
+  if (scheme === PROGRESSION_SCHEMES.PERCENTAGE) {
+    const targetReps = config.repRange.min;
+    const completed = lastSets.every(set => (set.reps || 0) >= targetReps);
+
+    return {
+      ...base,
+      scheme,
+      action: completed ? PROGRESSION_ACTIONS.INCREASE : PROGRESSION_ACTIONS.HOLD,
+      reason: completed
+        ? `All sets hit ${targetReps} reps: add ${config.incrementPercent}% load.`
+        : `Repeat the load until every set hits ${targetReps} reps.`,
+      sets: mapSets(set => ({
+        weight: completed
+          ? roundLoad((set.weight || 0) + getLoadIncrement(set.weight || 0, config), config.loadStepKg)
+          : set.weight,
+        reps: targetReps
+      }))
+    };
+  }
+
+  // Double progression
+  const { min, max } = config.repRange;
+  const topOfRange = lastSets.every(set => (set.reps || 0) >= max);
+
+  return {
+    ...base,
+    scheme: PROGRESSION_SCHEMES.DOUBLE,
+    action: PROGRESSION_ACTIONS.INCREASE,
+    reason: topOfRange
+      ? `All sets hit ${max} reps: add load and restart at ${min} reps.`
+      : `Add a rep per set until every set hits ${max}.`,
+    sets: mapSets(set => topOfRange
+      ? {
+        weight: roundLoad((set.weight || 0) + getLoadIncrement(set.weight || 0, config), config.loadStepKg),
+        reps: min
+      }
+      : {
+        weight: set.weight,
+        reps: Math.min(Math.max((set.reps || 0) + 1, min), max)
+      })
+  };
+}
+
+/**
+ * The user's e1RM formula preference (profile.e1rmFormula)
+ * @param {string} userId - User ID
+ * @returns {Promise<string>}
+ */
+async function getPreferredE1rmFormula(userId) {
+  try {
+    const { getUserProfile } = await import('./dbService.js');
+    const profile = await getUserProfile(userId);
+    return profile?.e1rmFormula || DEFAULT_E1RM_FORMULA;
+  } catch (error) {
+    console.warn('Failed to load e1RM formula preference:', error);
+    return DEFAULT_E1RM_FORMULA;
+  }
+}
+
+/**
+ * Load a variation's history and prescribe its next session
+ * @param {string} userId - User ID
+ * @param {string} exerciseId - Exercise ID
+ * @param {string} variationId - Variation ID
+ * @param {Object} options - Progression options (see prescribeNextSession);
+ *   e1rmFormula defaults to the user's preference
+ * @returns {Promise<Object|null>} Prescription, or null if history could not be loaded
+ */
+export async function getProgressionTarget(userId, exerciseId, variationId, options = {}) {
+  try {
+    const [history, e1rmFormula] = await Promise.all([
+      getExerciseHistory(userId, exerciseId, variationId),
+      options.e1rmFormula ? options.e1rmFormula : getPreferredE1rmFormula(userId)
+    ]);
+    return prescribeNextSession(history, { ...options, e1rmFormula });
+  } catch (error) {
+    console.error('Error getting progression target:', error);
+    return null;
+  }
+}
+
+/**
+ * Format a set target for display: e.g. "82.5kg × 8", "12 reps", "0:45"
+ * @param {Object} target - { weight?, reps?, time? }
+ * @returns {string}
+ */
+export function formatSetTarget(target) {
+  if (!target) return '';
+
+  const parts = [];
+  if (typeof target.weight === 'number' && target.weight > 0) {
+    parts.push(`${target.weight}kg`);
+  }
+  if (typeof target.reps === 'number') {
+    parts.push(parts.length > 0 ? `${target.reps}` : `${target.reps} reps`);
+  }
+  if (typeof target.time === 'number') {
+    const minutes = Math.floor(target.time / 60);
+    const seconds = target.time % 60;
+    parts.push(`${minutes}:${seconds.toString().padStart(2, '0')}`);
+  }
+
+  return parts.join(' × ');
+}
@@ -4,11 +4,18 @@
  * Automatically generates next week's training sessions when the current week ends.
  * Uses LangGraph workflow via workoutGenerationService to generate sessions based on
  * user onboarding data and exercises/variations from Firebase.
+ * 
+ * Each generation continues the user's active mesocycle (accumulation → intensification → deload),
+ * which is persisted by the backend; a new block is only planned once the previous one is completed.
+ *
+ * The user's availability (js/core/availability.js) caps the days per week, and weeks with no
+ * available day (all blackout dates) are not generated.
  */
 
 import { generateWeeklySystem } from './workoutGenerationService.js';
 import { getSystemSessions, saveSessionToSystem, getTrainingSystem } from './dbService.js';
 import { getUserProfile } from './dbService.js';
+import { normalizeAvailability, getAvailableDatesInWeek, getBlackoutPeriod } from '../core/availability.js';
 
 /**
  * Get the start of the week (Monday) for a given date
@@ -133,7 +140,7 @@ function hasNextWeekSessions(allSessions) {
  * @param {string} userId - User ID
  * @param {Object} trainingSystem - Training system object
  * @param {Array} currentWeekSessions - Current week's sessions (not used, kept for compatibility)
- * @returns {Promise<Array>} Generated sessions for next week
+ * @returns {Promise<Array>} Generated sessions for next week (empty if the user can't train that week)
  */
 async function generateNextWeekSessions(userId, trainingSystem, currentWeekSessions) {
     try {
@@ -145,12 +152,21 @@ async function generateNextWeekSessions(userId, trainingSystem, currentWeekSessi
             throw new Error('User profile not found');
         }
         
-        // Prepare config for next week
+        // Days of next week the user can train (available days that are not blackout dates)
         const nextWeekStart = getNextWeekStart(new Date());
+        const availability = normalizeAvailability(userProfile.availability);
+        const availableDates = getAvailableDatesInWeek(availability, formatDate(nextWeekStart));
+        if (availableDates.length === 0) {
+            console.log('[WeeklyGenerator] No available days next week (blackout dates), skipping generation');
+            return [];
+        }
+        
+        // Prepare config for next week
         const config = {
-            daysPerWeek: trainingSystem.daysPerWeek || 4,
+            daysPerWeek: Math.min(trainingSystem.daysPerWeek || 4, availableDates.length),
             framework: trainingSystem.framework || 'Push/Pull',
-            startDate: formatDate(nextWeekStart)
+            startDate: formatDate(nextWeekStart),
+            mesocycleWeeks: trainingSystem.mesocycleWeeks
         };
         
         // Generate using LangGraph workflow via workoutGenerationService
@@ -165,7 +181,20 @@ async function generateNextWeekSessions(userId, trainingSystem, currentWeekSessi
         
         console.log('[WeeklyGenerator] Generated next week sessions:', generatedSystem.sessions.length);
         
-        return generatedSystem.sessions;
+        if (generatedSystem.mesocycle) {
+            const { week, totalWeeks, phase } = generatedSystem.mesocycle;
+            console.log(`[WeeklyGenerator] Mesocycle week ${week}/${totalWeeks} (${phase})`);
+        }
+        
+        // The backend plans around blackout dates; drop anything that still lands on one
+        // (e.g. a trip added while the week was being generated)
+        return generatedSystem.sessions.filter(session => {
+            const period = session.date ? getBlackoutPeriod(availability, String(session.date).split('T')[0]) : null;
+            if (period) {
+                console.warn('[WeeklyGenerator] Skipping session on a blackout date:', session.date, period.reason || '');
+            }
+            return !period;
+        });
     } catch (error) {
         console.error('[WeeklyGenerator] Error generating next week sessions:', error);
         throw error;
@@ -246,6 +275,10 @@ export async function checkAndGenerateNextWeek(userId, systemId) {
             currentWeekSessions
         );
         
+        if (nextWeekSessions.length === 0) {
+            return false;
+        }
+        
         // Save to Firestore
         await saveNextWeekSessions(userId, systemId, nextWeekSessions);
         
@@ -6,6 +6,7 @@
  */
 
 import { getAuthUser } from '../core/auth-manager.js';
+import { getGenerationRun } from './dbService.js';
 
 /**
  * Calculate training days of week
@@ -117,55 +118,266 @@ async function getAuthToken() {
   return user.getIdToken();
 }
 
+// Generation runs (users/{uid}/generationRuns/{runId}) are polled while generateWorkout runs
+const RUN_POLL_INTERVAL_MS = 3000;
+const RUN_MAX_WAIT_MS = 60 * 60 * 1000; // generateWorkout timeout (3600s)
+
+/**
+ * Create a generation run ID (sent to generateWorkout so the run can be polled right away)
+ * @returns {string} Run ID
+ */
+function createRunId() {
+  return `run_${Date.now()}_${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * Poll a generation run document until stopped
+ * @param {string} userId - User ID
+ * @param {string} runId - Generation run ID
+ * @param {Function} onUpdate - Called with the run document on every poll
+ * @returns {Function} stop() function
+ */
+function pollGenerationRun(userId, runId, onUpdate) {
+  let stopped = false;
+  let timer = null;
+
+  const tick = async () => {
+    if (stopped) return;
+    try {
+      const run = await getGenerationRun(userId, runId);
+      if (run && !stopped) {
+        onUpdate(run);
+      }
+    } catch (error) {
+      console.warn('[WorkoutGenerationService] Could not poll generation run:', error.message);
+    }
+    if (!stopped) {
+      timer = setTimeout(tick, RUN_POLL_INTERVAL_MS);
+    }
+  };
+
+  timer = setTimeout(tick, RUN_POLL_INTERVAL_MS);
+
+  return () => {
+    stopped = true;
+    clearTimeout(timer);
+  };
+}
+
+/**
+ * Wait until a generation run finishes (used when the generateWorkout connection drops
+ * but the function keeps running server-side)
+ * @param {string} userId - User ID
+ * @param {string} runId - Generation run ID
+ * @param {Function} [onProgress] - Called with the run document on every poll
+ * @returns {Promise<Object>} Finished run document (completed or failed)
+ */
+function waitForGenerationRun(userId, runId, onProgress) {
+  return new Promise((resolve, reject) => {
+    // Independent of the polls: the run document may never be written
+    // (e.g. the function died before creating the run)
+    const timeout = setTimeout(() => {
+      stop();
+      reject(new Error('Timed out waiting for workout generation'));
+    }, RUN_MAX_WAIT_MS);
+
+    const stop = pollGenerationRun(userId, runId, run => {
+      onProgress?.(run);
+      if (run.status === 'completed' || run.status === 'failed') {
+        clearTimeout(timeout);
+        stop();
+        resolve(run);
+      }
+    });
+  });
+}
+
+/**
+ * Human-readable progress of a generation run (for buttons/loading states)
+ * @param {Object} run - Generation run document
+ * @returns {string} Progress text
+ */
+export function describeGenerationRun(run) {
+  if (!run) return 'Generating...';
+  if (run.status === 'completed') return 'Plan ready!';
+  if (run.status === 'failed') return 'Generation failed';
+
+  const totalDays = run.weeklyPlan?.totalTrainingDays;
+  if (!totalDays) {
+    return 'Planning your week...';
+  }
+
+  const builtDays = run.days?.length || 0;
+  if (builtDays >= totalDays) {
+    return 'Saving your plan...';
+  }
+  return `Building day ${builtDays + 1} of ${totalDays}...`;
+}
+
+/**
+ * Build the error thrown for a failed generation, keeping the run ID for resuming
+ * @param {string} message - Error message
+ * @param {string|null} runId - Generation run ID
+ * @param {boolean} resumable - Whether the run can be resumed from its checkpoint
+ * @returns {Error}
+ */
+function createGenerationError(message, runId, resumable) {
+  const error = new Error(message);
+  error.runId = runId || null;
+  error.resumable = !!resumable;
+  return error;
+}
+
+/**
+ * Parse one Server-Sent Events frame ("event: x\ndata: {...}")
+ * @param {string} frame - Raw frame without the trailing blank line
+ * @returns {Object|null} Parsed event or null for comments/empty frames
+ */
+function parseSSEFrame(frame) {
+  const data = frame
+    .split('\n')
+    .filter(line => line.startsWith('data:'))
+    .map(line => line.slice(5).trimStart())
+    .join('\n');
+
+  if (!data) return null;
+  try {
+    return JSON.parse(data);
+  } catch (error) {
+    console.warn('[WorkoutGenerationService] Ignoring malformed stream event:', data);
+    return null;
+  }
+}
+
+/**
+ * Read the generateWorkout event stream, calling onEvent for every event
+ * Events: run, node, strategy, day_phase, day_assembled, persisted, complete, error
+ * @param {Response} response - fetch response with a text/event-stream body
+ * @param {Function} onEvent - Called with every parsed event
+ * @returns {Promise<Object>} Final result { sessions, mesocycle, runId }
+ * @throws {Error} On an "error" event (with runId/resumable), TypeError if the stream is cut
+ */
+async function readGenerationStream(response, onEvent) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true }).replace(/\r\n/g, '\n');
+    let boundary = buffer.indexOf('\n\n');
+
+    while (boundary !== -1) {
+      const event = parseSSEFrame(buffer.slice(0, boundary));
+      buffer = buffer.slice(boundary + 2);
+      boundary = buffer.indexOf('\n\n');
+
+      if (!event) continue;
+      onEvent(event);
+
+      if (event.type === 'complete') {
+        reader.cancel().catch(() => {});
+        return { sessions: event.sessions, mesocycle: event.mesocycle, runId: event.runId };
+      }
+      if (event.type === 'error') {
+        reader.cancel().catch(() => {});
+        throw createGenerationError(event.message, event.runId, event.resumable);
+      }
+    }
+  }
+
+  // Stream closed without a final event: treat it like a dropped connection
+  throw new TypeError('Generation stream ended unexpectedly');
+}
+
 /**
  * Generate a weekly training system using LangGraph
+ *
+ * The run is tracked in users/{uid}/generationRuns/{runId}: progress is polled while the
+ * request is in flight, and if the connection drops the result is read from the run.
+ * A failed run can be resumed from its last completed step with options.resumeRunId.
+ * With options.onEvent the response is streamed (Server-Sent Events): the weekly plan and
+ * each session are delivered as soon as the graph produces them.
+ *
  * @param {Object} userProfile - User profile with preferences, goals, etc.
- * @param {Object} config - Configuration (daysPerWeek, framework, startDate)
+ * @param {Object} config - Configuration (daysPerWeek, framework, startDate, mesocycleWeeks)
+ * @param {Object} options - { onProgress(run), onEvent(event), resumeRunId }
  * @returns {Promise<Object>} Generated weekly training system
+ * @throws {Error} With error.runId / error.resumable when the run can be resumed
  */
-export async function generateWeeklySystem(userProfile = {}, config = {}) {
+export async function generateWeeklySystem(userProfile = {}, config = {}, options = {}) {
+  const { onProgress, onEvent, resumeRunId } = options;
+  const user = getAuthUser();
+  const runId = resumeRunId || createRunId();
+  const stopPolling = onProgress && user ? pollGenerationRun(user.uid, runId, onProgress) : null;
+
   try {
     const token = await getAuthToken();
     const baseUrl = getFunctionsBaseUrl();
     const url = `${baseUrl}/generateWorkout`;
 
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${token}`,
-      },
-      body: JSON.stringify({
-        requestType: 'weekly',
-        config: {
-          daysPerWeek: config.daysPerWeek || 3,
-          framework: config.framework || 'Push/Pull',
-          startDate: config.startDate || new Date().toISOString().split('T')[0],
+    let data;
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${token}`,
+          ...(onEvent ? { 'Accept': 'text/event-stream' } : {}),
         },
-      }),
-    });
-
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
-      const errorMessage = errorData.error || errorData.message || `HTTP ${response.status}`;
-      const validationErrors = errorData.validationErrors || [];
-      
-      // Log detailed error information
-      console.error('[WorkoutGenerationService] Weekly system request failed:', {
-        status: response.status,
-        error: errorMessage,
-        validationErrors: validationErrors,
+        body: JSON.stringify({
+          requestType: 'weekly',
+          ...(resumeRunId ? { resumeRunId } : { runId }),
+          config: {
+            daysPerWeek: config.daysPerWeek || 3,
+            framework: config.framework || 'Push/Pull',
+            startDate: config.startDate || new Date().toISOString().split('T')[0],
+            // Only used when a new mesocycle block has to be planned (4-8 weeks)
+            ...(config.mesocycleWeeks ? { mesocycleWeeks: config.mesocycleWeeks } : {}),
+          },
+        }),
       });
-      
-      // Include validation errors in the error message if available
-      if (validationErrors.length > 0) {
-        throw new Error(`${errorMessage}: ${validationErrors.join(', ')}`);
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
+        const errorMessage = errorData.error || errorData.message || `HTTP ${response.status}`;
+        const validationErrors = errorData.validationErrors || [];
+        
+        // Log detailed error information
+        console.error('[WorkoutGenerationService] Weekly system request failed:', {
+          status: response.status,
+          error: errorMessage,
+          validationErrors: validationErrors,
+          runId: errorData.runId,
+        });
+        
+        // Include validation errors in the error message if available
+        const fullMessage = validationErrors.length > 0
+          ? `${errorMessage}: ${validationErrors.join(', ')}`
+          : errorMessage;
+        
+        throw createGenerationError(fullMessage, errorData.runId || runId, errorData.resumable);
+      }
+
+      const isStream = (response.headers.get('Content-Type') || '').includes('text/event-stream');
+      data = onEvent && isStream && response.body
+        ? await readGenerationStream(response, onEvent)
+        : await response.json();
+    } catch (error) {
+      // Network failure (connection dropped/timeout): the function may still be running
+      if (!(error instanceof TypeError) || !user) {
+        throw error;
       }
-      
-      throw new Error(errorMessage);
-    }
 
-    const data = await response.json();
+      console.warn('[WorkoutGenerationService] Connection lost, waiting for generation run', runId);
+      const run = await waitForGenerationRun(user.uid, runId, onProgress);
+      if (run.status !== 'completed') {
+        throw createGenerationError(run.error?.message || 'Workout generation failed', runId, true);
+      }
+      data = { ...run.result, runId };
+    }
     
     // Transform response to match expected format from workout-engine.js
     // Calculate training days of week
@@ -186,13 +398,142 @@ export async function generateWeeklySystem(userProfile = {}, config = {}) {
       framework: config.framework || 'Push/Pull',
       trainingDaysOfWeek: trainingDaysOfWeek,
       sessions: data.sessions || [],
+      // Current block of the periodized plan: { id, week, totalWeeks, phase }
+      mesocycle: data.mesocycle || null,
+      // Block length chosen by the user: the weekly generator plans the next blocks with it
+      mesocycleWeeks: data.mesocycle?.totalWeeks || config.mesocycleWeeks || null,
+      generationRunId: data.runId || runId,
       editable: true,
       createdAt: new Date().toISOString(),
     };
   } catch (error) {
     console.error('Error generating weekly system:', error);
-    throw new Error(`Failed to generate weekly system: ${error.message}`);
+    throw createGenerationError(
+      `Failed to generate weekly system: ${error.message}`,
+      error.runId,
+      error.resumable
+    );
+  } finally {
+    stopPolling?.();
   }
 }
 
+const SESSION_PHASES = ['warmup', 'workout', 'cooldown'];
+
+// Prescription fields of a generated variation copied to its session item
+const PRESCRIPTION_FIELDS = ['sets', 'reps', 'holdSeconds', 'tempo', 'restSeconds', 'estimatedSeconds'];
+
+/**
+ * Convert a generated variation ({ id, exerciseId, name, tags, disciplines }) to a session phase item
+ * @param {Object} variation - Variation from the generator
+ * @returns {Object} Session item ({ exerciseId, variationId, variationName, ... })
+ */
+function toSessionItem(variation) {
+  return {
+    // Key of the set state and the overload milestones (see arePrescribedSetsCompleted)
+    exerciseId: variation.exerciseId,
+    variationId: variation.id,
+    variationName: variation.name,
+    exerciseName: '',
+    tags: variation.tags || [],
+    disciplines: variation.disciplines || [],
+    // Superset / circuit / flow emitted by the assembler (see js/core/session-blocks.js)
+    ...(variation.blockId ? { blockId: variation.blockId, blockType: variation.blockType } : {}),
+    // Prescription and estimated duration (see js/core/session-duration.js)
+    ...Object.fromEntries(
+      PRESCRIPTION_FIELDS.filter(field => variation[field] !== undefined).map(field => [field, variation[field]])
+    ),
+  };
+}
+
+/**
+ * Merge a regenerated session from regenerateSession into a stored session
+ * Only the regenerated phases change (all of them when the session was fitted to a
+ * length, which may trim the other phases too); the date, id and completion state are kept.
+ * @param {Object} session - Stored session (training system sub-collection)
+ * @param {Object} regenerated - Session returned by the regenerateSession function
+ * @param {string|null} phase - Regenerated phase, or null for the whole day
+ * @returns {Object} Updated session
+ */
+export function applyRegeneratedSession(session, regenerated, phase = null) {
+  const regeneratedPhases = phase && !regenerated.targetMinutes ? [phase] : SESSION_PHASES;
+  const phases = {};
+
+  SESSION_PHASES.forEach(key => {
+    if (regeneratedPhases.includes(key)) {
+      phases[key] = (regenerated[key] || []).map(toSessionItem);
+    } else if (session.phases?.[key]) {
+      phases[key] = session.phases[key];
+    } else {
+      // Sessions saved straight from the generator only have the variation arrays
+      phases[key] = Array.isArray(session[key]) ? session[key].map(toSessionItem) : [];
+    }
+  });
+
+  const updated = {
+    ...session,
+    phases,
+    contraindications: regenerated.contraindications || [],
+    estimatedMinutes: regenerated.estimatedMinutes ?? null,
+    targetMinutes: regenerated.targetMinutes ?? null,
+    regeneratedAt: new Date().toISOString(),
+  };
+
+  // Keep the generator's variation arrays in sync when the session has them
+  regeneratedPhases.forEach(key => {
+    if (Array.isArray(session[key])) {
+      updated[key] = regenerated[key] || [];
+    }
+  });
+
+  return updated;
+}
+
+/**
+ * Regenerate one session (or one of its phases) of the current week
+ *
+ * Reruns the session part of the graph server-side, reusing the persisted weekly plan,
+ * and writes back only that session.
+ *
+ * @param {Object} session - Session to regenerate (needs its generated date)
+ * @param {Object} options - { phase: 'warmup' | 'workout' | 'cooldown' } (whole day if missing)
+ *   { targetMinutes } fits the session to that length; without phase the exercises are kept
+ * @returns {Promise<Object>} Session updated with applyRegeneratedSession
+ */
+export async function regenerateSession(session, options = {}) {
+  const { phase = null, targetMinutes = null } = options;
+  // Sessions moved in the calendar keep the date they were generated for
+  const date = session?.originalDate || session?.date;
+
+  if (!date) {
+    throw new Error('Session has no date to regenerate');
+  }
+
+  const token = await getAuthToken();
+  const url = `${getFunctionsBaseUrl()}/regenerateSession`;
+
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${token}`,
+    },
+    body: JSON.stringify({ date, ...(phase ? { phase } : {}), ...(targetMinutes ? { targetMinutes } : {}) }),
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
+    const errorMessage = errorData.error || errorData.message || `HTTP ${response.status}`;
+    console.error('[WorkoutGenerationService] Session regeneration failed:', {
+      status: response.status,
+      error: errorMessage,
+      date,
+      phase,
+      targetMinutes,
+    });
+    throw new Error(`Failed to regenerate session: ${errorMessage}`);
+  }
 
+  const data = await response.json();
+  return applyRegeneratedSession(session, data.session, phase);
+}
@@ -5,8 +5,17 @@ import { loadTemplate } from '../core/template-loader.js';
 import { searchExercises, getAISuggestions } from '../services/exerciseSearchService.js';
 import { saveSessionToSystem } from '../services/dbService.js';
 import { getAuthUser } from '../core/auth-manager.js';
+import { BLOCK_TYPES } from '../core/constants.js';
+import {
+    getPhaseBlocks,
+    getBlockLabel,
+    groupItemsIntoBlock,
+    ungroupBlock,
+    normalizePhaseBlocks
+} from '../core/session-blocks.js';
 
 const PHASE_KEYS = ['warmup', 'workout', 'cooldown'];
+const GROUP_BLOCK_TYPES = [BLOCK_TYPES.SUPERSET, BLOCK_TYPES.CIRCUIT, BLOCK_TYPES.FLOW];
 
 export class EditSessionManager {
     constructor() {
@@ -20,6 +29,12 @@ export class EditSessionManager {
         this.userId = null;
         this.systemId = null;
         this.pendingAction = null; // { type: 'add' | 'replace', phase, index? }
+        // Indices selected to be grouped into a superset / circuit / flow, per phase
+        this.selectedIndices = {
+            warmup: new Set(),
+            workout: new Set(),
+            cooldown: new Set()
+        };
         this.loading = false;
     }
 
@@ -148,6 +163,8 @@ export class EditSessionManager {
     }
 
     loadSession(session) {
+        PHASE_KEYS.forEach(phase => this.selectedIndices[phase].clear());
+
         if (!session || !session.phases) {
             this.editedPhases = {
                 warmup: [],
@@ -158,9 +175,9 @@ export class EditSessionManager {
         }
 
         this.editedPhases = {
-            warmup: Array.isArray(session.phases.warmup) ? [...session.phases.warmup] : [],
-            workout: Array.isArray(session.phases.workout) ? [...session.phases.workout] : [],
-            cooldown: Array.isArray(session.phases.cooldown) ? [...session.phases.cooldown] : []
+            warmup: Array.isArray(session.phases.warmup) ? normalizePhaseBlocks(session.phases.warmup) : [],
+            workout: Array.isArray(session.phases.workout) ? normalizePhaseBlocks(session.phases.workout) : [],
+            cooldown: Array.isArray(session.phases.cooldown) ? normalizePhaseBlocks(session.phases.cooldown) : []
         };
     }
 
@@ -171,14 +188,33 @@ export class EditSessionManager {
             if (!listEl) return;
 
             const items = this.editedPhases[phase] || [];
+            const selected = this.selectedIndices[phase];
             listEl.innerHTML = '';
 
-            items.forEach((item, index) => {
+            if (selected.size >= 2) {
+                listEl.appendChild(this.renderGroupToolbar(phase, selected.size));
+            }
+
+            const renderRow = (item, index) => {
                 const row = document.createElement('div');
                 row.className = 'flex items-center justify-between px-3 py-2 rounded-lg bg-zinc-900/80 border border-zinc-800';
 
+                const select = document.createElement('input');
+                select.type = 'checkbox';
+                select.className = 'mr-3 accent-white';
+                select.checked = selected.has(index);
+                select.setAttribute('aria-label', 'Select to group');
+                select.addEventListener('change', () => {
+                    if (select.checked) {
+                        selected.add(index);
+                    } else {
+                        selected.delete(index);
+                    }
+                    this.renderPhases();
+                });
+
                 const left = document.createElement('div');
-                left.className = 'flex flex-col';
+                left.className = 'flex flex-col flex-1';
 
                 const title = document.createElement('span');
                 title.className = 'text-xs font-medium text-white';
@@ -216,10 +252,42 @@ export class EditSessionManager {
                 actions.appendChild(replaceBtn);
                 actions.appendChild(removeBtn);
 
+                row.appendChild(select);
                 row.appendChild(left);
                 row.appendChild(actions);
 
-                listEl.appendChild(row);
+                return row;
+            };
+
+            getPhaseBlocks(items, phase).forEach(block => {
+                if (block.type === BLOCK_TYPES.STRAIGHT) {
+                    block.items.forEach(({ item, index }) => listEl.appendChild(renderRow(item, index)));
+                    return;
+                }
+
+                // Grouped exercises: one framed block with its type and an Ungroup action
+                const blockEl = document.createElement('div');
+                blockEl.className = 'space-y-2 pl-3 border-l-2 border-white/30';
+
+                const header = document.createElement('div');
+                header.className = 'flex items-center justify-between';
+
+                const label = document.createElement('span');
+                label.className = 'text-[11px] uppercase tracking-wide text-white/60';
+                label.textContent = getBlockLabel(block.type);
+
+                const ungroupBtn = document.createElement('button');
+                ungroupBtn.type = 'button';
+                ungroupBtn.className = 'text-[11px] text-white/70 hover:text-white px-2 py-1 rounded-md bg-white/5 hover:bg-white/10 transition-colors';
+                ungroupBtn.textContent = 'Ungroup';
+                ungroupBtn.addEventListener('click', () => this.ungroupPhaseBlock(phase, block.id));
+
+                header.appendChild(label);
+                header.appendChild(ungroupBtn);
+                blockEl.appendChild(header);
+                block.items.forEach(({ item, index }) => blockEl.appendChild(renderRow(item, index)));
+
+                listEl.appendChild(blockEl);
             });
 
             if (labelEl) {
@@ -229,6 +297,55 @@ export class EditSessionManager {
         });
     }
 
+    /**
+     * Toolbar shown when 2+ exercises of a phase are selected
+     * @param {string} phase - Phase key
+     * @param {number} count - Selected exercises
+     * @returns {HTMLElement}
+     */
+    renderGroupToolbar(phase, count) {
+        const toolbar = document.createElement('div');
+        toolbar.className = 'flex items-center justify-between gap-2 px-3 py-2 rounded-lg bg-white/5 border border-white/10';
+
+        const label = document.createElement('span');
+        label.className = 'text-[11px] text-white/70';
+        label.textContent = `Group ${count} as`;
+        toolbar.appendChild(label);
+
+        const buttons = document.createElement('div');
+        buttons.className = 'flex items-center gap-2';
+
+        GROUP_BLOCK_TYPES.forEach(type => {
+            const btn = document.createElement('button');
+            btn.type = 'button';
+            btn.className = 'text-[11px] text-white/70 hover:text-white px-2 py-1 rounded-md bg-white/5 hover:bg-white/10 transition-colors';
+            btn.textContent = getBlockLabel(type);
+            // A superset alternates exactly two exercises
+            btn.disabled = type === BLOCK_TYPES.SUPERSET && count !== 2;
+            btn.classList.toggle('opacity-40', btn.disabled);
+            btn.addEventListener('click', () => this.groupSelected(phase, type));
+            buttons.appendChild(btn);
+        });
+
+        toolbar.appendChild(buttons);
+        return toolbar;
+    }
+
+    groupSelected(phase, type) {
+        if (!PHASE_KEYS.includes(phase)) return;
+        const selected = [...this.selectedIndices[phase]];
+        this.editedPhases[phase] = groupItemsIntoBlock(this.editedPhases[phase] || [], selected, type);
+        this.selectedIndices[phase].clear();
+        this.renderPhases();
+    }
+
+    ungroupPhaseBlock(phase, blockId) {
+        if (!PHASE_KEYS.includes(phase)) return;
+        this.editedPhases[phase] = ungroupBlock(this.editedPhases[phase] || [], blockId);
+        this.selectedIndices[phase].clear();
+        this.renderPhases();
+    }
+
     addExerciseToPhase(phase, exercise, variation) {
         if (!PHASE_KEYS.includes(phase)) return;
         const target = this.editedPhases[phase] || [];
@@ -242,7 +359,9 @@ export class EditSessionManager {
         const target = this.editedPhases[phase] || [];
         if (index < 0 || index >= target.length) return;
         target.splice(index, 1);
-        this.editedPhases[phase] = target;
+        // Indices shift and a block may be left with a single exercise
+        this.editedPhases[phase] = normalizePhaseBlocks(target);
+        this.selectedIndices[phase].clear();
         this.renderPhases();
     }
 
@@ -250,7 +369,12 @@ export class EditSessionManager {
         if (!PHASE_KEYS.includes(phase)) return;
         const target = this.editedPhases[phase] || [];
         if (index < 0 || index >= target.length) return;
-        target[index] = this.buildSessionItem(exercise, variation);
+        // The replacement takes the place of the old exercise in its block
+        const { blockId, blockType } = target[index];
+        target[index] = {
+            ...this.buildSessionItem(exercise, variation),
+            ...(blockId ? { blockId, blockType } : {})
+        };
         this.editedPhases[phase] = target;
         this.renderPhases();
     }
@@ -3,6 +3,7 @@
  * 
  * Dynamic input component for exercise performance tracking.
  * Displays inputs based on exercise type (weight/reps/time) and shows last performance.
+ * Effort (RPE or reps in reserve), tempo and rest taken are optional for every type.
  */
 
 import {
@@ -10,9 +11,13 @@ import {
   getExerciseInputs,
   validateExerciseInput,
   getDefaultValues,
-  formatExerciseType
+  formatExerciseType,
+  normalizeTempo,
+  EFFORT_TYPES,
+  MAX_RIR
 } from '../services/exerciseTypeService.js';
 import { getLastPerformance } from '../services/exerciseHistoryService.js';
+import { getProgressionTarget } from '../services/progressionService.js';
 
 export class ExerciseInput {
   constructor(containerId, options = {}) {
@@ -32,10 +37,16 @@ export class ExerciseInput {
     this.currentVariation = null;
     this.exerciseType = null;
     this.lastPerformance = null;
+    this.progressionTarget = null;
+    this.effortType = EFFORT_TYPES.RPE;
     this.values = {
       weight: null,
       reps: null,
-      time: null
+      time: null,
+      rpe: null,
+      rir: null,
+      tempo: null,
+      restSeconds: null
     };
   }
 
@@ -61,14 +72,27 @@ export class ExerciseInput {
         console.warn('Failed to load last performance:', error);
         this.lastPerformance = null;
       }
+
+      // Next-session prescription from the progression engine (first set target)
+      const prescription = await getProgressionTarget(
+        this.options.userId,
+        exercise.id,
+        variation.id || variation.variationId,
+        { exerciseType: this.exerciseType }
+      );
+      this.progressionTarget = prescription?.sets?.[0] || null;
     }
 
     // Get default values
-    const defaults = getDefaultValues(this.exerciseType, variation, this.lastPerformance);
+    const defaults = getDefaultValues(this.exerciseType, variation, this.lastPerformance, this.progressionTarget);
     this.values = {
       weight: defaults.weight || null,
       reps: defaults.reps || null,
-      time: defaults.time || null
+      time: defaults.time || null,
+      rpe: null,
+      rir: null,
+      tempo: null,
+      restSeconds: null
     };
 
     this.render();
@@ -113,6 +137,8 @@ export class ExerciseInput {
       html += this.renderTimeInput();
     }
 
+    html += this.renderDetailsInputs();
+
     html += '</div>';
 
     // Add "Use Last" button if last performance exists
@@ -284,6 +310,61 @@ export class ExerciseInput {
     `;
   }
 
+  /**
+   * Render effort (RPE/RIR), tempo and rest inputs
+   */
+  renderDetailsInputs() {
+    const isRir = this.effortType === EFFORT_TYPES.RIR;
+    const effortValue = (isRir ? this.values.rir : this.values.rpe) ?? '';
+    const prescribedTempo = normalizeTempo(this.currentVariation?.tempo);
+
+    return `
+      <div class="input-group grid grid-cols-3 gap-3">
+        <div>
+          <label class="text-sm text-white/60 mb-2 block">
+            <select id="input-effort-type" class="bg-transparent text-white/60 focus:outline-none" data-input="effortType">
+              <option value="${EFFORT_TYPES.RPE}" ${isRir ? '' : 'selected'}>RPE</option>
+              <option value="${EFFORT_TYPES.RIR}" ${isRir ? 'selected' : ''}>RIR</option>
+            </select>
+          </label>
+          <input 
+            type="number" 
+            id="input-effort" 
+            class="w-full bg-white/10 border border-white/20 rounded-lg px-3 py-2 text-white text-center font-semibold focus:outline-none focus:border-white/40"
+            value="${effortValue}"
+            min="${isRir ? 0 : 1}"
+            max="${isRir ? MAX_RIR : 10}"
+            step="${isRir ? 1 : 0.5}"
+            data-input="effort"
+          />
+        </div>
+        <div>
+          <label class="text-sm text-white/60 mb-2 block">Tempo</label>
+          <input 
+            type="text" 
+            id="input-tempo" 
+            class="w-full bg-white/10 border border-white/20 rounded-lg px-3 py-2 text-white text-center font-semibold focus:outline-none focus:border-white/40"
+            value="${this.values.tempo ?? ''}"
+            placeholder="${prescribedTempo || '3-1-1-0'}"
+            data-input="tempo"
+          />
+        </div>
+        <div>
+          <label class="text-sm text-white/60 mb-2 block">Rest (s)</label>
+          <input 
+            type="number" 
+            id="input-restSeconds" 
+            class="w-full bg-white/10 border border-white/20 rounded-lg px-3 py-2 text-white text-center font-semibold focus:outline-none focus:border-white/40"
+            value="${this.values.restSeconds ?? ''}"
+            min="0"
+            step="5"
+            data-input="restSeconds"
+          />
+        </div>
+      </div>
+    `;
+  }
+
   /**
    * Attach event listeners
    */
@@ -298,13 +379,25 @@ export class ExerciseInput {
     });
 
     // Input fields
-    this.container.querySelectorAll('input[type="number"]').forEach(input => {
+    this.container.querySelectorAll('input[type="number"], input[type="text"]').forEach(input => {
       input.addEventListener('input', (e) => {
         const inputType = e.target.getAttribute('data-input');
         this.handleInputChange(inputType, e.target.value);
       });
     });
 
+    // Effort scale (RPE / RIR)
+    const effortTypeSelect = this.container.querySelector('#input-effort-type');
+    if (effortTypeSelect) {
+      effortTypeSelect.addEventListener('change', (e) => {
+        this.effortType = e.target.value === EFFORT_TYPES.RIR ? EFFORT_TYPES.RIR : EFFORT_TYPES.RPE;
+        this.values.rpe = null;
+        this.values.rir = null;
+        this.render();
+        this.notifyValueChange();
+      });
+    }
+
     // Use Last button
     const useLastBtn = this.container.querySelector('#use-last-btn');
     if (useLastBtn) {
@@ -347,6 +440,12 @@ export class ExerciseInput {
       const minutes = parseInt(this.container.querySelector('#input-time-minutes')?.value || 0);
       const seconds = parseInt(this.container.querySelector('#input-time-seconds')?.value || 0);
       this.values.time = minutes * 60 + seconds;
+    } else if (inputType === 'effort') {
+      this.values[this.effortType] = value === '' ? null : parseFloat(value);
+    } else if (inputType === 'tempo') {
+      this.values.tempo = value.trim() === '' ? null : (normalizeTempo(value) || value.trim());
+    } else if (inputType === 'restSeconds') {
+      this.values.restSeconds = value === '' ? null : parseFloat(value);
     } else {
       this.values[inputType] = parseFloat(value) || 0;
     }
@@ -443,6 +542,13 @@ export class ExerciseInput {
     if (values.weight !== undefined) this.values.weight = values.weight;
     if (values.reps !== undefined) this.values.reps = values.reps;
     if (values.time !== undefined) this.values.time = values.time;
+    if (values.rpe !== undefined) this.values.rpe = values.rpe;
+    if (values.rir !== undefined) this.values.rir = values.rir;
+    if (values.tempo !== undefined) this.values.tempo = values.tempo;
+    if (values.restSeconds !== undefined) this.values.restSeconds = values.restSeconds;
+    if (typeof values.rir === 'number' && typeof values.rpe !== 'number') {
+      this.effortType = EFFORT_TYPES.RIR;
+    }
     this.render();
   }
 
@@ -6,6 +6,8 @@
 import { loadTemplate, injectTemplate } from '../core/template-loader.js';
 import { getSessionReport, getCompletedSessions } from '../services/dbService.js';
 import { buildSessionReportData } from '../core/workout-metrics.js';
+import { getBlockLabel } from '../core/session-blocks.js';
+import { escapeHtml } from '../core/ui-utils.js';
 import { generatePerformanceReportNarrative } from '../services/performanceReportService.js';
 import { Chart, registerables } from 'chart.js';
 import html2pdf from 'html2pdf.js';
@@ -162,6 +164,9 @@ async function loadAndRenderReport(reportId, sessionId, sessionDate) {
         // Render narrative
         renderNarrative(narrative);
 
+        // Render supersets / circuits / flows volume
+        renderBlocks(transformedReportData.blocks);
+
         // Render exercises with charts
         await renderExercises(transformedReportData.exercises, narrative.exerciseInsights || {});
 
@@ -234,7 +239,8 @@ function renderNarrative(narrative) {
     if (!summaryEl) return;
 
     // Convert markdown-like formatting to HTML
-    let summary = narrative.macroSummary || '';
+    // The narrative is LLM output: escape it before adding any markup
+    let summary = escapeHtml(narrative.macroSummary || '');
     
     // Simple markdown to HTML conversion
     summary = summary
@@ -244,6 +250,66 @@ function renderNarrative(narrative) {
         .replace(/\n/g, '<br>');
 
     summaryEl.innerHTML = `<p>${summary}</p>`;
+
+    // Structured sections (older cached narratives only have macroSummary)
+    const highlights = Array.isArray(narrative.highlights) ? narrative.highlights : [];
+    const concerns = Array.isArray(narrative.concerns) ? narrative.concerns : [];
+
+    if (highlights.length > 0) {
+        summaryEl.innerHTML += `
+            <h4 class="text-white font-semibold mt-4 mb-2">Highlights</h4>
+            <ul class="space-y-1">
+                ${highlights.map(item => `<li><i class="fas fa-check text-green-400 mr-2"></i>${escapeHtml(item)}</li>`).join('')}
+            </ul>
+        `;
+    }
+
+    if (concerns.length > 0) {
+        summaryEl.innerHTML += `
+            <h4 class="text-white font-semibold mt-4 mb-2">Watch Out</h4>
+            <ul class="space-y-1">
+                ${concerns.map(item => `<li><i class="fas fa-exclamation-circle text-yellow-400 mr-2"></i>${escapeHtml(item)}</li>`).join('')}
+            </ul>
+        `;
+    }
+
+    if (narrative.nextSessionRecommendation) {
+        summaryEl.innerHTML += `
+            <h4 class="text-white font-semibold mt-4 mb-2">Next Session</h4>
+            <p>${escapeHtml(narrative.nextSessionRecommendation)}</p>
+        `;
+    }
+}
+
+/**
+ * Render volume per superset / circuit / flow (hidden when the session has none)
+ */
+function renderBlocks(blocks) {
+    const section = document.getElementById('block-breakdown');
+    const container = document.getElementById('block-list');
+    if (!section || !container) return;
+
+    if (!blocks || blocks.length === 0) {
+        section.classList.add('hidden');
+        container.innerHTML = '';
+        return;
+    }
+
+    container.innerHTML = blocks.map(block => `
+        <div class="glass-strong rounded-xl p-4">
+            <div class="flex items-center justify-between gap-4">
+                <div>
+                    <span class="text-xs uppercase tracking-wide text-white/60">${block.label}</span>
+                    <p class="text-white font-semibold">${block.exercises.join(' + ')}</p>
+                </div>
+                <div class="text-right text-sm">
+                    <div class="text-white font-semibold">${block.volumeChange || `${block.totalVolume}kg`}</div>
+                    <div class="text-white/60">${block.rounds} ${block.rounds === 1 ? 'round' : 'rounds'}</div>
+                </div>
+            </div>
+        </div>
+    `).join('');
+    section.classList.remove('hidden');
 }
 
 /**
@@ -272,8 +338,13 @@ async function renderExercises(exercises, exerciseInsights) {
                                     PR
                                 </span>
                             ` : ''}
+                            ${exercise.strength?.isE1RMPR ? `
+                                <span class="px-2 py-1 bg-yellow-500/20 text-yellow-400 rounded-full text-xs font-medium">
+                                    e1RM PR
+                                </span>
+                            ` : ''}
                         </div>
-                        <p class="text-white/80 mb-3">${insight}</p>
+                        <p class="text-white/80 mb-3">${escapeHtml(insight)}</p>
                         <div class="flex items-center gap-4 text-sm">
                             <div>
                                 <span class="text-white/60">${exercise.comparison.metric}</span>
@@ -281,7 +352,26 @@ async function renderExercises(exercises, exerciseInsights) {
                                     ${exercise.comparison.delta}
                                 </span>
                             </div>
+                            ${exercise.comparison.effort ? `
+                                <div>
+                                    <span class="text-white/60">Effort</span>
+                                    <span class="text-white font-semibold ml-2">${exercise.comparison.effort}</span>
+                                </div>
+                            ` : ''}
+                            ${exercise.comparison.rest ? `
+                                <div>
+                                    <span class="text-white/60">Rest</span>
+                                    <span class="text-white font-semibold ml-2">${exercise.comparison.rest}</span>
+                                </div>
+                            ` : ''}
+                            ${exercise.comparison.tempoAdherence ? `
+                                <div>
+                                    <span class="text-white/60">On tempo</span>
+                                    <span class="text-white font-semibold ml-2">${exercise.comparison.tempoAdherence}</span>
+                                </div>
+                            ` : ''}
                         </div>
+                        ${renderStrengthSummary(exercise.strength)}
                     </div>
                     <div class="w-32 h-20">
                         <canvas id="sparkline-${exercise.id}" class="sparkline-chart"></canvas>
@@ -305,8 +395,8 @@ async function renderExercises(exercises, exerciseInsights) {
             return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
         });
         
-        // Use maxWeight if available, otherwise avgVolume
-        const data = exercise.history.map(h => h.maxWeight || h.avgVolume || h.maxReps || 0);
+        // Use e1RM if available (comparable across load/rep schemes), then maxWeight, otherwise avgVolume
+        const data = exercise.history.map(h => h.e1rm || h.maxWeight || h.avgVolume || h.maxReps || 0);
 
         const chart = new Chart(ctx, {
             type: 'line',
@@ -355,6 +445,66 @@ async function renderExercises(exercises, exerciseInsights) {
     });
 }
 
+/**
+ * Render the strength block of an exercise: e1RM, best e1RM, relative strength
+ * and the 3RM/5RM/10RM table (only for loaded exercises)
+ */
+function renderStrengthSummary(strength) {
+    if (!strength) return '';
+
+    const formulaLabel = strength.formula === 'brzycki' ? 'Brzycki' : 'Epley';
+    const formatLoad = (value) => (typeof value === 'number' ? `${value}kg` : '—');
+    const repMaxes = strength.repMaxes || [];
+
+    return `
+        <div class="mt-4 pt-4 border-t border-white/10 text-sm">
+            <div class="flex flex-wrap items-center gap-x-6 gap-y-2">
+                <div>
+                    <span class="text-white/60">e1RM (${formulaLabel})</span>
+                    <span class="text-white font-semibold ml-2">${formatLoad(strength.e1rm)}</span>
+                    ${strength.e1rmSet ? `<span class="text-white/40 ml-1">${strength.e1rmSet.weight}kg × ${strength.e1rmSet.reps}</span>` : ''}
+                </div>
+                <div>
+                    <span class="text-white/60">Best e1RM</span>
+                    <span class="text-white font-semibold ml-2">${formatLoad(strength.bestE1RM)}</span>
+                </div>
+                ${(strength.progression || []).length > 1 ? `
+                    <div>
+                        <span class="text-white/60">Best e1RM trend</span>
+                        <span class="text-white/80 ml-2">${strength.progression.map(p => p.bestE1RM).join(' → ')}</span>
+                    </div>
+                ` : ''}
+                ${typeof strength.relativeStrength === 'number' ? `
+                    <div>
+                        <span class="text-white/60">Relative strength</span>
+                        <span class="text-white font-semibold ml-2">${strength.relativeStrength}× BW</span>
+                    </div>
+                ` : ''}
+            </div>
+            ${repMaxes.length > 0 ? `
+                <table class="mt-3 w-full max-w-sm text-left">
+                    <thead>
+                        <tr class="text-white/60">
+                            <th class="font-normal pr-4"></th>
+                            ${repMaxes.map(rm => `<th class="font-normal pr-4">${rm.reps}RM</th>`).join('')}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        <tr>
+                            <td class="text-white/60 pr-4">Actual</td>
+                            ${repMaxes.map(rm => `<td class="text-white pr-4">${formatLoad(rm.actual)}</td>`).join('')}
+                        </tr>
+                        <tr>
+                            <td class="text-white/60 pr-4">Estimated</td>
+                            ${repMaxes.map(rm => `<td class="text-white/80 pr-4">${formatLoad(rm.estimated)}</td>`).join('')}
+                        </tr>
+                    </tbody>
+                </table>
+            ` : ''}
+        </div>
+    `;
+}
+
 /**
  * Render macro chart (radar or bar chart)
  */
@@ -562,6 +712,11 @@ function extractSetDataFromCompletedSession(completedSession) {
                     weight: set.weight,
                     reps: set.reps,
                     time: set.time,
+                    rpe: set.rpe,
+                    rir: set.rir,
+                    tempo: set.tempo,
+                    prescribedTempo: set.prescribedTempo,
+                    restSeconds: set.restSeconds,
                     notes: set.notes,
                     completed: set.completed
                 };
@@ -594,6 +749,7 @@ function transformReportDataForNarrative(reportData) {
         const history = (ex.history || []).map(h => ({
             date: h.date,
             maxWeight: h.maxWeight,
+            e1rm: h.e1rm,
             avgVolume: h.avgVolume,
             maxReps: h.maxReps
         }));
@@ -611,7 +767,13 @@ function transformReportDataForNarrative(reportData) {
                     ? `${ex.comparison.volumeDeltaPercent >= 0 ? '+' : ''}${ex.comparison.volumeDeltaPercent}%`
                     : 'N/A',
             improvement: ex.comparison.improvement === true,
-            isPR: ex.comparison.isPR === true
+            isPR: ex.comparison.isPR === true,
+            // Effort (as RPE), rest and tempo vs the last session
+            effort: formatChange(ex.comparison.previousAvgRpe, ex.comparison.currentAvgRpe, 'RPE '),
+            rest: formatChange(ex.comparison.previousAvgRestSeconds, ex.comparison.currentAvgRestSeconds, '', 's'),
+            tempoAdherence: typeof ex.comparison.tempoAdherence === 'number'
+                ? `${ex.comparison.tempoAdherence}%`
+                : null
         };
 
         return {
@@ -620,17 +782,36 @@ function transformReportDataForNarrative(reportData) {
             exerciseId: ex.exerciseId,
             variationId: ex.variationId,
             history,
-            comparison
+            comparison,
+            strength: ex.strength || null
         };
     });
 
+    const blocks = (reportData.blocks || []).map(block => ({
+        label: getBlockLabel(block.blockType),
+        exercises: block.exercises || [],
+        totalVolume: block.totalVolume || 0,
+        rounds: block.rounds || 0,
+        volumeChange: formatChange(block.previousVolume, block.totalVolume, '', 'kg')
+    }));
+
     return {
         sessionDate: reportData.sessionDate,
         macroStats,
-        exercises
+        exercises,
+        blocks
     };
 }
 
+/**
+ * Format a previous → current change, e.g. "RPE 8 → 7.5" (or just the current value)
+ */
+function formatChange(previous, current, prefix = '', suffix = '') {
+    if (typeof current !== 'number') return null;
+    if (typeof previous !== 'number') return `${prefix}${current}${suffix}`;
+    return `${prefix}${previous}${suffix} → ${current}${suffix}`;
+}
+
 /**
  * Format duration in seconds to readable string
  */
@@ -0,0 +1,443 @@
+/**
+ * SessionTimer
+ *
+ * Rest and interval timers of the session overlay.
+ * - Rest: countdown started when a set is marked done (per-phase default, see DEFAULT_REST_SECONDS)
+ * - Interval: EMOM, Tabata and AMRAP countdowns for Crossfit / Animal Flow flows
+ * - Audio (Web Audio beeps) and vibration cues on the last seconds and on every transition
+ * - The state only stores timestamps and is saved through saveSessionProgress,
+ *   so a reload resumes the running timer where it was
+ *
+ * Expected options:
+ *   - sessionId: session progress id (same as the journal: session date or day)
+ *   - onFinished(timer)
+ */
+
+import { INTERVAL_TIMER_PRESETS } from '../core/constants.js';
+import { getSessionProgress, saveSessionProgress } from '../core/storage.js';
+
+export const TIMER_MODES = {
+  REST: 'rest',
+  EMOM: 'emom',
+  TABATA: 'tabata',
+  AMRAP: 'amrap'
+};
+
+const MODE_LABELS = {
+  [TIMER_MODES.REST]: 'Rest',
+  [TIMER_MODES.EMOM]: 'EMOM',
+  [TIMER_MODES.TABATA]: 'Tabata',
+  [TIMER_MODES.AMRAP]: 'AMRAP'
+};
+
+const TICK_MS = 250;
+const COUNTDOWN_CUE_SECONDS = 3;
+const REST_ADJUST_SECONDS = 15;
+
+/**
+ * Status of a timer at a given time, derived from its saved state
+ * @param {Object} timer - { mode, startedAt, pausedAt, pausedMs, config }
+ * @param {number} now - Timestamp (ms)
+ * @returns {Object} { phase: 'work' | 'rest' | 'done', round, totalRounds, remainingSeconds, elapsedSeconds, finished }
+ */
+export function getTimerStatus(timer, now = Date.now()) {
+  const elapsedMs = Math.max(0, (timer.pausedAt ?? now) - timer.startedAt - (timer.pausedMs || 0));
+  const elapsed = elapsedMs / 1000;
+  const config = timer.config || {};
+  const elapsedSeconds = Math.floor(elapsed);
+
+  const status = (phase, round, totalRounds, remaining) => ({
+    phase,
+    round,
+    totalRounds,
+    remainingSeconds: Math.max(0, Math.ceil(remaining)),
+    elapsedSeconds,
+    finished: phase === 'done'
+  });
+
+  if (timer.mode === TIMER_MODES.EMOM) {
+    const total = config.rounds * config.intervalSeconds;
+    if (elapsed >= total) return status('done', config.rounds, config.rounds, 0);
+
+    const round = Math.floor(elapsed / config.intervalSeconds) + 1;
+    return status('work', round, config.rounds, round * config.intervalSeconds - elapsed);
+  }
+
+  if (timer.mode === TIMER_MODES.TABATA) {
+    const cycle = config.workSeconds + config.restSeconds;
+    // The last round ends with its work interval
+    const total = config.rounds * cycle - config.restSeconds;
+    if (elapsed >= total) return status('done', config.rounds, config.rounds, 0);
+
+    const round = Math.floor(elapsed / cycle) + 1;
+    const inCycle = elapsed - (round - 1) * cycle;
+    return inCycle < config.workSeconds
+      ? status('work', round, config.rounds, config.workSeconds - inCycle)
+      : status('rest', round, config.rounds, cycle - inCycle);
+  }
+
+  // Rest and AMRAP: a single countdown
+  if (elapsed >= config.durationSeconds) return status('done', 1, 1, 0);
+  return status(timer.mode === TIMER_MODES.REST ? 'rest' : 'work', 1, 1, config.durationSeconds - elapsed);
+}
+
+/**
+ * Format seconds as m:ss
+ * @param {number} seconds
+ * @returns {string}
+ */
+function formatClock(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Ask for a positive integer (interval timer setup)
+ * @returns {number|null} Value, or null if cancelled/invalid
+ */
+function promptPositiveInteger(message, defaultValue) {
+  const answer = window.prompt(message, String(defaultValue));
+  if (answer === null) return null;
+
+  const value = parseInt(answer, 10);
+  return Number.isInteger(value) && value > 0 ? value : null;
+}
+
+export class SessionTimer {
+  /**
+   * @param {string} containerId
+   * @param {Object} options
+   */
+  constructor(containerId, options = {}) {
+    this.container = document.getElementById(containerId);
+    if (!this.container) {
+      throw new Error(`SessionTimer: container "${containerId}" not found`);
+    }
+
+    this.sessionId = options.sessionId || null;
+    this.onFinished = options.onFinished || null;
+
+    // { mode, label, startedAt, pausedAt, pausedMs, config }
+    this.timer = null;
+    this.intervalId = null;
+    this.lastCueKey = null;
+    this.audioContext = null;
+
+    this._handleClick = (event) => {
+      const actionEl = event.target instanceof HTMLElement ? event.target.closest('[data-timer-action]') : null;
+      if (actionEl) {
+        this.handleAction(actionEl.dataset.timerAction);
+      }
+    };
+  }
+
+  /**
+   * Render and resume a timer saved with the session progress (if still running)
+   */
+  render() {
+    const progress = getSessionProgress();
+    if (progress && progress.sessionId === this.sessionId && progress.timer) {
+      this.timer = progress.timer;
+      if (getTimerStatus(this.timer).finished) {
+        this.timer = null;
+        this.persist();
+      }
+    }
+
+    this.container.removeEventListener('click', this._handleClick);
+    this.container.addEventListener('click', this._handleClick);
+    this.renderHtml();
+
+    if (this.timer) {
+      this.startTicking();
+    }
+  }
+
+  renderHtml() {
+    if (!this.timer) {
+      this.container.innerHTML = `
+        <div class="session-timer session-timer--idle">
+          <span class="session-timer-label">Intervals</span>
+          <div class="session-timer-modes">
+            <button class="session-timer-btn" data-timer-action="${TIMER_MODES.EMOM}">EMOM</button>
+            <button class="session-timer-btn" data-timer-action="${TIMER_MODES.TABATA}">Tabata</button>
+            <button class="session-timer-btn" data-timer-action="${TIMER_MODES.AMRAP}">AMRAP</button>
+          </div>
+        </div>
+      `;
+      return;
+    }
+
+    const isRest = this.timer.mode === TIMER_MODES.REST;
+    const isPaused = !!this.timer.pausedAt;
+
+    this.container.innerHTML = `
+      <div class="session-timer session-timer--${this.timer.mode}" data-role="timer">
+        <div class="session-timer-info">
+          <span class="session-timer-label">${this.timer.label || MODE_LABELS[this.timer.mode]}</span>
+          <span class="session-timer-round" data-role="timer-round"></span>
+        </div>
+        <span class="session-timer-clock" data-role="timer-clock">0:00</span>
+        <div class="session-timer-controls">
+          ${isRest ? `
+            <button class="session-timer-btn" data-timer-action="subtract">-${REST_ADJUST_SECONDS}s</button>
+            <button class="session-timer-btn" data-timer-action="add">+${REST_ADJUST_SECONDS}s</button>
+          ` : `
+            <button class="session-timer-btn" data-timer-action="pause">${isPaused ? 'Resume' : 'Pause'}</button>
+          `}
+          <button class="session-timer-btn" data-timer-action="stop">${isRest ? 'Skip' : 'Stop'}</button>
+        </div>
+      </div>
+    `;
+    this.updateDisplay();
+  }
+
+  handleAction(action) {
+    switch (action) {
+      case TIMER_MODES.EMOM:
+      case TIMER_MODES.TABATA:
+      case TIMER_MODES.AMRAP:
+        this.startInterval(action);
+        break;
+      case 'add':
+        this.adjustRest(REST_ADJUST_SECONDS);
+        break;
+      case 'subtract':
+        this.adjustRest(-REST_ADJUST_SECONDS);
+        break;
+      case 'pause':
+        if (this.timer?.pausedAt) {
+          this.resume();
+        } else {
+          this.pause();
+        }
+        break;
+      case 'stop':
+        this.stop();
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Start the rest countdown after a set
+   * Ignored while an interval timer is running (the interval drives the work/rest).
+   * @param {number} seconds - Rest duration
+   * @param {string} label - Label shown next to the clock
+   */
+  startRest(seconds, label = 'Rest') {
+    if (this.isIntervalRunning() || !(seconds > 0)) return;
+    this.start(TIMER_MODES.REST, { durationSeconds: seconds }, label);
+  }
+
+  /**
+   * Ask for the interval setup (rounds / minutes) and start it
+   * @param {string} mode - EMOM | TABATA | AMRAP
+   */
+  startInterval(mode) {
+    if (mode === TIMER_MODES.EMOM) {
+      const rounds = promptPositiveInteger('EMOM: how many minutes?', INTERVAL_TIMER_PRESETS.EMOM.rounds);
+      if (!rounds) return;
+      this.start(mode, { ...INTERVAL_TIMER_PRESETS.EMOM, rounds });
+    } else if (mode === TIMER_MODES.TABATA) {
+      const rounds = promptPositiveInteger(
+        `Tabata (${INTERVAL_TIMER_PRESETS.TABATA.workSeconds}s on / ${INTERVAL_TIMER_PRESETS.TABATA.restSeconds}s off): how many rounds?`,
+        INTERVAL_TIMER_PRESETS.TABATA.rounds
+      );
+      if (!rounds) return;
+      this.start(mode, { ...INTERVAL_TIMER_PRESETS.TABATA, rounds });
+    } else if (mode === TIMER_MODES.AMRAP) {
+      const minutes = promptPositiveInteger(
+        'AMRAP: how many minutes?',
+        INTERVAL_TIMER_PRESETS.AMRAP.durationSeconds / 60
+      );
+      if (!minutes) return;
+      this.start(mode, { durationSeconds: minutes * 60 });
+    }
+  }
+
+  start(mode, config, label = null) {
+    this.timer = {
+      mode,
+      label: label || MODE_LABELS[mode],
+      startedAt: Date.now(),
+      pausedAt: null,
+      pausedMs: 0,
+      config
+    };
+    this.lastCueKey = null;
+    this.unlockAudio();
+    this.persist();
+    this.renderHtml();
+    this.startTicking();
+  }
+
+  isIntervalRunning() {
+    return !!this.timer && this.timer.mode !== TIMER_MODES.REST;
+  }
+
+  adjustRest(deltaSeconds) {
+    if (!this.timer || this.timer.mode !== TIMER_MODES.REST) return;
+
+    const { elapsedSeconds } = getTimerStatus(this.timer);
+    this.timer.config.durationSeconds = Math.max(elapsedSeconds + 1, this.timer.config.durationSeconds + deltaSeconds);
+    this.persist();
+    this.updateDisplay();
+  }
+
+  pause() {
+    if (!this.timer || this.timer.pausedAt) return;
+    this.timer.pausedAt = Date.now();
+    this.persist();
+    this.renderHtml();
+  }
+
+  resume() {
+    if (!this.timer || !this.timer.pausedAt) return;
+    this.timer.pausedMs = (this.timer.pausedMs || 0) + (Date.now() - this.timer.pausedAt);
+    this.timer.pausedAt = null;
+    this.persist();
+    this.renderHtml();
+  }
+
+  stop() {
+    this.stopTicking();
+    this.timer = null;
+    this.persist();
+    this.renderHtml();
+  }
+
+  startTicking() {
+    this.stopTicking();
+    this.intervalId = setInterval(() => this.tick(), TICK_MS);
+    this.tick();
+  }
+
+  stopTicking() {
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+    }
+  }
+
+  tick() {
+    if (!this.timer) return;
+
+    const status = getTimerStatus(this.timer);
+    this.updateDisplay(status);
+    this.playCues(status);
+
+    if (status.finished) {
+      const finishedTimer = this.timer;
+      this.stop();
+      if (this.onFinished) {
+        this.onFinished(finishedTimer);
+      }
+    }
+  }
+
+  updateDisplay(status = this.timer ? getTimerStatus(this.timer) : null) {
+    if (!status) return;
+
+    const timerEl = this.container.querySelector('[data-role="timer"]');
+    const clockEl = this.container.querySelector('[data-role="timer-clock"]');
+    const roundEl = this.container.querySelector('[data-role="timer-round"]');
+
+    if (clockEl) {
+      clockEl.textContent = formatClock(status.remainingSeconds);
+    }
+    if (roundEl) {
+      const phaseText = this.timer.mode === TIMER_MODES.TABATA ? ` · ${status.phase === 'rest' ? 'Rest' : 'Work'}` : '';
+      roundEl.textContent = status.totalRounds > 1 ? `Round ${status.round}/${status.totalRounds}${phaseText}` : '';
+    }
+    if (timerEl) {
+      timerEl.classList.toggle('session-timer--ending', status.remainingSeconds <= COUNTDOWN_CUE_SECONDS);
+      timerEl.classList.toggle('session-timer--paused', !!this.timer.pausedAt);
+    }
+  }
+
+  /**
+   * Beep + vibrate once per event: each of the last seconds of an interval,
+   * every transition (round / work-rest) and the end of the timer
+   */
+  playCues(status) {
+    if (this.timer.pausedAt) return;
+
+    let cueKey = null;
+    let cue = null;
+
+    if (status.finished) {
+      cueKey = 'done';
+      cue = { frequency: 880, duration: 0.6, vibration: [200, 100, 200, 100, 400] };
+    } else if (status.remainingSeconds <= COUNTDOWN_CUE_SECONDS) {
+      cueKey = `${status.round}-${status.phase}-${status.remainingSeconds}`;
+      cue = { frequency: 660, duration: 0.12, vibration: [80] };
+    } else if (this.lastCueKey && !this.lastCueKey.startsWith(`${status.round}-${status.phase}-`)) {
+      // New round or work/rest switch right after the countdown
+      cueKey = `${status.round}-${status.phase}-start`;
+      cue = { frequency: 880, duration: 0.35, vibration: [250] };
+    }
+
+    if (!cue || cueKey === this.lastCueKey) return;
+    this.lastCueKey = cueKey;
+    this.beep(cue.frequency, cue.duration);
+
+    if (navigator.vibrate) {
+      navigator.vibrate(cue.vibration);
+    }
+  }
+
+  /**
+   * Create (or resume) the audio context from a user gesture so later beeps can play
+   */
+  unlockAudio() {
+    try {
+      const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+      if (!AudioContextClass) return;
+      this.audioContext = this.audioContext || new AudioContextClass();
+      if (this.audioContext.state === 'suspended') {
+        this.audioContext.resume();
+      }
+    } catch (error) {
+      console.warn('SessionTimer: audio not available', error);
+    }
+  }
+
+  beep(frequency, duration) {
+    if (!this.audioContext) return;
+
+    try {
+      const oscillator = this.audioContext.createOscillator();
+      const gain = this.audioContext.createGain();
+      oscillator.frequency.value = frequency;
+      gain.gain.value = 0.2;
+      oscillator.connect(gain);
+      gain.connect(this.audioContext.destination);
+      oscillator.start();
+      oscillator.stop(this.audioContext.currentTime + duration);
+    } catch (error) {
+      console.warn('SessionTimer: failed to play cue', error);
+    }
+  }
+
+  persist() {
+    try {
+      saveSessionProgress({
+        sessionId: this.sessionId,
+        timer: this.timer
+      });
+    } catch (error) {
+      console.warn('SessionTimer: failed to save timer state', error);
+    }
+  }
+
+  destroy() {
+    this.stopTicking();
+    this.container.removeEventListener('click', this._handleClick);
+    if (this.audioContext) {
+      this.audioContext.close().catch(() => {});
+      this.audioContext = null;
+    }
+  }
+}
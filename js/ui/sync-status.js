@@ -0,0 +1,74 @@
+/**
+ * Sync Status Indicator
+ *
+ * Small floating badge with the state of the offline outbox (offlineQueue.js):
+ * - Offline / pending: completed workouts waiting to be uploaded
+ * - Syncing: replaying queued writes
+ * - Error: writes that keep failing, with a Retry action
+ * Hidden while everything is synced.
+ */
+
+import { SYNC_STATUS, getSyncStatus, retryFailedMutations } from '../services/offlineQueue.js';
+
+const INDICATOR_ID = 'sync-status-indicator';
+
+/**
+ * Text of the badge for a status
+ * @param {Object} status - { status, pending, failed }
+ * @returns {string}
+ */
+function describeSyncStatus({ status, pending, failed }) {
+  const changes = (count) => `${count} change${count === 1 ? '' : 's'}`;
+
+  switch (status) {
+    case SYNC_STATUS.OFFLINE:
+      return `Offline · ${changes(pending)} saved on this device`;
+    case SYNC_STATUS.PENDING:
+      return `${changes(pending)} waiting to sync`;
+    case SYNC_STATUS.SYNCING:
+      return 'Syncing…';
+    case SYNC_STATUS.ERROR:
+      return `${changes(failed)} failed to sync`;
+    default:
+      return '';
+  }
+}
+
+function renderSyncStatus(status) {
+  let indicator = document.getElementById(INDICATOR_ID);
+  if (!indicator) {
+    indicator = document.createElement('div');
+    indicator.id = INDICATOR_ID;
+    indicator.className = 'sync-status hidden';
+    indicator.setAttribute('role', 'status');
+    indicator.setAttribute('aria-live', 'polite');
+    indicator.addEventListener('click', (event) => {
+      if (event.target instanceof HTMLElement && event.target.closest('[data-sync-action="retry"]')) {
+        retryFailedMutations().catch(error => console.warn('[SyncStatus] Retry failed:', error));
+      }
+    });
+    document.body.appendChild(indicator);
+  }
+
+  const text = describeSyncStatus(status);
+  // Syncing with nothing queued is just the background check
+  const visible = !!text && !(status.status === SYNC_STATUS.SYNCING && status.pending === 0);
+
+  indicator.classList.toggle('hidden', !visible);
+  indicator.dataset.status = status.status;
+  indicator.innerHTML = `
+    <span class="sync-status-dot"></span>
+    <span>${text}</span>
+    ${status.status === SYNC_STATUS.ERROR ? '<button type="button" class="sync-status-retry" data-sync-action="retry">Retry</button>' : ''}
+  `;
+}
+
+/**
+ * Show the sync badge and keep it updated
+ */
+export function initSyncStatusIndicator() {
+  if (typeof window === 'undefined' || document.getElementById(INDICATOR_ID)) return;
+
+  renderSyncStatus(getSyncStatus());
+  window.addEventListener('sync-status-changed', (event) => renderSyncStatus(event.detail));
+}
@@ -4,19 +4,81 @@
  * Scrollable workout logger / journal for a full session.
  * - Renders all exercises as vertical cards.
  * - Each card shows a grid of sets with:
- *   Set # | Previous | Kg | Reps | Done
+ *   Set # | Previous | Target | Kg | Reps | Done
+ *   and a details row per set: effort (RPE or reps in reserve) | tempo | rest taken
+ * - Targets come from the progression engine (progressionService.js)
+ * - Rest is filled in from the time between completed sets (editable)
+ * - Supersets, circuits and flows (session blocks) are framed together and walked
+ *   round by round: set N of every exercise, then the shared rest
  * - Uses event delegation for all interactions.
+ * - Resumes the logged sets saved with the session progress (also from another device)
  *
  * Expected options:
  *   - session: session object with phases { warmup, workout, cooldown }
  *   - userId: current user id
  *   - onSetUpdated(setKey, setState)
+ *   - onSetCompleted(setKey, setState, { blockType, roundCompleted }) - when a set is marked done
+ *     (starts the rest timer; in grouped blocks rest is shared after the round)
  *   - onSessionUpdated(stateSnapshot)
  *   - onAllSetsCompleted(stateSnapshot)
  */
 
 import { getLastPerformance } from '../services/exerciseHistoryService.js';
-import { saveSessionProgress } from '../core/storage.js';
+import {
+  determineExerciseType,
+  validateSetDetails,
+  normalizeTempo,
+  EFFORT_TYPES,
+  MAX_RIR
+} from '../services/exerciseTypeService.js';
+import {
+  getProgressionTarget,
+  formatSetTarget,
+  PROGRESSION_ACTIONS
+} from '../services/progressionService.js';
+import { saveSessionProgress, getSessionProgress } from '../core/storage.js';
+import { getPhaseBlocks, getBlockLabel, isGroupedBlock } from '../core/session-blocks.js';
+
+/**
+ * Gaps between completed sets longer than this are not taken as rest
+ * (the session was probably paused)
+ */
+const MAX_AUTO_REST_SECONDS = 15 * 60;
+
+/**
+ * Initial state of a set
+ * @param {Object} fields - { phase, exerciseId, variationId, setNumber, ... }
+ * @returns {Object}
+ */
+function createSetState(fields) {
+  return {
+    phase: '',
+    exerciseId: '',
+    variationId: '',
+    setNumber: 1,
+    weight: '',
+    reps: '',
+    // Effort: RPE (1-10) or reps in reserve, as chosen per set
+    effortType: EFFORT_TYPES.RPE,
+    rpe: '',
+    rir: '',
+    // Actual tempo (e.g. "3-1-1-0") vs the prescribed one of the variation
+    tempo: '',
+    prescribedTempo: null,
+    // Actual rest taken before this set (seconds)
+    restSeconds: '',
+    completed: false,
+    completedAt: null,
+    // Ghost data from last session (per-set)
+    prevWeight: null,
+    prevReps: null,
+    // Optional aggregated text for backwards compatibility
+    historyText: '',
+    // Prescribed target for this set ({ weight?, reps?, time? })
+    target: null,
+    ...fields
+  };
+}
 
 export class WorkoutJournal {
   /**
@@ -33,17 +95,21 @@ export class WorkoutJournal {
     this.userId = options.userId || null;
 
     this.onSetUpdated = options.onSetUpdated || null;
+    this.onSetCompleted = options.onSetCompleted || null;
     this.onSessionUpdated = options.onSessionUpdated || null;
     this.onAllSetsCompleted = options.onAllSetsCompleted || null;
 
     // Flat list of sets to render
     this.sets = [];
     // Map setKey -> state {
-    //   weight, reps, completed,
-    //   prevWeight, prevReps, historyText,
+    //   weight, reps, effortType, rpe, rir, tempo, prescribedTempo, restSeconds,
+    //   completed, completedAt,
+    //   prevWeight, prevReps, historyText, target,
     //   phase, exerciseId, variationId, setNumber
-    // }
+    // }  (see createSetState)
     this.currentSessionData = {};
+    // Map `${exerciseId}-${variationId}` -> progression prescription for the next session
+    this.prescriptions = {};
   }
 
   /**
@@ -56,11 +122,77 @@ export class WorkoutJournal {
     }
 
     this.buildSetsFromSession();
+
+    const progress = getSessionProgress();
+    if (progress && progress.sessionId === this.getSessionId() && progress.journalData) {
+      this.restoreSnapshot(progress.journalData);
+    }
+
     await this.preloadHistory();
     this.renderHtml();
     this.attachEventListeners();
   }
 
+  getSessionId() {
+    return this.session?.date || this.session?.day;
+  }
+
+  /**
+   * Apply a saved snapshot (getSessionSnapshot) on top of the session structure:
+   * logged values, done sets and sets added or deleted by the user
+   * @param {Object} snapshot - { sets, currentSessionData }
+   */
+  restoreSnapshot(snapshot) {
+    if (!snapshot) return;
+
+    if (Array.isArray(snapshot.sets) && snapshot.sets.length > 0) {
+      this.sets = snapshot.sets.slice();
+    }
+
+    const loggedFields = [
+      'weight', 'reps', 'time', 'effortType', 'rpe', 'rir', 'tempo',
+      'restSeconds', 'completed', 'completedAt', 'notes'
+    ];
+
+    this.sets.forEach((set) => {
+      const saved = snapshot.currentSessionData?.[set.key];
+      if (!this.currentSessionData[set.key]) {
+        this.currentSessionData[set.key] = createSetState({
+          phase: set.phase,
+          exerciseId: set.exerciseId,
+          variationId: set.variationId,
+          setNumber: set.setNumber,
+          prescribedTempo: saved?.prescribedTempo || null
+        });
+      }
+      if (!saved) return;
+
+      const state = this.currentSessionData[set.key];
+      loggedFields.forEach((field) => {
+        if (saved[field] !== undefined) state[field] = saved[field];
+      });
+    });
+
+    // Rest of the next set counts from the last set done
+    const completedTimes = Object.values(this.currentSessionData)
+      .map((state) => (state.completedAt ? new Date(state.completedAt).getTime() : 0));
+    const lastCompletedAt = Math.max(0, ...completedTimes);
+    this.lastCompletedAt = lastCompletedAt || this.lastCompletedAt;
+  }
+
+  /**
+   * Re-render after the progress was merged with another device
+   * @param {Object} snapshot - { sets, currentSessionData }
+   */
+  applyRemoteSnapshot(snapshot) {
+    this.restoreSnapshot(snapshot);
+    this.renderHtml();
+
+    if (this.onSetUpdated) {
+      this.sets.forEach((set) => this.onSetUpdated(set.key, { ...this.currentSessionData[set.key] }));
+    }
+  }
+
   /**
    * Build a flat list of sets from the session phases/variations
    */
@@ -71,42 +203,58 @@ export class WorkoutJournal {
     phases.forEach((phaseName) => {
       const phaseVariations = this.session.phases[phaseName] || [];
 
-      phaseVariations.forEach((variation, variationIndex) => {
-        const exerciseId = variation.exerciseId;
-        const variationId = variation.variationId || variation.id;
-        const exerciseName = variation.exerciseName || variation.variationName || 'Exercise';
-
-        // Default to 3 sets if not specified
-        const totalSets = variation.sets || variation.totalSets || 3;
-
-        for (let setNumber = 1; setNumber <= totalSets; setNumber++) {
-          const setKey = `${exerciseId}-${variationId}-set-${setNumber}`;
-          sets.push({
-            key: setKey,
-            phase: phaseName,
-            exerciseId,
-            variationId,
-            exerciseName,
-            variationIndex,
-            setNumber
-          });
-
-          if (!this.currentSessionData[setKey]) {
-            this.currentSessionData[setKey] = {
+      getPhaseBlocks(phaseVariations, phaseName).forEach((block) => {
+        const setsByVariation = block.items.map(({ item: variation, index: variationIndex }) => {
+          const exerciseId = variation.exerciseId;
+          const variationId = variation.variationId || variation.id;
+          const exerciseName = variation.exerciseName || variation.variationName || 'Exercise';
+
+          // Default to 3 sets if not specified
+          const totalSets = variation.sets || variation.totalSets || 3;
+          const exerciseType = determineExerciseType(null, variation);
+          const prescribedTempo = normalizeTempo(variation.tempo);
+          const variationSets = [];
+
+          for (let setNumber = 1; setNumber <= totalSets; setNumber++) {
+            const setKey = `${exerciseId}-${variationId}-set-${setNumber}`;
+            variationSets.push({
+              key: setKey,
               phase: phaseName,
               exerciseId,
               variationId,
+              exerciseName,
+              exerciseType,
+              variationIndex,
               setNumber,
-              weight: '',
-              reps: '',
-              completed: false,
-              // Ghost data from last session (per-set)
-              prevWeight: null,
-              prevReps: null,
-              // Optional aggregated text for backwards compatibility
-              historyText: ''
-            };
+              blockId: block.id,
+              blockType: block.type
+            });
+
+            if (!this.currentSessionData[setKey]) {
+              this.currentSessionData[setKey] = createSetState({
+                phase: phaseName,
+                exerciseId,
+                variationId,
+                setNumber,
+                prescribedTempo
+              });
+            }
           }
+
+          return variationSets;
+        });
+
+        if (!isGroupedBlock(block.type)) {
+          setsByVariation.forEach((variationSets) => sets.push(...variationSets));
+          return;
+        }
+
+        // Supersets, circuits and flows alternate exercises: round N = set N of every member
+        const rounds = Math.max(...setsByVariation.map((variationSets) => variationSets.length));
+        for (let round = 0; round < rounds; round++) {
+          setsByVariation.forEach((variationSets) => {
+            if (variationSets[round]) sets.push(variationSets[round]);
+          });
         }
       });
     });
@@ -144,14 +292,6 @@ export class WorkoutJournal {
     if (!this.userId || !exerciseId || !variationId) return;
 
     try {
-      const last = await getLastPerformance(this.userId, exerciseId, variationId);
-      if (!last) return;
-
-      const historyText = this.formatHistoryText(last);
-
-      // Map per-set ghost data (prevWeight/prevReps) onto current session sets
-      const lastSets = Array.isArray(last.sets) ? last.sets : [];
-
       const setsForVariation = this.sets
         .filter(
           (set) =>
@@ -159,26 +299,38 @@ export class WorkoutJournal {
         )
         .sort((a, b) => a.setNumber - b.setNumber);
 
+      const [last, prescription] = await Promise.all([
+        getLastPerformance(this.userId, exerciseId, variationId),
+        getProgressionTarget(this.userId, exerciseId, variationId, {
+          exerciseType: setsForVariation[0]?.exerciseType
+        })
+      ]);
+      if (!last) return;
+
+      this.prescriptions[`${exerciseId}-${variationId}`] = prescription;
+      const targetSets = prescription?.sets || [];
+
+      const historyText = this.formatHistoryText(last);
+
+      // Map per-set ghost data (prevWeight/prevReps) onto current session sets
+      const lastSets = Array.isArray(last.sets) ? last.sets : [];
+
       setsForVariation.forEach((set, index) => {
         const setKey = set.key;
         const prevData = lastSets[index] || null;
 
         if (!this.currentSessionData[setKey]) {
-          this.currentSessionData[setKey] = {
+          this.currentSessionData[setKey] = createSetState({
             phase: set.phase,
             exerciseId,
             variationId,
-            setNumber: set.setNumber,
-            weight: '',
-            reps: '',
-            completed: false,
-            prevWeight: null,
-            prevReps: null,
-            historyText: ''
-          };
+            setNumber: set.setNumber
+          });
         }
 
         const state = this.currentSessionData[setKey];
+        // Extra sets repeat the target of the last prescribed set
+        state.target = targetSets[index] || targetSets[targetSets.length - 1] || null;
         state.prevWeight =
           prevData && typeof prevData.weight === 'number'
             ? prevData.weight
@@ -236,8 +388,35 @@ export class WorkoutJournal {
 
     const cards = Array.from(cardsByKey.values());
 
-    const cardsHtml = cards
-      .map((card) => this.renderExerciseCard(card))
+    // Cards of the same superset / circuit / flow are framed together
+    const groups = [];
+    cards.forEach((card) => {
+      const lastGroup = groups[groups.length - 1];
+      if (isGroupedBlock(card.blockType) && lastGroup && lastGroup.blockId === card.blockId) {
+        lastGroup.cards.push(card);
+      } else {
+        groups.push({ blockId: card.blockId, blockType: card.blockType, cards: [card] });
+      }
+    });
+
+    const cardsHtml = groups
+      .map((group) => {
+        const groupCardsHtml = group.cards.map((card) => this.renderExerciseCard(card)).join('');
+        if (!isGroupedBlock(group.blockType)) {
+          return groupCardsHtml;
+        }
+
+        const rounds = Math.max(...group.cards.map((card) => card.sets.length));
+        return `
+          <div class="session-block session-block--${group.blockType}" data-block-id="${group.blockId}">
+            <div class="session-block-header">
+              <span class="session-block-type">${getBlockLabel(group.blockType)}</span>
+              <span class="session-block-info">${group.cards.length} exercises &middot; ${rounds} rounds &middot; rest after each round</span>
+            </div>
+            ${groupCardsHtml}
+          </div>
+        `;
+      })
       .join('');
 
     this.container.innerHTML = `
@@ -245,6 +424,43 @@ export class WorkoutJournal {
         ${cardsHtml || '<div class="text-white/60 text-center py-8">No exercises in this session.</div>'}
       </div>
     `;
+
+    this.highlightNextSet();
+  }
+
+  /**
+   * Mark the next set to do (session order: rounds inside grouped blocks)
+   * @param {boolean} scroll - Bring it into view (after a set is marked done)
+   */
+  highlightNextSet(scroll = false) {
+    this.container.querySelectorAll('.set-row--next').forEach((row) => row.classList.remove('set-row--next'));
+
+    const nextSet = this.sets.find((set) => !this.currentSessionData[set.key]?.completed);
+    if (!nextSet) return;
+
+    const row = this.container.querySelector(`[data-role="set-row"][data-set-key="${nextSet.key}"]`);
+    if (!row) return;
+
+    row.classList.add('set-row--next');
+    if (scroll && typeof row.scrollIntoView === 'function') {
+      row.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+  }
+
+  /**
+   * Whether every exercise of the block has completed the round of a set
+   * (straight sets: each set is its own round)
+   * @param {Object} set - Entry of this.sets
+   * @returns {boolean}
+   */
+  isRoundCompleted(set) {
+    if (!isGroupedBlock(set.blockType)) {
+      return !!this.currentSessionData[set.key]?.completed;
+    }
+
+    return this.sets
+      .filter((other) => other.blockId === set.blockId && other.setNumber === set.setNumber)
+      .every((other) => this.currentSessionData[other.key]?.completed);
   }
 
   renderExerciseCard(card) {
@@ -276,6 +492,10 @@ export class WorkoutJournal {
             ? '&mdash;'
             : `${prevRepsValue}`;
 
+        // Prescribed target for this session (progression engine)
+        const target = state.target || null;
+        const targetDisplay = formatSetTarget(target) || '&mdash;';
+
         return `
           <div 
             class="${completedClass}"
@@ -289,6 +509,9 @@ export class WorkoutJournal {
             <div class="set-cell set-cell--previous">
               <span class="ghost-text">${prevRepsDisplay}</span>
             </div>
+            <div class="set-cell set-cell--target">
+              <span class="target-text">${targetDisplay}</span>
+            </div>
             <div class="set-cell set-cell--input">
               <input 
                 type="number"
@@ -296,7 +519,7 @@ export class WorkoutJournal {
                 min="0"
                 step="0.5"
                 class="set-input"
-                placeholder="Kg"
+                placeholder="${target?.weight ?? 'Kg'}"
                 data-input="weight"
                 data-prev-weight="${prevWeightValue ?? ''}"
                 data-set-key="${set.key}"
@@ -310,7 +533,7 @@ export class WorkoutJournal {
                 min="0"
                 step="1"
                 class="set-input"
-                placeholder="Reps"
+                placeholder="${target?.reps ?? 'Reps'}"
                 data-input="reps"
                 data-set-key="${set.key}"
                 value="${state.reps ?? ''}"
@@ -333,12 +556,18 @@ export class WorkoutJournal {
                 ${state.completed ? 'Done' : 'Mark'}
               </button>
             </div>
+            ${this.renderSetDetails(set.key, state)}
           </div>
         `;
       })
       .join('');
 
     const cardKey = `${card.phase}-${card.exerciseId}-${card.variationId}`;
+    const prescription = this.prescriptions[`${card.exerciseId}-${card.variationId}`];
+    const progressionNote =
+      prescription && prescription.action !== PROGRESSION_ACTIONS.BASELINE
+        ? `<p class="exercise-card-progression exercise-card-progression--${prescription.action}">${prescription.reason}</p>`
+        : '';
 
     return `
       <section 
@@ -352,12 +581,14 @@ export class WorkoutJournal {
           <div>
             <div class="exercise-card-phase">${phaseLabel}</div>
             <h2 class="exercise-card-title">${card.exerciseName}</h2>
+            ${progressionNote}
           </div>
         </header>
         <div class="exercise-card-grid-header">
           <div class="set-header-cell">Set</div>
           <div class="set-header-cell">Prev Kg</div>
           <div class="set-header-cell">Prev Reps</div>
+          <div class="set-header-cell">Target</div>
           <div class="set-header-cell">Kg</div>
           <div class="set-header-cell">Reps</div>
           <div class="set-header-cell text-right">Done</div>
@@ -377,6 +608,62 @@ export class WorkoutJournal {
     `;
   }
 
+  /**
+   * Details row of a set: effort (RPE or RIR), tempo and rest taken
+   */
+  renderSetDetails(setKey, state) {
+    const isRir = state.effortType === EFFORT_TYPES.RIR;
+    const effortValue = (isRir ? state.rir : state.rpe) ?? '';
+
+    return `
+      <div class="set-details">
+        <label class="set-detail">
+          <select class="set-detail-select" data-input="effortType" data-set-key="${setKey}" aria-label="Effort scale">
+            <option value="${EFFORT_TYPES.RPE}" ${isRir ? '' : 'selected'}>RPE</option>
+            <option value="${EFFORT_TYPES.RIR}" ${isRir ? 'selected' : ''}>RIR</option>
+          </select>
+          <input 
+            type="number"
+            inputmode="decimal"
+            min="${isRir ? 0 : 1}"
+            max="${isRir ? MAX_RIR : 10}"
+            step="${isRir ? 1 : 0.5}"
+            class="set-input set-input--detail"
+            placeholder="${isRir ? 'RIR' : 'RPE'}"
+            data-input="effort"
+            data-set-key="${setKey}"
+            value="${effortValue}"
+          />
+        </label>
+        <label class="set-detail">
+          <span class="set-detail-label">Tempo</span>
+          <input 
+            type="text"
+            class="set-input set-input--detail"
+            placeholder="${state.prescribedTempo || '3-1-1-0'}"
+            data-input="tempo"
+            data-set-key="${setKey}"
+            value="${state.tempo ?? ''}"
+          />
+        </label>
+        <label class="set-detail">
+          <span class="set-detail-label">Rest (s)</span>
+          <input 
+            type="number"
+            inputmode="numeric"
+            min="0"
+            step="5"
+            class="set-input set-input--detail"
+            placeholder="&mdash;"
+            data-input="restSeconds"
+            data-set-key="${setKey}"
+            value="${state.restSeconds ?? ''}"
+          />
+        </label>
+      </div>
+    `;
+  }
+
   getPhaseLabel(phase) {
     const map = {
       warmup: 'Warm-up',
@@ -419,7 +706,7 @@ export class WorkoutJournal {
 
     this._handleInput = (event) => {
       const target = event.target;
-      if (!(target instanceof HTMLInputElement)) return;
+      if (!(target instanceof HTMLInputElement) && !(target instanceof HTMLSelectElement)) return;
 
       const inputName = target.dataset.input;
       const setKey = target.dataset.setKey;
@@ -445,22 +732,33 @@ export class WorkoutJournal {
     const value = rawValue === '' ? '' : Number(rawValue);
 
     if (!this.currentSessionData[setKey]) {
-      this.currentSessionData[setKey] = {
-        phase: '',
-        exerciseId: '',
-        variationId: '',
-        setNumber: 1,
-        weight: '',
-        reps: '',
-        completed: false,
-        historyText: ''
-      };
+      this.currentSessionData[setKey] = createSetState({});
     }
 
+    const state = this.currentSessionData[setKey];
+
     if (field === 'weight') {
-      this.currentSessionData[setKey].weight = value;
+      state.weight = value;
     } else if (field === 'reps') {
-      this.currentSessionData[setKey].reps = value;
+      state.reps = value;
+    } else if (field === 'effortType') {
+      // Switching scale keeps the logged effort (RPE = 10 - RIR)
+      const previous = state.effortType === EFFORT_TYPES.RIR ? state.rir : state.rpe;
+      state.effortType = rawValue === EFFORT_TYPES.RIR ? EFFORT_TYPES.RIR : EFFORT_TYPES.RPE;
+      state.rpe = '';
+      state.rir = '';
+      if (previous !== '') {
+        const converted = state.effortType === EFFORT_TYPES.RIR ? Math.round(10 - previous) : 10 - previous;
+        this.setDetail(state, state.effortType, converted);
+      }
+      this.updateEffortInput(setKey, state);
+    } else if (field === 'effort') {
+      this.markInvalid(setKey, field, this.setDetail(state, state.effortType, value));
+    } else if (field === 'tempo') {
+      const tempo = rawValue.trim();
+      this.markInvalid(setKey, field, this.setDetail(state, 'tempo', normalizeTempo(tempo) || tempo));
+    } else if (field === 'restSeconds') {
+      this.markInvalid(setKey, field, this.setDetail(state, 'restSeconds', value));
     }
 
     if (this.onSetUpdated) {
@@ -470,12 +768,62 @@ export class WorkoutJournal {
     this.persistSession();
   }
 
+  /**
+   * Store an effort/tempo/rest value if it is valid; invalid values are not kept
+   * @returns {string|null} Validation error, or null if the value was stored
+   */
+  setDetail(state, field, value) {
+    const errors = value === '' ? [] : validateSetDetails({ [field]: value });
+    state[field] = errors.length === 0 ? value : '';
+    return errors[0] || null;
+  }
+
+  /**
+   * Flag (or clear) an invalid details input of a set
+   */
+  markInvalid(setKey, field, error) {
+    const input = this.container.querySelector(`[data-input="${field}"][data-set-key="${setKey}"]`);
+    if (!input) return;
+    input.classList.toggle('set-input--invalid', !!error);
+    input.title = error || '';
+  }
+
+  /**
+   * Refresh the effort input after switching between RPE and RIR
+   */
+  updateEffortInput(setKey, state) {
+    const input = this.container.querySelector(`[data-input="effort"][data-set-key="${setKey}"]`);
+    if (!input) return;
+    const isRir = state.effortType === EFFORT_TYPES.RIR;
+    input.value = (isRir ? state.rir : state.rpe) ?? '';
+    input.placeholder = isRir ? 'RIR' : 'RPE';
+    input.step = isRir ? '1' : '0.5';
+    input.min = isRir ? '0' : '1';
+    input.max = isRir ? String(MAX_RIR) : '10';
+    input.classList.remove('set-input--invalid');
+  }
+
   handleToggleDone(setKey) {
     const state = this.currentSessionData[setKey];
     if (!state) return;
 
     state.completed = !state.completed;
 
+    if (state.completed) {
+      const now = Date.now();
+      // Rest taken: time since the previous completed set (if not logged by hand)
+      const restSeconds = this.lastCompletedAt ? Math.round((now - this.lastCompletedAt) / 1000) : null;
+      if (state.restSeconds === '' && restSeconds !== null && restSeconds <= MAX_AUTO_REST_SECONDS) {
+        state.restSeconds = restSeconds;
+        const restInput = this.container.querySelector(`[data-input="restSeconds"][data-set-key="${setKey}"]`);
+        if (restInput) restInput.value = restSeconds;
+      }
+      state.completedAt = new Date(now).toISOString();
+      this.lastCompletedAt = now;
+    } else {
+      state.completedAt = null;
+    }
+
     const row = this.container.querySelector(`[data-role="set-row"][data-set-key="${setKey}"]`);
     const btn = this.container.querySelector(`button[data-action="toggle-done"][data-set-key="${setKey}"]`);
     if (row) {
@@ -490,6 +838,15 @@ export class WorkoutJournal {
     }
 
     this.persistSession();
+    this.highlightNextSet(state.completed);
+
+    if (state.completed && this.onSetCompleted) {
+      const set = this.sets.find((entry) => entry.key === setKey);
+      this.onSetCompleted(setKey, { ...state }, {
+        blockType: set?.blockType,
+        roundCompleted: set ? this.isRoundCompleted(set) : true
+      });
+    }
 
     if (this.areAllSetsCompleted() && this.onAllSetsCompleted) {
       this.onAllSetsCompleted(this.getSessionSnapshot());
@@ -513,7 +870,7 @@ export class WorkoutJournal {
     // Basic persistence to localStorage for resilience
     try {
       saveSessionProgress({
-        sessionId: this.session?.date || this.session?.day,
+        sessionId: this.getSessionId(),
         journalData: snapshot
       });
     } catch (error) {
@@ -553,16 +910,35 @@ export class WorkoutJournal {
     const exerciseName =
       existingForVariation[0]?.exerciseName || 'Exercise';
 
-    this.sets.push({
+    const newSet = {
       key: setKey,
       phase,
       exerciseId,
       variationId,
       exerciseName,
+      exerciseType: existingForVariation[0]?.exerciseType,
       variationIndex: existingForVariation[0]?.variationIndex ?? 0,
-      setNumber: nextNumber
+      setNumber: nextNumber,
+      blockId: existingForVariation[0]?.blockId,
+      blockType: existingForVariation[0]?.blockType
+    };
+
+    // Keep session order: after the last set of the block (grouped) or of the exercise
+    const isGrouped = isGroupedBlock(newSet.blockType);
+    let insertAt = -1;
+    this.sets.forEach((set, index) => {
+      const sameGroup = isGrouped
+        ? set.blockId === newSet.blockId
+        : set.exerciseId === exerciseId && set.variationId === variationId;
+      if (sameGroup) insertAt = index + 1;
     });
 
+    if (insertAt === -1) {
+      this.sets.push(newSet);
+    } else {
+      this.sets.splice(insertAt, 0, newSet);
+    }
+
     if (!this.currentSessionData[setKey]) {
       // Reuse history text from first set of this variation if available
       let historyText = '';
@@ -571,16 +947,19 @@ export class WorkoutJournal {
         historyText = this.currentSessionData[refKey]?.historyText || '';
       }
 
-      this.currentSessionData[setKey] = {
+      // New sets repeat the target of the last set of this variation
+      const lastSet = existingForVariation[existingForVariation.length - 1];
+      const target = lastSet ? this.currentSessionData[lastSet.key]?.target || null : null;
+
+      this.currentSessionData[setKey] = createSetState({
         phase,
         exerciseId,
         variationId,
         setNumber: nextNumber,
-        weight: '',
-        reps: '',
-        completed: false,
-        historyText
-      };
+        prescribedTempo: lastSet ? this.currentSessionData[lastSet.key]?.prescribedTempo || null : null,
+        historyText,
+        target
+      });
     }
 
     this.renderHtml();
@@ -6,6 +6,7 @@
  */
 
 import { saveCompletedSession } from '../../js/services/dbService.js';
+import { toLocalDateKey } from '../../js/core/streak-engine.js';
 
 /**
  * Construct sessionData object from session state
@@ -32,7 +33,7 @@ export async function handleFinishWorkout(sessionState, session, userId) {
     const sessionData = {
       workout: workoutLabel, // Workout label - will be normalized in saveCompletedSession
       discipline: session.discipline || '',
-      date: session.date || new Date().toISOString().split('T')[0],
+      date: session.date || toLocalDateKey(),
       startedAt: sessionState.startedAt || startedAt.toISOString(),
       completedAt: completedAt.toISOString(),
       duration
@@ -45,7 +46,8 @@ export async function handleFinishWorkout(sessionState, session, userId) {
         : [];
 
       // Convert variations array into blocks
-      // Each variation becomes a block (or variations can be grouped into supersets)
+      // Each variation becomes a block; supersets, circuits and flows keep their
+      // blockId/blockType so reports can group them again (js/core/session-blocks.js)
       const blocks = phaseVariations.map(variation => {
         // Extract sets for this variation from completedSets
         const sets = extractSetsForVariation(
@@ -61,6 +63,11 @@ export async function handleFinishWorkout(sessionState, session, userId) {
           exerciseId: variation.exerciseId || null,
           sets: sets || []
         };
+
+        if (variation.blockId && variation.blockType) {
+          block.blockId = variation.blockId;
+          block.blockType = variation.blockType;
+        }
         
         // Remove any undefined fields
         if (!block.variationId || !block.exerciseId) {
@@ -173,6 +180,18 @@ function extractSetsForVariation(variation, completedSets, setData = {}) {
       setObj.duration = performanceData.duration;
     }
     
+    // Effort, tempo and rest (empty journal inputs are '')
+    ['rpe', 'rir', 'restSeconds'].forEach(field => {
+      if (typeof performanceData[field] === 'number') {
+        setObj[field] = performanceData[field];
+      }
+    });
+    ['tempo', 'prescribedTempo'].forEach(field => {
+      if (typeof performanceData[field] === 'string' && performanceData[field] !== '') {
+        setObj[field] = performanceData[field];
+      }
+    });
+    
     if (performanceData.notes !== undefined && performanceData.notes !== null && performanceData.notes !== '') {
       setObj.notes = performanceData.notes;
     }
@@ -260,7 +279,7 @@ export async function saveSessionOnComplete(sessionViewInstance, userId) {
     sessionState.duration = durationSeconds;
 
     // Get session date for streak calculation
-    const sessionDate = sessionViewInstance.session.date || new Date().toISOString().split('T')[0];
+    const sessionDate = sessionViewInstance.session.date || toLocalDateKey();
 
     // Save the session
     let sessionId = null;
@@ -385,6 +404,11 @@ async function saveExerciseHistory(sessionState, session, userId, sessionId) {
               weight: data.weight,
               reps: data.reps,
               time: data.time,
+              rpe: data.rpe,
+              rir: data.rir,
+              tempo: data.tempo,
+              prescribedTempo: data.prescribedTempo,
+              restSeconds: data.restSeconds,
               notes: data.notes
             };
           })
@@ -0,0 +1,186 @@
+import { describe, it, expect } from 'vitest';
+import {
+    CONFLICT_RESOLUTIONS,
+    getWeekEndDateKey,
+    planSessionMoves,
+    planShiftSessions,
+    planPushRestOfWeek,
+    buildRescheduleChanges,
+    CalendarHistory
+} from '../../../js/core/calendar-reschedule.js';
+
+const today = '2026-10-19';
+
+/**
+ * Week of Monday 2026-10-19: Monday done, Wednesday to Friday pending, next Monday pending
+ */
+function createSessions() {
+    return [
+        { id: 's1', date: '2026-10-19', discipline: 'Weights', completed: true, phases: { workout: [{ variationId: 'squat' }] } },
+        { id: 's2', date: '2026-10-21', discipline: 'Yoga', phases: { workout: [{ variationId: 'warrior' }, { variationId: 'plank' }] } },
+        { id: 's3', date: '2026-10-22', discipline: 'Weights', phases: { workout: [{ variationId: 'plank' }, { variationId: 'bench' }] } },
+        { id: 's4', date: '2026-10-23', discipline: 'Weights', phases: { workout: [] } },
+        { id: 's5', date: '2026-10-26', discipline: 'Weights', phases: { workout: [] } },
+        // Pattern day and merged session: never moved
+        { date: '2026-10-24' },
+        { id: 's6', date: null, mergedInto: 's3' }
+    ];
+}
+
+interface ReschedulePlan {
+    moves: Array<{ session: { id: string }, toDate: string }>;
+    conflicts: Array<{ date: string, sessions: Array<{ id: string }> }>;
+    pastDates: string[];
+}
+
+const asPlan = (plan: object) => plan as ReschedulePlan;
+
+const targetDates = (plan: ReschedulePlan) =>
+    Object.fromEntries(plan.moves.map(move => [move.session.id, move.toDate]));
+
+const labelOf = (entry: object | null) => (entry as { label: string } | null)?.label;
+
+describe('calendar rescheduling', () => {
+    it('ends the week on Sunday', () => {
+        expect(getWeekEndDateKey('2026-10-19')).toBe('2026-10-25');
+        expect(getWeekEndDateKey('2026-10-23')).toBe('2026-10-25');
+        expect(getWeekEndDateKey('2026-10-25')).toBe('2026-10-25');
+    });
+
+    describe('planSessionMoves', () => {
+        it('reports a conflict with the session already on the day first', () => {
+            const plan = asPlan(planSessionMoves(createSessions(), [{ sessionId: 's2', toDate: '2026-10-22' }], { today }));
+
+            expect(targetDates(plan)).toEqual({ s2: '2026-10-22' });
+            expect(plan.conflicts).toHaveLength(1);
+            expect(plan.conflicts[0].date).toBe('2026-10-22');
+            expect(plan.conflicts[0].sessions.map(session => session.id)).toEqual(['s3', 's2']);
+        });
+
+        it('rejects past days and ignores unknown, unsaved or unchanged sessions', () => {
+            const plan = asPlan(planSessionMoves(createSessions(), [
+                { sessionId: 's2', toDate: '2026-10-18' },
+                { sessionId: 's3', toDate: '2026-10-22' },
+                { sessionId: 's6', toDate: '2026-10-27' },
+                { sessionId: 'missing', toDate: '2026-10-27' }
+            ], { today }));
+
+            expect(plan.moves).toEqual([]);
+            expect(plan.pastDates).toEqual(['2026-10-18']);
+        });
+
+        it('does not report a conflict for sessions swapping days', () => {
+            const plan = asPlan(planSessionMoves(createSessions(), [
+                { sessionId: 's3', toDate: '2026-10-23' },
+                { sessionId: 's4', toDate: '2026-10-22' }
+            ], { today }));
+
+            expect(targetDates(plan)).toEqual({ s3: '2026-10-23', s4: '2026-10-22' });
+            expect(plan.conflicts).toEqual([]);
+        });
+    });
+
+    describe('bulk shifts', () => {
+        it('shifts the selected sessions together', () => {
+            const plan = asPlan(planShiftSessions(createSessions(), ['s2', 's3'], 1, { today }));
+
+            expect(targetDates(plan)).toEqual({ s2: '2026-10-22', s3: '2026-10-23' });
+            // s4 stays on Friday, where s3 lands
+            expect(plan.conflicts.map(conflict => conflict.date)).toEqual(['2026-10-23']);
+        });
+
+        it('pushes the pending sessions of the rest of the week only', () => {
+            const plan = asPlan(planPushRestOfWeek(createSessions(), '2026-10-19', 2, { today }));
+
+            expect(targetDates(plan)).toEqual({ s2: '2026-10-23', s3: '2026-10-24', s4: '2026-10-25' });
+            expect(plan.conflicts).toEqual([]);
+        });
+
+        it('detects a pushed session landing on next week\'s session', () => {
+            const plan = asPlan(planPushRestOfWeek(createSessions(), '2026-10-21', 3, { today }));
+
+            expect(plan.conflicts).toHaveLength(1);
+            expect(plan.conflicts[0].sessions.map(session => session.id)).toEqual(['s5', 's4']);
+        });
+    });
+
+    describe('buildRescheduleChanges', () => {
+        it('keeps both sessions by default', () => {
+            const plan = asPlan(planSessionMoves(createSessions(), [{ sessionId: 's2', toDate: '2026-10-22' }], { today }));
+            const changes = buildRescheduleChanges(plan);
+
+            expect(changes).toHaveLength(1);
+            expect(changes[0].before.date).toBe('2026-10-21');
+            expect(changes[0].after).toMatchObject({ id: 's2', date: '2026-10-22', originalDate: '2026-10-21', completed: false });
+        });
+
+        it('merges into the session already on the day without repeating exercises', () => {
+            const sessions = createSessions();
+            const plan = asPlan(planSessionMoves(sessions, [{ sessionId: 's2', toDate: '2026-10-22' }], { today }));
+            const changes = buildRescheduleChanges(plan, CONFLICT_RESOLUTIONS.MERGE);
+            const byId = Object.fromEntries(changes.map(change => [change.after.id, change]));
+
+            expect(Object.keys(byId).sort()).toEqual(['s2', 's3']);
+            expect(byId.s2.after).toMatchObject({ date: null, mergedInto: 's3' });
+            expect(byId.s3.after.date).toBe('2026-10-22');
+            expect(byId.s3.after.phases.workout.map((item: { variationId: string }) => item.variationId))
+                .toEqual(['plank', 'bench', 'warrior']);
+            expect(byId.s3.after.discipline).toEqual(['Weights', 'Yoga']);
+            expect(byId.s3.after.mergedFrom).toEqual(['s2']);
+
+            // The before snapshots are the untouched sessions (what undo writes back)
+            expect(byId.s2.before).toBe(sessions[1]);
+            expect(byId.s3.before).toBe(sessions[2]);
+        });
+
+        it('never merges completed sessions', () => {
+            const plan = asPlan(planSessionMoves(createSessions(), [{ sessionId: 's3', toDate: '2026-10-19' }], { today }));
+            const changes = buildRescheduleChanges(plan, CONFLICT_RESOLUTIONS.MERGE);
+
+            expect(changes).toHaveLength(1);
+            expect(changes[0].after).toMatchObject({ id: 's3', date: '2026-10-19' });
+            expect(changes[0].after.mergedFrom).toBeUndefined();
+        });
+    });
+
+    describe('CalendarHistory', () => {
+        const entry = (label: string) => ({ label, changes: [{ before: null, after: { id: label } }] });
+
+        it('undoes and redoes in order', () => {
+            const history = new CalendarHistory();
+            history.record(entry('a'));
+            history.record(entry('b'));
+
+            expect(labelOf(history.peekUndo())).toBe('b');
+            expect(labelOf(history.undo())).toBe('b');
+            expect(labelOf(history.undo())).toBe('a');
+            expect(history.canUndo).toBe(false);
+            expect(history.undo()).toBeNull();
+
+            expect(labelOf(history.peekRedo())).toBe('a');
+            expect(labelOf(history.redo())).toBe('a');
+            expect(history.canRedo).toBe(true);
+        });
+
+        it('clears the redo stack on a new change and ignores empty changes', () => {
+            const history = new CalendarHistory();
+            history.record(entry('a'));
+            history.undo();
+            history.record({ label: 'nothing', changes: [] });
+            expect(history.canRedo).toBe(true);
+
+            history.record(entry('b'));
+            expect(history.canRedo).toBe(false);
+            expect(labelOf(history.peekUndo())).toBe('b');
+        });
+
+        it('keeps only the latest entries', () => {
+            const history = new CalendarHistory(2);
+            ['a', 'b', 'c'].forEach(label => history.record(entry(label)));
+
+            expect(labelOf(history.undo())).toBe('c');
+            expect(labelOf(history.undo())).toBe('b');
+            expect(history.canUndo).toBe(false);
+        });
+    });
+});
@@ -0,0 +1,116 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+vi.mock('../../../src/services/exerciseService.js', () => ({
+    getAllExercises: vi.fn(),
+    getAllVariations: vi.fn()
+}));
+
+import { getAllExercises, getAllVariations } from '../../../src/services/exerciseService.js';
+
+/**
+ * Minimal Cache Storage (one Map of url -> body per cache)
+ */
+const cacheStorage = new Map<string, Map<string, string>>();
+
+function openCache(name: string) {
+    if (!cacheStorage.has(name)) cacheStorage.set(name, new Map());
+    const entries = cacheStorage.get(name)!;
+    return {
+        match: async (url: string) => (entries.has(url) ? new Response(entries.get(url)) : undefined),
+        put: async (url: string, response: Response) => {
+            entries.set(url, await response.text());
+        }
+    };
+}
+
+interface Catalog {
+    exercises: Array<{ id: string; variations: Array<{ id: string }> }>;
+}
+
+const exerciseIds = (catalog: Catalog) => catalog.exercises.map(exercise => exercise.id);
+
+/**
+ * Firestore answers with these exercises (one variation each)
+ */
+function mockFirestoreCatalog(ids: string[]) {
+    vi.mocked(getAllExercises).mockResolvedValue(ids.map(id => ({ id, name: id, targetMuscleGroups: [] })));
+    vi.mocked(getAllVariations).mockResolvedValue(ids.map(id => ({ id: `${id}-v1`, exerciseId: id, disciplines: ['weights'] })));
+}
+
+// The catalog is refreshed at most once per page load: every test gets fresh modules
+async function loadModules() {
+    vi.resetModules();
+    const engine = await import('../../../js/core/workout-engine.js');
+    const pwa = await import('../../../js/core/pwa.js');
+    return { loadExercises: engine.loadExercises as () => Promise<Catalog>, ...pwa };
+}
+
+describe('exercise catalog cache', () => {
+    beforeEach(() => {
+        cacheStorage.clear();
+        vi.clearAllMocks();
+        vi.stubGlobal('caches', { open: async (name: string) => openCache(name) });
+    });
+
+    afterEach(() => {
+        vi.unstubAllGlobals();
+    });
+
+    it('loads from Firestore and caches the catalog the first time', async () => {
+        mockFirestoreCatalog(['squat']);
+        const { loadExercises, getCachedExerciseCatalog } = await loadModules();
+
+        expect(exerciseIds(await loadExercises())).toEqual(['squat']);
+
+        const cached = await getCachedExerciseCatalog() as { catalog: Catalog; cachedAt: string };
+        expect(exerciseIds(cached.catalog)).toEqual(['squat']);
+        expect(cached.cachedAt).toEqual(expect.any(String));
+    });
+
+    it('serves the cached catalog and refreshes it in the background', async () => {
+        const { loadExercises, saveExerciseCatalogToCache, getCachedExerciseCatalog } = await loadModules();
+        await saveExerciseCatalogToCache({ exercises: [{ id: 'squat', variations: [] }] });
+        mockFirestoreCatalog(['squat', 'deadlift']);
+        const updated = vi.fn();
+        window.addEventListener('exercise-catalog-updated', updated);
+
+        expect(exerciseIds(await loadExercises())).toEqual(['squat']);
+
+        await vi.waitFor(() => expect(updated).toHaveBeenCalledTimes(1));
+        const cached = await getCachedExerciseCatalog() as { catalog: Catalog };
+        expect(exerciseIds(cached.catalog)).toEqual(['squat', 'deadlift']);
+
+        // Once per page load
+        await loadExercises();
+        expect(getAllExercises).toHaveBeenCalledTimes(1);
+        window.removeEventListener('exercise-catalog-updated', updated);
+    });
+
+    it('keeps serving the cached catalog offline and retries on the next load', async () => {
+        const { loadExercises, saveExerciseCatalogToCache } = await loadModules();
+        await saveExerciseCatalogToCache({ exercises: [{ id: 'squat', variations: [] }] });
+        vi.mocked(getAllExercises).mockRejectedValue(new Error('unavailable'));
+        vi.mocked(getAllVariations).mockResolvedValue([]);
+
+        const warn = vi.spyOn(console, 'warn');
+
+        expect(exerciseIds(await loadExercises())).toEqual(['squat']);
+        await vi.waitFor(() => expect(warn).toHaveBeenCalledWith(
+            '[Workout Engine] Could not refresh exercise catalog:',
+            'Failed to load exercises: unavailable'
+        ));
+
+        expect(exerciseIds(await loadExercises())).toEqual(['squat']);
+        expect(getAllExercises).toHaveBeenCalledTimes(2);
+        warn.mockRestore();
+    });
+
+    it('works without Cache Storage', async () => {
+        vi.stubGlobal('caches', undefined);
+        mockFirestoreCatalog(['squat']);
+        const { loadExercises, getCachedExerciseCatalog } = await loadModules();
+
+        expect(exerciseIds(await loadExercises())).toEqual(['squat']);
+        expect(await getCachedExerciseCatalog()).toBeNull();
+    });
+});
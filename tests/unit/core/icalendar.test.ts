@@ -0,0 +1,128 @@
+import { describe, it, expect } from 'vitest';
+import {
+    escapeICalText,
+    foldICalLine,
+    formatICalTimestamp,
+    formatSessionPhaseSummary,
+    getSessionEventUid,
+    buildTrainingCalendar
+} from '../../../js/core/icalendar.js';
+
+const encoder = new TextEncoder();
+const octets = (line: string) => encoder.encode(line).length;
+
+/**
+ * Undo the line folding of an iCalendar text (RFC 5545 3.1)
+ */
+const unfold = (text: string) => text.replace(/\r\n /g, '');
+
+describe('icalendar', () => {
+    describe('escapeICalText', () => {
+        it('escapes backslashes, semicolons, commas and newlines', () => {
+            expect(escapeICalText('a\\b;c,d\ne\r\nf')).toBe('a\\\\b\\;c\\,d\\ne\\nf');
+        });
+
+        it('escapes the backslash before the characters it introduces', () => {
+            // A literal "\n" (backslash + n) must not be read back as a newline
+            expect(escapeICalText('C:\\notes')).toBe('C:\\\\notes');
+        });
+
+        it('returns an empty text for missing values', () => {
+            expect(escapeICalText(null)).toBe('');
+            expect(escapeICalText(undefined)).toBe('');
+        });
+    });
+
+    describe('foldICalLine', () => {
+        it('keeps lines of up to 75 octets', () => {
+            const line = 'X'.repeat(75);
+            expect(foldICalLine(line)).toBe(line);
+        });
+
+        it('folds at 75 octets, counting the leading space of continuation lines', () => {
+            const line = `DESCRIPTION:${'a'.repeat(200)}`;
+            const folded = foldICalLine(line);
+            const parts = folded.split('\r\n');
+
+            expect(parts.length).toBeGreaterThan(1);
+            parts.forEach((part, index) => {
+                expect(octets(part)).toBeLessThanOrEqual(75);
+                if (index > 0) expect(part.startsWith(' ')).toBe(true);
+            });
+            expect(unfold(folded)).toBe(line);
+        });
+
+        it('never splits a multi-byte character', () => {
+            // 3-byte and 4-byte characters that straddle the 75-octet boundary
+            const line = `SUMMARY:${'✓ Fuerza · Piernas 🦵 '.repeat(8)}`;
+            const parts = foldICalLine(line).split('\r\n');
+
+            parts.forEach(part => {
+                expect(octets(part)).toBeLessThanOrEqual(75);
+                expect(part).not.toContain('\uFFFD');
+            });
+            expect(unfold(parts.join('\r\n'))).toBe(line);
+        });
+    });
+
+    it('formats UTC timestamps without separators or milliseconds', () => {
+        expect(formatICalTimestamp('2026-10-19T07:05:09.123Z')).toBe('20261019T070509Z');
+        expect(formatICalTimestamp('not a date')).toBeNull();
+    });
+
+    it('summarizes the phases in the detail modal order', () => {
+        expect(formatSessionPhaseSummary({
+            cooldown: [{ variationName: 'Child Pose' }],
+            warmup: [{ variationName: 'Cat-Cow' }, { exerciseName: 'Inchworm' }],
+            workout: []
+        })).toBe('Warm-up (2): Cat-Cow, Inchworm\nCool Down (1): Child Pose');
+    });
+
+    describe('buildTrainingCalendar', () => {
+        const system = {
+            id: 'system-1',
+            sessions: [
+                {
+                    id: 'session-2',
+                    date: '2026-10-21',
+                    framework: 'Lower Body; Strength, Power',
+                    discipline: 'Weights',
+                    calendarSequence: 2,
+                    phases: { workout: [{ variationName: 'Back Squat' }] }
+                },
+                { id: 'session-1', date: '2026-10-19', framework: 'Push', discipline: 'Weights' },
+                { id: 'session-3', framework: 'Undated' }
+            ]
+        };
+        const now = new Date('2026-10-19T08:00:00Z');
+
+        it('folds every line and uses CRLF line endings', () => {
+            const ics = buildTrainingCalendar(system, { now });
+
+            expect(ics.endsWith('\r\n')).toBe(true);
+            expect(ics.replace(/\r\n/g, '')).not.toMatch(/[\r\n]/);
+            ics.split('\r\n').forEach(line => expect(octets(line)).toBeLessThanOrEqual(75));
+        });
+
+        it('exports one event per dated session, in date order, with escaped text', () => {
+            const lines = unfold(buildTrainingCalendar(system, { now })).split('\r\n');
+
+            expect(lines.filter(line => line.startsWith('UID:'))).toEqual([
+                'UID:system-1-session-1@regain.app',
+                'UID:system-1-session-2@regain.app'
+            ]);
+            expect(lines).toContain('DTSTART;VALUE=DATE:20261021');
+            expect(lines).toContain('DTEND;VALUE=DATE:20261022');
+            expect(lines).toContain('SEQUENCE:2');
+            expect(lines).toContain('DTSTAMP:20261019T080000Z');
+            expect(lines.find(line => line.startsWith('SUMMARY:') && line.includes('Lower'))).toContain('\\;');
+            expect(lines).toContain('DESCRIPTION:Workout (1): Back Squat');
+        });
+
+        it('keeps the UID of a moved session', () => {
+            const session = { id: 'session-1', date: '2026-10-19', originalDate: '2026-10-19' };
+            expect(getSessionEventUid('system-1', { ...session, date: '2026-10-22' }))
+                .toBe(getSessionEventUid('system-1', session));
+        });
+    });
+});
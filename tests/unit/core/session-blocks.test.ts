@@ -0,0 +1,99 @@
+import { describe, it, expect } from 'vitest';
+import {
+    getPhaseBlocks,
+    groupItemsIntoBlock,
+    ungroupBlock,
+    normalizePhaseBlocks
+} from '../../../js/core/session-blocks.js';
+import { BLOCK_TYPES } from '../../../js/core/constants.js';
+
+interface Item {
+    variationId: string;
+    blockId?: string;
+    blockType?: string;
+}
+
+interface Block {
+    id: string;
+    type: string;
+    items: Array<{ item: Item; index: number }>;
+}
+
+const item = (variationId: string, blockId?: string, blockType?: string): Item =>
+    (blockId ? { variationId, blockId, blockType } : { variationId });
+
+const blocksOf = (items: Item[], phase = 'workout') =>
+    (getPhaseBlocks(items, phase) as Block[]).map(block => ({
+        type: block.type,
+        ids: block.items.map(({ item: member }) => member.variationId)
+    }));
+
+const ids = (items: Item[]) => items.map(member => member.variationId);
+
+describe('session blocks', () => {
+    describe('getPhaseBlocks', () => {
+        it('groups the members of a block and keeps the rest as straight sets, in session order', () => {
+            const items = [
+                item('a'),
+                item('b', 'b1', BLOCK_TYPES.SUPERSET),
+                item('c', 'b1', BLOCK_TYPES.SUPERSET),
+                item('d')
+            ];
+
+            expect(blocksOf(items)).toEqual([
+                { type: BLOCK_TYPES.STRAIGHT, ids: ['a'] },
+                { type: BLOCK_TYPES.SUPERSET, ids: ['b', 'c'] },
+                { type: BLOCK_TYPES.STRAIGHT, ids: ['d'] }
+            ]);
+            expect((getPhaseBlocks(items, 'workout') as Block[]).map(block => block.id)).toEqual(['workout-0', 'b1', 'workout-3']);
+        });
+
+        it('treats single-member blocks and unknown block types as straight sets', () => {
+            expect(blocksOf([item('a', 'b1', BLOCK_TYPES.CIRCUIT), item('b', 'b2', 'pyramid')])).toEqual([
+                { type: BLOCK_TYPES.STRAIGHT, ids: ['a'] },
+                { type: BLOCK_TYPES.STRAIGHT, ids: ['b'] }
+            ]);
+            expect(getPhaseBlocks(undefined)).toEqual([]);
+        });
+    });
+
+    describe('editing', () => {
+        it('moves the grouped items next to the first one', () => {
+            const items = [item('a'), item('b'), item('c'), item('d')];
+            const grouped = groupItemsIntoBlock(items, [3, 1], BLOCK_TYPES.CIRCUIT) as Item[];
+
+            expect(ids(grouped)).toEqual(['a', 'b', 'd', 'c']);
+            expect(grouped[1].blockId).toBeDefined();
+            expect(grouped[2].blockId).toBe(grouped[1].blockId);
+            expect(grouped[2].blockType).toBe(BLOCK_TYPES.CIRCUIT);
+            expect(grouped[0].blockId).toBeUndefined();
+        });
+
+        it('ignores a selection of less than two items or a straight block type', () => {
+            const items = [item('a'), item('b')];
+
+            expect(groupItemsIntoBlock(items, [0, 0, 5], BLOCK_TYPES.SUPERSET)).toEqual(items);
+            expect(groupItemsIntoBlock(items, [0, 1], BLOCK_TYPES.STRAIGHT)).toEqual(items);
+        });
+
+        it('turns the block an item was taken from into straight sets when one exercise is left', () => {
+            const items = [item('a', 'b1', BLOCK_TYPES.SUPERSET), item('b', 'b1', BLOCK_TYPES.SUPERSET), item('c')];
+            const regrouped = groupItemsIntoBlock(items, [1, 2], BLOCK_TYPES.SUPERSET) as Item[];
+
+            expect(regrouped[0]).toEqual(item('a'));
+            expect(blocksOf(regrouped).map(block => block.type)).toEqual([BLOCK_TYPES.STRAIGHT, BLOCK_TYPES.SUPERSET]);
+        });
+
+        it('ungroups a block', () => {
+            const items = [item('a', 'b1', BLOCK_TYPES.FLOW), item('b', 'b1', BLOCK_TYPES.FLOW), item('c', 'b2', BLOCK_TYPES.FLOW), item('d', 'b2', BLOCK_TYPES.FLOW)];
+
+            expect(ungroupBlock(items, 'b1')).toEqual([item('a'), item('b'), items[2], items[3]]);
+        });
+
+        it('moves separated members back together after a reorder', () => {
+            const items = [item('a', 'b1', BLOCK_TYPES.SUPERSET), item('x'), item('b', 'b1', BLOCK_TYPES.SUPERSET)];
+
+            expect(ids(normalizePhaseBlocks(items) as Item[])).toEqual(['a', 'b', 'x']);
+        });
+    });
+});
@@ -0,0 +1,82 @@
+import { describe, it, expect } from 'vitest';
+import {
+    estimatePhaseItemSeconds,
+    estimatePhaseMinutes,
+    estimateSessionMinutes
+} from '../../../js/core/session-duration.js';
+
+describe('session duration', () => {
+    describe('estimatePhaseItemSeconds', () => {
+        it('uses the workout journal defaults for items without a prescription', () => {
+            // 3 x 10 reps at 3s, 2 rests of the phase rest, setup 30s
+            expect(estimatePhaseItemSeconds([{ variationId: 'a' }], 'workout')).toEqual([3 * 30 + 2 * 90 + 30]);
+            expect(estimatePhaseItemSeconds([{ variationId: 'a' }], 'warmup')).toEqual([3 * 30 + 2 * 30 + 30]);
+            // Cooldown items are 45s holds
+            expect(estimatePhaseItemSeconds([{ variationId: 'a' }], 'cooldown')).toEqual([3 * 45 + 2 * 20 + 30]);
+        });
+
+        it('reads sets, reps, tempo, holds and rest of the prescription', () => {
+            expect(estimatePhaseItemSeconds([
+                { sets: 4, reps: 6, tempo: '3-1-1-0', restSeconds: 120 },
+                { totalSets: 2, reps: 5, tempo: '4-0-X-1', restSeconds: 0 },
+                { sets: 3, holdSeconds: 20, restSeconds: 30 },
+                { sets: 2, tags: ['Isometric'], restSeconds: 60 },
+                { sets: 1, reps: 10, tags: ['unilateral'] }
+            ], 'workout')).toEqual([
+                4 * 30 + 3 * 120 + 30,
+                2 * 30 + 30,
+                3 * 20 + 2 * 30 + 30,
+                2 * 30 + 60 + 30,
+                1 * 60 + 30
+            ]);
+        });
+
+        it('shares the rest after each round between the members of a grouped block', () => {
+            const superset = [
+                { sets: 3, reps: 10, restSeconds: 90, blockId: 'b1', blockType: 'superset' },
+                { sets: 2, reps: 10, restSeconds: 60, blockId: 'b1', blockType: 'superset' },
+                { sets: 3, reps: 10, restSeconds: 90 }
+            ];
+            // 3 rounds: 2 rests of the longest rest (90s), half each
+            expect(estimatePhaseItemSeconds(superset, 'workout')).toEqual([90 + 30 + 90, 60 + 30 + 90, 300]);
+        });
+
+        it('treats single-member and straight blocks as straight sets', () => {
+            const items = [
+                { sets: 3, reps: 10, restSeconds: 90, blockId: 'b1', blockType: 'superset' },
+                { sets: 3, reps: 10, restSeconds: 90, blockId: 'b2', blockType: 'straight' },
+                { sets: 3, reps: 10, restSeconds: 90, blockId: 'b2', blockType: 'straight' }
+            ];
+            expect(estimatePhaseItemSeconds(items, 'workout')).toEqual([300, 300, 300]);
+        });
+
+        it('returns nothing for an empty phase', () => {
+            expect(estimatePhaseItemSeconds(undefined, 'workout')).toEqual([]);
+            expect(estimatePhaseMinutes([], 'workout')).toBe(0);
+        });
+    });
+
+    describe('estimateSessionMinutes', () => {
+        it('adds up the phases of the current items', () => {
+            const session = {
+                estimatedMinutes: 45,
+                phases: {
+                    warmup: [{ sets: 2, reps: 10, restSeconds: 30 }],
+                    workout: [{ sets: 3, reps: 10, restSeconds: 90 }, { sets: 3, reps: 10, restSeconds: 90 }],
+                    cooldown: [{ sets: 1, holdSeconds: 45 }]
+                }
+            };
+            // 120 + 600 + 75 seconds: the items win over the saved estimate
+            expect(estimateSessionMinutes(session)).toBe(13);
+
+            session.phases.workout.pop();
+            expect(estimateSessionMinutes(session)).toBe(8);
+        });
+
+        it('falls back to the backend estimate without items', () => {
+            expect(estimateSessionMinutes({ estimatedMinutes: 40, phases: { workout: [] } })).toBe(40);
+            expect(estimateSessionMinutes({ phases: {} })).toBeNull();
+            expect(estimateSessionMinutes(null)).toBeNull();
+        });
+    });
+});
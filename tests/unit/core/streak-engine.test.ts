@@ -0,0 +1,191 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import {
+    addDays,
+    calculateStreak,
+    createTrainingSchedule,
+    normalizeDateKey,
+    toLocalDateKey
+} from '../../../js/core/streak-engine.js';
+import { MAX_STREAK_FREEZES, STREAK_FREEZE_EARN_INTERVAL } from '../../../js/core/constants.js';
+
+/**
+ * Consecutive days from a start day
+ */
+function daysFrom(start: string, count: number): string[] {
+    return Array.from({ length: count }, (_, index) => addDays(start, index));
+}
+
+const everyDay = () => true;
+
+interface Streak {
+    currentStreak: number;
+    longestStreak: number;
+    streakFreezes: number;
+    frozenDates: string[];
+    lastSessionDate: string | null;
+}
+
+const streakOf = (params: Parameters<typeof calculateStreak>[0]) => calculateStreak(params) as Streak;
+
+/**
+ * Simulate the user's timezone: the local date getters read the time shifted by offsetHours
+ * (process.env.TZ can't be changed inside the vitest worker threads)
+ */
+function useTimezoneOffset(offsetHours: number) {
+    const shifted = (date: Date) => new Date(date.getTime() + offsetHours * 60 * 60 * 1000);
+    vi.spyOn(Date.prototype, 'getFullYear').mockImplementation(function (this: Date) { return shifted(this).getUTCFullYear(); });
+    vi.spyOn(Date.prototype, 'getMonth').mockImplementation(function (this: Date) { return shifted(this).getUTCMonth(); });
+    vi.spyOn(Date.prototype, 'getDate').mockImplementation(function (this: Date) { return shifted(this).getUTCDate(); });
+}
+
+describe('streak engine', () => {
+    afterEach(() => {
+        vi.restoreAllMocks();
+    });
+
+    describe('local days', () => {
+        it('converts timestamps to the local day they happened on', () => {
+            useTimezoneOffset(-7); // Los Angeles (PDT)
+            expect(normalizeDateKey('2026-10-20T03:00:00Z')).toBe('2026-10-19');
+            expect(normalizeDateKey(new Date('2026-10-20T03:00:00Z'))).toBe('2026-10-19');
+            expect(normalizeDateKey({ toDate: () => new Date('2026-10-20T03:00:00Z') })).toBe('2026-10-19');
+
+            vi.restoreAllMocks();
+            useTimezoneOffset(9); // Tokyo
+            expect(normalizeDateKey('2026-10-19T18:00:00Z')).toBe('2026-10-20');
+        });
+
+        it('keeps plain calendar days as they are', () => {
+            useTimezoneOffset(-10); // Honolulu
+            expect(normalizeDateKey('2026-10-19')).toBe('2026-10-19');
+            expect(normalizeDateKey('not a date')).toBeNull();
+            expect(normalizeDateKey(null)).toBeNull();
+        });
+
+        it('adds calendar days across month, year and daylight saving changes', () => {
+            expect(addDays('2026-03-07', 1)).toBe('2026-03-08');
+            expect(addDays('2026-03-08', 1)).toBe('2026-03-09');
+            expect(addDays('2026-11-01', 1)).toBe('2026-11-02');
+            expect(addDays('2026-01-01', -1)).toBe('2025-12-31');
+        });
+
+        it('formats the local day, not the UTC one', () => {
+            useTimezoneOffset(-7);
+            expect(toLocalDateKey(new Date('2026-10-20T03:00:00Z'))).toBe('2026-10-19');
+        });
+    });
+
+    describe('calculateStreak', () => {
+        it('counts consecutive scheduled days and ignores rest days', () => {
+            // Mon/Wed/Fri plan: the rest days in between never break the streak
+            const isScheduled = createTrainingSchedule([{ startDate: '2026-10-05', trainingDaysOfWeek: [1, 3, 5] }]);
+            const streak = streakOf({
+                completedDates: ['2026-10-05', '2026-10-07', '2026-10-09', '2026-10-12'],
+                isScheduled,
+                today: '2026-10-13'
+            });
+
+            expect(streak.currentStreak).toBe(4);
+            expect(streak.longestStreak).toBe(4);
+            expect(streak.lastSessionDate).toBe('2026-10-12');
+        });
+
+        it('does not break the streak for today\'s pending session', () => {
+            const streak = streakOf({
+                completedDates: daysFrom('2026-10-15', 4),
+                isScheduled: everyDay,
+                today: '2026-10-19'
+            });
+            expect(streak.currentStreak).toBe(4);
+        });
+
+        it('resets on a missed scheduled day without freezes', () => {
+            const streak = streakOf({
+                completedDates: [...daysFrom('2026-10-01', 3), '2026-10-05'],
+                isScheduled: everyDay,
+                today: '2026-10-06'
+            });
+            // 10-04 was missed: the streak restarts with 10-05
+            expect(streak.currentStreak).toBe(1);
+            expect(streak.longestStreak).toBe(3);
+        });
+
+        it('earns a freeze every interval and spends it on a missed day', () => {
+            const start = '2026-09-01';
+            const earned = daysFrom(start, STREAK_FREEZE_EARN_INTERVAL);
+            const missed = addDays(start, STREAK_FREEZE_EARN_INTERVAL);
+            const after = addDays(missed, 1);
+
+            const streak = streakOf({
+                completedDates: [...earned, after],
+                isScheduled: everyDay,
+                today: addDays(after, 1)
+            });
+
+            expect(streak.currentStreak).toBe(STREAK_FREEZE_EARN_INTERVAL + 1);
+            expect(streak.streakFreezes).toBe(0);
+            expect(streak.frozenDates).toEqual([missed]);
+        });
+
+        it('banks at most MAX_STREAK_FREEZES freezes', () => {
+            const days = STREAK_FREEZE_EARN_INTERVAL * (MAX_STREAK_FREEZES + 2);
+            const streak = streakOf({
+                completedDates: daysFrom('2026-01-01', days),
+                isScheduled: everyDay,
+                today: addDays('2026-01-01', days)
+            });
+
+            expect(streak.currentStreak).toBe(days);
+            expect(streak.streakFreezes).toBe(MAX_STREAK_FREEZES);
+        });
+
+        it('resets once the freezes run out', () => {
+            const start = '2026-09-01';
+            const earned = daysFrom(start, STREAK_FREEZE_EARN_INTERVAL);
+            // Two missed days with only one freeze banked
+            const streak = streakOf({
+                completedDates: earned,
+                isScheduled: everyDay,
+                today: addDays(start, STREAK_FREEZE_EARN_INTERVAL + 2)
+            });
+
+            expect(streak.currentStreak).toBe(0);
+            expect(streak.frozenDates).toEqual([]);
+            expect(streak.longestStreak).toBe(STREAK_FREEZE_EARN_INTERVAL);
+        });
+
+        it('counts completed days stored as timestamps on their local day', () => {
+            useTimezoneOffset(-7);
+            // Evening workouts in California are already the next day in UTC
+            const completedDates = ['2026-10-16T04:30:00Z', '2026-10-17T04:30:00Z', '2026-10-18T04:30:00Z']
+                .map(normalizeDateKey);
+
+            expect(completedDates).toEqual(['2026-10-15', '2026-10-16', '2026-10-17']);
+
+            // The engine itself works on day keys, which no longer depend on the timezone
+            vi.restoreAllMocks();
+            expect(streakOf({ completedDates, isScheduled: everyDay, today: '2026-10-18' }).currentStreak).toBe(3);
+        });
+    });
+
+    describe('createTrainingSchedule', () => {
+        it('follows the planned sessions inside the planned weeks (moved sessions free their day)', () => {
+            const isScheduled = createTrainingSchedule([{
+                startDate: '2026-10-12',
+                trainingDaysOfWeek: [1, 3, 5],
+                // Wednesday's session moved to Thursday
+                sessions: [{ date: '2026-10-12' }, { date: '2026-10-15' }, { date: '2026-10-16' }]
+            }]);
+
+            expect(isScheduled('2026-10-14')).toBe(false);
+            expect(isScheduled('2026-10-15')).toBe(true);
+            // After the planned weeks the weekly pattern applies
+            expect(isScheduled('2026-10-21')).toBe(true);
+            expect(isScheduled('2026-10-22')).toBe(false);
+        });
+
+        it('schedules every day without a plan', () => {
+            expect(createTrainingSchedule([])('2026-10-19')).toBe(true);
+        });
+    });
+});
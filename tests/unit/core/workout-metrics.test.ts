@@ -0,0 +1,137 @@
+import { describe, it, expect, vi } from 'vitest';
+
+vi.mock('../../../config/firebase.config.js', () => ({ db: {}, auth: {} }));
+
+vi.mock('../../../js/services/exerciseHistoryService.js', async importOriginal => ({
+    ...(await importOriginal<object>()),
+    getExerciseHistory: vi.fn()
+}));
+
+import { buildSessionReportData } from '../../../js/core/workout-metrics.js';
+import { getExerciseHistory } from '../../../js/services/exerciseHistoryService.js';
+
+interface ReportEntry {
+    current: { avgRpe: number | null; avgRestSeconds: number | null; tempoAdherence: number | null };
+    comparison: Record<string, number | boolean | null>;
+}
+
+const session = {
+    date: '2026-10-19',
+    phases: { workout: [{ exerciseId: 'squat', variationId: 'squat-back', variationName: 'Back Squat' }] }
+};
+
+// Set 2 logs reps in reserve (RIR 1 = RPE 9) and a tempo off the prescription
+const sessionState = {
+    startedAt: '2026-10-19T07:00:00Z',
+    completedAt: '2026-10-19T07:30:00Z',
+    setData: {
+        'squat-squat-back-set-1': { weight: 100, reps: 5, rpe: 8, tempo: '3110', prescribedTempo: '3-1-1-0', restSeconds: 120 },
+        'squat-squat-back-set-2': { weight: 100, reps: 5, rir: 1, tempo: '2-0-1-0', prescribedTempo: '3-1-1-0', restSeconds: 150 }
+    }
+};
+
+async function buildEntry(previousSets: object[]) {
+    vi.mocked(getExerciseHistory).mockResolvedValue({
+        sessions: [
+            { sessionId: 'last-week', date: '2026-10-12', sets: previousSets },
+            // The session being reported is already in the history: it is not its own baseline
+            { sessionId: 'current', date: '2026-10-19', sets: [{ weight: 200, reps: 5, rpe: 10 }] }
+        ]
+    });
+
+    const report = await buildSessionReportData({
+        session,
+        sessionState,
+        userId: 'user-1',
+        sessionId: 'current',
+        e1rmFormula: 'brzycki',
+        bodyWeight: 80
+    }) as { exercises: ReportEntry[] };
+    return report.exercises[0];
+}
+
+describe('workout metrics per-set details', () => {
+    it('averages the effort as RPE and the rest, and measures the tempo adherence', async () => {
+        const entry = await buildEntry([{ weight: 100, reps: 5 }]);
+
+        expect(entry.current.avgRpe).toBe(8.5);
+        expect(entry.current.avgRestSeconds).toBe(135);
+        expect(entry.current.tempoAdherence).toBe(50);
+    });
+
+    it('compares effort and rest with the last session', async () => {
+        const entry = await buildEntry([
+            { weight: 100, reps: 5, rpe: 9, restSeconds: 120 },
+            { weight: 100, reps: 5, rpe: 9.5, restSeconds: 120 }
+        ]);
+
+        expect(entry.comparison).toMatchObject({
+            previousVolume: 1000,
+            deltaAbsolute: 0,
+            previousAvgRpe: 9.3,
+            rpeDelta: -0.8,
+            previousAvgRestSeconds: 120,
+            restDeltaSeconds: 15,
+            tempoAdherence: 50
+        });
+        // Same work at a lower effort
+        expect(entry.comparison.improvement).toBe(true);
+    });
+
+    it('does not compare effort or rest the last session did not log', async () => {
+        const entry = await buildEntry([{ weight: 100, reps: 5 }, { weight: 100, reps: 5 }]);
+
+        expect(entry.comparison.rpeDelta).toBeNull();
+        expect(entry.comparison.restDeltaSeconds).toBeNull();
+        expect(entry.comparison.improvement).toBe(false);
+    });
+});
+
+describe('workout metrics blocks', () => {
+    it('adds up the volume and complete rounds of a superset', async () => {
+        vi.mocked(getExerciseHistory).mockResolvedValue({
+            sessions: [{ sessionId: 'last-week', date: '2026-10-12', sets: [{ weight: 40, reps: 10 }] }]
+        });
+
+        const report = await buildSessionReportData({
+            session: {
+                date: '2026-10-19',
+                phases: {
+                    workout: [
+                        { exerciseId: 'bench', variationId: 'bench-db', variationName: 'Dumbbell Bench', blockId: 'b1', blockType: 'superset' },
+                        { exerciseId: 'row', variationId: 'row-db', variationName: 'Dumbbell Row', blockId: 'b1', blockType: 'superset' },
+                        { exerciseId: 'squat', variationId: 'squat-back' }
+                    ]
+                }
+            },
+            sessionState: {
+                startedAt: '2026-10-19T07:00:00Z',
+                setData: {
+                    'bench-bench-db-set-1': { weight: 30, reps: 10 },
+                    'bench-bench-db-set-2': { weight: 30, reps: 10 },
+                    'row-row-db-set-1': { weight: 35, reps: 10 },
+                    'squat-squat-back-set-1': { weight: 100, reps: 5 }
+                }
+            },
+            userId: 'user-1',
+            sessionId: 'current',
+            e1rmFormula: 'brzycki',
+            bodyWeight: 80
+        }) as { blocks: object[]; exercises: Array<{ blockId?: string }> };
+
+        // Straight sets are not a block; a round is complete once both exercises logged their set
+        expect(report.blocks).toEqual([{
+            blockId: 'b1',
+            blockType: 'superset',
+            phase: 'workout',
+            exercises: ['Dumbbell Bench', 'Dumbbell Row'],
+            totalVolume: 950,
+            totalReps: 30,
+            numSets: 3,
+            rounds: 1,
+            previousVolume: 800,
+            volumeDelta: 150
+        }]);
+        expect(report.exercises.map(entry => entry.blockId)).toEqual(['b1', 'b1', undefined]);
+    });
+});
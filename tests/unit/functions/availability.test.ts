@@ -0,0 +1,145 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest';
+import {
+    normalizeAvailability,
+    getDayMaxMinutes,
+    getAvailabilityViolations,
+    fitWeeklyPlanToAvailability
+} from '../../../functions/src/services/availability';
+import { validateWeeklyPlan } from '../../../functions/src/utils/weekly-plan-validator';
+import type { UserAvailability, WeeklyPlan } from '../../../functions/src/types/schemas';
+
+/**
+ * Plan for the week starting on Monday 2026-10-19
+ */
+function createPlan(trainingDays: number[]): WeeklyPlan {
+    return {
+        totalTrainingDays: trainingDays.length,
+        trainingDays,
+        startDate: '2026-10-19',
+        goalDescription: 'Strength',
+        schedule: trainingDays.map(dayIndex => ({
+            dayIndex,
+            focus: `Focus ${dayIndex}`,
+            description: 'Session',
+            systemGoal: 'Strength'
+        }))
+    };
+}
+
+function availability(overrides: Partial<UserAvailability> = {}): UserAvailability {
+    return { days: [], timeWindows: [], maxSessionMinutes: null, blackoutDates: [], ...overrides };
+}
+
+describe('availability', () => {
+    it('normalizes the profile data', () => {
+        expect(normalizeAvailability(null)).toBeNull();
+        expect(normalizeAvailability({
+            days: [5, 1, 1, 9, 'x'],
+            timeWindows: [
+                { day: 1, start: ' 07:00', end: '08:00 ' },
+                { day: 2, start: '09:00', end: '08:00' },
+                { day: 3, start: '7am', end: '8am' }
+            ],
+            maxSessionMinutes: '50.4',
+            blackoutDates: [
+                { start: '2026-10-25', end: '2026-10-22', reason: 'Travel' },
+                { start: '2026-12-25' },
+                { start: 'tomorrow' }
+            ]
+        })).toEqual({
+            days: [1, 5],
+            timeWindows: [{ day: 1, start: '07:00', end: '08:00' }],
+            maxSessionMinutes: 50,
+            blackoutDates: [
+                { start: '2026-10-22', end: '2026-10-25', reason: 'Travel' },
+                { start: '2026-12-25', end: '2026-12-25' }
+            ]
+        });
+    });
+
+    it('limits a day to its longest window and the max session length', () => {
+        const limits = availability({
+            timeWindows: [{ day: 1, start: '07:00', end: '07:45' }, { day: 1, start: '18:00', end: '18:30' }],
+            maxSessionMinutes: 60
+        });
+        expect(getDayMaxMinutes(limits, 1)).toBe(45);
+        expect(getDayMaxMinutes(limits, 2)).toBe(60);
+        expect(getDayMaxMinutes(availability(), 2)).toBeNull();
+    });
+
+    describe('fitWeeklyPlanToAvailability', () => {
+        it('returns the plan unchanged without availability', () => {
+            const plan = createPlan([1, 3, 5]);
+            expect(fitWeeklyPlanToAvailability(plan, null)).toBe(plan);
+        });
+
+        it('moves sessions off unavailable days to the nearest free day (the later one on a tie)', () => {
+            const fitted = fitWeeklyPlanToAvailability(createPlan([1, 3, 5]), availability({ days: [1, 2, 4, 5] }));
+
+            expect(fitted.trainingDays).toEqual([1, 4, 5]);
+            expect(fitted.totalTrainingDays).toBe(3);
+            expect(fitted.schedule.map(day => day.focus)).toEqual(['Focus 1', 'Focus 3', 'Focus 5']);
+        });
+
+        it('moves sessions off blackout dates within the plan week', () => {
+            // Friday 10-23 and Saturday 10-24 blocked: Friday's session goes to Sunday, the end of the plan week
+            const fitted = fitWeeklyPlanToAvailability(
+                createPlan([1, 3, 4, 5]),
+                availability({ blackoutDates: [{ start: '2026-10-23', end: '2026-10-24', reason: 'Travel' }] })
+            );
+
+            expect(fitted.trainingDays).toEqual([0, 1, 3, 4]);
+            expect(fitted.schedule.find(day => day.focus === 'Focus 5')?.dayIndex).toBe(0);
+        });
+
+        it('drops sessions when no free day is left', () => {
+            const fitted = fitWeeklyPlanToAvailability(
+                createPlan([1, 3, 5]),
+                availability({ days: [1, 3], blackoutDates: [{ start: '2026-10-19', end: '2026-10-19' }] })
+            );
+
+            expect(fitted.trainingDays).toEqual([3]);
+            expect(fitted.schedule).toHaveLength(1);
+        });
+
+        it('sets each day\'s available minutes and replaces stale ones', () => {
+            const plan = createPlan([1, 3]);
+            plan.schedule[1].maxDurationMinutes = 90;
+            const fitted = fitWeeklyPlanToAvailability(plan, availability({
+                timeWindows: [{ day: 1, start: '07:00', end: '07:45' }]
+            }));
+
+            expect(fitted.schedule.map(day => day.maxDurationMinutes)).toEqual([45, undefined]);
+            expect('maxDurationMinutes' in fitted.schedule[1]).toBe(false);
+        });
+    });
+
+    describe('validateWeeklyPlan', () => {
+        const limits = availability({
+            days: [1, 2, 4, 5],
+            maxSessionMinutes: 60,
+            blackoutDates: [{ start: '2026-10-23', end: '2026-10-23', reason: 'Holiday' }]
+        });
+
+        it('accepts a plan fitted to the availability', () => {
+            const fitted = fitWeeklyPlanToAvailability(createPlan([1, 3, 5]), limits);
+            expect(getAvailabilityViolations(fitted, limits)).toEqual([]);
+            expect(() => validateWeeklyPlan(fitted, limits)).not.toThrow();
+        });
+
+        it('rejects unavailable days, blackout dates and sessions longer than the day allows', () => {
+            const plan = createPlan([1, 3, 5]);
+            plan.schedule[0].maxDurationMinutes = 75;
+
+            const violations = getAvailabilityViolations(plan, limits);
+            expect(violations).toHaveLength(3);
+            expect(violations[0]).toContain('[3] are not available days');
+            expect(violations[1]).toContain('day 5 (2026-10-23) falls on blackout dates 2026-10-23..2026-10-23 (Holiday)');
+            expect(violations[2]).toContain('schedule[0].maxDurationMinutes (75) exceeds the 60 minutes available on day 1');
+
+            expect(() => validateWeeklyPlan(plan, limits)).toThrow(/does not respect the user's availability/);
+            expect(() => validateWeeklyPlan(plan)).not.toThrow();
+        });
+    });
+});
@@ -0,0 +1,64 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest';
+import {
+    CONTRAINDICATION_RULES,
+    evaluateContraindications,
+    getActiveContraindications
+} from '../../../functions/src/services/contraindications';
+import type { ExerciseVariation } from '../../../functions/src/types/schemas';
+
+const areas = (discomforts: string[], injuryHistory = '') =>
+    getActiveContraindications({ discomforts, injuryHistory } as any).map(rule => rule.area);
+
+function variation(tags: string[], targetMuscles: string[] = []): ExerciseVariation {
+    return { id: 'v1', name: 'Variation', phase: 'workout', disciplines: ['weights'], tags, targetMuscles } as ExerciseVariation;
+}
+
+describe('contraindications', () => {
+    describe('getActiveContraindications', () => {
+        it('activates the rules of the onboarding discomforts and ignores "None"', () => {
+            expect(areas(['Back', 'Neck'])).toEqual(['back', 'neck']);
+            expect(areas(['None'])).toEqual([]);
+            expect(getActiveContraindications(null)).toEqual([]);
+        });
+
+        it('matches whole words and their plurals or verb forms in the injury history', () => {
+            expect(areas([], 'Torn meniscus in both knees, two herniated discs')).toEqual(['knee', 'back']);
+            expect(areas([], 'Dislocated my left shoulder; sore wrists')).toEqual(['shoulder', 'wrist']);
+            expect(areas([], 'Achilles tendinitis (right foot)')).toEqual(['ankle']);
+        });
+
+        it('does not match words that only start with a keyword', () => {
+            expect(areas([], 'Slight discomfort after long runs')).toEqual([]);
+            expect(areas([], 'Played football and hiking every weekend')).toEqual([]);
+            expect(areas([], 'Elbowroom at work, necklace allergy, kneeling desk')).toEqual([]);
+        });
+
+        it('keeps keywords literal', () => {
+            expect(areas([], 'a.c.l')).toEqual([]);
+            expect(areas([], 'ACL reconstruction')).toEqual(['knee']);
+        });
+    });
+
+    describe('evaluateContraindications', () => {
+        const rules = CONTRAINDICATION_RULES.filter(rule => ['back', 'knee'].includes(rule.area));
+
+        it('excludes on an exclusion tag over any downscore', () => {
+            const result = evaluateContraindications(variation(['Hinge', 'squat']), rules);
+            expect(result.action).toBe('excluded');
+            expect(result.records).toHaveLength(1);
+            expect(result.records[0]).toMatchObject({ area: 'back', reason: 'Loads the lower back (back: hinge)' });
+        });
+
+        it('downscores on a downscore tag or muscle', () => {
+            const result = evaluateContraindications(variation(['bilateral'], ['Quadriceps']), rules);
+            expect(result.action).toBe('downscored');
+            expect(result.records.map(record => record.area)).toEqual(['knee']);
+        });
+
+        it('leaves unrelated variations and users without rules alone', () => {
+            expect(evaluateContraindications(variation(['push']), rules)).toEqual({ action: null, records: [] });
+            expect(evaluateContraindications(variation(['hinge']), [])).toEqual({ action: null, records: [] });
+        });
+    });
+});
@@ -0,0 +1,101 @@
+// @vitest-environment node
+import { describe, it, expect, vi } from 'vitest';
+
+vi.mock('../../../functions/node_modules/firebase-admin', () => {
+    const admin = {
+        firestore: Object.assign(() => ({}), {
+            FieldValue: { serverTimestamp: () => 'SERVER_TIMESTAMP' },
+            FieldPath: { documentId: () => '__name__' }
+        })
+    };
+    return { ...admin, default: admin };
+});
+
+import { FirestoreCheckpointSaver } from '../../../functions/src/services/firestore-checkpointer';
+import type { ExerciseVariation } from '../../../functions/src/types/schemas';
+
+/**
+ * In-memory run document: checkpoints/{id} with the queries the saver uses
+ */
+function createRunRef() {
+    const docs = new Map<string, any>();
+    const snapshotOf = (ids: string[]) => ({
+        empty: ids.length === 0,
+        docs: ids.map(id => ({ id, exists: true, data: () => docs.get(id), ref: id }))
+    });
+    const query = (limit?: number) => ({
+        limit: (n: number) => query(n),
+        startAfter: () => query(limit),
+        get: async () => snapshotOf([...docs.keys()].sort().reverse().slice(0, limit))
+    });
+    const checkpoints = {
+        doc: (id: string) => ({
+            set: async (data: any) => { docs.set(id, data); },
+            get: async () => ({ id, exists: docs.has(id), data: () => docs.get(id) })
+        }),
+        orderBy: () => query(),
+        limit: (n: number) => query(n),
+        get: async () => snapshotOf([...docs.keys()])
+    };
+    return { docs, runRef: { collection: () => checkpoints } as any };
+}
+
+const variation = (id: string): ExerciseVariation =>
+    ({ id, name: id, phase: 'workout', disciplines: ['weights'], tags: [], targetMuscles: [] }) as ExerciseVariation;
+
+const checkpoint = (id: string, channelValues: Record<string, unknown>) => ({
+    v: 1,
+    id,
+    ts: '2026-10-19T00:00:00.000Z',
+    channel_values: channelValues,
+    channel_versions: {},
+    versions_seen: {}
+}) as any;
+
+describe('FirestoreCheckpointSaver', () => {
+    it('stores the catalog as ids and reloads it when reading the checkpoint', async () => {
+        const { docs, runRef } = createRunRef();
+        const loadVariations = vi.fn(async () => [variation('a'), variation('b'), variation('c')]);
+        const saver = new FirestoreCheckpointSaver(runRef, loadVariations);
+
+        expect(await saver.hasCheckpoint()).toBe(false);
+
+        await saver.put(
+            { configurable: { thread_id: 'run-1' } },
+            checkpoint('0001', { availableVariations: [variation('c'), variation('a'), variation('gone')], currentDayIndex: 1 }),
+            { source: 'loop', step: 3 } as any
+        );
+
+        const stored = docs.get('0001');
+        expect(stored.availableVariationIds).toEqual(['c', 'a', 'gone']);
+        expect(stored.checkpoint).not.toContain('availableVariations');
+        expect(await saver.hasCheckpoint()).toBe(true);
+
+        const tuple = await saver.getTuple({ configurable: { thread_id: 'run-1' } });
+        expect(tuple?.config.configurable?.checkpoint_id).toBe('0001');
+        expect(tuple?.checkpoint.channel_values).toEqual({
+            currentDayIndex: 1,
+            // Same order as saved; variations no longer in the catalog are dropped
+            availableVariations: [variation('c'), variation('a')]
+        });
+
+        await saver.getTuple({ configurable: { thread_id: 'run-1', checkpoint_id: '0001' } });
+        expect(loadVariations).toHaveBeenCalledTimes(1);
+    });
+
+    it('does not load the catalog for checkpoints without it', async () => {
+        const { runRef } = createRunRef();
+        const loadVariations = vi.fn(async () => []);
+        const saver = new FirestoreCheckpointSaver(runRef, loadVariations);
+
+        await saver.put(
+            { configurable: { thread_id: 'run-1' } },
+            checkpoint('0001', { weeklyPlan: null }),
+            { source: 'input', step: -1 } as any
+        );
+
+        const tuple = await saver.getTuple({ configurable: { thread_id: 'run-1' } });
+        expect(tuple?.checkpoint.channel_values).toEqual({ weeklyPlan: null });
+        expect(loadVariations).not.toHaveBeenCalled();
+    });
+});
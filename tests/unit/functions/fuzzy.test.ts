@@ -0,0 +1,90 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest';
+import {
+    FUZZY_MATCH_THRESHOLD,
+    fuzzyTagScore,
+    isKnownTerm,
+    normalizeTerm,
+    stemWord,
+    termSimilarity
+} from '../../../functions/src/services/fuzzy';
+
+describe('fuzzy tag matching', () => {
+    it('normalizes case, hyphens and spaces', () => {
+        expect(normalizeTerm(' Hip-Flexors ')).toBe('hip flexors');
+        expect(normalizeTerm('upper__back  ')).toBe('upper back');
+    });
+
+    describe('stemWord', () => {
+        it('strips plurals and verb suffixes', () => {
+            expect(stemWord('hips')).toBe('hip');
+            expect(stemWord('squatting')).toBe('squat');
+            expect(stemWord('stepped')).toBe('step');
+            expect(stemWord('lunges')).toBe('lung');
+            expect(stemWord('bodies')).toBe('body');
+        });
+
+        it('keeps words that end in a double consonant', () => {
+            expect(stemWord('press')).toBe('press');
+            expect(stemWord('pressing')).toBe('press');
+            expect(stemWord('rolling')).toBe('roll');
+        });
+    });
+
+    describe('termSimilarity (documented matches)', () => {
+        it('scores each layer from strongest to weakest', () => {
+            expect(termSimilarity('hip-flexors', 'hip flexors')).toBe(1);
+            expect(termSimilarity('hips', 'hip')).toBe(0.95);
+            expect(termSimilarity('squatting', 'squat')).toBe(0.95);
+            expect(termSimilarity('deadlift', 'hinge')).toBe(0.85);
+            expect(termSimilarity('posterior chain', 'glutes')).toBe(0.85);
+            expect(termSimilarity('hip', 'hip flexors')).toBe(0.85);
+            expect(termSimilarity('hip', 'hip extensors')).toBe(0.7);
+        });
+
+        it('matches typos above the threshold', () => {
+            expect(termSimilarity('shoulder', 'sholders')).toBeGreaterThanOrEqual(FUZZY_MATCH_THRESHOLD);
+            expect(termSimilarity('shoulders', 'sholders')).toBeGreaterThanOrEqual(FUZZY_MATCH_THRESHOLD);
+            expect(termSimilarity('shoulders', 'sholders')).toBeLessThan(0.85);
+        });
+
+        it('keeps press and pressing on the same stem', () => {
+            expect(termSimilarity('press', 'pressing')).toBe(0.95);
+            expect(termSimilarity('push', 'press')).toBe(0.85);
+        });
+
+        it('does not treat stability as a core synonym', () => {
+            expect(termSimilarity('stability', 'core')).toBe(0);
+            expect(termSimilarity('hip stability', 'hips')).toBe(0.85);
+        });
+
+        it('is symmetric', () => {
+            expect(termSimilarity('glutes', 'hinge')).toBe(termSimilarity('hinge', 'glutes'));
+        });
+    });
+
+    it('accepts terms from the synonym groups or close to the vocabulary', () => {
+        expect(isKnownTerm('deadlift', [])).toBe(true);
+        expect(isKnownTerm('sholders', ['shoulders'])).toBe(true);
+        expect(isKnownTerm('banana', ['shoulders', 'core'])).toBe(false);
+    });
+
+    describe('fuzzyTagScore', () => {
+        it('returns 0 without targets or tags', () => {
+            expect(fuzzyTagScore({ tags: ['core'] }, [])).toBe(0);
+            expect(fuzzyTagScore({ tags: [], targetMuscles: [] }, ['core'])).toBe(0);
+        });
+
+        it('weights muscle matches below tag matches', () => {
+            const byTag = fuzzyTagScore({ tags: ['glutes'] }, ['glutes']);
+            const byMuscle = fuzzyTagScore({ tags: ['bilateral'], targetMuscles: ['glutes'] }, ['glutes']);
+            expect(byTag).toBe(1);
+            expect(byMuscle).toBe(0.75);
+        });
+
+        it('adds a bonus for covering several targets', () => {
+            const score = fuzzyTagScore({ tags: ['hip', 'deadlift'] }, ['hips', 'hinge']);
+            expect(score).toBeCloseTo(Math.min(1, ((0.95 + 0.85) / 2) * 1.1));
+        });
+    });
+});
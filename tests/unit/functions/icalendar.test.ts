@@ -0,0 +1,47 @@
+// @vitest-environment node
+import { describe, it, expect, vi, afterEach } from 'vitest';
+
+vi.mock('../../../functions/node_modules/firebase-admin', () => {
+    const admin = { firestore: () => ({}) };
+    return { ...admin, default: admin };
+});
+
+import { buildTrainingCalendar as buildFeedCalendar } from '../../../functions/src/services/icalendar';
+import { buildTrainingCalendar as buildDownloadCalendar } from '../../../js/core/icalendar.js';
+
+describe('calendar feed', () => {
+    afterEach(() => {
+        vi.useRealTimers();
+    });
+
+    it('builds the same events as the .ics download', () => {
+        vi.useFakeTimers();
+        vi.setSystemTime(new Date('2026-10-19T08:00:00Z'));
+
+        const sessions = [
+            {
+                id: 'session-2',
+                date: '2026-10-21',
+                framework: 'Animal Flow - Lower Body; Strength, Power',
+                discipline: ['Animal Flow', 'Weights'],
+                calendarSequence: 3,
+                completed: true,
+                updatedAt: '2026-10-20T10:00:00Z',
+                phases: {
+                    warmup: [{ variationName: 'Cat-Cow' }],
+                    workout: [{ variationName: 'Back Squat \\ Pause' }, { exerciseName: 'Crab Walk' }]
+                }
+            },
+            { id: 'session-1', date: '2026-10-19', framework: 'Push', discipline: 'Weights' },
+            { id: 'session-3', framework: 'Undated' }
+        ];
+
+        const feed = buildFeedCalendar('system-1', sessions);
+        expect(feed).toBe(buildDownloadCalendar({ id: 'system-1', sessions }));
+        expect(feed.split('\r\n').some(line => line.startsWith(' '))).toBe(true);
+    });
+
+    it('publishes an empty calendar without a training system', () => {
+        expect(buildFeedCalendar(null, [{ id: 'session-1', date: '2026-10-19' }])).not.toContain('BEGIN:VEVENT');
+    });
+});
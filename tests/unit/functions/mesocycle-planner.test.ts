@@ -0,0 +1,104 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest';
+import {
+    advanceMesocycle,
+    applyMesocycleVolume,
+    buildMesocycleWeeklyPlan,
+    buildMesocycleWeeks,
+    clampMesocycleWeeks,
+    createMesocycle,
+    getCurrentMesocycleWeek,
+    getWeekStartKey
+} from '../../../functions/src/services/mesocycle-planner';
+
+const basePlan = {
+    totalTrainingDays: 3,
+    trainingDays: [1, 3, 5],
+    goalDescription: 'Build strength and mobility.',
+    schedule: [1, 3, 5].map(dayIndex => ({
+        dayIndex,
+        focus: 'Full Body',
+        description: 'Strength day',
+        systemGoal: 'Full body strength',
+        targetTags: []
+    }))
+} as any;
+
+const variation = (id: string, extra = {}) => ({
+    id,
+    name: id,
+    disciplines: ['weights'],
+    tags: ['bilateral'],
+    ...extra
+}) as any;
+
+describe('mesocycle planner', () => {
+    it('keeps the block length between 4 and 8 weeks', () => {
+        expect(clampMesocycleWeeks(undefined)).toBe(4);
+        expect(clampMesocycleWeeks(2)).toBe(4);
+        expect(clampMesocycleWeeks(6.4)).toBe(6);
+        expect(clampMesocycleWeeks(12)).toBe(8);
+    });
+
+    it('splits the block into accumulation, intensification and a final deload', () => {
+        expect(buildMesocycleWeeks(4).map(week => week.phase))
+            .toEqual(['accumulation', 'accumulation', 'intensification', 'deload']);
+        expect(buildMesocycleWeeks(6).map(week => week.phase))
+            .toEqual(['accumulation', 'accumulation', 'accumulation', 'intensification', 'intensification', 'deload']);
+        expect(buildMesocycleWeeks(8).map(week => week.weekNumber)).toEqual([1, 2, 3, 4, 5, 6, 7, 8]);
+    });
+
+    it('advances one week per calendar week and regenerates the same week', () => {
+        const mesocycle = createMesocycle(basePlan, 5);
+        expect(mesocycle.totalWeeks).toBe(5);
+        expect(getCurrentMesocycleWeek(mesocycle)).toBeNull();
+
+        const first = advanceMesocycle(mesocycle, '2026-10-21')!;
+        expect(first.currentWeek).toBe(1);
+        expect(first.lastGeneratedWeekStart).toBe('2026-10-19');
+        expect(advanceMesocycle(first, '2026-10-25')).toBe(first);
+
+        const second = advanceMesocycle(first, '2026-10-26')!;
+        expect(second.currentWeek).toBe(2);
+
+        expect(advanceMesocycle({ ...second, currentWeek: 5 }, '2026-11-30')).toBeNull();
+    });
+
+    it('adds the phase goal to every day of the weekly plan', () => {
+        const mesocycle = advanceMesocycle(createMesocycle(basePlan, 4), '2026-10-19')!;
+        const plan = buildMesocycleWeeklyPlan(mesocycle, '2026-10-19');
+
+        expect(plan.startDate).toBe('2026-10-19');
+        expect(plan.goalDescription).toContain('Week 1/4 of the block (accumulation)');
+        plan.schedule.forEach(day => expect(day.systemGoal).toMatch(/^Full body strength\. Accumulation week/));
+    });
+
+    it('returns the monday of the week of a date', () => {
+        expect(getWeekStartKey('2026-10-25')).toBe('2026-10-19');
+        expect(getWeekStartKey('2026-10-19T18:00:00Z')).toBe('2026-10-19');
+    });
+
+    describe('applyMesocycleVolume', () => {
+        const phases = {
+            warmup: [variation('warmup-1')],
+            workout: [variation('workout-1'), variation('workout-2', { sets: 4 }), variation('workout-3', { sets: 1 })],
+            cooldown: [variation('cooldown-1')]
+        };
+
+        it('caps the workout sets in the deload week', () => {
+            const deload = buildMesocycleWeeks(4)[3];
+            const result = applyMesocycleVolume(phases, deload);
+
+            expect(result.workout.map(v => v.sets)).toEqual([2, 2, 1]);
+            expect(result.workout[0].reps).toBe(10);
+            expect(result.warmup).toBe(phases.warmup);
+            expect(result.cooldown).toBe(phases.cooldown);
+        });
+
+        it('keeps the prescription outside the deload week', () => {
+            const [accumulation] = buildMesocycleWeeks(4);
+            expect(applyMesocycleVolume(phases, accumulation)).toBe(phases);
+            expect(applyMesocycleVolume(phases, null)).toBe(phases);
+        });
+    });
+});
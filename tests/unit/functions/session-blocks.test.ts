@@ -0,0 +1,76 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest';
+import { assignPhaseBlocks } from '../../../functions/src/services/session-blocks';
+import { getPhaseBlocks } from '../../../js/core/session-blocks.js';
+import type { ExerciseVariation } from '../../../functions/src/types/schemas';
+
+function variation(id: string, disciplines: string[], targetMuscles: string[] = []): ExerciseVariation {
+    return { id, name: id, phase: 'workout', disciplines, tags: [], targetMuscles } as ExerciseVariation;
+}
+
+const layout = (variations: ExerciseVariation[]) =>
+    variations.map(v => (v.blockId ? `${v.id}:${v.blockType}:${v.blockId}` : v.id));
+
+describe('assignPhaseBlocks', () => {
+    it('chains Animal Flow variations into a flow in any phase', () => {
+        const warmup = assignPhaseBlocks([
+            variation('f1', ['Animal Flow']),
+            variation('y1', ['yoga']),
+            variation('f2', ['animal-flow'])
+        ], 'warmup', '2026-10-19-warmup');
+
+        expect(layout(warmup)).toEqual([
+            'f1:flow:2026-10-19-warmup-b1',
+            'f2:flow:2026-10-19-warmup-b1',
+            'y1'
+        ]);
+    });
+
+    it('builds a Crossfit circuit from three variations and a superset from two', () => {
+        const crossfit = (id: string) => variation(id, ['crossfit']);
+
+        expect(layout(assignPhaseBlocks([crossfit('c1'), crossfit('c2'), crossfit('c3')], 'workout', 'w')))
+            .toEqual(['c1:circuit:w-b1', 'c2:circuit:w-b1', 'c3:circuit:w-b1']);
+        expect(layout(assignPhaseBlocks([crossfit('c1'), crossfit('c2')], 'workout', 'w')))
+            .toEqual(['c1:superset:w-b1', 'c2:superset:w-b1']);
+        // Only the workout has circuits
+        expect(layout(assignPhaseBlocks([crossfit('c1'), crossfit('c2')], 'cooldown', 'c'))).toEqual(['c1', 'c2']);
+    });
+
+    it('pairs consecutive workout variations that train different muscles', () => {
+        const workout = assignPhaseBlocks([
+            variation('bench', ['weights'], ['Chest']),
+            variation('row', ['weights'], ['Back']),
+            variation('fly', ['weights'], ['Chest']),
+            variation('press', ['weights'], ['Chest', 'Shoulders']),
+            variation('core', ['weights'])
+        ], 'workout', 'w');
+
+        // fly and press share the chest, core declares no muscles
+        expect(layout(workout)).toEqual(['bench:superset:w-b1', 'row:superset:w-b1', 'fly', 'press', 'core']);
+    });
+
+    it('replaces the blocks a regenerated session brings', () => {
+        const regenerated = [
+            { ...variation('a', ['weights'], ['Chest']), blockId: 'old', blockType: 'superset' as const },
+            { ...variation('b', ['weights'], ['Chest']), blockId: 'old', blockType: 'superset' as const }
+        ];
+
+        expect(layout(assignPhaseBlocks(regenerated, 'workout', 'w'))).toEqual(['a', 'b']);
+    });
+
+    it('emits blocks the session view reads the same way', () => {
+        const workout = assignPhaseBlocks([
+            variation('c1', ['crossfit']),
+            variation('bench', ['weights'], ['Chest']),
+            variation('c2', ['crossfit']),
+            variation('c3', ['crossfit'])
+        ], 'workout', 'w');
+
+        const blocks = getPhaseBlocks(workout, 'workout') as Array<{ type: string; items: Array<{ item: ExerciseVariation }> }>;
+        expect(blocks.map(block => [block.type, block.items.map(({ item }) => item.id)])).toEqual([
+            ['circuit', ['c1', 'c2', 'c3']],
+            ['straight', ['bench']]
+        ]);
+    });
+});
@@ -0,0 +1,139 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest';
+import {
+    prescribeVariation,
+    estimateVariationSeconds,
+    annotatePhaseDurations,
+    estimatePhaseSeconds,
+    estimateSessionMinutes,
+    fitSessionToDuration,
+    SessionPhases
+} from '../../../functions/src/services/session-duration';
+import { estimatePhaseItemSeconds } from '../../../js/core/session-duration.js';
+import type { ExerciseVariation, PhaseType } from '../../../functions/src/types/schemas';
+
+function variation(id: string, overrides: Partial<ExerciseVariation> = {}): ExerciseVariation {
+    return { id, name: id, phase: 'workout', disciplines: ['weights'], tags: [], ...overrides } as ExerciseVariation;
+}
+
+const ids = (variations: ExerciseVariation[]) => variations.map(v => v.id);
+
+const totalSeconds = (phases: SessionPhases) =>
+    (['warmup', 'workout', 'cooldown'] as PhaseType[]).reduce((total, phase) => total + estimatePhaseSeconds(phases[phase], phase), 0);
+
+describe('session duration (backend)', () => {
+    describe('estimates', () => {
+        it('uses the phase prescription for what the variation does not bring', () => {
+            // 3 x 10 reps at 3s, 2 rests of 90s, setup 30s
+            expect(estimateVariationSeconds(variation('a'), 'workout')).toBe(300);
+            // 2 x 10 reps, 1 rest of 30s
+            expect(estimateVariationSeconds(variation('a'), 'warmup')).toBe(120);
+            // Cooldown is timed: 1 x 45s hold
+            expect(estimateVariationSeconds(variation('a'), 'cooldown')).toBe(75);
+            expect(prescribeVariation(variation('a'), 'cooldown')).toMatchObject({ sets: 1, holdSeconds: 45 });
+        });
+
+        it('reads the tempo, isometric holds and unilateral work', () => {
+            // "3-1-1-0" = 5s per rep: 3 x 40s + 2 x 120s + 30s
+            expect(estimateVariationSeconds(variation('a', { reps: 8, tempo: '3-1-1-0', restSeconds: 120 }), 'workout')).toBe(390);
+            // X counts as 1s: "4-0-X-1" = 6s per rep
+            expect(estimateVariationSeconds(variation('a', { sets: 1, reps: 5, tempo: '4-0-X-1' }), 'workout')).toBe(60);
+            expect(estimateVariationSeconds(variation('a', { tags: ['Isometric'] }), 'workout')).toBe(300);
+            expect(estimateVariationSeconds(variation('a', { sets: 1, holdSeconds: 45, tags: ['isometric'] }), 'workout')).toBe(75);
+            expect(estimateVariationSeconds(variation('a', { tags: ['unilateral'] }), 'workout')).toBe(390);
+        });
+
+        it('shares the rest after each round between the members of a block', () => {
+            const superset = [
+                variation('a', { blockId: 'b1', blockType: 'superset' }),
+                variation('b', { blockId: 'b1', blockType: 'superset' })
+            ];
+            // 3 x 30s + 30s setup + half of 2 x 90s rest
+            expect(annotatePhaseDurations(superset, 'workout').map(v => v.estimatedSeconds)).toEqual([210, 210]);
+            expect(estimatePhaseSeconds(superset, 'workout')).toBeLessThan(2 * estimateVariationSeconds(variation('a'), 'workout'));
+        });
+
+        it('rounds the session to minutes', () => {
+            expect(estimateSessionMinutes({
+                warmup: [variation('w')],
+                workout: [variation('a'), variation('b')],
+                cooldown: [variation('c')]
+            } as SessionPhases)).toBe(13);
+        });
+    });
+
+    describe('fitSessionToDuration', () => {
+        const createPhases = (workout: ExerciseVariation[]): SessionPhases => ({
+            warmup: [variation('w1'), variation('w2')],
+            workout,
+            cooldown: [variation('c1'), variation('c2')]
+        });
+
+        it('removes the last accessories of the phase most over its share', () => {
+            // 26.5 minutes: the workout is 7 minutes over its share of 20
+            const fitted = fitSessionToDuration(createPhases(['a', 'b', 'c', 'd'].map(id => variation(id))), 20);
+
+            expect(ids(fitted.workout)).toEqual(['a', 'b']);
+            expect(ids(fitted.warmup)).toEqual(['w1', 'w2']);
+            expect(totalSeconds(fitted)).toBeLessThanOrEqual(20 * 60);
+        });
+
+        it('keeps a second discipline when removing accessories', () => {
+            const fitted = fitSessionToDuration(createPhases([
+                variation('a'),
+                variation('b'),
+                variation('c', { disciplines: ['yoga'] }),
+                variation('d')
+            ]), 20);
+
+            expect(ids(fitted.workout)).toEqual(['a', 'c']);
+        });
+
+        it('removes sets down to the phase minimum when removing accessories is not enough', () => {
+            const fitted = fitSessionToDuration(createPhases(['a', 'b', 'c'].map(id => variation(id))), 5);
+
+            expect(fitted.warmup.map(v => v.sets)).toEqual([1]);
+            expect(fitted.workout.map(v => v.sets)).toEqual([2, 2]);
+            expect(fitted.cooldown.map(v => v.sets)).toEqual([1]);
+        });
+
+        it('recovers sets and adds the best scored accessories when there is time left', () => {
+            const fitted = fitSessionToDuration(
+                { warmup: [variation('w1')], workout: [variation('a', { sets: 1 })], cooldown: [variation('c1')] },
+                20,
+                [variation('a'), variation('x'), variation('y'), variation('z'), variation('short', { sets: 1 })]
+            );
+
+            expect(fitted.workout[0].sets).toBe(3);
+            // z doesn't fit anymore, the shorter one after it does
+            expect(ids(fitted.workout)).toEqual(['a', 'x', 'y', 'short']);
+            expect(totalSeconds(fitted)).toBeLessThanOrEqual(20 * 60);
+        });
+
+        it('returns straight sets', () => {
+            const fitted = fitSessionToDuration(createPhases([
+                variation('a', { blockId: 'b1', blockType: 'superset' }),
+                variation('b', { blockId: 'b1', blockType: 'superset' })
+            ]), 60);
+
+            fitted.workout.forEach(v => {
+                expect(v.blockId).toBeUndefined();
+                expect(v.blockType).toBeUndefined();
+            });
+        });
+    });
+
+    it('estimates prescribed items like the session view', () => {
+        const workout = [
+            variation('a', { sets: 4, reps: 6, tempo: '3-0-1-0', restSeconds: 150 }),
+            variation('b', { sets: 3, reps: 12, restSeconds: 60, blockId: 'b1', blockType: 'superset', tags: ['unilateral'] }),
+            variation('c', { sets: 2, holdSeconds: 40, restSeconds: 45, blockId: 'b1', blockType: 'superset' })
+        ];
+        const cooldown = [variation('s', { sets: 1, holdSeconds: 60, restSeconds: 20 })];
+
+        expect(estimatePhaseItemSeconds(workout, 'workout'))
+            .toEqual(annotatePhaseDurations(workout, 'workout').map(v => v.estimatedSeconds));
+        expect(estimatePhaseItemSeconds(cooldown, 'cooldown'))
+            .toEqual(annotatePhaseDurations(cooldown, 'cooldown').map(v => v.estimatedSeconds));
+    });
+});
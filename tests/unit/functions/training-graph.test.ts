@@ -0,0 +1,132 @@
+// @vitest-environment node
+import { describe, it, expect, vi, beforeAll, afterAll } from 'vitest';
+import * as fs from 'fs';
+import * as path from 'path';
+
+/**
+ * Full training graph with the fixture replay LLM provider
+ *
+ * Runs createTrainingGraph() end to end without network access: the LLM answers come from
+ * functions/fixtures/llm-responses.json, the catalog from scripts/data and Firestore is an
+ * in-memory fake. Fails when the fixtures stop matching the prompts or node shapes
+ * (unknown variation ids, missing functions, invalid weekly plan...).
+ */
+
+const DATA_DIR = path.resolve(__dirname, '../../../scripts/data');
+
+function loadCatalog() {
+    return fs.readdirSync(DATA_DIR)
+        .filter(file => file.endsWith('.json'))
+        .flatMap(file => {
+            const { exercises = [], variations = [] } = JSON.parse(fs.readFileSync(path.join(DATA_DIR, file), 'utf8'));
+            const musclesByExercise = new Map(exercises.map((exercise: any) => [exercise.id, exercise.targetMuscleGroups || []]));
+            return variations.map((variation: any) => ({
+                targetMuscles: musclesByExercise.get(variation.exerciseId) || [],
+                ...variation
+            }));
+        });
+}
+
+// In-memory Firestore (only what the Persistence node uses)
+const writes: Record<string, any> = vi.hoisted(() => ({}));
+
+vi.mock('../../../functions/node_modules/firebase-admin', () => {
+    const doc = (docPath: string): any => ({
+        id: docPath.split('/').pop(),
+        collection: (name: string) => collection(`${docPath}/${name}`),
+        set: async (data: any) => { writes[docPath] = data; },
+        update: async (data: any) => { writes[docPath] = { ...(writes[docPath] || {}), ...data }; },
+        get: async () => ({ exists: docPath in writes, data: () => writes[docPath] })
+    });
+    const collection = (collectionPath: string) => ({
+        doc: (id: string) => doc(`${collectionPath}/${id}`)
+    });
+    const firestore = Object.assign(() => ({ collection }), {
+        FieldValue: { serverTimestamp: () => 'SERVER_TIMESTAMP' }
+    });
+    const admin = { apps: [{}], initializeApp: vi.fn(), firestore };
+    return { ...admin, default: admin };
+});
+
+vi.mock('../../../functions/src/services/firebase', () => ({
+    getUserProfileFromFirebase: async (uid: string) => ({
+        uid,
+        metrics: { mobility: 40, flexibility: 50, rotation: 30 },
+        discomforts: [],
+        objectives: ['Build strength', 'Improve mobility'],
+        preferredDisciplines: ['weights', 'animal-flow', 'yoga', 'pilates', 'calisthenics'],
+        injuryHistory: '',
+        variationPromotions: {}
+    }),
+    getAllVariationsFromFirebase: async () => loadCatalog(),
+    getBlacklistedVariationIds: async () => [],
+    getActiveMesocycle: async () => null
+}));
+
+describe('createTrainingGraph with the fixture replay provider', () => {
+    const previousProvider = process.env.LLM_PROVIDER;
+
+    beforeAll(() => {
+        process.env.LLM_PROVIDER = 'fixture';
+        delete process.env.LLM_FIXTURES_PATH;
+    });
+
+    afterAll(() => {
+        if (previousProvider === undefined) delete process.env.LLM_PROVIDER;
+        else process.env.LLM_PROVIDER = previousProvider;
+    });
+
+    it('assembles a session per training day from the recorded responses', async () => {
+        const { createTrainingGraph } = await import('../../../functions/src/graph/workflow');
+        const catalogExercises = new Map(loadCatalog().map(variation => [variation.id, variation.exerciseId]));
+
+        const graph = createTrainingGraph();
+        const finalState = await graph.invoke({
+            userProfile: { uid: 'fixture-user' } as any,
+            availableVariations: [],
+            initialBlacklist: [],
+            weeklyPlan: null,
+            finalSessions: [],
+            currentDayIndex: 0,
+            sessionUsedIds: [],
+            scoredPool: { warmup: [], workout: [], cooldown: [] },
+            selectedVariations: { warmup: [], workout: [], cooldown: [] },
+            mesocycle: null,
+            requestedMesocycleWeeks: null,
+            fallbackNodes: [],
+            contraindicationLog: []
+        }, { recursionLimit: 50 });
+
+        // The recorded answers are used as they are: no node fell back to the rule-based mode
+        expect(finalState.fallbackNodes).toEqual([]);
+
+        const { weeklyPlan, finalSessions } = finalState;
+        expect(weeklyPlan.trainingDays.length).toBeGreaterThan(0);
+        expect(finalSessions).toHaveLength(weeklyPlan.trainingDays.length);
+        expect(finalSessions.map((session: any) => session.dayIndex)).toEqual(weeklyPlan.trainingDays);
+
+        finalSessions.forEach((session: any) => {
+            expect(session.date).toMatch(/^\d{4}-\d{2}-\d{2}$/);
+            expect(session.focus).not.toBe('');
+            expect(session.estimatedMinutes).toBeGreaterThan(0);
+
+            (['warmup', 'workout', 'cooldown'] as const).forEach(phase => {
+                expect(session[phase].length).toBeGreaterThan(0);
+                session[phase].forEach((variation: any) => {
+                    expect(catalogExercises.has(variation.id)).toBe(true);
+                    // The client keys the set state and the milestones by exercise
+                    expect(variation.exerciseId).toBe(catalogExercises.get(variation.id));
+                    expect(variation.sets).toBeGreaterThan(0);
+                });
+            });
+
+            // No variation is repeated within a session
+            const ids = [...session.warmup, ...session.workout, ...session.cooldown].map((v: any) => v.id);
+            expect(new Set(ids).size).toBe(ids.length);
+        });
+
+        // The Persistence node saved the week with its sessions
+        const weekDoc = Object.entries(writes).find(([docPath]) => docPath.includes('/sessions/'));
+        expect(weekDoc?.[1].finalSessions).toHaveLength(finalSessions.length);
+    }, 60000);
+});
@@ -0,0 +1,141 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+const storage = vi.hoisted(() => ({ progress: null as Record<string, any> | null }));
+
+vi.mock('../../../js/core/auth-manager.js', () => ({
+    getAuthUser: () => ({ uid: 'user-1' })
+}));
+
+vi.mock('../../../js/core/storage.js', () => ({
+    getSessionProgress: () => storage.progress,
+    saveSessionProgress: (progress: Record<string, any>) => {
+        storage.progress = progress;
+    }
+}));
+
+vi.mock('../../../js/services/dbService.js', () => ({
+    getActiveSession: vi.fn(async () => null),
+    saveActiveSession: vi.fn(async () => undefined),
+    clearActiveSession: vi.fn(async () => undefined)
+}));
+
+import {
+    mergeSessionProgress,
+    scheduleActiveSessionSync,
+    flushActiveSessionSync
+} from '../../../js/services/activeSessionService.js';
+import { getActiveSession, saveActiveSession } from '../../../js/services/dbService.js';
+
+interface Progress {
+    sessionId: string;
+    updatedAt: number;
+    startedAt?: string;
+    setData?: Record<string, { completed: boolean; completedAt?: string; reps?: number }>;
+    completedSets?: string[];
+    journalData?: {
+        sets: Array<{ key: string }>;
+        currentSessionData: Record<string, { completed: boolean; completedAt?: string }>;
+    };
+}
+
+const merge = (local: Progress | null, remote: Progress | null) => mergeSessionProgress(local, remote) as Progress;
+
+const done = (completedAt: string, reps = 10) => ({ completed: true, completedAt, reps });
+
+describe('activeSessionService', () => {
+    describe('mergeSessionProgress', () => {
+        it('keeps the most recently updated session when the devices log different sessions', () => {
+            const local = { sessionId: 'monday', updatedAt: 100 };
+            const remote = { sessionId: 'tuesday', updatedAt: 200 };
+
+            expect(merge(local, remote)).toBe(remote);
+            expect(merge({ ...local, updatedAt: 300 }, remote).sessionId).toBe('monday');
+            expect(merge(local, null)).toBe(local);
+        });
+
+        it('never loses a set logged as done on either device', () => {
+            const local = {
+                sessionId: 'monday',
+                updatedAt: 100,
+                setData: { 'squat-back-set-1': done('2026-10-19T07:05:00Z'), 'squat-back-set-2': { completed: false } }
+            };
+            // Newer, but set 1 was unticked on the other device and set 2 is still pending there
+            const remote = {
+                sessionId: 'monday',
+                updatedAt: 200,
+                setData: { 'squat-back-set-1': { completed: false }, 'squat-back-set-3': done('2026-10-19T07:12:00Z') }
+            };
+
+            const merged = merge(local, remote);
+            expect(merged.setData?.['squat-back-set-1']).toEqual(done('2026-10-19T07:05:00Z'));
+            expect(merged.setData?.['squat-back-set-2']).toEqual({ completed: false });
+            expect(merged.completedSets).toEqual(['squat-back-set-1', 'squat-back-set-3']);
+        });
+
+        it('keeps the later completedAt when both devices logged the set as done', () => {
+            const earlier = done('2026-10-19T07:05:00Z', 8);
+            const later = done('2026-10-19T07:09:00Z', 10);
+
+            // The later completion wins even from the older progress
+            const merged = merge(
+                { sessionId: 'monday', updatedAt: 100, setData: { 'squat-back-set-1': later } },
+                { sessionId: 'monday', updatedAt: 200, setData: { 'squat-back-set-1': earlier } }
+            );
+            expect(merged.setData?.['squat-back-set-1']).toEqual(later);
+        });
+
+        it('keeps journal sets added on either device and the first start', () => {
+            const local = {
+                sessionId: 'monday',
+                updatedAt: 200,
+                startedAt: '2026-10-19T07:02:00Z',
+                journalData: {
+                    sets: [{ key: 'set-1' }, { key: 'set-local' }],
+                    currentSessionData: { 'set-1': { completed: false } }
+                }
+            };
+            const remote = {
+                sessionId: 'monday',
+                updatedAt: 100,
+                startedAt: '2026-10-19T07:00:00Z',
+                journalData: {
+                    sets: [{ key: 'set-1' }, { key: 'set-remote' }],
+                    currentSessionData: { 'set-1': done('2026-10-19T07:04:00Z'), 'set-remote': done('2026-10-19T07:06:00Z') }
+                }
+            };
+
+            const merged = merge(local, remote);
+            expect(merged.journalData?.sets.map(set => set.key)).toEqual(['set-1', 'set-local', 'set-remote']);
+            expect(merged.journalData?.currentSessionData['set-1'].completed).toBe(true);
+            expect(merged.startedAt).toBe('2026-10-19T07:00:00Z');
+            expect(merged.updatedAt).toBe(200);
+        });
+    });
+
+    describe('flushActiveSessionSync', () => {
+        beforeEach(() => {
+            storage.progress = null;
+            vi.mocked(saveActiveSession).mockClear();
+        });
+
+        it('merges a newer write of another device before mirroring', async () => {
+            vi.mocked(getActiveSession).mockResolvedValueOnce({
+                sessionId: 'monday',
+                deviceId: 'phone',
+                updatedAt: Date.now() + 60 * 1000,
+                progress: { sessionId: 'monday', updatedAt: 100, setData: { 'squat-back-set-1': done('2026-10-19T07:05:00Z') } }
+            });
+            const mergedEvent = vi.fn();
+            window.addEventListener('active-session-merged', mergedEvent);
+
+            scheduleActiveSessionSync({ sessionId: 'monday', updatedAt: 200, setData: { 'squat-back-set-1': { completed: false } } });
+            await flushActiveSessionSync();
+
+            const saved = vi.mocked(saveActiveSession).mock.calls[0][1] as { progress: Progress; updatedAt: number };
+            expect(saved.progress.completedSets).toEqual(['squat-back-set-1']);
+            expect(storage.progress?.completedSets).toEqual(['squat-back-set-1']);
+            expect(mergedEvent).toHaveBeenCalledTimes(1);
+            window.removeEventListener('active-session-merged', mergedEvent);
+        });
+    });
+});
@@ -0,0 +1,184 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+vi.mock('../../../js/services/dbService.js', () => ({
+    getUserProfile: vi.fn(),
+    getAllTrainingSystems: vi.fn(),
+    getSystemSessions: vi.fn(),
+    getCompletedSessions: vi.fn(),
+    getSessionReports: vi.fn()
+}));
+
+vi.mock('../../../js/services/exerciseHistoryService.js', () => ({
+    getAllExerciseHistory: vi.fn(),
+    saveExercisePerformance: vi.fn(async () => undefined)
+}));
+
+vi.mock('../../../js/core/workout-engine.js', () => ({
+    loadExercises: vi.fn(async () => catalog)
+}));
+
+import {
+    parseCsv,
+    detectImportSource,
+    normalizeImportRows,
+    matchCatalogExercise,
+    importWorkoutHistory,
+    IMPORT_SOURCES
+} from '../../../js/services/dataPortabilityService.js';
+import { saveExercisePerformance } from '../../../js/services/exerciseHistoryService.js';
+
+const catalog = {
+    exercises: [
+        {
+            id: 'bench-press',
+            name: 'Bench Press',
+            variations: [{ id: 'bench-press-barbell', name: 'Barbell' }, { id: 'bench-press-dumbbell', name: 'Dumbbell' }]
+        },
+        {
+            id: 'squat',
+            name: 'Squat',
+            variations: [{ id: 'squat-back-barbell', name: 'Back Squat' }]
+        }
+    ]
+};
+
+const STRONG_CSV = [
+    'Date;Workout Name;Duration;Exercise Name;Set Order;Weight;Reps;Distance;Seconds;Notes;Workout Notes;RPE',
+    '2024-01-26 07:10:00;Push;45m;Bench Press (Barbell);1;100;5;0;0;;;8',
+    '2024-01-26 07:10:00;Push;45m;Bench Press (Barbell);2;100;4;0;0;"Paused, 1s";;9',
+    '2024-01-26 07:10:00;Push;45m;Rest Timer;;0;0;0;90;;;',
+    '2024-01-26 07:10:00;Push;45m;Zercher Carry;1;60;0;0;30;;;'
+].join('\r\n');
+
+const HEVY_CSV = [
+    'title,start_time,end_time,description,exercise_title,superset_id,exercise_notes,set_index,set_type,weight_lbs,reps,distance_miles,duration_seconds,rpe',
+    'Legs,"26 Jan 2024, 07:10","26 Jan 2024, 08:00",,Squat (Barbell),,,0,normal,225,5,,,',
+    'Legs,"26 Jan 2024, 07:10","26 Jan 2024, 08:00",,Squat (Barbell),,"Belt on ""heavy"" sets",1,normal,,,,,'
+].join('\n');
+
+interface ImportedSet {
+    performedAt: Date;
+    workoutName: string;
+    exerciseName: string;
+    setNumber: number;
+    weight?: number;
+    reps?: number;
+    time?: number;
+    rpe?: number;
+    notes?: string;
+}
+
+const importRows = (...args: Parameters<typeof normalizeImportRows>) => normalizeImportRows(...args) as ImportedSet[];
+
+describe('dataPortabilityService import', () => {
+    beforeEach(() => {
+        vi.mocked(saveExercisePerformance).mockClear();
+    });
+
+    describe('parseCsv', () => {
+        it('handles quoted fields, escaped quotes and newlines inside quotes', () => {
+            const rows = parseCsv('\uFEFFname,notes\r\nRow,"a, ""b""\nnext line"\r\n\r\nLast,\n');
+            expect(rows).toEqual([
+                { name: 'Row', notes: 'a, "b"\nnext line' },
+                { name: 'Last', notes: '' }
+            ]);
+        });
+
+        it('detects the semicolon delimiter and fills missing fields', () => {
+            expect(parseCsv('a;b;c\n1;2')).toEqual([{ a: '1', b: '2', c: '' }]);
+        });
+
+        it('returns no rows for an empty file', () => {
+            expect(parseCsv('')).toEqual([]);
+        });
+    });
+
+    describe('detectImportSource', () => {
+        it('recognizes Strong and Hevy exports from the header', () => {
+            expect(detectImportSource(parseCsv(STRONG_CSV))).toBe(IMPORT_SOURCES.STRONG);
+            expect(detectImportSource(parseCsv(HEVY_CSV))).toBe(IMPORT_SOURCES.HEVY);
+            expect(detectImportSource(parseCsv('date,exercise\n2024-01-01,Squat'))).toBeNull();
+            expect(detectImportSource([])).toBeNull();
+        });
+    });
+
+    describe('normalizeImportRows', () => {
+        it('reads Strong sets in local time and drops the rest timer rows', () => {
+            const sets = importRows(parseCsv(STRONG_CSV), IMPORT_SOURCES.STRONG);
+
+            expect(sets).toHaveLength(3);
+            expect(sets[0]).toEqual({
+                performedAt: new Date(2024, 0, 26, 7, 10),
+                workoutName: 'Push',
+                exerciseName: 'Bench Press (Barbell)',
+                setNumber: 1,
+                weight: 100,
+                reps: 5,
+                time: undefined,
+                rpe: 8,
+                notes: undefined
+            });
+            expect(sets[1].notes).toBe('Paused, 1s');
+            // Empty reps are exported as 0
+            expect(sets[2]).toMatchObject({ exerciseName: 'Zercher Carry', weight: 60, reps: undefined, time: 30 });
+        });
+
+        it('converts Strong weights logged in pounds', () => {
+            const sets = importRows(parseCsv(STRONG_CSV), IMPORT_SOURCES.STRONG, { weightUnit: 'lb' });
+            expect(sets[0].weight).toBe(45.4);
+        });
+
+        it('reads Hevy sets: 0-based set index, pounds and its date format', () => {
+            const sets = importRows(parseCsv(HEVY_CSV), IMPORT_SOURCES.HEVY);
+
+            expect(sets.map(set => set.setNumber)).toEqual([1, 2]);
+            expect(sets[0]).toMatchObject({
+                performedAt: new Date(2024, 0, 26, 7, 10),
+                workoutName: 'Legs',
+                exerciseName: 'Squat (Barbell)',
+                weight: 102.1,
+                reps: 5
+            });
+            expect(sets[1]).toMatchObject({ weight: undefined, reps: undefined, notes: 'Belt on "heavy" sets' });
+        });
+    });
+
+    describe('matchCatalogExercise', () => {
+        it('maps names with an equipment qualifier onto the catalog variation', () => {
+            expect(matchCatalogExercise('Bench Press (Dumbbell)', catalog)).toMatchObject({
+                exerciseId: 'bench-press',
+                variationId: 'bench-press-dumbbell'
+            });
+            expect((matchCatalogExercise('Squat (Barbell)', catalog) as { variationId: string } | null)?.variationId).toBe('squat-back-barbell');
+            expect(matchCatalogExercise('Zercher Carry', catalog)).toBeNull();
+        });
+    });
+
+    describe('importWorkoutHistory', () => {
+        it('writes the matched sets per workout and skips the unmatched ones', async () => {
+            const result = await importWorkoutHistory('user-1', STRONG_CSV);
+
+            expect(result).toMatchObject({
+                source: IMPORT_SOURCES.STRONG,
+                workouts: 1,
+                importedSets: 2,
+                skippedSets: 1,
+                unmatched: ['Zercher Carry'],
+                failed: []
+            });
+            expect(saveExercisePerformance).toHaveBeenCalledTimes(1);
+            const [userId, exerciseId, variationId, sessionId, sets] = vi.mocked(saveExercisePerformance).mock.calls[0];
+            expect([userId, exerciseId, variationId]).toEqual(['user-1', 'bench-press', 'bench-press-barbell']);
+            expect(sessionId).toMatch(/^import-strong-2024-01-26-/);
+            expect(sets.map((set: { reps: number }) => set.reps)).toEqual([5, 4]);
+        });
+
+        it('gives the same workout the same id on a second import', async () => {
+            await importWorkoutHistory('user-1', STRONG_CSV);
+            await importWorkoutHistory('user-1', STRONG_CSV);
+
+            const [first, second] = vi.mocked(saveExercisePerformance).mock.calls.map(call => call[3]);
+            expect(second).toBe(first);
+        });
+    });
+});
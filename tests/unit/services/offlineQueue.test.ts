@@ -0,0 +1,136 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+    enqueueMutation,
+    hasPendingMutations,
+    registerOutboxHandler,
+    replayOutbox,
+    retryFailedMutations,
+    MAX_REPLAY_ATTEMPTS,
+    MUTATION_STATUS
+} from '../../../js/services/offlineQueue.js';
+
+/**
+ * Minimal IndexedDB for the outbox (one object store, autoIncrement key, mutationId index)
+ */
+const records = new Map<number, any>();
+let nextSeq = 1;
+// The store answers with the real timers, also while a test fakes the retry delay
+const realSetTimeout = setTimeout;
+
+function request<T>(compute: () => T) {
+    const req: any = {};
+    realSetTimeout(() => {
+        req.result = compute();
+        req.onsuccess?.();
+    });
+    return req;
+}
+
+const store = {
+    getAll: () => request(() => [...records.values()].map(record => structuredClone(record))),
+    add: (value: any) => request(() => {
+        const seq = nextSeq++;
+        records.set(seq, structuredClone({ ...value, seq }));
+        return seq;
+    }),
+    put: (value: any) => request(() => records.set(value.seq, structuredClone(value))),
+    delete: (seq: number) => request(() => records.delete(seq)),
+    index: () => ({
+        get: (mutationId: string) => request(() => [...records.values()].find(r => r.mutationId === mutationId))
+    })
+};
+
+vi.stubGlobal('indexedDB', {
+    open: () => request(() => ({ transaction: () => ({ objectStore: () => store }) }))
+});
+
+const statusOf = (mutationId: string) => [...records.values()].find(r => r.mutationId === mutationId)?.status ?? 'replayed';
+
+describe('offlineQueue replay', () => {
+    const calls: string[] = [];
+
+    beforeEach(() => {
+        records.clear();
+        calls.length = 0;
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+    });
+
+    it('keeps a user\'s later mutations behind a failed one until it is retried', async () => {
+        let reportFails = true;
+        registerOutboxHandler('saveReport', async (userId: string, data: { id: string }) => {
+            calls.push(`report:${userId}:${data.id}`);
+            if (reportFails) throw new Error('permission-denied');
+        });
+        registerOutboxHandler('updateStreak', async (userId: string, date: string) => {
+            calls.push(`streak:${userId}:${date}`);
+        });
+
+        await enqueueMutation({ mutationId: 'm1', type: 'saveReport', userId: 'u1', args: [{ id: 'r1' }] });
+        await enqueueMutation({ mutationId: 'm2', type: 'updateStreak', userId: 'u1', args: ['2026-10-19'] });
+        await enqueueMutation({ mutationId: 'm3', type: 'updateStreak', userId: 'u2', args: ['2026-10-19'] });
+
+        // Park m1 as failed (each replay is one attempt)
+        for (let attempt = 0; attempt < MAX_REPLAY_ATTEMPTS; attempt++) {
+            await replayOutbox();
+        }
+
+        expect(statusOf('m1')).toBe(MUTATION_STATUS.FAILED);
+        expect(statusOf('m2')).toBe(MUTATION_STATUS.PENDING);
+        expect(statusOf('m3')).toBe('replayed');
+        expect(calls).not.toContain('streak:u1:2026-10-19');
+
+        // New writes of u1 queue behind the failed mutation too
+        expect(await hasPendingMutations('u1')).toBe(true);
+        expect(await hasPendingMutations('u2')).toBe(false);
+
+        // Another replay still does not skip past the failed mutation
+        await replayOutbox();
+        expect(statusOf('m2')).toBe(MUTATION_STATUS.PENDING);
+
+        reportFails = false;
+        await retryFailedMutations();
+        expect(records.size).toBe(0);
+        expect(calls.slice(-2)).toEqual(['report:u1:r1', 'streak:u1:2026-10-19']);
+    });
+
+    it('remaps a client id only in the id fields of later mutations', async () => {
+        const received: any[] = [];
+        registerOutboxHandler('saveSession', async () => 'server-session-id');
+        registerOutboxHandler('saveSessionReport', async (_userId: string, report: object) => {
+            received.push(report);
+        });
+
+        await enqueueMutation({ mutationId: 's1', type: 'saveSession', userId: 'u1', args: [{ id: 'client-1' }], clientId: 'client-1' });
+        await enqueueMutation({
+            mutationId: 's2',
+            type: 'saveSessionReport',
+            userId: 'u1',
+            args: [{ reportId: 'report-1', sessionId: 'client-1', notes: 'Felt like "client-1" again' }]
+        });
+
+        await replayOutbox();
+
+        expect(received).toEqual([
+            { reportId: 'report-1', sessionId: 'server-session-id', notes: 'Felt like "client-1" again' }
+        ]);
+    });
+
+    it('retries later when the server cannot be reached while online', async () => {
+        vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout'] });
+        let reachable = false;
+        registerOutboxHandler('saveReport', async () => {
+            if (!reachable) throw Object.assign(new Error('unavailable'), { retryable: true });
+        });
+
+        await enqueueMutation({ mutationId: 'm1', type: 'saveReport', userId: 'u1', args: [{ id: 'r1' }] });
+        await replayOutbox();
+        expect(statusOf('m1')).toBe(MUTATION_STATUS.PENDING);
+
+        reachable = true;
+        await vi.advanceTimersByTimeAsync(60 * 1000);
+        await vi.waitFor(() => expect(records.size).toBe(0));
+    });
+});
@@ -0,0 +1,249 @@
+import { describe, it, expect, vi } from 'vitest';
+
+vi.mock('../../../config/firebase.config.js', () => ({ db: {}, auth: {} }));
+
+vi.mock('../../../js/services/exerciseHistoryService.js', async importOriginal => ({
+    ...(await importOriginal<object>()),
+    getExerciseHistory: vi.fn()
+}));
+
+vi.mock('../../../js/services/dbService.js', () => ({
+    getUserProfile: vi.fn(async () => ({ e1rmFormula: 'brzycki' }))
+}));
+
+import {
+    prescribeNextSession,
+    countStalledSessions,
+    getProgressionTarget,
+    PROGRESSION_ACTIONS,
+    PROGRESSION_SCHEMES,
+    STALL_SESSIONS
+} from '../../../js/services/progressionService.js';
+import { EXERCISE_TYPES } from '../../../js/services/exerciseTypeService.js';
+import { getExerciseHistory, E1RM_FORMULAS } from '../../../js/services/exerciseHistoryService.js';
+
+/**
+ * History document with one session per entry, a day apart
+ * @param {Array<Array<Object>>} sessions - Sets of each session, oldest first
+ */
+function buildHistory(sessions: Array<Array<Record<string, number>>>) {
+    return {
+        sessions: sessions.map((sets, index) => ({
+            date: new Date(Date.UTC(2026, 0, 1 + index)).toISOString(),
+            sets: sets.map((set, setIndex) => ({ setNumber: setIndex + 1, ...set }))
+        }))
+    };
+}
+
+const repeat = <T>(value: T, times: number): T[] => Array.from({ length: times }, () => value);
+
+interface Prescription {
+    action: string;
+    stalled: boolean;
+    stallCount: number;
+    sets: Array<{ setNumber: number; weight?: number; reps?: number; time?: number }>;
+}
+
+const prescribe = (history: object | null, options: object = {}) => prescribeNextSession(history, options) as Prescription;
+
+describe('progressionService', () => {
+    describe('countStalledSessions', () => {
+        it('counts the latest sessions in a row without a new best', () => {
+            const { sessions } = buildHistory([
+                [{ weight: 60, reps: 8 }],
+                [{ weight: 62.5, reps: 8 }],
+                [{ weight: 62.5, reps: 7 }],
+                [{ weight: 60, reps: 8 }]
+            ]);
+            expect(countStalledSessions(sessions, EXERCISE_TYPES.WEIGHT)).toBe(2);
+        });
+
+        it('resets after a new best', () => {
+            const { sessions } = buildHistory([
+                [{ reps: 10 }],
+                [{ reps: 9 }],
+                [{ reps: 12 }]
+            ]);
+            expect(countStalledSessions(sessions, EXERCISE_TYPES.REPS_ONLY)).toBe(0);
+        });
+
+        it('compares hold time for timed exercises', () => {
+            const { sessions } = buildHistory([
+                [{ time: 45 }],
+                [{ time: 40 }],
+                [{ time: 45 }]
+            ]);
+            expect(countStalledSessions(sessions, EXERCISE_TYPES.TIME)).toBe(2);
+        });
+
+        it('compares loaded sessions with the chosen e1RM formula', () => {
+            // 100kg x 12 vs 128kg x 3: Epley 140 → 140.8 (new best), Brzycki 144 → 135.5 (stall)
+            const { sessions } = buildHistory([
+                [{ weight: 100, reps: 12 }],
+                [{ weight: 128, reps: 3 }]
+            ]);
+            expect(countStalledSessions(sessions, EXERCISE_TYPES.WEIGHT, E1RM_FORMULAS.EPLEY)).toBe(0);
+            expect(countStalledSessions(sessions, EXERCISE_TYPES.WEIGHT, E1RM_FORMULAS.BRZYCKI)).toBe(1);
+        });
+
+        it('does not let high-rep sets inflate the e1RM', () => {
+            // 80kg x 20 is above MAX_E1RM_REPS: it counts as its load, not as a 133kg e1RM
+            const { sessions } = buildHistory([
+                [{ weight: 100, reps: 5 }],
+                [{ weight: 80, reps: 20 }]
+            ]);
+            expect(countStalledSessions(sessions, EXERCISE_TYPES.WEIGHT)).toBe(1);
+        });
+    });
+
+    describe('prescribeNextSession', () => {
+        it('asks for a baseline without history', () => {
+            const prescription = prescribe(null);
+            expect(prescription.action).toBe(PROGRESSION_ACTIONS.BASELINE);
+            expect(prescription.sets).toEqual([]);
+        });
+
+        it('adds reps inside the range, then load at the top (double progression)', () => {
+            const inRange = prescribe(buildHistory([[{ weight: 50, reps: 9 }, { weight: 50, reps: 8 }]]));
+            expect(inRange.action).toBe(PROGRESSION_ACTIONS.INCREASE);
+            expect(inRange.sets).toEqual([
+                { setNumber: 1, weight: 50, reps: 10 },
+                { setNumber: 2, weight: 50, reps: 9 }
+            ]);
+
+            const atTop = prescribe(buildHistory([[{ weight: 50, reps: 12 }, { weight: 50, reps: 12 }]]));
+            expect(atTop.sets).toEqual([
+                { setNumber: 1, weight: 51.5, reps: 8 },
+                { setNumber: 2, weight: 51.5, reps: 8 }
+            ]);
+        });
+
+        it('moves load with the reported effort (RPE scheme)', () => {
+            const easy = prescribe(
+                buildHistory([[{ weight: 100, reps: 5, rpe: 6 }]]),
+                { scheme: PROGRESSION_SCHEMES.RPE }
+            );
+            expect(easy.action).toBe(PROGRESSION_ACTIONS.INCREASE);
+            expect(easy.sets[0].weight).toBe(105);
+
+            const hard = prescribe(
+                buildHistory([[{ weight: 100, reps: 5, rir: 0 }]]),
+                { scheme: PROGRESSION_SCHEMES.RPE }
+            );
+            expect(hard.action).toBe(PROGRESSION_ACTIONS.DECREASE);
+            expect(hard.sets[0].weight).toBe(97.5);
+        });
+
+        it('deloads a stalled loaded exercise', () => {
+            const history = buildHistory([
+                [{ weight: 80, reps: 8 }, { weight: 80, reps: 8 }],
+                ...repeat([{ weight: 80, reps: 7 }, { weight: 80, reps: 6 }], STALL_SESSIONS)
+            ]);
+            const prescription = prescribe(history);
+
+            expect(prescription.stalled).toBe(true);
+            expect(prescription.stallCount).toBe(STALL_SESSIONS);
+            expect(prescription.action).toBe(PROGRESSION_ACTIONS.DELOAD);
+            expect(prescription.sets).toEqual([
+                { setNumber: 1, weight: 72, reps: 7 },
+                { setNumber: 2, weight: 72, reps: 6 }
+            ]);
+        });
+
+        it('builds back up from the deload instead of deloading again', () => {
+            const stalledSessions = [
+                [{ weight: 80, reps: 8 }],
+                ...repeat([{ weight: 80, reps: 7 }], STALL_SESSIONS)
+            ];
+            const afterDeload = prescribe(buildHistory([...stalledSessions, [{ weight: 72, reps: 7 }]]));
+
+            expect(afterDeload.stallCount).toBe(0);
+            expect(afterDeload.action).toBe(PROGRESSION_ACTIONS.INCREASE);
+            expect(afterDeload.sets).toEqual([{ setNumber: 1, weight: 72, reps: 8 }]);
+
+            // Progress is measured from the deload, not from the old best
+            const buildingBack = prescribe(buildHistory([
+                ...stalledSessions,
+                [{ weight: 72, reps: 7 }],
+                [{ weight: 72, reps: 8 }],
+                [{ weight: 72, reps: 9 }]
+            ]));
+            expect(buildingBack.stallCount).toBe(0);
+            expect(buildingBack.action).toBe(PROGRESSION_ACTIONS.INCREASE);
+        });
+
+        it('deloads again only after a new stall', () => {
+            const history = buildHistory([
+                [{ weight: 80, reps: 8 }],
+                ...repeat([{ weight: 80, reps: 7 }], STALL_SESSIONS),
+                [{ weight: 72, reps: 8 }],
+                ...repeat([{ weight: 72, reps: 7 }], STALL_SESSIONS)
+            ]);
+            const prescription = prescribe(history);
+
+            expect(prescription.stallCount).toBe(STALL_SESSIONS);
+            expect(prescription.action).toBe(PROGRESSION_ACTIONS.DELOAD);
+        });
+
+        it('does not deload one session short of a stall', () => {
+            const history = buildHistory([
+                [{ weight: 80, reps: 8 }],
+                ...repeat([{ weight: 80, reps: 7 }], STALL_SESSIONS - 1)
+            ]);
+            const prescription = prescribe(history);
+
+            expect(prescription.stalled).toBe(false);
+            expect(prescription.action).toBe(PROGRESSION_ACTIONS.INCREASE);
+        });
+
+        it('regresses stalled bodyweight reps and holds', () => {
+            const reps = prescribe(
+                buildHistory([[{ reps: 10 }], ...repeat([{ reps: 10 }], STALL_SESSIONS)]),
+                { exerciseType: EXERCISE_TYPES.REPS_ONLY }
+            );
+            expect(reps.action).toBe(PROGRESSION_ACTIONS.REGRESSION);
+            expect(reps.sets).toEqual([{ setNumber: 1, reps: 8 }]);
+
+            const hold = prescribe(
+                buildHistory([[{ time: 60 }], ...repeat([{ time: 50 }], STALL_SESSIONS)]),
+                { exerciseType: EXERCISE_TYPES.TIME }
+            );
+            expect(hold.action).toBe(PROGRESSION_ACTIONS.REGRESSION);
+            expect(hold.sets).toEqual([{ setNumber: 1, time: 40 }]);
+        });
+
+        it('moves to a harder variation at the bodyweight rep ceiling', () => {
+            const prescription = prescribe(
+                buildHistory([[{ reps: 20 }, { reps: 21 }]]),
+                { exerciseType: EXERCISE_TYPES.REPS_ONLY }
+            );
+            expect(prescription.action).toBe(PROGRESSION_ACTIONS.HOLD);
+            expect(prescription.sets.map(set => set.reps)).toEqual([20, 20]);
+        });
+    });
+
+    describe('getProgressionTarget', () => {
+        const history = buildHistory([
+            [{ weight: 100, reps: 12 }],
+            ...repeat([{ weight: 128, reps: 3 }], STALL_SESSIONS)
+        ]);
+
+        it("uses the user's e1RM formula preference", async () => {
+            vi.mocked(getExerciseHistory).mockResolvedValue(history);
+
+            const prescription = await getProgressionTarget('user-1', 'squat', 'squat-back-barbell') as Prescription;
+            expect(prescription.stallCount).toBe(STALL_SESSIONS);
+            expect(prescription.action).toBe(PROGRESSION_ACTIONS.DELOAD);
+        });
+
+        it('keeps an explicit formula', async () => {
+            vi.mocked(getExerciseHistory).mockResolvedValue(history);
+
+            const prescription = await getProgressionTarget('user-1', 'squat', 'squat-back-barbell', {
+                e1rmFormula: E1RM_FORMULAS.EPLEY
+            }) as Prescription;
+            expect(prescription.stallCount).toBe(STALL_SESSIONS - 1);
+            expect(prescription.action).toBe(PROGRESSION_ACTIONS.INCREASE);
+        });
+    });
+});
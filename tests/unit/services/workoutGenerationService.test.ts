@@ -0,0 +1,79 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+
+vi.mock('../../../config/firebase.config.js', () => ({ db: {}, auth: {} }));
+
+vi.mock('../../../js/core/auth-manager.js', () => ({
+    getAuthUser: () => ({ uid: 'user-1', getIdToken: async () => 'token' })
+}));
+
+vi.mock('../../../js/services/dbService.js', () => ({
+    getGenerationRun: vi.fn(async () => null)
+}));
+
+import { generateWeeklySystem, applyRegeneratedSession } from '../../../js/services/workoutGenerationService.js';
+import { getGenerationRun } from '../../../js/services/dbService.js';
+import { applySessionMilestones } from '../../../js/core/workout-engine.js';
+import { OVERLOAD_PERIOD_SESSIONS } from '../../../js/core/constants.js';
+
+describe('workoutGenerationService', () => {
+    afterEach(() => {
+        vi.useRealTimers();
+        vi.unstubAllGlobals();
+        vi.unstubAllEnvs();
+    });
+
+    describe('generateWeeklySystem after a dropped connection', () => {
+        it('stops waiting when the run document is never written', async () => {
+            vi.useFakeTimers();
+            vi.stubEnv('VITE_FIREBASE_PROJECT_ID', 'demo-project');
+            vi.stubGlobal('fetch', vi.fn(async () => { throw new TypeError('Failed to fetch'); }));
+
+            const result = generateWeeklySystem({}, {}).catch((error: Error) => error);
+            await vi.advanceTimersByTimeAsync(60 * 60 * 1000);
+
+            const error = await result;
+            expect(error).toBeInstanceOf(Error);
+            expect((error as Error).message).toContain('Timed out waiting for workout generation');
+
+            // Polling stopped with the timeout
+            const polls = vi.mocked(getGenerationRun).mock.calls.length;
+            await vi.advanceTimersByTimeAsync(60 * 1000);
+            expect(vi.mocked(getGenerationRun).mock.calls.length).toBe(polls);
+        });
+    });
+
+    describe('generated sessions', () => {
+        const squat = { id: 'squat-goblet', exerciseId: 'squat', name: 'Goblet Squat', sets: 2, reps: 10 };
+        const exercises = [{
+            id: 'squat',
+            name: 'Squat',
+            variations: [
+                { id: 'squat-goblet', name: 'Goblet Squat', difficulty_score: 1 },
+                { id: 'squat-back-barbell', name: 'Back Squat', difficulty_score: 2 }
+            ]
+        }];
+
+        it('keeps the exercise of each variation so the session counts for its milestones', () => {
+            const session = applyRegeneratedSession(
+                { date: '2026-10-19' },
+                { warmup: [], workout: [squat], cooldown: [] }
+            ) as { phases: Record<string, object[]> };
+            expect(session.phases.workout[0]).toMatchObject({ exerciseId: 'squat', variationId: 'squat-goblet', sets: 2 });
+
+            const setData = {
+                'squat-squat-goblet-set-1': { completed: true },
+                'squat-squat-goblet-set-2': { completed: true }
+            };
+            const profile = { currentMilestones: { squat: { 'squat-goblet': OVERLOAD_PERIOD_SESSIONS - 1 } } };
+            const { currentMilestones, variationPromotions, levelUps } = applySessionMilestones(session, setData, profile, exercises) as {
+                currentMilestones: Record<string, Record<string, number>>;
+                variationPromotions: Record<string, string>;
+                levelUps: object[];
+            };
+
+            expect(currentMilestones.squat['squat-goblet']).toBe(OVERLOAD_PERIOD_SESSIONS);
+            expect(variationPromotions).toEqual({ 'squat-goblet': 'squat-back-barbell' });
+            expect(levelUps).toHaveLength(1);
+        });
+    });
+});
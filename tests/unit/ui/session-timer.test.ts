@@ -0,0 +1,130 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+const storage = vi.hoisted(() => ({ progress: null as Record<string, any> | null }));
+
+vi.mock('../../../js/core/storage.js', () => ({
+    getSessionProgress: () => storage.progress,
+    saveSessionProgress: (progress: Record<string, any>) => {
+        storage.progress = { ...(storage.progress || {}), ...progress };
+    }
+}));
+
+import { getTimerStatus, SessionTimer, TIMER_MODES } from '../../../js/ui/session-timer.js';
+import { INTERVAL_TIMER_PRESETS } from '../../../js/core/constants.js';
+
+interface TimerStatus {
+    phase: string;
+    round: number;
+    totalRounds: number;
+    remainingSeconds: number;
+    finished: boolean;
+}
+
+const START = 1_000_000;
+
+/**
+ * Status of a timer started at START, `seconds` later
+ */
+const statusAt = (mode: string, config: object, seconds: number, pause: object = {}) =>
+    getTimerStatus({ mode, startedAt: START, pausedAt: null, pausedMs: 0, config, ...pause }, START + seconds * 1000) as TimerStatus;
+
+const phaseAt = (mode: string, config: object, seconds: number) => {
+    const { phase, round, remainingSeconds } = statusAt(mode, config, seconds);
+    return { phase, round, remainingSeconds };
+};
+
+describe('session timer', () => {
+    describe('getTimerStatus', () => {
+        it('runs an EMOM as one work interval per minute', () => {
+            const emom = { rounds: 3, intervalSeconds: 60 };
+
+            expect(phaseAt(TIMER_MODES.EMOM, emom, 0)).toEqual({ phase: 'work', round: 1, remainingSeconds: 60 });
+            expect(phaseAt(TIMER_MODES.EMOM, emom, 59.5)).toEqual({ phase: 'work', round: 1, remainingSeconds: 1 });
+            expect(phaseAt(TIMER_MODES.EMOM, emom, 60)).toEqual({ phase: 'work', round: 2, remainingSeconds: 60 });
+            expect(statusAt(TIMER_MODES.EMOM, emom, 180)).toMatchObject({ phase: 'done', round: 3, finished: true });
+        });
+
+        it('alternates Tabata work and rest and ends on the last work interval', () => {
+            const tabata = INTERVAL_TIMER_PRESETS.TABATA;
+
+            expect(phaseAt(TIMER_MODES.TABATA, tabata, 0)).toEqual({ phase: 'work', round: 1, remainingSeconds: 20 });
+            expect(phaseAt(TIMER_MODES.TABATA, tabata, 20)).toEqual({ phase: 'rest', round: 1, remainingSeconds: 10 });
+            expect(phaseAt(TIMER_MODES.TABATA, tabata, 30)).toEqual({ phase: 'work', round: 2, remainingSeconds: 20 });
+
+            // 8 rounds of 20s on / 10s off, without the rest after the last one
+            const lastWorkEnd = 8 * 30 - 10;
+            expect(phaseAt(TIMER_MODES.TABATA, tabata, lastWorkEnd - 1)).toEqual({ phase: 'work', round: 8, remainingSeconds: 1 });
+            expect(statusAt(TIMER_MODES.TABATA, tabata, lastWorkEnd).finished).toBe(true);
+        });
+
+        it('counts an AMRAP down as a single round', () => {
+            const amrap = { durationSeconds: 12 * 60 };
+
+            expect(statusAt(TIMER_MODES.AMRAP, amrap, 90)).toMatchObject({ phase: 'work', round: 1, totalRounds: 1, remainingSeconds: 630 });
+            expect(statusAt(TIMER_MODES.AMRAP, amrap, 12 * 60).finished).toBe(true);
+        });
+
+        it('leaves paused time out of the schedule', () => {
+            const emom = { rounds: 3, intervalSeconds: 60 };
+
+            // Paused at 50s, 30s ago
+            const paused = statusAt(TIMER_MODES.EMOM, emom, 80, { pausedAt: START + 50 * 1000 });
+            expect(paused).toMatchObject({ round: 1, remainingSeconds: 10 });
+
+            // Resumed after a 30s pause
+            const resumed = statusAt(TIMER_MODES.EMOM, emom, 100, { pausedMs: 30 * 1000 });
+            expect(resumed).toMatchObject({ round: 2, remainingSeconds: 50 });
+        });
+    });
+
+    describe('SessionTimer', () => {
+        beforeEach(() => {
+            storage.progress = null;
+            document.body.innerHTML = '<div id="timer"></div>';
+            vi.useFakeTimers({ now: START });
+        });
+
+        afterEach(() => {
+            vi.useRealTimers();
+        });
+
+        it('does not let a rest countdown replace a running interval', () => {
+            const timer = new SessionTimer('timer', { sessionId: 'day-1' });
+            timer.render();
+            timer.start(TIMER_MODES.EMOM, { rounds: 3, intervalSeconds: 60 });
+
+            timer.startRest(90);
+            expect(timer.timer.mode).toBe(TIMER_MODES.EMOM);
+            timer.destroy();
+        });
+
+        it('resumes the saved timer of the session after a reload', () => {
+            const first = new SessionTimer('timer', { sessionId: 'day-1' });
+            first.render();
+            first.start(TIMER_MODES.TABATA, INTERVAL_TIMER_PRESETS.TABATA);
+            first.destroy();
+
+            vi.advanceTimersByTime(35 * 1000);
+            const reloaded = new SessionTimer('timer', { sessionId: 'day-1' });
+            reloaded.render();
+
+            expect(reloaded.timer.mode).toBe(TIMER_MODES.TABATA);
+            expect(document.querySelector('[data-role="timer-round"]')?.textContent).toBe('Round 2/8 · Work');
+            expect(document.querySelector('[data-role="timer-clock"]')?.textContent).toBe('0:15');
+            reloaded.destroy();
+        });
+
+        it('reports the end of the timer and clears it', () => {
+            const onFinished = vi.fn();
+            const timer = new SessionTimer('timer', { sessionId: 'day-1', onFinished });
+            timer.render();
+            timer.startRest(30);
+
+            vi.advanceTimersByTime(30 * 1000);
+            expect(onFinished).toHaveBeenCalledWith(expect.objectContaining({ mode: TIMER_MODES.REST }));
+            expect(timer.timer).toBeNull();
+            expect(storage.progress?.timer).toBeNull();
+            timer.destroy();
+        });
+    });
+});